@@ -3,6 +3,7 @@
  * Production-ready with full security hardening
  */
 
+const http = require("http");
 const express = require("express");
 const mongoose = require("mongoose");
 const cookieParser = require("cookie-parser");
@@ -12,6 +13,16 @@ require("dotenv").config();
 const {
   securityMiddleware,
 } = require("./middlewares/security-middleware/security.middleware");
+const {
+  startScheduler,
+} = require("./services/scheduler-service/scheduler.service");
+const {
+  initSocketServer,
+} = require("./utilities/socket-utility/socket.utility");
+const { registerChatHandlers } = require("./sockets/chat-socket/chat.socket");
+const {
+  registerNotificationHandlers,
+} = require("./sockets/notification-socket/notification.socket");
 
 const app = express();
 
@@ -24,7 +35,17 @@ securityMiddleware(app);
 // Core Middlewares
 // ==================================================
 app.use(cookieParser());
-app.use(express.json({ limit: "20kb" }));
+app.use(
+  express.json({
+    limit: "20kb",
+    // Payment webhooks are verified against the exact bytes the provider signed
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/payment/webhook/")) {
+        req.rawBody = buf;
+      }
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "20kb" }));
 
 // Logging only in development
@@ -60,6 +81,14 @@ const travelAgencyRoute = require("./routes/travel-agency-route/travel-agency.ro
 const userRoute = require("./routes/user-route/user.route");
 const sharedPasswordResetRoute = require("./routes/shared-route/shared-password.reset.route");
 const packageRoute = require("./routes/package-route/package.route");
+const bookingRoute = require("./routes/booking-route/booking.route");
+const promoCodeRoute = require("./routes/promo-code-route/promo-code.route");
+const paymentRoute = require("./routes/payment-route/payment.route");
+const commissionRoute = require("./routes/commission-route/commission.route");
+const walletRoute = require("./routes/wallet-route/wallet.route");
+const reviewRoute = require("./routes/review-route/review.route");
+const chatRoute = require("./routes/chat-route/chat.route");
+const notificationRoute = require("./routes/notification-route/notification.route");
 
 // ==================================================
 // API Routes
@@ -69,6 +98,14 @@ app.use("/api/agency", travelAgencyRoute);
 app.use("/api/user", userRoute);
 app.use("/api/password", sharedPasswordResetRoute);
 app.use("/api/package", packageRoute);
+app.use("/api/booking", bookingRoute);
+app.use("/api/promo-code", promoCodeRoute);
+app.use("/api/payment", paymentRoute);
+app.use("/api/commission", commissionRoute);
+app.use("/api/wallet", walletRoute);
+app.use("/api/review", reviewRoute);
+app.use("/api/chat", chatRoute);
+app.use("/api/notification", notificationRoute);
 
 // ==================================================
 // 404 Handler
@@ -81,6 +118,17 @@ app.get("/api/health", (req, res) => {
   });
 });
 
+// ==================================================
+// HTTP + Socket.io Server
+// ==================================================
+const server = http.createServer(app);
+const io = initSocketServer(server);
+
+io.on("connection", (socket) => {
+  registerChatHandlers(socket);
+  registerNotificationHandlers(socket);
+});
+
 // ==================================================
 // MongoDB Connection + Server Start
 // ==================================================
@@ -93,7 +141,8 @@ mongoose
   })
   .then(() => {
     console.log("Connected to MongoDB Successfully");
-    app.listen(PORT, () => {
+    startScheduler();
+    server.listen(PORT, () => {
       console.log(`Oloha API Running Securely on PORT ${PORT}`);
       console.log(`Health Check: http://localhost:${PORT}/api/health`);
     });
@@ -111,6 +160,7 @@ process.on("SIGTERM", gracefulShutdown);
 
 function gracefulShutdown() {
   console.log("\nGraceful shutdown initiated...");
+  io.close();
   mongoose.connection.close(false, () => {
     console.log("MongoDB connection closed.");
     process.exit(0);
@@ -0,0 +1,1335 @@
+/**
+ * @file Booking Controller
+ * @description Controller module for managing the booking lifecycle between users and agencies.
+ * Supports:
+ * - Signed price quotes for a traveller mix (adults, children, infants)
+ * - Promo codes validated at quote time and redeemed with the booking
+ * - Short-lived slot holds while checkout is in progress
+ * - Booking creation by users against activated packages
+ * - Booking retrieval for users, agencies and super admins
+ * - Booking status transitions (confirm, cancel, complete) by agencies
+ * - Booking cancellation by users with slot restoration
+ * - Refunds on cancellation, per the package's cancellation policy
+ * - Paying in full or a deposit plus installments, per the package's deposit policy
+ * - Human-friendly booking references (e.g. OLH-24-7KQ9X2) and lookup by reference
+ * - Invoice and e-ticket PDFs for confirmed bookings, and e-ticket verification
+ * - Per-traveller details (identity numbers encrypted) and departure manifests
+ *   for agencies as CSV or PDF
+ *
+ * Slot changes go through the slot reservation service, which decrements
+ * `availableSlots` conditionally inside the same transaction as the booking write.
+ * Each booking stores the immutable price snapshot it was charged from, and
+ * the cancellation policy its refunds are worked out from, and the payment
+ * schedule its installments are collected on.
+ *
+ * @module controllers/bookingController
+ */
+
+const Booking = require("../../models/booking-model/Booking.model");
+const BookingHold = require("../../models/booking-hold-model/BookingHold.model");
+const Package = require("../../models/package-model/Package.model");
+const Agency = require("../../models/travel-agency-model/travel-agency.model");
+const User = require("../../models/user-model/user.model");
+const {
+  runInTransaction,
+  reserveSlots,
+  createHold,
+  consumeHold,
+  releaseHold,
+} = require("../../services/slot-reservation-service/slot-reservation.service");
+const {
+  resolveBookableDeparture,
+} = require("../../services/departure-service/departure.service");
+const {
+  parseTravellers,
+  seatsFor,
+  createQuote,
+  verifyQuote,
+  toPriceSnapshot,
+} = require("../../services/quote-service/quote.service");
+const {
+  resolvePromoCode,
+  redeemPromoCode,
+} = require("../../services/promo-service/promo.service");
+const {
+  calculateRefund,
+} = require("../../services/refund-service/refund.service");
+const {
+  createWithBookingReference,
+  parseBookingReference,
+  applyBookingTransition,
+  confirmBookingWithDocuments,
+  cancelBookingWithRefund,
+} = require("../../services/booking-service/booking.service");
+const {
+  verifyTicketToken,
+  getBookingDocument,
+} = require("../../services/booking-document-service/booking-document.service");
+const {
+  buildPaymentSchedule,
+} = require("../../services/payment-schedule-service/payment-schedule.service");
+const {
+  buildTravellers,
+} = require("../../services/traveller-service/traveller.service");
+const {
+  getDepartureManifest,
+  toManifestCsv,
+  renderManifestPdf,
+} = require("../../services/manifest-service/manifest.service");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+/**
+ * Booking statuses that have an invoice and e-ticket.
+ * @constant {Array<string>}
+ */
+const DOCUMENT_STATUSES = ["CONFIRMED", "COMPLETED"];
+
+/**
+ * Allowed booking status transitions.
+ * CANCELLED and COMPLETED are terminal states.
+ * @constant {Object<string, Array<string>>}
+ */
+const BOOKING_STATUS_TRANSITIONS = {
+  PENDING: ["CONFIRMED", "CANCELLED"],
+  CONFIRMED: ["COMPLETED", "CANCELLED"],
+  CANCELLED: [],
+  COMPLETED: [],
+};
+
+/**
+ * Maps agency actions to the resulting booking status.
+ * @constant {Object<string, string>}
+ */
+const BOOKING_ACTIONS = {
+  CONFIRM: "CONFIRMED",
+  CANCEL: "CANCELLED",
+  COMPLETE: "COMPLETED",
+};
+
+/**
+ * Loads a package and checks that it and its agency accept bookings.
+ *
+ * @async
+ * @param {string} packageId - Package to book
+ * @returns {Promise<Object>} Package document with `agency.status` populated
+ * @throws {Error} 404/400 when the package cannot be booked
+ */
+const loadBookablePackage = async (packageId) => {
+  const package = await Package.findById(packageId).populate(
+    "agency",
+    "status"
+  );
+
+  if (!package) {
+    throw createHttpError("Package not found", 404);
+  }
+
+  if (package.status !== "ACTIVATED") {
+    throw createHttpError("This package is not available for booking", 400);
+  }
+
+  if (package.agency?.status !== "ACTIVATED") {
+    throw createHttpError(
+      "This agency is not accepting bookings at the moment",
+      400
+    );
+  }
+
+  return package;
+};
+
+/**
+ * Get a signed price quote
+ * POST /api/booking/user/get-quote
+ * Private access (User only)
+ *
+ * Body: packageId, departureId (dated packages), adults, children, infants,
+ * promoCode (optional), paymentOption (optional, FULL or DEPOSIT).
+ * The returned `paymentSchedule` previews the installments for the option.
+ * The returned `quoteToken` can be passed to create-booking to be charged
+ * exactly the quoted total until the quote expires.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getBookingQuote = async (req, res) => {
+  try {
+    if (req.user.role !== "USER") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only users can request quotes.",
+      });
+    }
+
+    const { packageId, departureId, promoCode, paymentOption } = req.body;
+
+    if (!packageId || !String(packageId).match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Package ID",
+      });
+    }
+
+    const travellers = parseTravellers(req.body);
+    const package = await loadBookablePackage(packageId);
+    const departure = resolveBookableDeparture(package, departureId);
+    const promo = promoCode
+      ? await resolvePromoCode({
+          code: promoCode,
+          package,
+          customerId: req.user.id,
+        })
+      : null;
+
+    const { quote, quoteToken } = createQuote({
+      package,
+      departure,
+      travellers,
+      customerId: req.user.id,
+      promo,
+    });
+
+    const paymentSchedule = buildPaymentSchedule({
+      total: quote.total,
+      departureDate: departure?.startDate || null,
+      depositPolicy: package.depositPolicy,
+      paymentOption: paymentOption || "FULL",
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Quote created successfully",
+      quote,
+      quoteToken,
+      paymentSchedule,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+
+    console.error("Error creating quote:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Hold slots while the user completes checkout
+ * POST /api/booking/user/create-hold
+ * Private access (User only)
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.createBookingHold = async (req, res) => {
+  try {
+    if (req.user.role !== "USER") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only users can hold slots.",
+      });
+    }
+
+    const { packageId, departureId } = req.body;
+
+    if (!packageId || !String(packageId).match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Package ID",
+      });
+    }
+
+    // Infants do not take a seat of their own
+    const persons = seatsFor(parseTravellers(req.body));
+
+    const package = await loadBookablePackage(packageId);
+    const departure = resolveBookableDeparture(package, departureId);
+
+    const hold = await createHold({
+      packageId,
+      departureId: departure?._id || null,
+      customerId: req.user.id,
+      persons,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Slots held successfully",
+      hold,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+
+    console.error("Error holding slots:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Release a slot hold before it expires
+ * DELETE /api/booking/user/release-hold/:holdId
+ * Private access (User only)
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.releaseBookingHold = async (req, res) => {
+  try {
+    const { holdId } = req.params;
+
+    if (!holdId || !holdId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Hold ID",
+      });
+    }
+
+    const hold = await releaseHold(holdId, req.user.id);
+    if (!hold) {
+      return res.status(404).json({
+        success: false,
+        message: "No active hold found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Hold released successfully",
+    });
+  } catch (error) {
+    console.error("Error releasing hold:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create a new Booking
+ * POST /api/booking/user/create-booking
+ * Private access (User only)
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.createBooking = async (req, res) => {
+  try {
+    if (req.user.role !== "USER") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only users can create bookings.",
+      });
+    }
+
+    const {
+      packageId,
+      departureId,
+      paymentMethod,
+      holdId,
+      quoteToken,
+      promoCode,
+      paymentOption = "FULL",
+      travellers: travellerDetails,
+    } = req.body;
+
+    if (
+      paymentOption === "DEPOSIT" &&
+      ["CASH", "BANK_TRANSFER"].includes(paymentMethod || "CASH")
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Deposit payments are only available for online payments",
+      });
+    }
+
+    let hold = null;
+    if (holdId) {
+      if (!String(holdId).match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid Hold ID",
+        });
+      }
+
+      hold = await BookingHold.findOne({ _id: holdId, customer: req.user.id });
+      if (!hold) {
+        return res.status(404).json({
+          success: false,
+          message: "Hold not found",
+        });
+      }
+    }
+
+    const targetPackageId = hold ? hold.package.toString() : packageId;
+    if (
+      !targetPackageId ||
+      !String(targetPackageId).match(/^[0-9a-fA-F]{24}$/)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Package ID",
+      });
+    }
+
+    const package = await loadBookablePackage(targetPackageId);
+    const departure = resolveBookableDeparture(
+      package,
+      hold ? hold.departure : departureId
+    );
+
+    // A valid quote is honoured as issued, even if the package changed since
+    const quote = quoteToken
+      ? verifyQuote(quoteToken, {
+          customerId: req.user.id,
+          packageId: package._id,
+          departureId: departure?._id || null,
+        })
+      : createQuote({
+          package,
+          departure,
+          travellers: parseTravellers(
+            hold && req.body.adults === undefined
+              ? { adults: hold.numberOfPersons }
+              : req.body
+          ),
+          customerId: req.user.id,
+          promo: promoCode
+            ? await resolvePromoCode({
+                code: promoCode,
+                package,
+                customerId: req.user.id,
+              })
+            : null,
+        }).quote;
+
+    const { travellers } = quote;
+    const persons = seatsFor(travellers);
+    const totalPersons =
+      travellers.adults + travellers.children + travellers.infants;
+
+    // Traveller details are optional at checkout and can be added later
+    const bookingTravellers = travellerDetails
+      ? buildTravellers(
+          travellerDetails,
+          travellers,
+          totalPersons,
+          quote.ageLimits || package.pricing
+        )
+      : [];
+
+    if (hold && persons !== hold.numberOfPersons) {
+      return res.status(400).json({
+        success: false,
+        message: `The hold is for ${hold.numberOfPersons} seat(s) but the booking needs ${persons}`,
+      });
+    }
+
+    const paymentSchedule = buildPaymentSchedule({
+      total: quote.total,
+      departureDate: departure?.startDate || null,
+      depositPolicy: package.depositPolicy,
+      paymentOption,
+    });
+
+    const booking = await createWithBookingReference((bookingReference) =>
+      runInTransaction(async (session) => {
+        const booking = new Booking({
+          bookingReference,
+          agency: package.agency._id,
+          package: package._id,
+          departure: departure?._id || null,
+          departureDate: departure?.startDate || null,
+          customer: req.user.id,
+          numberOfPersons: persons,
+          totalPersons,
+          travellers: bookingTravellers,
+          totalPrice: quote.total,
+          priceSnapshot: toPriceSnapshot(quote),
+          cancellationPolicy: {
+            tiers: (package.cancellationPolicy?.tiers || []).map((tier) => ({
+              minDaysBeforeDeparture: tier.minDaysBeforeDeparture,
+              refundPercent: tier.refundPercent,
+            })),
+          },
+          paymentMethod: paymentMethod || "CASH",
+          paymentStatus: "PENDING",
+          paymentOption,
+          paymentSchedule,
+          payment: { amountPaid: 0, amountOutstanding: quote.total },
+          bookingStatus: "PENDING",
+        });
+
+        // Slots were already taken when the hold was placed
+        if (hold) {
+          await consumeHold(hold._id, req.user.id, booking._id, session);
+        } else {
+          await reserveSlots(
+            {
+              packageId: package._id,
+              departureId: departure?._id || null,
+              persons,
+            },
+            session
+          );
+        }
+
+        const promoDiscount = quote.discounts.find(
+          (discount) => discount.type === "PROMO"
+        );
+        if (promoDiscount) {
+          await redeemPromoCode(
+            {
+              promoCodeId: promoDiscount.promoCodeId,
+              customerId: req.user.id,
+              bookingId: booking._id,
+              amount: promoDiscount.amount,
+            },
+            session
+          );
+        }
+
+        await booking.save({ session });
+
+        await Package.updateOne(
+          { _id: package._id },
+          { $push: { bookings: booking._id } },
+          { session }
+        );
+        await Agency.updateOne(
+          { _id: package.agency._id },
+          { $push: { bookings: booking._id } },
+          { session }
+        );
+        await User.updateOne(
+          { _id: req.user.id },
+          { $push: { bookings: booking._id } },
+          { session }
+        );
+
+        return booking;
+      })
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Booking created successfully",
+      booking,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+
+    console.error("Error creating booking:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get Bookings of the logged-in User
+ * GET /api/booking/user/get-my-bookings
+ * Private access (User only)
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getUserBookings = async (req, res) => {
+  try {
+    if (req.user.role !== "USER") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only users can view their bookings.",
+      });
+    }
+
+    const bookings = await Booking.find({ customer: req.user.id })
+      .populate("package", "packageTitle packageImages price discount")
+      .populate("agency", "agencyName agencyLogo contactNumber")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Bookings fetched successfully",
+      bookings,
+    });
+  } catch (error) {
+    console.error("Fetch User Bookings Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get Bookings received by the logged-in Agency
+ * GET /api/booking/agency/get-agency-bookings
+ * Private access (Agency only)
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getAgencyBookings = async (req, res) => {
+  try {
+    if (req.user.role !== "AGENCY") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only agencies can view received bookings.",
+      });
+    }
+
+    const filter = { agency: req.user.id };
+    if (req.query.status) {
+      if (!BOOKING_STATUS_TRANSITIONS[req.query.status]) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid booking status",
+        });
+      }
+      filter.bookingStatus = req.query.status;
+    }
+
+    const bookings = await Booking.find(filter)
+      .populate("package", "packageTitle price discount")
+      .populate("customer", "userName email phone")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Bookings fetched successfully",
+      bookings,
+    });
+  } catch (error) {
+    console.error("Fetch Agency Bookings Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Responds with the booking matching `filter` if the caller may see it:
+ * its customer, its agency or a super admin.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {Object} filter - Booking query (by ID or by reference)
+ */
+const sendOwnBooking = async (req, res, filter) => {
+  const booking = await Booking.findOne(filter)
+    .populate("package", "packageTitle packageImages price discount duration")
+    .populate("agency", "agencyName email contactNumber")
+    .populate("customer", "userName email phone");
+
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      message: "Booking not found",
+    });
+  }
+
+  const { id, role } = req.user;
+  const isOwner =
+    (role === "USER" && booking.customer?._id.toString() === id) ||
+    (role === "AGENCY" && booking.agency?._id.toString() === id) ||
+    role === "SUPERADMIN";
+
+  if (!isOwner) {
+    return res.status(403).json({
+      success: false,
+      message: "Access denied. You can only view your own bookings.",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Booking fetched successfully",
+    booking,
+  });
+};
+
+/**
+ * Get Booking by ID
+ * GET /api/booking/get-booking-by-id/:bookingId
+ * Private access (Booking customer, owning agency or Super Admin)
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getBookingById = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+
+    if (!bookingId || !bookingId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Booking ID",
+      });
+    }
+
+    await sendOwnBooking(req, res, { _id: bookingId });
+  } catch (error) {
+    console.error("Fetch Booking Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get Booking by Reference
+ * GET /api/booking/get-booking-by-reference/:bookingReference
+ * Private access (Booking customer, owning agency or Super Admin)
+ *
+ * The reference is matched case-insensitively, e.g. "olh-24-7kq9x2".
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getBookingByReference = async (req, res) => {
+  try {
+    const bookingReference = parseBookingReference(req.params.bookingReference);
+
+    if (!bookingReference) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid booking reference",
+      });
+    }
+
+    await sendOwnBooking(req, res, { bookingReference });
+  } catch (error) {
+    console.error("Fetch Booking by Reference Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update Booking Status (Confirm, Cancel, Complete)
+ * PATCH /api/booking/agency/update-booking-status/:bookingId
+ * Private access (Agency only)
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.updateBookingStatus = async (req, res) => {
+  try {
+    if (req.user.role !== "AGENCY") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only agencies can update booking status.",
+      });
+    }
+
+    const { bookingId } = req.params;
+    const { action, reason } = req.body;
+
+    if (!bookingId || !bookingId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Booking ID",
+      });
+    }
+
+    const nextStatus = BOOKING_ACTIONS[action];
+    if (!nextStatus) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid action" });
+    }
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+      });
+    }
+
+    if (booking.agency.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. You can only manage your own bookings.",
+      });
+    }
+
+    if (
+      !BOOKING_STATUS_TRANSITIONS[booking.bookingStatus].includes(nextStatus)
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change booking from ${booking.bookingStatus} to ${nextStatus}`,
+      });
+    }
+
+    let updatedBooking;
+    if (nextStatus === "CANCELLED") {
+      updatedBooking = await cancelBookingWithRefund(booking, {
+        cancelledBy: "AGENCY",
+        reason: reason || null,
+      });
+    } else if (nextStatus === "CONFIRMED") {
+      updatedBooking = await confirmBookingWithDocuments(booking);
+    } else {
+      updatedBooking = await applyBookingTransition(booking, nextStatus);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Booking ${nextStatus.toLowerCase()} successfully`,
+      booking: updatedBooking,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+
+    console.error("Update Booking Status Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Preview the Refund for Cancelling a Booking
+ * GET /api/booking/user/get-cancellation-refund/:bookingId
+ * Private access (User only)
+ *
+ * Shows what `cancel-booking` would refund if called now.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getCancellationRefund = async (req, res) => {
+  try {
+    if (req.user.role !== "USER") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only users can cancel their bookings.",
+      });
+    }
+
+    const { bookingId } = req.params;
+
+    if (!bookingId || !bookingId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Booking ID",
+      });
+    }
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+      });
+    }
+
+    if (booking.customer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. You can only cancel your own bookings.",
+      });
+    }
+
+    if (
+      !BOOKING_STATUS_TRANSITIONS[booking.bookingStatus].includes("CANCELLED")
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot cancel a ${booking.bookingStatus.toLowerCase()} booking`,
+      });
+    }
+
+    const { percent, amount, daysBeforeDeparture, rule } = calculateRefund(
+      booking,
+      { cancelledBy: "USER" }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Cancellation refund calculated successfully",
+      refund: {
+        percent,
+        amount,
+        currency: booking.priceSnapshot?.currency || "PKR",
+        daysBeforeDeparture,
+        rule,
+      },
+      cancellationPolicy: booking.cancellationPolicy,
+    });
+  } catch (error) {
+    console.error("Cancellation Refund Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Cancel Booking by the User who made it
+ * PATCH /api/booking/user/cancel-booking/:bookingId
+ * Private access (User only)
+ *
+ * Restores the booking's slots and refunds what the cancellation policy allows.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.cancelBooking = async (req, res) => {
+  try {
+    if (req.user.role !== "USER") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only users can cancel their bookings.",
+      });
+    }
+
+    const { bookingId } = req.params;
+    const { reason } = req.body;
+
+    if (!bookingId || !bookingId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Booking ID",
+      });
+    }
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+      });
+    }
+
+    if (booking.customer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. You can only cancel your own bookings.",
+      });
+    }
+
+    if (
+      !BOOKING_STATUS_TRANSITIONS[booking.bookingStatus].includes("CANCELLED")
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot cancel a ${booking.bookingStatus.toLowerCase()} booking`,
+      });
+    }
+
+    const updatedBooking = await cancelBookingWithRefund(booking, {
+      cancelledBy: "USER",
+      reason: reason || null,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Booking cancelled successfully",
+      booking: updatedBooking,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+
+    console.error("Cancel Booking Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Shared handler for the invoice and e-ticket downloads.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string} type - "invoice" or "ticket"
+ */
+const handleDocumentDownload = async (req, res, type) => {
+  try {
+    const { bookingId } = req.params;
+
+    if (!bookingId || !bookingId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Booking ID",
+      });
+    }
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+      });
+    }
+
+    const { id, role } = req.user;
+    const isOwner =
+      (role === "USER" && booking.customer.toString() === id) ||
+      (role === "AGENCY" && booking.agency.toString() === id) ||
+      role === "SUPERADMIN";
+
+    if (!isOwner) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. You can only download your own bookings.",
+      });
+    }
+
+    if (!DOCUMENT_STATUSES.includes(booking.bookingStatus)) {
+      return res.status(409).json({
+        success: false,
+        message: "Documents are available once the booking is confirmed",
+      });
+    }
+
+    const { filename, content } = await getBookingDocument(booking, type);
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+      "Content-Length": content.length,
+    });
+    res.status(200).send(content);
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+
+    console.error("Download Booking Document Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Download Booking Invoice
+ * GET /api/booking/download-invoice/:bookingId
+ * Private access (Booking customer, owning agency or Super Admin)
+ *
+ * Responds with the invoice PDF of a confirmed or completed booking.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.downloadInvoice = (req, res) =>
+  handleDocumentDownload(req, res, "invoice");
+
+/**
+ * Download Booking E-Ticket
+ * GET /api/booking/download-ticket/:bookingId
+ * Private access (Booking customer, owning agency or Super Admin)
+ *
+ * Responds with the e-ticket PDF of a confirmed or completed booking.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.downloadTicket = (req, res) =>
+  handleDocumentDownload(req, res, "ticket");
+
+/**
+ * Verify an E-Ticket
+ * POST /api/booking/agency/verify-ticket
+ * Private access (Agency only)
+ *
+ * Body: ticketToken (read from the e-ticket QR code). The ticket is valid if
+ * it is signed by OLOHA, belongs to one of the agency's bookings and the
+ * booking is confirmed.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.verifyTicket = async (req, res) => {
+  try {
+    if (req.user.role !== "AGENCY") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only agencies can verify tickets.",
+      });
+    }
+
+    const bookingId = verifyTicketToken(req.body?.ticketToken);
+
+    const booking = await Booking.findById(bookingId)
+      .select(
+        "agency package customer departureDate totalPersons priceSnapshot.travellers bookingStatus paymentStatus"
+      )
+      .populate("package", "packageTitle")
+      .populate("customer", "userName phone");
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+      });
+    }
+
+    if (booking.agency.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. This ticket is for another agency's booking.",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Ticket verified successfully",
+      valid: booking.bookingStatus === "CONFIRMED",
+      booking,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+
+    console.error("Verify Ticket Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update Booking Travellers
+ * PUT /api/booking/user/update-travellers/:bookingId
+ * Private access (User only)
+ *
+ * Body: travellers, one per person on the booking: fullName, ageGroup,
+ * nationality, identityType (CNIC or PASSPORT), identityNumber, specialNeeds,
+ * emergencyContact {name, phone, relationship}. Replaces any earlier list.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.updateTravellers = async (req, res) => {
+  try {
+    if (req.user.role !== "USER") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only users can update their travellers.",
+      });
+    }
+
+    const { bookingId } = req.params;
+
+    if (!bookingId || !bookingId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Booking ID",
+      });
+    }
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+      });
+    }
+
+    if (booking.customer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. You can only update your own bookings.",
+      });
+    }
+
+    if (!["PENDING", "CONFIRMED"].includes(booking.bookingStatus)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot update travellers on a ${booking.bookingStatus.toLowerCase()} booking`,
+      });
+    }
+
+    const travellers = buildTravellers(
+      req.body.travellers,
+      booking.priceSnapshot?.travellers || null,
+      booking.totalPersons,
+      booking.priceSnapshot?.ageLimits || null
+    );
+
+    const updatedBooking = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        bookingStatus: { $in: ["PENDING", "CONFIRMED"] },
+      },
+      { $set: { travellers } },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedBooking) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Booking was updated by another request. Please refresh and try again.",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Travellers updated successfully",
+      booking: updatedBooking,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+
+    console.error("Update Travellers Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Export a Departure Manifest
+ * GET /api/booking/agency/export-manifest/:packageId
+ * Private access (Agency only)
+ *
+ * Query: departureId (required for packages sold by departure), format (csv
+ * or pdf; default csv). Lists every traveller on the departure's confirmed
+ * bookings, with full identity numbers.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.exportManifest = async (req, res) => {
+  try {
+    if (req.user.role !== "AGENCY") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only agencies can export manifests.",
+      });
+    }
+
+    const { packageId } = req.params;
+    const format = String(req.query.format || "csv").toLowerCase();
+
+    if (!packageId || !packageId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Package ID",
+      });
+    }
+
+    if (!["csv", "pdf"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Format must be csv or pdf",
+      });
+    }
+
+    const manifest = await getDepartureManifest({
+      packageId,
+      departureId: req.query.departureId || null,
+      agencyId: req.user.id,
+    });
+
+    const filename = `manifest-${packageId}${manifest.departure ? `-${manifest.departure._id}` : ""}.${format}`;
+    const content =
+      format === "pdf"
+        ? await renderManifestPdf(manifest)
+        : Buffer.from(toManifestCsv(manifest), "utf8");
+
+    res.set({
+      "Content-Type": format === "pdf" ? "application/pdf" : "text/csv",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+      "Content-Length": content.length,
+      "Cache-Control": "no-store",
+    });
+    res.status(200).send(content);
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+
+    console.error("Export Manifest Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
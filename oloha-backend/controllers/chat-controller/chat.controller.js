@@ -0,0 +1,300 @@
+/**
+ * @file Chat Controller
+ * @description Controller module for user–agency chat over REST.
+ * Supports:
+ * - Opening a conversation with an agency, optionally about a booking
+ * - Conversation list with last message and unread counts
+ * - Message history with cursor pagination, newest first
+ * - Image messages uploaded to Cloudinary
+ * - Marking a conversation as read (read receipts)
+ *
+ * Text messages and typing indicators go over Socket.io (see the chat
+ * socket handlers); messages sent here are delivered there too.
+ *
+ * @module controllers/chatController
+ */
+
+const Conversation = require("../../models/conversation-model/Conversation.model");
+const Message = require("../../models/message-model/Message.model");
+const {
+  participantFilter,
+  getConversationForParticipant,
+  openConversation,
+  sendMessage,
+  markConversationRead,
+} = require("../../services/chat-service/chat.service");
+const {
+  uploadToCloudinary,
+  deleteFromCloudinary,
+} = require("../../utilities/cloudinary-utility/cloudinary.utility");
+const {
+  parsePageSize,
+  encodeCursor,
+  decodeCursor,
+  buildCursorMatch,
+} = require("../../helpers/pagination-helper/pagination.helper");
+
+/**
+ * Sends a service error with its status, or a 500.
+ *
+ * @param {import('express').Response} res
+ * @param {Error} error
+ * @param {string} label - Log label
+ */
+const sendChatError = (res, error, label) => {
+  if (error.statusCode) {
+    return res
+      .status(error.statusCode)
+      .json({ success: false, message: error.message });
+  }
+
+  console.error(`${label} Error:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Server Error",
+    error: error.message,
+  });
+};
+
+/**
+ * Open Conversation
+ * POST /api/chat/open-conversation
+ * Private access (User or Agency)
+ *
+ * Body: agencyId and/or bookingId. Users may chat with any activated agency;
+ * agencies must give one of their bookings. Returns the existing
+ * conversation if there is one.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.openConversation = async (req, res) => {
+  try {
+    const conversation = await openConversation(req.user, {
+      agencyId: req.body?.agencyId,
+      bookingId: req.body?.bookingId,
+    });
+
+    await conversation.populate([
+      { path: "user", select: "userName profilePicture" },
+      { path: "agency", select: "agencyName agencyLogo" },
+      { path: "booking", select: "bookingReference bookingStatus" },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Conversation opened successfully",
+      conversation,
+    });
+  } catch (error) {
+    sendChatError(res, error, "Open Conversation");
+  }
+};
+
+/**
+ * Get Conversations
+ * GET /api/chat/get-conversations
+ * Private access (User or Agency)
+ *
+ * Most recently active first. Query params: limit, cursor.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getConversations = async (req, res) => {
+  try {
+    const { limit, cursor } = req.query;
+    const filter = participantFilter(req.user);
+
+    if (cursor) {
+      const decodedCursor = decodeCursor(cursor);
+      if (!decodedCursor) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor",
+        });
+      }
+      Object.assign(
+        filter,
+        buildCursorMatch("lastMessageAt", -1, decodedCursor)
+      );
+    }
+
+    const pageSize = parsePageSize(limit);
+    const results = await Conversation.find(filter)
+      .populate("user", "userName profilePicture")
+      .populate("agency", "agencyName agencyLogo")
+      .populate("booking", "bookingReference bookingStatus")
+      .sort({ lastMessageAt: -1, _id: -1 })
+      .limit(pageSize + 1);
+
+    const hasMore = results.length > pageSize;
+    const conversations = hasMore ? results.slice(0, pageSize) : results;
+    const last = conversations[conversations.length - 1];
+
+    res.status(200).json({
+      success: true,
+      message: "Conversations fetched successfully",
+      conversations,
+      pagination: {
+        limit: pageSize,
+        hasMore,
+        nextCursor:
+          hasMore && last ? encodeCursor(last.lastMessageAt, last._id) : null,
+      },
+    });
+  } catch (error) {
+    sendChatError(res, error, "Fetch Conversations");
+  }
+};
+
+/**
+ * Get Messages
+ * GET /api/chat/get-messages/:conversationId
+ * Private access (Conversation participants)
+ *
+ * Newest first; pass `nextCursor` back as `cursor` for older messages.
+ * Query params: limit, cursor.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getMessages = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { limit, cursor } = req.query;
+
+    const conversation = await getConversationForParticipant(
+      conversationId,
+      req.user
+    );
+
+    const filter = { conversation: conversation._id };
+    if (cursor) {
+      const decodedCursor = decodeCursor(cursor);
+      if (!decodedCursor) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor",
+        });
+      }
+      Object.assign(filter, buildCursorMatch("createdAt", -1, decodedCursor));
+    }
+
+    const pageSize = parsePageSize(limit);
+    const results = await Message.find(filter)
+      .select("-__v")
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(pageSize + 1);
+
+    const hasMore = results.length > pageSize;
+    const messages = hasMore ? results.slice(0, pageSize) : results;
+    const last = messages[messages.length - 1];
+
+    res.status(200).json({
+      success: true,
+      message: "Messages fetched successfully",
+      messages,
+      pagination: {
+        limit: pageSize,
+        hasMore,
+        nextCursor:
+          hasMore && last ? encodeCursor(last.createdAt, last._id) : null,
+      },
+    });
+  } catch (error) {
+    sendChatError(res, error, "Fetch Messages");
+  }
+};
+
+/**
+ * Send Image Message
+ * POST /api/chat/send-image-message/:conversationId
+ * Private access (Conversation participants)
+ *
+ * Body (multipart): `chatImage` (JPG, PNG or WEBP) and an optional `text`
+ * caption.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.sendImageMessage = async (req, res) => {
+  let uploadedUrl = null;
+
+  try {
+    const { conversationId } = req.params;
+    const image = req.files?.chatImage?.[0];
+
+    if (!image) {
+      return res.status(400).json({
+        success: false,
+        message: "An image is required",
+      });
+    }
+    if (!image.mimetype.startsWith("image/")) {
+      return res.status(400).json({
+        success: false,
+        message: "Chat images must be JPG, PNG or WEBP images",
+      });
+    }
+
+    await getConversationForParticipant(conversationId, req.user);
+
+    const attachment = await uploadToCloudinary(image, "chatImage");
+    uploadedUrl = attachment.url;
+
+    const { message } = await sendMessage({
+      conversationId,
+      participant: req.user,
+      text: req.body?.text,
+      attachment,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Image sent successfully",
+      chatMessage: message,
+    });
+  } catch (error) {
+    if (uploadedUrl) {
+      try {
+        await deleteFromCloudinary(uploadedUrl);
+      } catch (_) {}
+    }
+
+    sendChatError(res, error, "Send Image Message");
+  }
+};
+
+/**
+ * Mark Conversation as Read
+ * PATCH /api/chat/mark-as-read/:conversationId
+ * Private access (Conversation participants)
+ *
+ * Marks the other side's messages as read and sends them a read receipt.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.markAsRead = async (req, res) => {
+  try {
+    const { readAt, count } = await markConversationRead(
+      req.params.conversationId,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Conversation marked as read",
+      readAt,
+      count,
+    });
+  } catch (error) {
+    sendChatError(res, error, "Mark As Read");
+  }
+};
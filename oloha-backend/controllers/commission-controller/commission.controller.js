@@ -0,0 +1,250 @@
+/**
+ * @file Commission Controller
+ * @description Controller module for platform commission.
+ * Supports:
+ * - A global commission rate, with per-category and per-agency overrides, set by super admins
+ * - Commission reports per period for super admins (all agencies) and agencies (their own)
+ *
+ * Commission is stamped on each booking when it is fully paid (see the
+ * payment service), so reports reflect the rates in force at the time.
+ *
+ * @module controllers/commissionController
+ */
+
+const CommissionRate = require("../../models/commission-rate-model/CommissionRate.model");
+const Agency = require("../../models/travel-agency-model/travel-agency.model");
+const {
+  buildCommissionRateInput,
+  getCommissionReport,
+} = require("../../services/commission-service/commission.service");
+
+/** Months covered by a report when no range is given */
+const DEFAULT_REPORT_MONTHS = 12;
+
+/**
+ * Set Commission Rate
+ * PUT /api/commission/super-admin/set-commission-rate
+ * Private access (Super Admin only)
+ *
+ * Creates or replaces the rate for a target: `scope` GLOBAL, CATEGORY (with
+ * `category`) or AGENCY (with `agencyId`). Applies to bookings paid from now on.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.setCommissionRate = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only super admins can set commission rates.",
+      });
+    }
+
+    let input;
+    try {
+      input = buildCommissionRateInput(req.body);
+    } catch (inputError) {
+      return res.status(inputError.statusCode || 400).json({
+        success: false,
+        message: inputError.message,
+      });
+    }
+
+    if (input.agency && !(await Agency.exists({ _id: input.agency }))) {
+      return res.status(404).json({
+        success: false,
+        message: "Agency not found",
+      });
+    }
+
+    const commissionRate = await CommissionRate.findOneAndUpdate(
+      { scope: input.scope, agency: input.agency, category: input.category },
+      {
+        $set: {
+          ratePercent: input.ratePercent,
+          note: input.note,
+          updatedBy: { id: req.user.id, at: new Date() },
+        },
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Commission rate saved successfully",
+      commissionRate,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "This rate was just set by another request. Please retry.",
+      });
+    }
+
+    console.error("Set Commission Rate Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get Commission Rates
+ * GET /api/commission/super-admin/get-commission-rates
+ * Private access (Super Admin only)
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getCommissionRates = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only super admins can view commission rates.",
+      });
+    }
+
+    const commissionRates = await CommissionRate.find()
+      .populate("agency", "agencyName")
+      .sort({ scope: 1, category: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Commission rates fetched successfully",
+      commissionRates,
+    });
+  } catch (error) {
+    console.error("Fetch Commission Rates Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete Commission Rate
+ * DELETE /api/commission/super-admin/delete-commission-rate/:commissionRateId
+ * Private access (Super Admin only)
+ *
+ * Bookings it covered fall back to the next most specific rate.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.deleteCommissionRate = async (req, res) => {
+  try {
+    const { commissionRateId } = req.params;
+
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Access denied. Only super admins can delete commission rates.",
+      });
+    }
+
+    if (!commissionRateId || !commissionRateId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Commission Rate ID",
+      });
+    }
+
+    const commissionRate =
+      await CommissionRate.findByIdAndDelete(commissionRateId);
+    if (!commissionRate) {
+      return res.status(404).json({
+        success: false,
+        message: "Commission rate not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Commission rate deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete Commission Rate Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get Commission Report
+ * GET /api/commission/get-commission-report
+ * Private access (Agency or Super Admin)
+ *
+ * Query: period (day, week, month, year; default month), from, to (default
+ * the last 12 months), agencyId (super admins only). Agencies only see their
+ * own bookings.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getCommissionReport = async (req, res) => {
+  try {
+    if (!["AGENCY", "SUPERADMIN"].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Access denied. Only agencies and super admins can view commission reports.",
+      });
+    }
+
+    let agencyId = req.user.role === "AGENCY" ? req.user.id : null;
+    if (req.user.role === "SUPERADMIN" && req.query.agencyId) {
+      if (!req.query.agencyId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid Agency ID",
+        });
+      }
+      agencyId = req.query.agencyId;
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(new Date(to).setMonth(to.getMonth() - DEFAULT_REPORT_MONTHS));
+    const period = req.query.period || "month";
+
+    const report = await getCommissionReport({ period, from, to, agencyId });
+
+    res.status(200).json({
+      success: true,
+      message: "Commission report fetched successfully",
+      period,
+      from,
+      to,
+      report,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+
+    console.error("Commission Report Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
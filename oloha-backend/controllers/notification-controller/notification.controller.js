@@ -0,0 +1,253 @@
+/**
+ * @file Notification Controller
+ * @description Controller module for the in-app notification center.
+ * Works the same for users, agencies and super admins: each only sees their
+ * own notifications.
+ * Supports:
+ * - Notification list with cursor pagination, newest first
+ * - Unread count for badges
+ * - Marking one or all notifications as read
+ * - Registering and unregistering devices for push notifications (users and
+ *   agencies)
+ *
+ * New notifications are also pushed live over Socket.io (see the
+ * notification socket handlers), and to registered devices over FCM.
+ *
+ * @module controllers/notificationController
+ */
+
+const Notification = require("../../models/notification-model/Notification.model");
+const {
+  recipientFilter,
+  countUnread,
+  markNotificationRead,
+  markAllNotificationsRead,
+} = require("../../services/notification-service/notification.service");
+const {
+  registerDeviceToken,
+  unregisterDeviceToken,
+} = require("../../services/push-service/push.service");
+const {
+  parsePageSize,
+  encodeCursor,
+  decodeCursor,
+  buildCursorMatch,
+} = require("../../helpers/pagination-helper/pagination.helper");
+
+/**
+ * Sends a service error with its status, or a 500.
+ *
+ * @param {import('express').Response} res
+ * @param {Error} error
+ * @param {string} label - Log label
+ */
+const sendNotificationError = (res, error, label) => {
+  if (error.statusCode) {
+    return res
+      .status(error.statusCode)
+      .json({ success: false, message: error.message });
+  }
+
+  console.error(`${label} Error:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Server Error",
+    error: error.message,
+  });
+};
+
+/**
+ * Get Notifications
+ * GET /api/notification/get-notifications
+ * Private access (User, Agency or Super Admin)
+ *
+ * Newest first. Query params: unreadOnly (true to skip read ones), limit,
+ * cursor.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getNotifications = async (req, res) => {
+  try {
+    const { unreadOnly, limit, cursor } = req.query;
+    const filter = recipientFilter(req.user);
+
+    if (unreadOnly === "true") filter.readAt = null;
+
+    if (cursor) {
+      const decodedCursor = decodeCursor(cursor);
+      if (!decodedCursor) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor",
+        });
+      }
+      Object.assign(filter, buildCursorMatch("createdAt", -1, decodedCursor));
+    }
+
+    const pageSize = parsePageSize(limit);
+    const [results, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .select("-recipient -recipientModel -__v")
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(pageSize + 1),
+      countUnread(req.user),
+    ]);
+
+    const hasMore = results.length > pageSize;
+    const notifications = hasMore ? results.slice(0, pageSize) : results;
+    const last = notifications[notifications.length - 1];
+
+    res.status(200).json({
+      success: true,
+      message: "Notifications fetched successfully",
+      notifications,
+      unreadCount,
+      pagination: {
+        limit: pageSize,
+        hasMore,
+        nextCursor:
+          hasMore && last ? encodeCursor(last.createdAt, last._id) : null,
+      },
+    });
+  } catch (error) {
+    sendNotificationError(res, error, "Fetch Notifications");
+  }
+};
+
+/**
+ * Get Unread Count
+ * GET /api/notification/get-unread-count
+ * Private access (User, Agency or Super Admin)
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await countUnread(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: "Unread count fetched successfully",
+      unreadCount,
+    });
+  } catch (error) {
+    sendNotificationError(res, error, "Fetch Unread Count");
+  }
+};
+
+/**
+ * Mark Notification as Read
+ * PATCH /api/notification/mark-as-read/:notificationId
+ * Private access (Notification recipient)
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.markAsRead = async (req, res) => {
+  try {
+    const { notification, unreadCount } = await markNotificationRead(
+      req.params.notificationId,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Notification marked as read",
+      notification,
+      unreadCount,
+    });
+  } catch (error) {
+    sendNotificationError(res, error, "Mark Notification As Read");
+  }
+};
+
+/**
+ * Mark All Notifications as Read
+ * PATCH /api/notification/mark-all-as-read
+ * Private access (User, Agency or Super Admin)
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.markAllAsRead = async (req, res) => {
+  try {
+    const { count, unreadCount } = await markAllNotificationsRead(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: "All notifications marked as read",
+      count,
+      unreadCount,
+    });
+  } catch (error) {
+    sendNotificationError(res, error, "Mark All Notifications As Read");
+  }
+};
+
+/**
+ * Register Device Token
+ * POST /api/notification/register-device-token
+ * Private access (User or Agency)
+ *
+ * Body: token (FCM registration token), platform (ANDROID | IOS | WEB),
+ * appVersion, deviceModel. Apps should call this on every launch and when
+ * FCM issues a new token; tokens not refreshed for a while are pruned.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.registerDeviceToken = async (req, res) => {
+  try {
+    const device = await registerDeviceToken(req.user, {
+      token: req.body?.token,
+      platform: req.body?.platform,
+      appVersion: req.body?.appVersion,
+      deviceModel: req.body?.deviceModel,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Device registered successfully",
+      device: {
+        id: device._id,
+        platform: device.platform,
+        appVersion: device.appVersion,
+        deviceModel: device.deviceModel,
+        lastSeenAt: device.lastSeenAt,
+      },
+    });
+  } catch (error) {
+    sendNotificationError(res, error, "Register Device Token");
+  }
+};
+
+/**
+ * Unregister Device Token
+ * DELETE /api/notification/unregister-device-token
+ * Private access (User or Agency)
+ *
+ * Body: token. Call on sign out so the device stops receiving pushes.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.unregisterDeviceToken = async (req, res) => {
+  try {
+    await unregisterDeviceToken(req.user, req.body?.token);
+
+    res.status(200).json({
+      success: true,
+      message: "Device unregistered successfully",
+    });
+  } catch (error) {
+    sendNotificationError(res, error, "Unregister Device Token");
+  }
+};
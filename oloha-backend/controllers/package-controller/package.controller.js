@@ -1,21 +1,264 @@
 /**
  * @file Travel Package Controller
- * @description Controller module for managing Travel Package operations by agencies.
+ * @description Controller module for managing Travel Package operations by agencies
+ * and serving the public package catalogue.
  * Supports:
- * - Package creation with image uploads and itinerary management
+ * - Package creation with image uploads, itinerary and departure management
+ * - Cancellation policy refund tiers set on create and update
+ * - Deposit and installment rules set on create and update
  * - Package retrieval by ID and agency
  * - Package updates with image management
  * - Package deletion with cleanup
+ * - Revision history with field-level diffs and rollback
+ * - Public catalogue listing with filters, sorting and cursor pagination
+ * - Ranked, typo-tolerant package search with highlighted snippets
+ * - "Near me" discovery by itinerary destination coordinates
  *
  * @module controllers/packageController
  */
 
+const mongoose = require("mongoose");
 const Package = require("../../models/package-model/Package.model");
 const Agency = require("../../models/travel-agency-model/travel-agency.model");
 const {
   uploadToCloudinary,
   deleteFromCloudinary,
 } = require("../../utilities/cloudinary-utility/cloudinary.utility");
+const {
+  buildDepartures,
+  mergeDepartures,
+} = require("../../services/departure-service/departure.service");
+const {
+  buildItinerary,
+} = require("../../services/itinerary-service/itinerary.service");
+const { buildPricing } = require("../../services/quote-service/quote.service");
+const {
+  buildCancellationPolicy,
+} = require("../../services/refund-service/refund.service");
+const {
+  buildDepositPolicy,
+} = require("../../services/payment-schedule-service/payment-schedule.service");
+const {
+  snapshotPackage,
+  diffSnapshots,
+  recordRevision,
+  listRevisions,
+  getRevisionAt,
+  applyRollback,
+} = require("../../services/package-revision-service/package-revision.service");
+const {
+  runInTransaction,
+  adjustPackageSlots,
+} = require("../../services/slot-reservation-service/slot-reservation.service");
+const {
+  parsePageSize,
+  encodeCursor,
+  decodeCursor,
+  buildCursorMatch,
+} = require("../../helpers/pagination-helper/pagination.helper");
+const {
+  tokenize,
+  trigrams,
+  scoreFields,
+  highlightSnippet,
+} = require("../../helpers/search-helper/search.helper");
+const {
+  toGeoPoint,
+  parseRadiusKm,
+} = require("../../helpers/geo-helper/geo.helper");
+const User = require("../../models/user-model/user.model");
+
+/**
+ * Agency fields that are safe to expose in the public catalogue.
+ * @constant {Object<string, number>}
+ */
+const PUBLIC_AGENCY_PROJECTION = {
+  agencyName: 1,
+  agencyLogo: 1,
+  coverImage: 1,
+  isVerified: 1,
+  rating: 1,
+  totalReviews: 1,
+};
+
+/**
+ * Catalogue sort options mapped to their sort field, its type and direction.
+ * @constant {Object<string, {field: string, type: string, order: number}>}
+ */
+const CATALOGUE_SORT_OPTIONS = {
+  newest: { field: "createdAt", type: "date", order: -1 },
+  oldest: { field: "createdAt", type: "date", order: 1 },
+  price_asc: { field: "effectivePrice", type: "number", order: 1 },
+  price_desc: { field: "effectivePrice", type: "number", order: -1 },
+};
+
+/**
+ * Package fields hidden from public responses.
+ * @constant {Object<string, number>}
+ */
+const PUBLIC_PACKAGE_EXCLUSIONS = {
+  bookings: 0,
+  searchTerms: 0,
+  searchAgencyName: 0,
+  moderation: 0,
+  __v: 0,
+};
+
+/**
+ * Package fields whose change sends an approved or rejected package back to
+ * super admin review. Of the departures only dates and prices are reviewed
+ * (see `reviewedContentOf`); seats and open/closed status change freely.
+ * @constant {Array<string>}
+ */
+const REVIEWED_FIELDS = [
+  "packageTitle",
+  "description",
+  "packageImages",
+  "price",
+  "discount",
+  "pricing",
+  "cancellationPolicy",
+  "depositPolicy",
+  "itinerary",
+  "departures",
+  "category",
+  "duration",
+  "durationDays",
+];
+
+/**
+ * Serialise the reviewed fields of a package, ignoring sub-document ids,
+ * so a resubmitted but unchanged itinerary does not count as an edit.
+ * @param {Object} package - Package document.
+ * @returns {string}
+ */
+const reviewedContentOf = (package) =>
+  JSON.stringify(
+    REVIEWED_FIELDS.map((field) =>
+      field === "departures"
+        ? (package.departures || []).map(
+            ({ startDate, endDate, priceOverride }) => ({
+              startDate,
+              endDate,
+              priceOverride: priceOverride ?? null,
+            })
+          )
+        : package.get(field)
+    ),
+    (key, value) => (key === "_id" ? undefined : value)
+  );
+
+/**
+ * Aggregation stage adding the discounted price and keeping only open, future departures.
+ * @param {Date} now - Reference time for departures.
+ * @returns {Object} `$addFields` stage
+ */
+const publicPackageFieldsStage = (now) => ({
+  $addFields: {
+    effectivePrice: {
+      $multiply: [
+        "$price",
+        {
+          $subtract: [1, { $divide: [{ $ifNull: ["$discount", 0] }, 100] }],
+        },
+      ],
+    },
+    departures: {
+      $filter: {
+        input: { $ifNull: ["$departures", []] },
+        as: "departure",
+        cond: {
+          $and: [
+            { $eq: ["$$departure.status", "OPEN"] },
+            { $gt: ["$$departure.startDate", now] },
+          ],
+        },
+      },
+    },
+  },
+});
+
+/**
+ * Aggregation stage setting `effectivePrice` on each listed departure: its
+ * price override, or the package price, with the package discount applied.
+ * Runs after `publicPackageFieldsStage`.
+ * @constant {Object}
+ */
+const DEPARTURE_PRICES_STAGE = {
+  $addFields: {
+    departures: {
+      $map: {
+        input: "$departures",
+        as: "departure",
+        in: {
+          $mergeObjects: [
+            "$$departure",
+            {
+              effectivePrice: {
+                $multiply: [
+                  { $ifNull: ["$$departure.priceOverride", "$price"] },
+                  {
+                    $subtract: [
+                      1,
+                      { $divide: [{ $ifNull: ["$discount", 0] }, 100] },
+                    ],
+                  },
+                ],
+              },
+            },
+          ],
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Aggregation stages replacing `agency` with its public fields.
+ * Packages whose agency is not activated drop out.
+ * @constant {Array<Object>}
+ */
+const ACTIVE_AGENCY_STAGES = [
+  {
+    $lookup: {
+      from: Agency.collection.name,
+      localField: "agency",
+      foreignField: "_id",
+      as: "agency",
+      pipeline: [
+        { $match: { status: "ACTIVATED" } },
+        { $project: PUBLIC_AGENCY_PROJECTION },
+      ],
+    },
+  },
+  { $unwind: "$agency" },
+];
+
+/**
+ * Maximum number of candidates each search strategy contributes before ranking.
+ * @constant {number}
+ */
+const SEARCH_CANDIDATE_LIMIT = 200;
+
+/**
+ * Resolve the trip length in days from an explicit value or the free-text duration.
+ * @param {string|number} durationDays - Explicit number of days
+ * @param {string} duration - Free-text duration (e.g. "3 Days 2 Nights")
+ * @returns {number|null}
+ */
+const resolveDurationDays = (durationDays, duration) => {
+  if (
+    durationDays !== undefined &&
+    durationDays !== null &&
+    durationDays !== ""
+  ) {
+    const days = Number(durationDays);
+    return Number.isInteger(days) && days > 0 ? days : null;
+  }
+
+  const match = typeof duration === "string" && duration.match(/(\d+)\s*day/i);
+  return match ? Number(match[1]) : null;
+};
 
 /**
  * Create a new Travel Package
@@ -36,15 +279,37 @@ exports.createPackage = async (req, res) => {
       price,
       discount,
       duration,
+      durationDays,
       availableSlots,
       category,
       itinerary,
+      departures,
+      pricing,
+      cancellationPolicy,
+      depositPolicy,
     } = req.body;
 
-    if (!packageTitle || !price || !availableSlots) {
+    let parsedDepartures = [];
+    if (departures) {
+      try {
+        parsedDepartures = buildDepartures(departures);
+      } catch (departureError) {
+        return res.status(departureError.statusCode || 400).json({
+          success: false,
+          message: departureError.message,
+        });
+      }
+    }
+
+    if (
+      !packageTitle ||
+      !price ||
+      (!availableSlots && !parsedDepartures.length)
+    ) {
       return res.status(400).json({
         success: false,
-        message: "Package title, price, and available slots are required",
+        message:
+          "Package title, price, and available slots or departures are required",
       });
     }
 
@@ -55,7 +320,7 @@ exports.createPackage = async (req, res) => {
       });
     }
 
-    if (availableSlots <= 0) {
+    if (!parsedDepartures.length && availableSlots <= 0) {
       return res.status(400).json({
         success: false,
         message: "Available slots must be greater than 0",
@@ -72,29 +337,47 @@ exports.createPackage = async (req, res) => {
     let parsedItinerary = [];
     if (itinerary) {
       try {
-        parsedItinerary =
-          typeof itinerary === "string" ? JSON.parse(itinerary) : itinerary;
-
-        if (!Array.isArray(parsedItinerary)) {
-          return res.status(400).json({
-            success: false,
-            message: "Itinerary must be an array",
-          });
-        }
+        parsedItinerary = buildItinerary(itinerary);
+      } catch (itineraryError) {
+        return res.status(itineraryError.statusCode || 400).json({
+          success: false,
+          message: itineraryError.message,
+        });
+      }
+    }
 
-        for (const day of parsedItinerary) {
-          if (!day.day || !day.activities) {
-            return res.status(400).json({
-              success: false,
-              message:
-                "Each itinerary day must have 'day' and 'activities' fields",
-            });
-          }
-        }
-      } catch (parseError) {
-        return res.status(400).json({
+    let parsedPricing = {};
+    if (pricing) {
+      try {
+        parsedPricing = buildPricing(pricing);
+      } catch (pricingError) {
+        return res.status(pricingError.statusCode || 400).json({
+          success: false,
+          message: pricingError.message,
+        });
+      }
+    }
+
+    let parsedCancellationPolicy = { tiers: [] };
+    if (cancellationPolicy) {
+      try {
+        parsedCancellationPolicy = buildCancellationPolicy(cancellationPolicy);
+      } catch (policyError) {
+        return res.status(policyError.statusCode || 400).json({
+          success: false,
+          message: policyError.message,
+        });
+      }
+    }
+
+    let parsedDepositPolicy = null;
+    if (depositPolicy) {
+      try {
+        parsedDepositPolicy = buildDepositPolicy(depositPolicy);
+      } catch (policyError) {
+        return res.status(policyError.statusCode || 400).json({
           success: false,
-          message: "Invalid itinerary format",
+          message: policyError.message,
         });
       }
     }
@@ -131,16 +414,29 @@ exports.createPackage = async (req, res) => {
       packageImages,
       price: Number(price),
       discount: discount ? Number(discount) : 0,
+      pricing: parsedPricing,
+      cancellationPolicy: parsedCancellationPolicy,
+      depositPolicy: parsedDepositPolicy,
       duration: duration || "",
+      durationDays: resolveDurationDays(durationDays, duration),
       itinerary: parsedItinerary,
-      availableSlots: Number(availableSlots),
+      availableSlots: availableSlots ? Number(availableSlots) : 0,
+      departures: parsedDepartures,
       category: category || "TOUR",
       agency: agencyId,
       bookings: [],
       status: "PENDING",
+      searchAgencyName: agency.agencyName,
     });
 
-    await package.save();
+    await runInTransaction(async (session) => {
+      await package.save({ session });
+      await recordRevision(
+        package,
+        { actor: req.user, action: "CREATE" },
+        session
+      );
+    });
 
     agency.packages.push(package._id);
     await agency.save();
@@ -153,6 +449,7 @@ exports.createPackage = async (req, res) => {
         packageTitle: package.packageTitle,
         price: package.price,
         availableSlots: package.availableSlots,
+        departures: package.departures,
         category: package.category,
         status: package.status,
         packageImages: package.packageImages,
@@ -196,7 +493,7 @@ exports.getPackageById = async (req, res) => {
 
     const package = await Package.findById(packageId)
       .populate("agency", "agencyName email contactNumber isVerified")
-      .populate("bookings", "bookingReference status totalAmount");
+      .populate("bookings", "bookingReference bookingStatus totalPrice");
 
     if (!package) {
       return res.status(404).json({
@@ -266,46 +563,80 @@ exports.updatePackage = async (req, res) => {
       });
     }
 
+    const reviewedContentBefore = reviewedContentOf(package);
+    const statusBefore = package.status;
+    const snapshotBefore = snapshotPackage(package);
+
     const editableFields = [
       "packageTitle",
       "description",
       "price",
       "discount",
       "duration",
-      "availableSlots",
+      "durationDays",
       "category",
-      "itinerary",
-      "status",
     ];
 
     editableFields.forEach((field) => {
       if (req.body[field] !== undefined) {
-        if (field === "itinerary" && typeof req.body[field] === "string") {
-          try {
-            package[field] = JSON.parse(req.body[field]);
-          } catch (parseError) {
-            return res.status(400).json({
-              success: false,
-              message: "Invalid itinerary format",
-            });
-          }
-        } else {
-          package[field] = req.body[field];
-        }
+        package[field] = req.body[field];
       }
     });
 
-    if (req.body.price !== undefined && req.body.price <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Price must be greater than 0",
-      });
+    if (req.body.itinerary !== undefined) {
+      try {
+        package.itinerary = buildItinerary(req.body.itinerary);
+      } catch (itineraryError) {
+        return res.status(itineraryError.statusCode || 400).json({
+          success: false,
+          message: itineraryError.message,
+        });
+      }
+    }
+
+    if (req.body.pricing !== undefined) {
+      try {
+        package.set("pricing", {
+          ...package.pricing.toObject(),
+          ...buildPricing(req.body.pricing),
+        });
+      } catch (pricingError) {
+        return res.status(pricingError.statusCode || 400).json({
+          success: false,
+          message: pricingError.message,
+        });
+      }
+    }
+
+    if (req.body.cancellationPolicy !== undefined) {
+      try {
+        package.cancellationPolicy = buildCancellationPolicy(
+          req.body.cancellationPolicy
+        );
+      } catch (policyError) {
+        return res.status(policyError.statusCode || 400).json({
+          success: false,
+          message: policyError.message,
+        });
+      }
+    }
+
+    // Null removes the deposit option; existing bookings keep their schedule
+    if (req.body.depositPolicy !== undefined) {
+      try {
+        package.depositPolicy = buildDepositPolicy(req.body.depositPolicy);
+      } catch (policyError) {
+        return res.status(policyError.statusCode || 400).json({
+          success: false,
+          message: policyError.message,
+        });
+      }
     }
 
-    if (req.body.availableSlots !== undefined && req.body.availableSlots < 0) {
+    if (req.body.price !== undefined && req.body.price <= 0) {
       return res.status(400).json({
         success: false,
-        message: "Available slots cannot be negative",
+        message: "Price must be greater than 0",
       });
     }
 
@@ -319,6 +650,29 @@ exports.updatePackage = async (req, res) => {
       });
     }
 
+    // Applied as a change to the seats left, so bookings made meanwhile count
+    let slotChange = 0;
+    if (req.body.availableSlots !== undefined) {
+      const availableSlots = Number(req.body.availableSlots);
+      if (!Number.isInteger(availableSlots) || availableSlots < 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Available slots must be a whole number, 0 or more",
+        });
+      }
+      slotChange = availableSlots - package.availableSlots;
+    }
+
+    if (
+      req.body.duration !== undefined ||
+      req.body.durationDays !== undefined
+    ) {
+      package.durationDays = resolveDurationDays(
+        req.body.durationDays,
+        req.body.duration
+      );
+    }
+
     if (req.files?.packageImages) {
       for (const file of req.files.packageImages) {
         const uploadResult = await uploadToCloudinary(file, "packageImages");
@@ -327,11 +681,45 @@ exports.updatePackage = async (req, res) => {
       }
     }
 
-    await package.save();
+    let sentForReview = false;
+
+    await runInTransaction(async (session) => {
+      if (req.body.departures !== undefined) {
+        await mergeDepartures(package, req.body.departures, session);
+      }
+
+      // Compared after the merge, so departure dates and prices count
+      sentForReview =
+        statusBefore !== "PENDING" &&
+        reviewedContentOf(package) !== reviewedContentBefore;
+
+      if (sentForReview) {
+        package.status = "PENDING";
+        package.moderation.submittedAt = new Date();
+      }
+
+      if (slotChange) {
+        const adjusted = await adjustPackageSlots(
+          package._id,
+          slotChange,
+          session
+        );
+        package.availableSlots = adjusted.availableSlots;
+      }
+
+      await package.save({ session });
+      await recordRevision(
+        package,
+        { actor: req.user, action: "UPDATE", before: snapshotBefore },
+        session
+      );
+    });
 
     res.status(200).json({
       success: true,
-      message: "Package updated successfully",
+      message: sentForReview
+        ? "Package updated and sent for review"
+        : "Package updated successfully",
       package,
     });
   } catch (error) {
@@ -341,6 +729,12 @@ exports.updatePackage = async (req, res) => {
       } catch (_) {}
     }
 
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+
     console.error("Update Package Error:", error);
     res.status(500).json({
       success: false,
@@ -429,3 +823,755 @@ exports.deletePackage = async (req, res) => {
     });
   }
 };
+
+/**
+ * Get Package Revisions
+ * GET /api/package/agency/get-package-revisions/:packageId?at=2025-01-31T10:00:00Z
+ * Private access (owning Agency or Super Admin)
+ *
+ * Lists revisions newest first. With `at`, returns only the revision that was
+ * current at that moment, e.g. what was advertised when a booking was made.
+ * Super admins can read revisions of deleted packages.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getPackageRevisions = async (req, res) => {
+  try {
+    const { packageId } = req.params;
+    const { at } = req.query;
+
+    if (!packageId || !packageId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Package ID",
+      });
+    }
+
+    const package = await Package.findById(packageId).select("agency");
+
+    if (req.user.role !== "SUPERADMIN") {
+      if (!package) {
+        return res.status(404).json({
+          success: false,
+          message: "Package not found",
+        });
+      }
+
+      if (package.agency.toString() !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied. You can only view your own packages.",
+        });
+      }
+    }
+
+    if (at !== undefined) {
+      const atDate = new Date(at);
+      if (isNaN(atDate.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid 'at' date",
+        });
+      }
+
+      const revision = await getRevisionAt(packageId, atDate);
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          message: "No revision recorded at that time",
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Package revision fetched successfully",
+        revision,
+      });
+    }
+
+    const revisions = await listRevisions(packageId);
+
+    if (!package && !revisions.length) {
+      return res.status(404).json({
+        success: false,
+        message: "Package not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Package revisions fetched successfully",
+      revisions,
+    });
+  } catch (error) {
+    console.error("Fetch Package Revisions Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Roll Back Package to a Revision
+ * PATCH /api/package/agency/rollback-package/:packageId
+ * Private access (owning Agency)
+ *
+ * Restores content and pricing from `revisionNumber`. Status, seats and
+ * departures are kept, and restored content goes back to review like any edit.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.rollbackPackage = async (req, res) => {
+  try {
+    const { packageId } = req.params;
+    const { revisionNumber } = req.body;
+
+    if (!packageId || !packageId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Package ID",
+      });
+    }
+
+    const package = await Package.findById(packageId);
+    if (!package) {
+      return res.status(404).json({
+        success: false,
+        message: "Package not found",
+      });
+    }
+
+    if (
+      req.user.role !== "AGENCY" ||
+      package.agency.toString() !== req.user.id
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. You can only update your own packages.",
+      });
+    }
+
+    const reviewedContentBefore = reviewedContentOf(package);
+    const snapshotBefore = snapshotPackage(package);
+
+    let revision;
+    try {
+      revision = await applyRollback(package, revisionNumber);
+    } catch (rollbackError) {
+      if (rollbackError.statusCode) {
+        return res.status(rollbackError.statusCode).json({
+          success: false,
+          message: rollbackError.message,
+        });
+      }
+      throw rollbackError;
+    }
+
+    if (!diffSnapshots(snapshotBefore, snapshotPackage(package)).length) {
+      return res.status(400).json({
+        success: false,
+        message: "Package already matches this revision",
+      });
+    }
+
+    if (
+      package.status !== "PENDING" &&
+      reviewedContentOf(package) !== reviewedContentBefore
+    ) {
+      package.status = "PENDING";
+      package.moderation.submittedAt = new Date();
+    }
+
+    await runInTransaction(async (session) => {
+      await package.save({ session });
+      await recordRevision(
+        package,
+        {
+          actor: req.user,
+          action: "ROLLBACK",
+          before: snapshotBefore,
+          rolledBackTo: revision.revisionNumber,
+        },
+        session
+      );
+    });
+
+    res.status(200).json({
+      success: true,
+      message:
+        package.status === "PENDING"
+          ? `Package rolled back to revision ${revision.revisionNumber} and sent for review`
+          : `Package rolled back to revision ${revision.revisionNumber}`,
+      package,
+    });
+  } catch (error) {
+    console.error("Rollback Package Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+// ================== PUBLIC CATALOGUE CONTROLLER ===========
+// ==========================================================
+// ==========================================================
+// ==========================================================
+
+/**
+ * Get Public Package Catalogue
+ * GET /api/package
+ * Public access
+ *
+ * Lists ACTIVATED packages from ACTIVATED agencies.
+ * Query params: category, minPrice, maxPrice (discount applied), minDuration,
+ * maxDuration (days), agency, departureFrom, departureTo, sort
+ * (newest | oldest | price_asc | price_desc), limit, cursor.
+ * Packages sold by departure match the price filters when one of their open
+ * departures (in the departure date range, if given) does at its own price.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getPublicPackages = async (req, res) => {
+  try {
+    const {
+      category,
+      minPrice,
+      maxPrice,
+      minDuration,
+      maxDuration,
+      agency,
+      departureFrom,
+      departureTo,
+      sort = "newest",
+      limit,
+      cursor,
+    } = req.query;
+
+    const sortOption = CATALOGUE_SORT_OPTIONS[sort];
+    if (!sortOption) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort. Allowed: ${Object.keys(CATALOGUE_SORT_OPTIONS).join(", ")}`,
+      });
+    }
+
+    const match = { status: "ACTIVATED" };
+
+    if (category) {
+      if (!Package.schema.path("category").enumValues.includes(category)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid category",
+        });
+      }
+      match.category = category;
+    }
+
+    if (agency) {
+      if (!agency.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid Agency ID",
+        });
+      }
+      match.agency = new mongoose.Types.ObjectId(agency);
+    }
+
+    const durationMatch = {};
+    if (minDuration !== undefined && minDuration !== "") {
+      durationMatch.$gte = Number(minDuration);
+    }
+    if (maxDuration !== undefined && maxDuration !== "") {
+      durationMatch.$lte = Number(maxDuration);
+    }
+    if (Object.values(durationMatch).some((value) => isNaN(value))) {
+      return res.status(400).json({
+        success: false,
+        message: "Duration filters must be numbers",
+      });
+    }
+    if (Object.keys(durationMatch).length) {
+      match.durationDays = durationMatch;
+    }
+
+    // Start date range for the price filters; listed departures are already open and future
+    const departureMatch = {};
+
+    if (departureFrom || departureTo) {
+      const from = departureFrom ? new Date(departureFrom) : new Date();
+      const to = departureTo ? new Date(departureTo) : null;
+
+      if (isNaN(from.getTime()) || (to && isNaN(to.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid departure date",
+        });
+      }
+
+      const startDate = { $gte: from > new Date() ? from : new Date() };
+      if (to) startDate.$lte = to;
+
+      match.departures = { $elemMatch: { status: "OPEN", startDate } };
+      departureMatch.startDate = startDate;
+    }
+
+    const priceMatch = {};
+    if (minPrice !== undefined && minPrice !== "") {
+      priceMatch.$gte = Number(minPrice);
+    }
+    if (maxPrice !== undefined && maxPrice !== "") {
+      priceMatch.$lte = Number(maxPrice);
+    }
+    if (Object.values(priceMatch).some((value) => isNaN(value))) {
+      return res.status(400).json({
+        success: false,
+        message: "Price filters must be numbers",
+      });
+    }
+
+    let decodedCursor = null;
+    if (cursor) {
+      decodedCursor = decodeCursor(cursor, sortOption.type);
+      if (!decodedCursor) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor",
+        });
+      }
+    }
+
+    const pageSize = parsePageSize(limit);
+    const now = new Date();
+
+    const pipeline = [{ $match: match }, publicPackageFieldsStage(now)];
+
+    if (Object.keys(priceMatch).length) {
+      pipeline.push(DEPARTURE_PRICES_STAGE, {
+        $match: {
+          $or: [
+            { "departures.0": { $exists: false }, effectivePrice: priceMatch },
+            {
+              departures: {
+                $elemMatch: { ...departureMatch, effectivePrice: priceMatch },
+              },
+            },
+          ],
+        },
+      });
+    }
+
+    pipeline.push(...ACTIVE_AGENCY_STAGES);
+
+    if (decodedCursor) {
+      pipeline.push({
+        $match: buildCursorMatch(
+          sortOption.field,
+          sortOption.order,
+          decodedCursor
+        ),
+      });
+    }
+
+    pipeline.push(
+      {
+        $sort: { [sortOption.field]: sortOption.order, _id: sortOption.order },
+      },
+      { $limit: pageSize + 1 },
+      { $project: PUBLIC_PACKAGE_EXCLUSIONS }
+    );
+
+    const results = await Package.aggregate(pipeline);
+
+    const hasMore = results.length > pageSize;
+    const packages = hasMore ? results.slice(0, pageSize) : results;
+    const last = packages[packages.length - 1];
+
+    res.status(200).json({
+      success: true,
+      message: "Packages fetched successfully",
+      packages,
+      pagination: {
+        limit: pageSize,
+        hasMore,
+        nextCursor:
+          hasMore && last
+            ? encodeCursor(last[sortOption.field], last._id)
+            : null,
+      },
+    });
+  } catch (error) {
+    console.error("Fetch Public Packages Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get Public Package Details
+ * GET /api/package/:packageId
+ * Public access
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getPublicPackageById = async (req, res) => {
+  try {
+    const { packageId } = req.params;
+
+    if (!packageId || !packageId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Package ID",
+      });
+    }
+
+    const package = await Package.findOne({
+      _id: packageId,
+      status: "ACTIVATED",
+    })
+      .select("-bookings -searchAgencyName -moderation -__v")
+      .populate(
+        "agency",
+        Object.keys(PUBLIC_AGENCY_PROJECTION).join(" ") + " status"
+      );
+
+    if (!package || package.agency?.status !== "ACTIVATED") {
+      return res.status(404).json({
+        success: false,
+        message: "Package not found",
+      });
+    }
+
+    const now = new Date();
+    const publicPackage = package.toObject();
+    delete publicPackage.agency.status;
+    publicPackage.departures = publicPackage.departures.filter(
+      (departure) => departure.status === "OPEN" && departure.startDate > now
+    );
+    publicPackage.effectivePrice =
+      package.price * (1 - (package.discount || 0) / 100);
+
+    res.status(200).json({
+      success: true,
+      message: "Package fetched successfully",
+      package: publicPackage,
+    });
+  } catch (error) {
+    console.error("Fetch Public Package Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Search Packages
+ * GET /api/package/search?q=hunza honeymoon
+ * Public access
+ *
+ * Combines the weighted text index (whole and stemmed words) with trigram
+ * candidates (prefixes and typos), then ranks them by weighted fuzzy match
+ * over title, itinerary activities, agency name, category and description.
+ * Only ACTIVATED packages from ACTIVATED agencies are returned.
+ * Query params: q, page, limit.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.searchPackages = async (req, res) => {
+  try {
+    const query = String(req.query.q || "").trim();
+    const queryTokens = [...new Set(tokenize(query))].slice(0, 8);
+
+    if (query.length < 2 || !queryTokens.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Search query must be at least 2 characters",
+      });
+    }
+
+    const pageSize = parsePageSize(req.query.limit);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const grams = [...new Set(queryTokens.flatMap(trigrams))];
+
+    const [textHits, gramHits] = await Promise.all([
+      Package.find(
+        { status: "ACTIVATED", $text: { $search: query } },
+        { textScore: { $meta: "textScore" } }
+      )
+        .sort({ textScore: { $meta: "textScore" } })
+        .limit(SEARCH_CANDIDATE_LIMIT)
+        .lean(),
+      Package.aggregate([
+        { $match: { status: "ACTIVATED", searchTerms: { $in: grams } } },
+        {
+          $project: {
+            gramHits: { $size: { $setIntersection: ["$searchTerms", grams] } },
+          },
+        },
+        { $sort: { gramHits: -1 } },
+        { $limit: SEARCH_CANDIDATE_LIMIT },
+      ]),
+    ]);
+
+    const textScores = new Map(
+      textHits.map((hit) => [hit._id.toString(), hit.textScore])
+    );
+    const candidateIds = [
+      ...new Set([...textHits, ...gramHits].map((hit) => hit._id.toString())),
+    ];
+
+    const candidates = await Package.find({
+      _id: { $in: candidateIds },
+      status: "ACTIVATED",
+    })
+      .select("-bookings -moderation -__v")
+      .populate(
+        "agency",
+        Object.keys(PUBLIC_AGENCY_PROJECTION).join(" ") + " status"
+      )
+      .lean();
+
+    const now = new Date();
+    const ranked = [];
+
+    for (const candidate of candidates) {
+      if (candidate.agency?.status !== "ACTIVATED") continue;
+
+      const activities = (candidate.itinerary || []).map(
+        (day) => day.activities || ""
+      );
+      const { score, matchedTokens, matchedWords } = scoreFields(queryTokens, [
+        { text: candidate.packageTitle, weight: 10 },
+        { text: activities.join(" "), weight: 4 },
+        { text: candidate.searchAgencyName, weight: 3 },
+        { text: candidate.category, weight: 3 },
+        { text: candidate.description, weight: 2 },
+      ]);
+
+      const textScore = textScores.get(candidate._id.toString()) || 0;
+      if (!matchedTokens && !textScore) continue;
+
+      // Favour packages that match more of the query words
+      const coverage = matchedTokens / queryTokens.length;
+      const rankScore = (score + textScore) * (0.5 + 0.5 * coverage);
+
+      const { searchAgencyName, agency, ...publicPackage } = candidate;
+      const { status: agencyStatus, ...publicAgency } = agency;
+
+      ranked.push({
+        ...publicPackage,
+        agency: publicAgency,
+        departures: (candidate.departures || []).filter(
+          (departure) =>
+            departure.status === "OPEN" && departure.startDate > now
+        ),
+        effectivePrice: candidate.price * (1 - (candidate.discount || 0) / 100),
+        score: Math.round(rankScore * 100) / 100,
+        highlights: {
+          packageTitle: highlightSnippet(
+            candidate.packageTitle,
+            matchedWords,
+            200
+          ),
+          description: highlightSnippet(candidate.description, matchedWords),
+          activities:
+            activities
+              .map((text) => highlightSnippet(text, matchedWords))
+              .find(Boolean) || null,
+          agencyName: highlightSnippet(searchAgencyName, matchedWords),
+        },
+      });
+    }
+
+    ranked.sort((a, b) => b.score - a.score);
+
+    const start = (page - 1) * pageSize;
+
+    res.status(200).json({
+      success: true,
+      message: "Search completed successfully",
+      query,
+      packages: ranked.slice(start, start + pageSize),
+      pagination: {
+        page,
+        limit: pageSize,
+        total: ranked.length,
+        hasMore: start + pageSize < ranked.length,
+      },
+    });
+  } catch (error) {
+    console.error("Search Packages Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get Packages Near a Point
+ * GET /api/package/nearby?radiusKm=25
+ * Authenticated access
+ *
+ * Returns ACTIVATED packages with an itinerary stop within `radiusKm` of the
+ * given point, nearest first. Uses the caller's last known location unless
+ * `latitude` and `longitude` are provided.
+ * Query params: latitude, longitude, radiusKm (default 50, max 500),
+ * category, limit, cursor.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getNearbyPackages = async (req, res) => {
+  try {
+    const { latitude, longitude, radiusKm, category, limit, cursor } =
+      req.query;
+
+    let point = null;
+
+    if (latitude !== undefined || longitude !== undefined) {
+      point = toGeoPoint(latitude, longitude);
+      if (!point) {
+        return res.status(400).json({
+          success: false,
+          message: "Valid latitude and longitude are required",
+        });
+      }
+    } else if (req.user.role === "USER") {
+      const user = await User.findById(req.user.id).select("lastKnownLocation");
+      point = toGeoPoint(
+        user?.lastKnownLocation?.latitude,
+        user?.lastKnownLocation?.longitude
+      );
+    }
+
+    if (!point) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "No location available. Update your location or pass latitude and longitude.",
+      });
+    }
+
+    const radius = parseRadiusKm(radiusKm);
+    if (!radius) {
+      return res.status(400).json({
+        success: false,
+        message: "radiusKm must be a positive number",
+      });
+    }
+
+    const query = { status: "ACTIVATED" };
+    if (category) {
+      if (!Package.schema.path("category").enumValues.includes(category)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid category",
+        });
+      }
+      query.category = category;
+    }
+
+    let decodedCursor = null;
+    if (cursor) {
+      decodedCursor = decodeCursor(cursor, "number");
+      if (!decodedCursor) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor",
+        });
+      }
+    }
+
+    const pageSize = parsePageSize(limit);
+
+    const pipeline = [
+      {
+        $geoNear: {
+          near: point,
+          key: "itinerary.destination.location",
+          distanceField: "distanceMeters",
+          includeLocs: "nearestLocation",
+          maxDistance: radius * 1000,
+          spherical: true,
+          query,
+        },
+      },
+    ];
+
+    if (decodedCursor) {
+      pipeline.push({
+        $match: buildCursorMatch("distanceMeters", 1, decodedCursor),
+      });
+    }
+
+    pipeline.push(
+      { $sort: { distanceMeters: 1, _id: 1 } },
+      publicPackageFieldsStage(new Date()),
+      ...ACTIVE_AGENCY_STAGES,
+      { $limit: pageSize + 1 },
+      { $project: PUBLIC_PACKAGE_EXCLUSIONS }
+    );
+
+    const results = await Package.aggregate(pipeline);
+
+    const hasMore = results.length > pageSize;
+    const packages = (hasMore ? results.slice(0, pageSize) : results).map(
+      (package) => ({
+        ...package,
+        distanceKm: Math.round(package.distanceMeters / 100) / 10,
+        nearestStop:
+          (package.itinerary || []).find(
+            (day) =>
+              day.destination?.location?.coordinates?.join() ===
+              package.nearestLocation?.coordinates?.join()
+          )?.destination || null,
+      })
+    );
+    const last = packages[packages.length - 1];
+
+    res.status(200).json({
+      success: true,
+      message: "Nearby packages fetched successfully",
+      center: {
+        latitude: point.coordinates[1],
+        longitude: point.coordinates[0],
+      },
+      radiusKm: radius,
+      packages,
+      pagination: {
+        limit: pageSize,
+        hasMore,
+        nextCursor:
+          hasMore && last ? encodeCursor(last.distanceMeters, last._id) : null,
+      },
+    });
+  } catch (error) {
+    console.error("Fetch Nearby Packages Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,558 @@
+/**
+ * @file Payment Controller
+ * @description Controller module for online booking payments.
+ * Supports:
+ * - Card payments (Stripe) and JazzCash / Easypaisa wallet payments
+ * - Creating and confirming provider payment intents for a booking
+ * - Capturing authorised payments by agencies
+ * - Deposit bookings paid one installment at a time
+ * - Refunds by super admins, split across the installments paid
+ * - Signed provider webhooks, the only source of booking payment status
+ * - A payment event ledger that super admins can inspect and replay
+ *
+ * Requests to the provider never change `paymentStatus` directly; the booking
+ * is updated from the provider's verified webhook, or from a verified
+ * response when the provider answers synchronously (wallet payments). Both
+ * go through the payment event ledger, which applies each event only once.
+ *
+ * @module controllers/paymentController
+ */
+
+const Booking = require("../../models/booking-model/Booking.model");
+const PaymentEvent = require("../../models/payment-event-model/PaymentEvent.model");
+const {
+  getPaymentProvider,
+  getBookingProvider,
+  startBookingPayment,
+} = require("../../services/payment-service/payment.service");
+const {
+  getRefundableAmount,
+  requestPaymentRefund,
+} = require("../../services/refund-service/refund.service");
+const {
+  recordRejectedPaymentEvent,
+  ingestPaymentEvent,
+  replayPaymentEvent,
+} = require("../../services/payment-event-service/payment-event.service");
+const {
+  parsePageSize,
+  encodeCursor,
+  decodeCursor,
+  buildCursorMatch,
+} = require("../../helpers/pagination-helper/pagination.helper");
+
+/**
+ * Loads a booking and checks the caller may act on its payment.
+ *
+ * @async
+ * @param {string} bookingId - Booking ID from the route
+ * @param {{id: string, role: string}} user - Authenticated account
+ * @param {string} role - Role allowed to perform the action
+ * @returns {Promise<{status: number, message: string}|{booking: Object}>}
+ */
+const loadPayableBooking = async (bookingId, user, role) => {
+  if (user.role !== role) {
+    return {
+      status: 403,
+      message: "Access denied. You are not allowed to manage this payment.",
+    };
+  }
+
+  if (!bookingId || !bookingId.match(/^[0-9a-fA-F]{24}$/)) {
+    return { status: 400, message: "Invalid Booking ID" };
+  }
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    return { status: 404, message: "Booking not found" };
+  }
+
+  const isOwner =
+    role === "SUPERADMIN" ||
+    (role === "USER" && booking.customer.toString() === user.id) ||
+    (role === "AGENCY" && booking.agency.toString() === user.id);
+
+  if (!isOwner) {
+    return {
+      status: 403,
+      message: "Access denied. You can only manage your own bookings.",
+    };
+  }
+
+  return { booking };
+};
+
+/**
+ * Create Payment Intent for a Booking
+ * POST /api/payment/user/create-intent/:bookingId
+ * Private access (User only)
+ *
+ * Returns what the app needs to collect the booking's next installment: a
+ * client secret for cards, or a signed form to post for hosted wallet
+ * checkout. `flow` may be HOSTED (default) or MWALLET.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.createPaymentIntent = async (req, res) => {
+  try {
+    const { booking, status, message } = await loadPayableBooking(
+      req.params.bookingId,
+      req.user,
+      "USER"
+    );
+    if (!booking) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const intent = await startBookingPayment(booking, {
+      flow: req.body.flow,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Payment intent created successfully",
+      payment: {
+        provider: intent.provider,
+        intentId: intent.intentId,
+        status: intent.status,
+        clientSecret: intent.clientSecret,
+        redirect: intent.redirect,
+        amount: intent.installment.amount,
+        currency: booking.priceSnapshot?.currency || "PKR",
+        installment: intent.installment,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+
+    console.error("Create Payment Intent Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Confirm Payment for a Booking
+ * POST /api/payment/user/confirm-payment/:bookingId
+ * Private access (User only)
+ *
+ * Submits the payment method (card) or wallet details (mobileNumber, and cnic
+ * for JazzCash) to the provider. Wallet payments return their outcome
+ * directly; card outcomes arrive through the provider webhook.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.confirmPayment = async (req, res) => {
+  try {
+    const { paymentMethodId, returnUrl, mobileNumber, cnic, email } = req.body;
+
+    const { booking, status, message } = await loadPayableBooking(
+      req.params.bookingId,
+      req.user,
+      "USER"
+    );
+    if (!booking) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (!booking.payment?.intentId) {
+      return res.status(409).json({
+        success: false,
+        message: "Create a payment intent for this booking first",
+      });
+    }
+
+    if (
+      !["PENDING", "FAILED", "PARTIALLY_PAID"].includes(booking.paymentStatus)
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: `Booking payment is already ${booking.paymentStatus}`,
+      });
+    }
+
+    const provider = getBookingProvider(booking);
+    const result = await provider.confirmIntent(booking.payment.intentId, {
+      bookingId: booking._id,
+      amount: booking.payment.amount,
+      paymentMethodId,
+      returnUrl,
+      mobileNumber,
+      cnic,
+      email,
+    });
+
+    let paymentStatus = booking.paymentStatus;
+    if (result.event) {
+      await ingestPaymentEvent(provider.name, result.event, "SYNC");
+      ({ paymentStatus } = await Booking.findById(booking._id).select(
+        "paymentStatus"
+      ));
+    }
+
+    res.status(result.event ? 200 : 202).json({
+      success: true,
+      message: result.event
+        ? `Payment ${paymentStatus.toLowerCase()}`
+        : "Payment submitted. Awaiting confirmation from the provider.",
+      payment: {
+        intentId: result.intentId,
+        status: result.status,
+        paymentStatus,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+
+    console.error("Confirm Payment Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Capture an authorised Booking Payment
+ * PATCH /api/payment/agency/capture-payment/:bookingId
+ * Private access (Agency only)
+ *
+ * Used when payments are authorised at booking and captured on confirmation
+ * (`PAYMENT_MANUAL_CAPTURE=true`).
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.capturePayment = async (req, res) => {
+  try {
+    const { booking, status, message } = await loadPayableBooking(
+      req.params.bookingId,
+      req.user,
+      "AGENCY"
+    );
+    if (!booking) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const installment = booking.paymentSchedule.find(
+      (candidate) => candidate.intentId === booking.payment?.intentId
+    );
+    if (installment?.status !== "AUTHORIZED") {
+      return res.status(409).json({
+        success: false,
+        message: "Only authorised payments can be captured",
+      });
+    }
+
+    const result = await getBookingProvider(booking).captureIntent(
+      booking.payment.intentId
+    );
+
+    res.status(202).json({
+      success: true,
+      message: "Capture requested. Awaiting confirmation from the provider.",
+      payment: { intentId: result.intentId, status: result.status },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+
+    console.error("Capture Payment Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Refund a Booking Payment
+ * PATCH /api/payment/super-admin/refund-payment/:bookingId
+ * Private access (Super Admin only)
+ *
+ * Refunds `amount`, or everything not yet refunded when omitted. The refund
+ * is taken from the latest installments paid first. When a provider refuses
+ * some installments, the others are still refunded and the response is 207
+ * with both lists; 502 when none could be refunded.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.refundPayment = async (req, res) => {
+  try {
+    const { booking, status, message } = await loadPayableBooking(
+      req.params.bookingId,
+      req.user,
+      "SUPERADMIN"
+    );
+    if (!booking) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (!["PAID", "PARTIALLY_PAID"].includes(booking.paymentStatus)) {
+      return res.status(409).json({
+        success: false,
+        message: "Only paid bookings can be refunded",
+      });
+    }
+
+    const amount =
+      req.body.amount !== undefined
+        ? Number(req.body.amount)
+        : getRefundableAmount(booking);
+
+    const { refunds, failed, amountRefunded, isSettled } =
+      await requestPaymentRefund(booking, amount);
+
+    if (failed.length) {
+      return res.status(refunds.length ? 207 : 502).json({
+        success: false,
+        message: refunds.length
+          ? `Refunded ${amountRefunded} of ${amount}. The provider did not accept the rest; it can be refunded again.`
+          : "The provider did not accept the refund. Please try again.",
+        refund: { amount: amountRefunded, installments: refunds, failed },
+      });
+    }
+
+    res.status(isSettled ? 200 : 202).json({
+      success: true,
+      message: isSettled
+        ? "Refund completed successfully"
+        : "Refund requested. Awaiting confirmation from the provider.",
+      refund: { amount, installments: refunds },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+
+    console.error("Refund Payment Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Handle a Payment Provider Webhook
+ * POST|GET /api/payment/webhook/:provider
+ * Public access (verified by provider signature)
+ *
+ * Lets the provider verify the request (signature over the raw body, hash
+ * over the posted fields, or a fresh inquiry), records it in the payment
+ * event ledger and applies it to its booking. Redelivered events are
+ * acknowledged without being applied again; requests that fail verification
+ * are recorded as REJECTED.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.handlePaymentWebhook = async (req, res) => {
+  try {
+    const provider = getPaymentProvider(req.params.provider);
+
+    const payload = { ...req.query, ...req.body };
+
+    let event;
+    try {
+      event = await provider.verifyWebhook({
+        rawBody: req.rawBody,
+        headers: req.headers,
+        payload,
+      });
+    } catch (verifyError) {
+      // Provider outages are retried by the provider; only bad requests are logged
+      if (verifyError.statusCode === 400) {
+        await recordRejectedPaymentEvent(
+          provider.name,
+          payload,
+          verifyError.message
+        );
+      }
+      return res.status(verifyError.statusCode || 400).json({
+        success: false,
+        message: verifyError.message,
+      });
+    }
+
+    const result = await ingestPaymentEvent(provider.name, event, "WEBHOOK");
+
+    res.status(200).json({
+      success: true,
+      message: result.isDuplicate
+        ? "Event already received"
+        : `Event ${result.paymentEvent.status.toLowerCase()}`,
+      received: true,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+
+    console.error("Payment Webhook Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get Payment Events
+ * GET /api/payment/super-admin/get-payment-events
+ * Private access (Super Admin only)
+ *
+ * Lists the payment event ledger, newest first. Filters: `status`,
+ * `provider`, `bookingId`; cursor pagination via `cursor` and `limit`.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getPaymentEvents = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only super admins can view payment events.",
+      });
+    }
+
+    const { status, provider, bookingId, cursor, limit } = req.query;
+    const filter = {};
+
+    if (status) filter.status = String(status).toUpperCase();
+    if (provider) filter.provider = String(provider).toUpperCase();
+    if (bookingId) {
+      if (!String(bookingId).match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid Booking ID",
+        });
+      }
+      filter.booking = bookingId;
+    }
+
+    if (cursor) {
+      const decodedCursor = decodeCursor(cursor);
+      if (!decodedCursor) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor",
+        });
+      }
+      Object.assign(filter, buildCursorMatch("createdAt", -1, decodedCursor));
+    }
+
+    const pageSize = parsePageSize(limit);
+    const results = await PaymentEvent.find(filter)
+      .select("-payload")
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(pageSize + 1);
+
+    const hasMore = results.length > pageSize;
+    const paymentEvents = hasMore ? results.slice(0, pageSize) : results;
+    const last = paymentEvents[paymentEvents.length - 1];
+
+    res.status(200).json({
+      success: true,
+      message: "Payment events fetched successfully",
+      paymentEvents,
+      pagination: {
+        limit: pageSize,
+        hasMore,
+        nextCursor:
+          hasMore && last ? encodeCursor(last.createdAt, last._id) : null,
+      },
+    });
+  } catch (error) {
+    console.error("Fetch Payment Events Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Replay a Failed Payment Event
+ * POST /api/payment/super-admin/replay-payment-event/:paymentEventId
+ * Private access (Super Admin only)
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.replayPaymentEvent = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only super admins can replay payment events.",
+      });
+    }
+
+    const { paymentEventId } = req.params;
+
+    if (!paymentEventId || !paymentEventId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Payment Event ID",
+      });
+    }
+
+    const result = await replayPaymentEvent(paymentEventId);
+
+    res.status(200).json({
+      success: true,
+      message: result.processed
+        ? `Payment event ${result.paymentEvent.status.toLowerCase()}`
+        : "Payment event was already processed",
+      paymentEvent: result.paymentEvent,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+
+    console.error("Replay Payment Event Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,359 @@
+/**
+ * @file Promo Code Controller
+ * @description Controller module for managing promo codes.
+ * Supports:
+ * - Agency-scoped codes, managed by the owning agency
+ * - Platform-wide codes, managed by super admins
+ * - Listing, updating, deactivating and deleting unused codes
+ *
+ * Codes are applied by customers through the booking quote and redeemed
+ * with the booking (see the promo service).
+ *
+ * @module controllers/promoCodeController
+ */
+
+const PromoCode = require("../../models/promo-code-model/PromoCode.model");
+const PromoRedemption = require("../../models/promo-redemption-model/PromoRedemption.model");
+const Package = require("../../models/package-model/Package.model");
+const {
+  buildPromoCodeInput,
+} = require("../../services/promo-service/promo.service");
+
+/**
+ * Roles allowed to manage promo codes and the scope their codes get.
+ * @constant {Object<string, string>}
+ */
+const PROMO_SCOPE_BY_ROLE = {
+  AGENCY: "AGENCY",
+  SUPERADMIN: "GLOBAL",
+};
+
+/**
+ * Filter matching the promo codes the caller may manage.
+ * @param {{id: string, role: string}} user - Authenticated account.
+ * @returns {Object} MongoDB filter
+ */
+const ownedCodesFilter = (user) =>
+  user.role === "AGENCY"
+    ? { scope: "AGENCY", agency: user.id }
+    : { scope: "GLOBAL" };
+
+/**
+ * Checks that restricted packages exist and, for agency codes, belong to the agency.
+ * @async
+ * @param {Array<string>} packageIds
+ * @param {{id: string, role: string}} user - Authenticated account.
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+const validateRestrictedPackages = async (packageIds, user) => {
+  if (!packageIds?.length) return null;
+
+  const filter = { _id: { $in: packageIds } };
+  if (user.role === "AGENCY") filter.agency = user.id;
+
+  const found = await Package.countDocuments(filter);
+  return found === new Set(packageIds.map(String)).size
+    ? null
+    : "Some packages were not found or do not belong to you";
+};
+
+/**
+ * Validates a promo code document against rules spanning several fields.
+ * @param {Object} promo - Promo code values.
+ * @returns {string|null} Error message, or null if valid
+ */
+const validatePromoRules = (promo) => {
+  if (promo.discountType === "PERCENT" && promo.value > 100) {
+    return "A percentage discount cannot exceed 100";
+  }
+  if (
+    promo.validUntil &&
+    promo.validFrom &&
+    promo.validUntil <= promo.validFrom
+  ) {
+    return "validUntil must be after validFrom";
+  }
+  return null;
+};
+
+/**
+ * Create Promo Code
+ * POST /api/promo-code/create-promo-code
+ * Private access (Agency or Super Admin)
+ *
+ * Agencies create codes for their own packages; super admins create
+ * platform-wide codes.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.createPromoCode = async (req, res) => {
+  try {
+    const scope = PROMO_SCOPE_BY_ROLE[req.user.role];
+    if (!scope) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Access denied. Only agencies and super admins can manage promo codes.",
+      });
+    }
+
+    let input;
+    try {
+      input = buildPromoCodeInput(req.body);
+    } catch (inputError) {
+      return res.status(inputError.statusCode || 400).json({
+        success: false,
+        message: inputError.message,
+      });
+    }
+
+    const ruleError =
+      validatePromoRules({ validFrom: new Date(), ...input }) ||
+      (await validateRestrictedPackages(input.packages, req.user));
+    if (ruleError) {
+      return res.status(400).json({ success: false, message: ruleError });
+    }
+
+    if (await PromoCode.exists({ code: input.code })) {
+      return res.status(409).json({
+        success: false,
+        message: "A promo code with this code already exists",
+      });
+    }
+
+    const promoCode = await PromoCode.create({
+      ...input,
+      scope,
+      agency: scope === "AGENCY" ? req.user.id : null,
+      createdBy: { id: req.user.id, role: req.user.role },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Promo code created successfully",
+      promoCode,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A promo code with this code already exists",
+      });
+    }
+
+    console.error("Create Promo Code Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get Promo Codes
+ * GET /api/promo-code/get-promo-codes
+ * Private access (Agency or Super Admin)
+ *
+ * Agencies see their own codes. Super admins see global codes, or every code
+ * with `?scope=ALL`.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getPromoCodes = async (req, res) => {
+  try {
+    if (!PROMO_SCOPE_BY_ROLE[req.user.role]) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Access denied. Only agencies and super admins can manage promo codes.",
+      });
+    }
+
+    const filter =
+      req.user.role === "SUPERADMIN" && req.query.scope === "ALL"
+        ? {}
+        : ownedCodesFilter(req.user);
+
+    const promoCodes = await PromoCode.find(filter)
+      .populate("agency", "agencyName")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Promo codes fetched successfully",
+      promoCodes,
+    });
+  } catch (error) {
+    console.error("Fetch Promo Codes Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update Promo Code
+ * PATCH /api/promo-code/update-promo-code/:promoCodeId
+ * Private access (owning Agency, or Super Admin for global codes)
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.updatePromoCode = async (req, res) => {
+  try {
+    const { promoCodeId } = req.params;
+
+    if (!PROMO_SCOPE_BY_ROLE[req.user.role]) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Access denied. Only agencies and super admins can manage promo codes.",
+      });
+    }
+
+    if (!promoCodeId || !promoCodeId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Promo Code ID",
+      });
+    }
+
+    const promoCode = await PromoCode.findOne({
+      _id: promoCodeId,
+      ...ownedCodesFilter(req.user),
+    });
+
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: "Promo code not found",
+      });
+    }
+
+    let input;
+    try {
+      input = buildPromoCodeInput(req.body, { partial: true });
+    } catch (inputError) {
+      return res.status(inputError.statusCode || 400).json({
+        success: false,
+        message: inputError.message,
+      });
+    }
+
+    if (
+      input.maxUses !== undefined &&
+      input.maxUses !== null &&
+      input.maxUses < promoCode.usedCount
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `maxUses cannot be lower than the ${promoCode.usedCount} use(s) already redeemed`,
+      });
+    }
+
+    promoCode.set(input);
+
+    const ruleError =
+      validatePromoRules(promoCode) ||
+      (await validateRestrictedPackages(input.packages, req.user));
+    if (ruleError) {
+      return res.status(400).json({ success: false, message: ruleError });
+    }
+
+    await promoCode.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Promo code updated successfully",
+      promoCode,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A promo code with this code already exists",
+      });
+    }
+
+    console.error("Update Promo Code Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete Promo Code
+ * DELETE /api/promo-code/delete-promo-code/:promoCodeId
+ * Private access (owning Agency, or Super Admin for global codes)
+ *
+ * Codes that have been redeemed are kept for booking history and can only be
+ * deactivated.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.deletePromoCode = async (req, res) => {
+  try {
+    const { promoCodeId } = req.params;
+
+    if (!PROMO_SCOPE_BY_ROLE[req.user.role]) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Access denied. Only agencies and super admins can manage promo codes.",
+      });
+    }
+
+    if (!promoCodeId || !promoCodeId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Promo Code ID",
+      });
+    }
+
+    const promoCode = await PromoCode.findOne({
+      _id: promoCodeId,
+      ...ownedCodesFilter(req.user),
+    });
+
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: "Promo code not found",
+      });
+    }
+
+    if (await PromoRedemption.exists({ promoCode: promoCode._id })) {
+      return res.status(400).json({
+        success: false,
+        message: "This promo code has been used. Deactivate it instead.",
+      });
+    }
+
+    await PromoCode.deleteOne({ _id: promoCode._id });
+
+    res.status(200).json({
+      success: true,
+      message: "Promo code deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete Promo Code Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,464 @@
+/**
+ * @file Review Controller
+ * @description Controller module for package reviews and ratings.
+ * Supports:
+ * - One review per completed booking, with a star rating, optional
+ *   value/guide/accommodation ratings, text and photos
+ * - Rating aggregates on packages and agencies, updated with each review
+ * - One public reply per review by the agency
+ * - Abuse reports on reviews by users and agencies, notified to super admins
+ * - Public review listings per package and per agency, with sorting and
+ *   cursor pagination
+ *
+ * @module controllers/reviewController
+ */
+
+const Review = require("../../models/review-model/Review.model");
+const Package = require("../../models/package-model/Package.model");
+const Agency = require("../../models/travel-agency-model/travel-agency.model");
+const {
+  REVIEW_SORT_OPTIONS,
+  MAX_REVIEW_PHOTOS,
+  buildReviewFields,
+  getReviewableBooking,
+  createReview,
+  replyToReview,
+} = require("../../services/review-service/review.service");
+const {
+  reportReview,
+} = require("../../services/review-moderation-service/review-moderation.service");
+const {
+  notifySuperAdmins,
+} = require("../../services/notification-service/notification.service");
+const {
+  uploadToCloudinary,
+  deleteFromCloudinary,
+} = require("../../utilities/cloudinary-utility/cloudinary.utility");
+const {
+  parsePageSize,
+  encodeCursor,
+  decodeCursor,
+  buildCursorMatch,
+} = require("../../helpers/pagination-helper/pagination.helper");
+
+/**
+ * Customer fields shown on public reviews.
+ * @constant {string}
+ */
+const PUBLIC_REVIEWER_FIELDS = "userName profilePicture";
+
+/**
+ * Rating fields shown above a review listing.
+ * @constant {string}
+ */
+const RATING_SUMMARY_FIELDS = "rating totalReviews subRatings";
+
+/**
+ * Shared handler for the review listings: sorting and cursor pagination.
+ * Query params: sort (newest | oldest | highest | lowest), limit, cursor.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {Object} filter - Reviews to list.
+ * @param {Object} [extra] - Extra response fields, e.g. the rating summary.
+ */
+const sendReviewList = async (req, res, filter, extra = {}) => {
+  const { sort = "newest", limit, cursor } = req.query;
+
+  const sortOption = REVIEW_SORT_OPTIONS[sort];
+  if (!sortOption) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid sort. Allowed: ${Object.keys(REVIEW_SORT_OPTIONS).join(", ")}`,
+    });
+  }
+
+  const query = { ...filter };
+  if (cursor) {
+    const decodedCursor = decodeCursor(cursor);
+    if (!decodedCursor) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid cursor",
+      });
+    }
+    Object.assign(
+      query,
+      buildCursorMatch(sortOption.field, sortOption.order, decodedCursor)
+    );
+  }
+
+  const pageSize = parsePageSize(limit);
+  const results = await Review.find(query)
+    .select("-booking -moderation -openReports -lastReportedAt -__v")
+    .populate("customer", PUBLIC_REVIEWER_FIELDS)
+    .populate("package", "packageTitle")
+    .sort({ [sortOption.field]: sortOption.order, _id: sortOption.order })
+    .limit(pageSize + 1);
+
+  const hasMore = results.length > pageSize;
+  const reviews = hasMore ? results.slice(0, pageSize) : results;
+  const last = reviews[reviews.length - 1];
+
+  res.status(200).json({
+    success: true,
+    message: "Reviews fetched successfully",
+    ...extra,
+    reviews,
+    pagination: {
+      limit: pageSize,
+      hasMore,
+      nextCursor:
+        hasMore && last ? encodeCursor(last[sortOption.field], last._id) : null,
+    },
+  });
+};
+
+/**
+ * Create Review
+ * POST /api/review/user/create-review/:bookingId
+ * Private access (User only)
+ *
+ * Body (multipart): rating, subRatings ({value, guide, accommodation} as
+ * JSON), comment, and up to 6 `reviewPhotos` images.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.createReview = async (req, res) => {
+  let uploadedFiles = [];
+
+  try {
+    const { bookingId } = req.params;
+
+    if (req.user.role !== "USER") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only users can review trips.",
+      });
+    }
+
+    if (!bookingId || !bookingId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Booking ID",
+      });
+    }
+
+    const fields = buildReviewFields(req.body);
+
+    const photoFiles = req.files?.reviewPhotos || [];
+    if (photoFiles.length > MAX_REVIEW_PHOTOS) {
+      return res.status(400).json({
+        success: false,
+        message: `A review can have at most ${MAX_REVIEW_PHOTOS} photos`,
+      });
+    }
+    if (photoFiles.some((file) => !file.mimetype.startsWith("image/"))) {
+      return res.status(400).json({
+        success: false,
+        message: "Review photos must be JPG, PNG or WEBP images",
+      });
+    }
+
+    const booking = await getReviewableBooking(bookingId, req.user.id);
+
+    const photos = [];
+    for (const file of photoFiles) {
+      const uploadResult = await uploadToCloudinary(file, "reviewPhotos");
+      photos.push(uploadResult);
+      uploadedFiles.push(uploadResult.url);
+    }
+
+    const review = await createReview({
+      booking,
+      customerId: req.user.id,
+      fields,
+      photos,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Review posted successfully",
+      review,
+    });
+  } catch (error) {
+    for (const url of uploadedFiles) {
+      try {
+        await deleteFromCloudinary(url);
+      } catch (_) {}
+    }
+
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+
+    console.error("Create Review Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get My Reviews
+ * GET /api/review/user/get-my-reviews
+ * Private access (User only)
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getMyReviews = async (req, res) => {
+  try {
+    if (req.user.role !== "USER") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only users can view their reviews.",
+      });
+    }
+
+    await sendReviewList(req, res, { customer: req.user.id });
+  } catch (error) {
+    console.error("Fetch My Reviews Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Reply To Review
+ * PATCH /api/review/agency/reply-to-review/:reviewId
+ * Private access (Agency only)
+ *
+ * Body: reply. An agency can reply once to each review of its packages.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.replyToReview = async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+
+    if (req.user.role !== "AGENCY") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only agencies can reply to reviews.",
+      });
+    }
+
+    if (!reviewId || !reviewId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Review ID",
+      });
+    }
+
+    const review = await replyToReview({
+      reviewId,
+      agencyId: req.user.id,
+      text: req.body?.reply,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Reply posted successfully",
+      review,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+
+    console.error("Reply To Review Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Report Review
+ * POST /api/review/report-review/:reviewId
+ * Private access (User or Agency)
+ *
+ * Body: reason (FAKE | ABUSIVE | SPAM | OFF_TOPIC | PERSONAL_INFO | OTHER),
+ * details. Reported reviews go to the super admin moderation queue.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.reportReview = async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+
+    if (!["USER", "AGENCY"].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only users and agencies can report reviews.",
+      });
+    }
+
+    if (!reviewId || !reviewId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Review ID",
+      });
+    }
+
+    const report = await reportReview({
+      reviewId,
+      reporterId: req.user.id,
+      role: req.user.role,
+      reason: req.body?.reason,
+      details: req.body?.details,
+    });
+
+    await notifySuperAdmins({
+      type: "REVIEW_REPORTED",
+      title: "Review reported",
+      message: `A review was reported as ${report.reason.toLowerCase().replace("_", " ")}.`,
+      data: { reviewId: report.review, reportId: report._id },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Review reported successfully. Our team will look into it.",
+      report: {
+        id: report._id,
+        reason: report.reason,
+        status: report.status,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+
+    console.error("Report Review Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get Package Reviews
+ * GET /api/review/get-package-reviews/:packageId
+ * Public access
+ *
+ * Reviews of an activated package, with its rating summary.
+ * Query params: sort (newest | oldest | highest | lowest), limit, cursor.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getPackageReviews = async (req, res) => {
+  try {
+    const { packageId } = req.params;
+
+    if (!packageId || !packageId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Package ID",
+      });
+    }
+
+    const package = await Package.findOne({
+      _id: packageId,
+      status: "ACTIVATED",
+    }).select(RATING_SUMMARY_FIELDS);
+
+    if (!package) {
+      return res.status(404).json({
+        success: false,
+        message: "Package not found",
+      });
+    }
+
+    await sendReviewList(
+      req,
+      res,
+      { package: package._id, status: "PUBLISHED" },
+      { summary: package }
+    );
+  } catch (error) {
+    console.error("Fetch Package Reviews Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get Agency Reviews
+ * GET /api/review/get-agency-reviews/:agencyId
+ * Public access
+ *
+ * Reviews across all packages of an activated agency, with its rating summary.
+ * Query params: sort (newest | oldest | highest | lowest), limit, cursor.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getAgencyReviews = async (req, res) => {
+  try {
+    const { agencyId } = req.params;
+
+    if (!agencyId || !agencyId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Agency ID",
+      });
+    }
+
+    const agency = await Agency.findOne({
+      _id: agencyId,
+      status: "ACTIVATED",
+    }).select(`agencyName ${RATING_SUMMARY_FIELDS}`);
+
+    if (!agency) {
+      return res.status(404).json({
+        success: false,
+        message: "Agency not found",
+      });
+    }
+
+    await sendReviewList(
+      req,
+      res,
+      { agency: agency._id, status: "PUBLISHED" },
+      { summary: agency }
+    );
+  } catch (error) {
+    console.error("Fetch Agency Reviews Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
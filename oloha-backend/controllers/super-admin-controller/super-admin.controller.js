@@ -6,6 +6,11 @@
  * - Login system with AES-256-GCM encrypted JWTs, session tracking, and account lockout on repeated failed attempts.
  * - Retrieval of Super Admin details by ID.
  * - Logout functionality with session invalidation.
+ * - Package moderation (review queue, approval and rejection with reason).
+ * - Review moderation (reported review queue; hide, restore, delete or dismiss
+ *   reports, with an audit trail of every decision).
+ * - In-app notifications to agencies about status, verification and package
+ *   decisions, alongside the emails.
  *
  * @module controllers/superAdminController
  */
@@ -15,6 +20,9 @@ const SuperAdmin = require("../../models/super-admin-model/super-admin.model");
 const Agency = require("../../models/travel-agency-model/travel-agency.model");
 const User = require("../../models/user-model/user.model");
 const Package = require("../../models/package-model/Package.model");
+const Review = require("../../models/review-model/Review.model");
+const ReviewReport = require("../../models/review-report-model/ReviewReport.model");
+const ReviewModerationLog = require("../../models/review-moderation-log-model/ReviewModerationLog.model");
 const {
   uploadToCloudinary,
   deleteFromCloudinary,
@@ -29,9 +37,29 @@ const {
 const {
   generateEncryptedToken,
 } = require("../../middlewares/auth-middleware/auth.middleware");
+const {
+  snapshotPackage,
+  recordRevision,
+} = require("../../services/package-revision-service/package-revision.service");
+const {
+  runInTransaction,
+} = require("../../services/slot-reservation-service/slot-reservation.service");
+const {
+  moderateReview,
+} = require("../../services/review-moderation-service/review-moderation.service");
+const {
+  notify,
+} = require("../../services/notification-service/notification.service");
+const {
+  parsePageSize,
+  encodeCursor,
+  decodeCursor,
+  buildCursorMatch,
+} = require("../../helpers/pagination-helper/pagination.helper");
 const {
   sendAgencyStatusUpdateEmail,
   sendAgencyVerificationUpdateEmail,
+  sendPackageModerationEmail,
 } = require("../../helpers/email-helper/email.helper");
 
 /**
@@ -374,6 +402,20 @@ exports.updateAgencyStatus = async (req, res) => {
       // Don't fail the request if email fails
     }
 
+    await notify({
+      recipientId: agency._id,
+      role: "AGENCY",
+      type: "AGENCY_STATUS_UPDATED",
+      title: `Your agency has been ${agency.status.toLowerCase()}`,
+      message:
+        agency.status === "ACTIVATED"
+          ? "Your agency is active again and your packages are visible to travellers."
+          : `Your agency has been ${agency.status.toLowerCase()}${
+              suspensionEnd ? ` until ${suspensionEnd.toUTCString()}` : ""
+            }.${reason ? ` Reason: ${reason}` : ""}`,
+      data: { status: agency.status, suspensionEnd },
+    });
+
     res.status(200).json({
       success: true,
       message: `Agency ${action.toLowerCase()}ed successfully`,
@@ -429,6 +471,19 @@ exports.updateAgencyVerification = async (req, res) => {
       // Don't fail the request if email fails
     }
 
+    await notify({
+      recipientId: agency._id,
+      role: "AGENCY",
+      type: "AGENCY_VERIFICATION_UPDATED",
+      title: agency.isVerified
+        ? "Your agency is verified"
+        : "Your agency verification was removed",
+      message: agency.isVerified
+        ? "Your agency now shows the verified badge to travellers."
+        : "Your agency no longer shows the verified badge. Contact support for details.",
+      data: { isVerified: agency.isVerified },
+    });
+
     res.status(200).json({
       success: true,
       message: `Agency ${isVerified ? "verified" : "unverified"} successfully`,
@@ -499,6 +554,501 @@ exports.getAllPackages = async (req, res) => {
   }
 };
 
+/**
+ * Get packages awaiting review, oldest submission first
+ * GET /api/super-admin/action/get-pending-packages
+ * Private access (Super Admin only)
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.getPendingPackages = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Super admin only.",
+      });
+    }
+
+    const packages = await Package.find({ status: "PENDING" })
+      .select("-bookings -__v")
+      .populate("agency", "agencyName email status isVerified")
+      .sort({ "moderation.submittedAt": 1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Pending packages fetched successfully!",
+      pendingPackages: packages,
+    });
+  } catch (error) {
+    console.error("Error fetching pending packages:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server Error", error: error.message });
+  }
+};
+
+/**
+ * Records a review decision on a package that is still pending.
+ * The status condition keeps a decision from overwriting an edit that
+ * re-submitted the package in the meantime.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {"APPROVED"|"REJECTED"} decision - Review decision
+ * @param {string|null} reason - Rejection reason
+ * @returns {Promise<void>}
+ */
+const moderatePackage = async (req, res, decision, reason) => {
+  const { packageId } = req.params;
+
+  if (!packageId || !packageId.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid Package ID",
+    });
+  }
+
+  const package = await runInTransaction(async (session) => {
+    const updated = await Package.findOneAndUpdate(
+      { _id: packageId, status: "PENDING" },
+      {
+        $set: {
+          status: decision === "APPROVED" ? "ACTIVATED" : "REJECTED",
+          "moderation.decision": decision,
+          "moderation.reviewedBy": req.user.id,
+          "moderation.reviewedAt": new Date(),
+          "moderation.rejectionReason": reason,
+        },
+      },
+      { new: true, session }
+    );
+
+    if (updated) {
+      await recordRevision(
+        updated,
+        {
+          actor: req.user,
+          action: "STATUS",
+          before: { ...snapshotPackage(updated), status: "PENDING" },
+        },
+        session
+      );
+    }
+
+    return updated;
+  });
+
+  if (!package) {
+    const exists = await Package.exists({ _id: packageId });
+    return res.status(exists ? 409 : 404).json({
+      success: false,
+      message: exists
+        ? "Only packages pending review can be approved or rejected"
+        : "Package not found",
+    });
+  }
+
+  await package.populate("agency", "agencyName email");
+
+  // Send email notification to agency
+  if (package.agency) {
+    try {
+      await sendPackageModerationEmail(
+        package.agency.email,
+        package.agency.agencyName,
+        package.packageTitle,
+        decision,
+        reason
+      );
+    } catch (emailError) {
+      console.error("Failed to send package moderation email:", emailError);
+      // Don't fail the request if email fails
+    }
+
+    await notify({
+      recipientId: package.agency._id,
+      role: "AGENCY",
+      type: "PACKAGE_MODERATED",
+      title: decision === "APPROVED" ? "Package approved" : "Package rejected",
+      message:
+        decision === "APPROVED"
+          ? `"${package.packageTitle}" is approved and now live.`
+          : `"${package.packageTitle}" was rejected.${reason ? ` Reason: ${reason}` : ""}`,
+      data: { packageId: package._id, decision },
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Package ${decision === "APPROVED" ? "approved" : "rejected"} successfully`,
+    data: {
+      packageId: package._id,
+      status: package.status,
+      moderation: package.moderation,
+    },
+  });
+};
+
+/**
+ * Approve a pending package, making it live
+ * PUT /api/super-admin/action/approve-package/:packageId
+ * Private access (Super Admin only)
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.approvePackage = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Super admin only.",
+      });
+    }
+
+    await moderatePackage(req, res, "APPROVED", null);
+  } catch (error) {
+    console.error("Error approving package:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server Error", error: error.message });
+  }
+};
+
+/**
+ * Reject a pending package with a reason
+ * PUT /api/super-admin/action/reject-package/:packageId
+ * Private access (Super Admin only)
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.rejectPackage = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Super admin only.",
+      });
+    }
+
+    const reason =
+      typeof req.body.reason === "string" ? req.body.reason.trim() : "";
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: "A rejection reason is required",
+      });
+    }
+
+    await moderatePackage(req, res, "REJECTED", reason);
+  } catch (error) {
+    console.error("Error rejecting package:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server Error", error: error.message });
+  }
+};
+
+/**
+ * Get the review moderation queue
+ * GET /api/super-admin/action/get-reported-reviews
+ * Private access (Super Admin only)
+ *
+ * Reviews with open reports, most reported first, then oldest report first,
+ * each with its open reports. `?status=HIDDEN` (or `DELETED`) lists those
+ * reviews instead.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.getReportedReviews = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Super admin only.",
+      });
+    }
+
+    const { status } = req.query;
+    if (status && !Review.schema.path("status").enumValues.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid review status",
+      });
+    }
+
+    const reviews = await Review.find(
+      status ? { status } : { openReports: { $gt: 0 } }
+    )
+      .select("-__v")
+      .populate("customer", "userName email")
+      .populate("package", "packageTitle")
+      .populate("agency", "agencyName email")
+      .sort(status ? { updatedAt: -1 } : { openReports: -1, lastReportedAt: 1 })
+      .lean();
+
+    const reports = await ReviewReport.find({
+      review: { $in: reviews.map((review) => review._id) },
+      status: "OPEN",
+    })
+      .select("review reporter reporterModel reason details createdAt")
+      .populate("reporter", "userName agencyName email")
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const reportsByReview = {};
+    reports.forEach((report) => {
+      const key = report.review.toString();
+      (reportsByReview[key] = reportsByReview[key] || []).push(report);
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Reported reviews fetched successfully!",
+      reviews: reviews.map((review) => ({
+        ...review,
+        reports: reportsByReview[review._id.toString()] || [],
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching reported reviews:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server Error", error: error.message });
+  }
+};
+
+/**
+ * Shared handler for the review moderation actions.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {"HIDE"|"RESTORE"|"DELETE"|"DISMISS_REPORTS"} action - Moderation action
+ * @param {string} message - Success message
+ * @returns {Promise<void>}
+ */
+const handleReviewModeration = async (req, res, action, message) => {
+  try {
+    const { reviewId } = req.params;
+
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Super admin only.",
+      });
+    }
+
+    if (!reviewId || !reviewId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Review ID",
+      });
+    }
+
+    const reason =
+      typeof req.body?.reason === "string" && req.body.reason.trim()
+        ? req.body.reason.trim()
+        : null;
+
+    const { review, log } = await moderateReview({
+      reviewId,
+      action,
+      moderatorId: req.user.id,
+      reason,
+    });
+
+    res.status(200).json({
+      success: true,
+      message,
+      data: {
+        reviewId: log.review,
+        status: log.newStatus,
+        reportsResolved: log.reportsResolved,
+        moderation: review.moderation,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+
+    console.error(`Error moderating review (${action}):`, error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server Error", error: error.message });
+  }
+};
+
+/**
+ * Hide a review from listings and ratings
+ * PUT /api/super-admin/action/hide-review/:reviewId
+ * Private access (Super Admin only)
+ *
+ * Body: reason (required). Open reports are upheld.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.hideReview = (req, res) =>
+  handleReviewModeration(req, res, "HIDE", "Review hidden successfully");
+
+/**
+ * Restore a hidden review
+ * PUT /api/super-admin/action/restore-review/:reviewId
+ * Private access (Super Admin only)
+ *
+ * Body: reason (optional).
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.restoreReview = (req, res) =>
+  handleReviewModeration(req, res, "RESTORE", "Review restored successfully");
+
+/**
+ * Delete a review
+ * DELETE /api/super-admin/action/delete-review/:reviewId
+ * Private access (Super Admin only)
+ *
+ * Body: reason (required). The review is marked DELETED and no longer listed
+ * or counted, but kept for the record. Open reports are upheld; the audit
+ * trail keeps a snapshot of the review.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.deleteReview = (req, res) =>
+  handleReviewModeration(req, res, "DELETE", "Review deleted successfully");
+
+/**
+ * Dismiss a review's open reports, leaving it as it is
+ * PUT /api/super-admin/action/dismiss-review-reports/:reviewId
+ * Private access (Super Admin only)
+ *
+ * Body: reason (optional).
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.dismissReviewReports = (req, res) =>
+  handleReviewModeration(
+    req,
+    res,
+    "DISMISS_REPORTS",
+    "Review reports dismissed successfully"
+  );
+
+/**
+ * Get the review moderation audit trail, newest first
+ * GET /api/super-admin/action/get-review-moderation-logs
+ * Private access (Super Admin only)
+ *
+ * Query params: reviewId, action, limit, cursor.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.getReviewModerationLogs = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Super admin only.",
+      });
+    }
+
+    const { reviewId, action, limit, cursor } = req.query;
+    const filter = {};
+
+    if (reviewId) {
+      if (!String(reviewId).match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid Review ID",
+        });
+      }
+      filter.review = reviewId;
+    }
+
+    if (action) {
+      if (
+        !ReviewModerationLog.schema.path("action").enumValues.includes(action)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid moderation action",
+        });
+      }
+      filter.action = action;
+    }
+
+    if (cursor) {
+      const decodedCursor = decodeCursor(cursor);
+      if (!decodedCursor) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor",
+        });
+      }
+      Object.assign(filter, buildCursorMatch("createdAt", -1, decodedCursor));
+    }
+
+    const pageSize = parsePageSize(limit);
+    const results = await ReviewModerationLog.find(filter)
+      .populate("moderator", "userName email")
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(pageSize + 1);
+
+    const hasMore = results.length > pageSize;
+    const logs = hasMore ? results.slice(0, pageSize) : results;
+    const last = logs[logs.length - 1];
+
+    res.status(200).json({
+      success: true,
+      message: "Review moderation logs fetched successfully!",
+      logs,
+      pagination: {
+        limit: pageSize,
+        hasMore,
+        nextCursor:
+          hasMore && last ? encodeCursor(last.createdAt, last._id) : null,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching review moderation logs:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server Error", error: error.message });
+  }
+};
+
 /**
  * Get all users
  * GET /api/super-admin/action/get-all-users
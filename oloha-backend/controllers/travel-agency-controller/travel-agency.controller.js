@@ -28,6 +28,16 @@ const {
 const {
   generateEncryptedToken,
 } = require("../../middlewares/auth-middleware/auth.middleware");
+const {
+  syncAgencyName,
+} = require("../../services/search-index-service/search-index.service");
+const {
+  snapshotPackage,
+  recordRevision,
+} = require("../../services/package-revision-service/package-revision.service");
+const {
+  runInTransaction,
+} = require("../../services/slot-reservation-service/slot-reservation.service");
 const {
   sendAgencyDeletionConfirmationEmail,
 } = require("../../helpers/email-helper/email.helper");
@@ -409,8 +419,15 @@ exports.updateAgencyById = async (req, res) => {
       }
     }
 
+    const agencyNameChanged = agency.isModified("agencyName");
+
     await agency.save();
 
+    // Packages carry a copy of the agency name for search
+    if (agencyNameChanged) {
+      await syncAgencyName(agency._id, agency.agencyName);
+    }
+
     return res.status(200).json({
       success: true,
       message: "Agency updated successfully.",
@@ -556,9 +573,9 @@ exports.logoutAgency = async (req, res) => {
 // ==========================================================
 
 /**
- * Update Package Status (
+ * Update Package Status (activate / deactivate an approved package)
  * PUT /api/agency/action/update-package-status/:packageId
- * Private access
+ * Private access (owning Agency only)
  *
  * @async
  * @param {import('express').Request} req - Express request object
@@ -577,6 +594,12 @@ exports.updatePackageStatus = async (req, res) => {
         .json({ success: false, message: "Invalid action" });
     }
 
+    if (!packageId || !packageId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid Package ID" });
+    }
+
     // Find package
     const package = await Package.findById(packageId);
     if (!package) {
@@ -585,13 +608,41 @@ exports.updatePackageStatus = async (req, res) => {
         .json({ success: false, message: "Package not found" });
     }
 
+    if (
+      req.user.role !== "AGENCY" ||
+      package.agency.toString() !== req.user.id
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. You can only update your own packages.",
+      });
+    }
+
+    // Pending and rejected packages are controlled by super admin review
+    if (!["ACTIVATED", "INACTIVATED"].includes(package.status)) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Package must be approved before it can be activated or deactivated",
+      });
+    }
+
+    const snapshotBefore = snapshotPackage(package);
+
     if (action === "ACTIVE") {
       package.status = "ACTIVATED";
     } else if (action === "INACTIVE") {
       package.status = "INACTIVATED";
     }
 
-    await package.save();
+    await runInTransaction(async (session) => {
+      await package.save({ session });
+      await recordRevision(
+        package,
+        { actor: req.user, action: "STATUS", before: snapshotBefore },
+        session
+      );
+    });
 
     res.status(200).json({
       success: true,
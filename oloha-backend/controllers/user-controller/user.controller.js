@@ -14,6 +14,7 @@ const bcrypt = require("bcrypt");
 const axios = require("axios");
 const User = require("../../models/user-model/user.model");
 const Booking = require("../../models/booking-model/Booking.model");
+const Package = require("../../models/package-model/Package.model");
 const {
   uploadToCloudinary,
   deleteFromCloudinary,
@@ -31,6 +32,9 @@ const {
 const {
   sendUserDeletionConfirmationEmail,
 } = require("../../helpers/email-helper/email.helper");
+const {
+  releaseSlots,
+} = require("../../services/slot-reservation-service/slot-reservation.service");
 
 /**
  * Register a new User
@@ -435,9 +439,14 @@ exports.deleteUserById = async (req, res) => {
 
     if (user.bookings?.length > 0) {
       for (const booking of user.bookings) {
-        if (booking.package) {
+        // Cancelled bookings already gave their slots back
+        if (booking.package && booking.bookingStatus !== "CANCELLED") {
+          await releaseSlots({
+            packageId: booking.package,
+            departureId: booking.departure,
+            persons: booking.numberOfPersons,
+          });
           await Package.findByIdAndUpdate(booking.package, {
-            $inc: { availableSlots: booking.numberOfTravelers || 1 },
             $pull: { bookings: booking._id },
           });
         }
@@ -0,0 +1,419 @@
+/**
+ * @file Wallet Controller
+ * @description Controller module for agency earnings and payouts.
+ * Supports:
+ * - Wallet balances per currency, split into on hold and available
+ * - A statement of the agency's ledger transactions
+ * - Payout requests to a bank account, above a minimum amount
+ * - Payout review by super admins: approve, reject or mark as paid
+ *
+ * Balances are never stored; they are worked out from the double-entry
+ * earnings ledger (see the ledger service).
+ *
+ * @module controllers/walletController
+ */
+
+const LedgerTransaction = require("../../models/ledger-transaction-model/LedgerTransaction.model");
+const Payout = require("../../models/payout-model/Payout.model");
+const {
+  getHoldDays,
+  getWalletBalances,
+} = require("../../services/ledger-service/ledger.service");
+const {
+  getMinPayoutAmount,
+  buildBankDetails,
+  requestPayout,
+  reviewPayout,
+} = require("../../services/payout-service/payout.service");
+const {
+  parsePageSize,
+  encodeCursor,
+  decodeCursor,
+  buildCursorMatch,
+} = require("../../helpers/pagination-helper/pagination.helper");
+const {
+  notify,
+  notifySuperAdmins,
+} = require("../../services/notification-service/notification.service");
+const {
+  sendPayoutStatusEmail,
+} = require("../../helpers/email-helper/email.helper");
+
+/**
+ * Notifies and emails the agency about a reviewed payout.
+ * Failures are logged and never fail the request.
+ *
+ * @async
+ * @param {Object} payout - Reviewed payout, with the agency populated
+ * @returns {Promise<void>}
+ */
+const notifyPayoutReviewed = async (payout) => {
+  if (payout.agency) {
+    await notify({
+      recipientId: payout.agency._id,
+      role: "AGENCY",
+      type: "PAYOUT_UPDATED",
+      title: `Payout ${payout.status.toLowerCase()}`,
+      message: `Your payout of ${payout.currency} ${payout.amount} has been ${payout.status.toLowerCase()}.${
+        payout.review?.reason ? ` Reason: ${payout.review.reason}` : ""
+      }`,
+      data: { payoutId: payout._id, status: payout.status },
+    });
+  }
+
+  try {
+    if (!payout.agency?.email) return;
+
+    await sendPayoutStatusEmail(payout.agency.email, payout.agency.agencyName, {
+      payoutId: payout._id.toString(),
+      amount: payout.amount,
+      currency: payout.currency,
+      status: payout.status,
+      reason: payout.review?.reason,
+      paymentReference: payout.paymentReference,
+    });
+  } catch (emailError) {
+    console.error("Failed to send payout status email:", emailError);
+  }
+};
+
+/**
+ * Shared handler for the super admin review endpoints.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string} status - APPROVED, REJECTED or PAID
+ * @param {string} message - Success message
+ */
+const handlePayoutReview = async (req, res, status, message) => {
+  try {
+    const { payoutId } = req.params;
+
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only super admins can review payouts.",
+      });
+    }
+
+    if (!payoutId || !payoutId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Payout ID",
+      });
+    }
+
+    const payout = await reviewPayout(payoutId, {
+      status,
+      adminId: req.user.id,
+      reason: req.body?.reason ? String(req.body.reason).trim() : null,
+      paymentReference: req.body?.paymentReference
+        ? String(req.body.paymentReference).trim()
+        : null,
+    });
+
+    await notifyPayoutReviewed(payout);
+
+    res.status(200).json({
+      success: true,
+      message,
+      payout,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+
+    console.error("Review Payout Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get Wallet Balance
+ * GET /api/wallet/agency/get-wallet-balance
+ * Private access (Agency only)
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getWalletBalance = async (req, res) => {
+  try {
+    if (req.user.role !== "AGENCY") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only agencies can view their wallet.",
+      });
+    }
+
+    const balances = await getWalletBalances(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Wallet balance fetched successfully",
+      balances,
+      minPayoutAmount: getMinPayoutAmount(),
+      holdDays: getHoldDays(),
+    });
+  } catch (error) {
+    console.error("Fetch Wallet Balance Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get Ledger Transactions
+ * GET /api/wallet/agency/get-ledger-transactions
+ * Private access (Agency only)
+ *
+ * Query: type, cursor, limit. Newest first.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getLedgerTransactions = async (req, res) => {
+  try {
+    if (req.user.role !== "AGENCY") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only agencies can view their statement.",
+      });
+    }
+
+    const { type, cursor, limit } = req.query;
+    const filter = { agency: req.user.id };
+
+    if (type) filter.type = String(type).toUpperCase();
+
+    if (cursor) {
+      const decodedCursor = decodeCursor(cursor);
+      if (!decodedCursor) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor",
+        });
+      }
+      Object.assign(filter, buildCursorMatch("createdAt", -1, decodedCursor));
+    }
+
+    const pageSize = parsePageSize(limit);
+    const results = await LedgerTransaction.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(pageSize + 1);
+
+    const hasMore = results.length > pageSize;
+    const ledgerTransactions = hasMore ? results.slice(0, pageSize) : results;
+    const last = ledgerTransactions[ledgerTransactions.length - 1];
+
+    res.status(200).json({
+      success: true,
+      message: "Ledger transactions fetched successfully",
+      ledgerTransactions,
+      pagination: {
+        limit: pageSize,
+        hasMore,
+        nextCursor:
+          hasMore && last ? encodeCursor(last.createdAt, last._id) : null,
+      },
+    });
+  } catch (error) {
+    console.error("Fetch Ledger Transactions Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Request Payout
+ * POST /api/wallet/agency/request-payout
+ * Private access (Agency only)
+ *
+ * Body: amount, currency (default PKR), bankDetails {accountTitle, bankName, iban}.
+ * Only earnings past the hold period can be paid out, and an agency can have
+ * one payout in progress at a time.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.requestPayout = async (req, res) => {
+  try {
+    if (req.user.role !== "AGENCY") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only agencies can request payouts.",
+      });
+    }
+
+    const { amount, currency } = req.body || {};
+
+    const payout = await requestPayout({
+      agencyId: req.user.id,
+      amount: Number(amount),
+      currency: currency ? String(currency).toUpperCase() : undefined,
+      bankDetails: buildBankDetails(req.body?.bankDetails),
+    });
+
+    await notifySuperAdmins({
+      type: "PAYOUT_REQUESTED",
+      title: "New payout request",
+      message: `An agency has requested a payout of ${payout.currency} ${payout.amount}.`,
+      data: { payoutId: payout._id, agencyId: payout.agency },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Payout requested successfully",
+      payout,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+
+    console.error("Request Payout Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get My Payouts
+ * GET /api/wallet/agency/get-my-payouts
+ * Private access (Agency only)
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getMyPayouts = async (req, res) => {
+  try {
+    if (req.user.role !== "AGENCY") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only agencies can view their payouts.",
+      });
+    }
+
+    const payouts = await Payout.find({ agency: req.user.id }).sort({
+      createdAt: -1,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Payouts fetched successfully",
+      payouts,
+    });
+  } catch (error) {
+    console.error("Fetch Agency Payouts Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get Payouts
+ * GET /api/wallet/super-admin/get-payouts
+ * Private access (Super Admin only)
+ *
+ * Query: status (optional).
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.getPayouts = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Only super admins can view payouts.",
+      });
+    }
+
+    const filter = {};
+    if (req.query.status)
+      filter.status = String(req.query.status).toUpperCase();
+
+    const payouts = await Payout.find(filter)
+      .populate("agency", "agencyName email")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Payouts fetched successfully",
+      payouts,
+    });
+  } catch (error) {
+    console.error("Fetch Payouts Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Approve Payout
+ * PATCH /api/wallet/super-admin/approve-payout/:payoutId
+ * Private access (Super Admin only)
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.approvePayout = (req, res) =>
+  handlePayoutReview(req, res, "APPROVED", "Payout approved successfully");
+
+/**
+ * Reject Payout
+ * PATCH /api/wallet/super-admin/reject-payout/:payoutId
+ * Private access (Super Admin only)
+ *
+ * Body: reason. The amount returns to the agency's wallet.
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.rejectPayout = (req, res) =>
+  handlePayoutReview(req, res, "REJECTED", "Payout rejected successfully");
+
+/**
+ * Mark Payout as Paid
+ * PATCH /api/wallet/super-admin/mark-payout-paid/:payoutId
+ * Private access (Super Admin only)
+ *
+ * Body: paymentReference (the bank transfer reference).
+ *
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+exports.markPayoutPaid = (req, res) =>
+  handlePayoutReview(req, res, "PAID", "Payout marked as paid successfully");
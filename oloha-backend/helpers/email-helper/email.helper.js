@@ -41,9 +41,10 @@ const transporter = nodemailer.createTransport({
  * @param {string} options.to - Recipient email
  * @param {string} options.subject - Email subject
  * @param {string} options.html - HTML content of email
+ * @param {Array<{filename: string, content: Buffer, contentType?: string}>} [options.attachments] - Files to attach
  * @returns {Promise<boolean>} True if sent successfully
  */
-const sendEmail = async ({ to, subject, html }) => {
+const sendEmail = async ({ to, subject, html, attachments = [] }) => {
   try {
     const info = await transporter.sendMail({
       from: "OLOHA",
@@ -51,6 +52,7 @@ const sendEmail = async ({ to, subject, html }) => {
       subject,
       html,
       text: html.replace(/<[^>]+>/g, " ").substring(0, 200) + "...",
+      attachments,
     });
 
     console.log(
@@ -488,6 +490,79 @@ const sendAgencyVerificationUpdateEmail = async (
   });
 };
 
+/**
+ * Send Package Moderation Decision Email
+ * @async
+ * @param {string} toEmail - Agency's email
+ * @param {string} agencyName - Name of the agency
+ * @param {string} packageTitle - Title of the reviewed package
+ * @param {string} decision - Review decision (APPROVED, REJECTED)
+ * @param {string} reason - Reason for rejection (optional)
+ * @returns {Promise<boolean>} True if email sent successfully
+ */
+const sendPackageModerationEmail = async (
+  toEmail,
+  agencyName,
+  packageTitle,
+  decision,
+  reason = null
+) => {
+  const isApproved = decision === "APPROVED";
+  const statusTitle = isApproved ? "Package Approved" : "Package Not Approved";
+  const statusMessage = isApproved
+    ? `Your package <strong>${packageTitle}</strong> has been reviewed and is now live on OLOHA.`
+    : `Your package <strong>${packageTitle}</strong> has been reviewed and could not be approved yet.`;
+  const instructions = isApproved
+    ? "Travelers can now find and book this package. You can deactivate and reactivate it at any time from your dashboard."
+    : "Please update the package to address the points above. Saving your changes will send it back for review automatically.";
+
+  const content = `
+    <div style="text-align:left;max-width:520px;margin:0 auto;">
+      <h2 style="color:#000000;font-size:28px;margin-bottom:20px;font-weight:800;letter-spacing:-0.8px;line-height:1.2;">
+        ${statusTitle}
+      </h2>
+      
+      <p style="color:#444444;line-height:1.8;margin-bottom:20px;font-size:17px;">
+        Hello <strong>${agencyName}</strong>,
+      </p>
+      
+      <p style="color:#444444;line-height:1.8;margin-bottom:25px;font-size:17px;">
+        ${statusMessage}
+      </p>
+
+      <div style="background:#f8f9fa;padding:24px;border-radius:12px;margin:25px 0;border:2px solid ${
+        isApproved ? "#4CAF50" : "#f44336"
+      };">
+        <p style="margin:0;color:#444444;font-size:16px;line-height:1.7;font-weight:600;">
+          Review Decision: 
+          <span style="color:${isApproved ? "#4CAF50" : "#f44336"};">
+            ${decision}
+          </span>
+        </p>
+        ${
+          reason
+            ? `
+        <p style="margin:15px 0 0 0;color:#666666;font-size:15px;line-height:1.6;">
+          <strong>Reason:</strong> ${reason}
+        </p>
+        `
+            : ""
+        }
+      </div>
+
+      <p style="color:#444444;line-height:1.8;margin-bottom:30px;font-size:16px;">
+        ${instructions}
+      </p>
+    </div>
+  `;
+
+  return await sendEmail({
+    to: toEmail,
+    subject: `OLOHA • ${statusTitle}: ${packageTitle}`,
+    html: getEmailTemplate(content, `${statusTitle} - OLOHA`),
+  });
+};
+
 /**
  * Send User Account Deletion Confirmation Email
  * @async
@@ -538,6 +613,320 @@ const sendUserDeletionConfirmationEmail = async (toEmail, userName) => {
   });
 };
 
+/**
+ * Send Booking Confirmation Email
+ * @async
+ * @param {string} toEmail - Customer's email
+ * @param {string} userName - Customer's name
+ * @param {Object} details - Booking details
+ * @param {string} details.packageTitle - Title of the booked package
+ * @param {string} details.bookingId - Booking reference
+ * @param {string} details.agencyName - Agency running the trip
+ * @param {Date} details.departureDate - Departure date (optional)
+ * @param {number} details.totalPersons - Number of travellers
+ * @param {number} details.total - Booking total
+ * @param {string} details.currency - ISO currency code
+ * @param {Array<{filename: string, content: Buffer}>} [attachments] - Invoice and e-ticket PDFs
+ * @returns {Promise<boolean>} True if email sent successfully
+ */
+const sendBookingConfirmationEmail = async (
+  toEmail,
+  userName,
+  {
+    packageTitle,
+    bookingId,
+    agencyName,
+    departureDate = null,
+    totalPersons,
+    total,
+    currency = "PKR",
+  },
+  attachments = []
+) => {
+  const content = `
+    <div style="text-align:left;max-width:520px;margin:0 auto;">
+      <h2 style="color:#000000;font-size:28px;margin-bottom:20px;font-weight:800;letter-spacing:-0.8px;line-height:1.2;">
+        Booking Confirmed
+      </h2>
+      
+      <p style="color:#444444;line-height:1.8;margin-bottom:20px;font-size:17px;">
+        Hello <strong>${userName}</strong>,
+      </p>
+      
+      <p style="color:#444444;line-height:1.8;margin-bottom:25px;font-size:17px;">
+        <strong>${agencyName}</strong> has confirmed your booking for <strong>${packageTitle}</strong>.
+      </p>
+
+      <div style="background:#f8f9fa;padding:24px;border-radius:12px;margin:25px 0;border:2px solid #4CAF50;">
+        <p style="margin:0;color:#444444;font-size:16px;line-height:1.7;font-weight:600;">
+          Booking reference: <span style="color:#4CAF50;">${bookingId}</span>
+        </p>
+        <p style="margin:15px 0 0 0;color:#666666;font-size:15px;line-height:1.6;">
+          ${departureDate ? `<strong>Departure:</strong> ${new Date(departureDate).toDateString()}<br>` : ""}
+          <strong>Travellers:</strong> ${totalPersons}<br>
+          <strong>Total:</strong> ${currency} ${total.toLocaleString()}
+        </p>
+      </div>
+
+      <p style="color:#444444;line-height:1.8;margin-bottom:30px;font-size:16px;">
+        Your invoice and e-ticket are attached. Please keep the e-ticket with you: the agency will scan its QR code at departure.
+      </p>
+    </div>
+  `;
+
+  return await sendEmail({
+    to: toEmail,
+    subject: `OLOHA • Booking Confirmed: ${packageTitle}`,
+    html: getEmailTemplate(content, "Booking Confirmed - OLOHA"),
+    attachments,
+  });
+};
+
+/**
+ * Send Booking Cancellation Email
+ * @async
+ * @param {string} toEmail - Recipient's email
+ * @param {string} recipientName - Customer or agency name
+ * @param {Object} details - Cancellation details
+ * @param {string} details.packageTitle - Title of the booked package
+ * @param {string} details.bookingId - Booking reference
+ * @param {string} details.cancelledBy - Who cancelled (USER, AGENCY, SUPERADMIN)
+ * @param {string} details.reason - Cancellation reason (optional)
+ * @param {number} details.refundAmount - Amount being refunded
+ * @param {number} details.refundPercent - Share of the payment refunded
+ * @param {string} details.currency - ISO currency code
+ * @param {string} audience - Who the email is for (CUSTOMER, AGENCY)
+ * @returns {Promise<boolean>} True if email sent successfully
+ */
+const sendBookingCancellationEmail = async (
+  toEmail,
+  recipientName,
+  {
+    packageTitle,
+    bookingId,
+    cancelledBy,
+    reason = null,
+    refundAmount = 0,
+    refundPercent = 0,
+    currency = "PKR",
+  },
+  audience
+) => {
+  const isCustomer = audience === "CUSTOMER";
+  const cancelledByLabel =
+    cancelledBy === "USER"
+      ? isCustomer
+        ? "you"
+        : "the traveler"
+      : cancelledBy === "AGENCY"
+        ? isCustomer
+          ? "the travel agency"
+          : "your agency"
+        : "the OLOHA team";
+  const refundMessage =
+    refundAmount > 0
+      ? isCustomer
+        ? `A refund of <strong>${currency} ${refundAmount.toLocaleString()}</strong> (${refundPercent}% of your payment) has been started and will reach your original payment method once the payment provider processes it.`
+        : `The traveler will be refunded <strong>${currency} ${refundAmount.toLocaleString()}</strong> (${refundPercent}% of their payment).`
+      : isCustomer
+        ? "No refund is due for this cancellation under the package's cancellation policy."
+        : "No refund is due for this cancellation.";
+
+  const content = `
+    <div style="text-align:left;max-width:520px;margin:0 auto;">
+      <h2 style="color:#000000;font-size:28px;margin-bottom:20px;font-weight:800;letter-spacing:-0.8px;line-height:1.2;">
+        Booking Cancelled
+      </h2>
+      
+      <p style="color:#444444;line-height:1.8;margin-bottom:20px;font-size:17px;">
+        Hello <strong>${recipientName}</strong>,
+      </p>
+      
+      <p style="color:#444444;line-height:1.8;margin-bottom:25px;font-size:17px;">
+        The booking for <strong>${packageTitle}</strong> has been cancelled by ${cancelledByLabel}.
+      </p>
+
+      <div style="background:#f8f9fa;padding:24px;border-radius:12px;margin:25px 0;border:2px solid #f44336;">
+        <p style="margin:0;color:#444444;font-size:16px;line-height:1.7;font-weight:600;">
+          Booking reference: <span style="color:#f44336;">${bookingId}</span>
+        </p>
+        ${
+          reason
+            ? `
+        <p style="margin:15px 0 0 0;color:#666666;font-size:15px;line-height:1.6;">
+          <strong>Reason:</strong> ${reason}
+        </p>
+        `
+            : ""
+        }
+      </div>
+
+      <p style="color:#444444;line-height:1.8;margin-bottom:30px;font-size:16px;">
+        ${refundMessage}
+      </p>
+    </div>
+  `;
+
+  return await sendEmail({
+    to: toEmail,
+    subject: `OLOHA • Booking Cancelled: ${packageTitle}`,
+    html: getEmailTemplate(content, "Booking Cancelled - OLOHA"),
+  });
+};
+
+/**
+ * Send Payment Reminder Email
+ * @async
+ * @param {string} toEmail - Customer's email
+ * @param {string} userName - Customer's name
+ * @param {Object} details - Installment details
+ * @param {string} details.packageTitle - Title of the booked package
+ * @param {string} details.bookingId - Booking reference
+ * @param {number} details.amount - Amount due
+ * @param {string} details.currency - ISO currency code
+ * @param {Date} details.dueDate - When the amount is due
+ * @param {boolean} details.isFinal - Whether this is the final balance payment
+ * @returns {Promise<boolean>} True if email sent successfully
+ */
+const sendPaymentReminderEmail = async (
+  toEmail,
+  userName,
+  { packageTitle, bookingId, amount, currency = "PKR", dueDate, isFinal }
+) => {
+  const dueDateLabel = new Date(dueDate).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+
+  const content = `
+    <div style="text-align:left;max-width:520px;margin:0 auto;">
+      <h2 style="color:#000000;font-size:28px;margin-bottom:20px;font-weight:800;letter-spacing:-0.8px;line-height:1.2;">
+        Payment Reminder
+      </h2>
+      
+      <p style="color:#444444;line-height:1.8;margin-bottom:20px;font-size:17px;">
+        Hello <strong>${userName}</strong>,
+      </p>
+      
+      <p style="color:#444444;line-height:1.8;margin-bottom:25px;font-size:17px;">
+        A payment for your booking of <strong>${packageTitle}</strong> is due soon.
+      </p>
+
+      <div style="background:#f8f9fa;padding:24px;border-radius:12px;margin:25px 0;border:2px solid #ff9800;">
+        <p style="margin:0;color:#444444;font-size:16px;line-height:1.7;font-weight:600;">
+          Amount due: <span style="color:#ff9800;">${currency} ${amount.toLocaleString()}</span>
+        </p>
+        <p style="margin:15px 0 0 0;color:#666666;font-size:15px;line-height:1.6;">
+          <strong>Due by:</strong> ${dueDateLabel}<br>
+          <strong>Booking reference:</strong> ${bookingId}
+        </p>
+      </div>
+
+      <p style="color:#444444;line-height:1.8;margin-bottom:30px;font-size:16px;">
+        ${
+          isFinal
+            ? "This is the final balance for your trip. If it is not paid shortly after the due date, the booking will be cancelled under the package's cancellation policy."
+            : "You can pay it from your bookings in the OLOHA app."
+        }
+      </p>
+    </div>
+  `;
+
+  return await sendEmail({
+    to: toEmail,
+    subject: `OLOHA • Payment Due: ${packageTitle}`,
+    html: getEmailTemplate(content, "Payment Reminder - OLOHA"),
+  });
+};
+
+/**
+ * Send Payout Status Email
+ * @async
+ * @param {string} toEmail - Agency's email
+ * @param {string} agencyName - Agency's name
+ * @param {Object} details - Payout details
+ * @param {string} details.payoutId - Payout ID
+ * @param {number} details.amount - Payout amount
+ * @param {string} details.currency - ISO currency code
+ * @param {string} details.status - New status (APPROVED, REJECTED, PAID)
+ * @param {string} details.reason - Rejection reason (optional)
+ * @param {string} details.paymentReference - Bank transfer reference (optional)
+ * @returns {Promise<boolean>} True if email sent successfully
+ */
+const sendPayoutStatusEmail = async (
+  toEmail,
+  agencyName,
+  {
+    payoutId,
+    amount,
+    currency = "PKR",
+    status,
+    reason = null,
+    paymentReference = null,
+  }
+) => {
+  const statusConfig = {
+    APPROVED: {
+      title: "Payout Approved",
+      color: "#2196F3",
+      message:
+        "Your payout request has been approved and the transfer to your bank account will be made shortly.",
+    },
+    REJECTED: {
+      title: "Payout Rejected",
+      color: "#f44336",
+      message:
+        "Your payout request has been rejected. The amount has been returned to your wallet balance.",
+    },
+    PAID: {
+      title: "Payout Sent",
+      color: "#4CAF50",
+      message:
+        "Your payout has been transferred to your bank account. It may take a few working days to appear.",
+    },
+  };
+
+  const config = statusConfig[status];
+
+  const content = `
+    <div style="text-align:left;max-width:520px;margin:0 auto;">
+      <h2 style="color:#000000;font-size:28px;margin-bottom:20px;font-weight:800;letter-spacing:-0.8px;line-height:1.2;">
+        ${config.title}
+      </h2>
+      
+      <p style="color:#444444;line-height:1.8;margin-bottom:20px;font-size:17px;">
+        Hello <strong>${agencyName}</strong>,
+      </p>
+      
+      <p style="color:#444444;line-height:1.8;margin-bottom:25px;font-size:17px;">
+        ${config.message}
+      </p>
+
+      <div style="background:#f8f9fa;padding:24px;border-radius:12px;margin:25px 0;border:2px solid ${config.color};">
+        <p style="margin:0;color:#444444;font-size:16px;line-height:1.7;font-weight:600;">
+          Amount: <span style="color:${config.color};">${currency} ${amount.toLocaleString()}</span>
+        </p>
+        <p style="margin:15px 0 0 0;color:#666666;font-size:15px;line-height:1.6;">
+          <strong>Payout ID:</strong> ${payoutId}
+          ${paymentReference ? `<br><strong>Transfer reference:</strong> ${paymentReference}` : ""}
+          ${reason ? `<br><strong>Reason:</strong> ${reason}` : ""}
+        </p>
+      </div>
+
+      <p style="color:#777777;font-size:14px;margin-top:30px;">
+        You can see every earning, commission and payout in your OLOHA wallet.
+      </p>
+    </div>
+  `;
+
+  return await sendEmail({
+    to: toEmail,
+    subject: `OLOHA • ${config.title}`,
+    html: getEmailTemplate(content, `${config.title} - OLOHA`),
+  });
+};
+
 module.exports = {
   sendEmail,
   getEmailTemplate,
@@ -545,5 +934,10 @@ module.exports = {
   sendAgencyDeletionConfirmationEmail,
   sendAgencyStatusUpdateEmail,
   sendAgencyVerificationUpdateEmail,
+  sendPackageModerationEmail,
   sendUserDeletionConfirmationEmail,
+  sendBookingConfirmationEmail,
+  sendBookingCancellationEmail,
+  sendPaymentReminderEmail,
+  sendPayoutStatusEmail,
 };
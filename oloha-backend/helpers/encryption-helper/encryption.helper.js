@@ -0,0 +1,59 @@
+/**
+ * @file Field encryption utilities
+ * @module helpers/encryptionHelper
+ * @description AES-256-GCM encryption for personal data stored at rest, such as
+ * traveller CNIC and passport numbers. Uses its own key so it can be rotated
+ * independently of session tokens.
+ */
+
+const crypto = require("crypto");
+
+if (!process.env.DATA_ENCRYPTION_KEY) {
+  throw new Error("Missing DATA_ENCRYPTION_KEY in environment");
+}
+
+/**
+ * AES-256-GCM key from environment (32-byte HEX)
+ * @constant {Buffer}
+ */
+const DATA_KEY = Buffer.from(process.env.DATA_ENCRYPTION_KEY, "hex");
+
+/**
+ * Encrypt a value for storage
+ * @param {string} plaintext
+ * @returns {{iv: string, ciphertext: string, authTag: string}}
+ */
+exports.encryptValue = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", DATA_KEY, iv);
+  const encrypted = Buffer.concat([
+    cipher.update(plaintext, "utf8"),
+    cipher.final(),
+  ]);
+
+  return {
+    iv: iv.toString("hex"),
+    ciphertext: encrypted.toString("hex"),
+    authTag: cipher.getAuthTag().toString("hex"),
+  };
+};
+
+/**
+ * Decrypt a stored value
+ * @param {{iv: string, ciphertext: string, authTag: string}} payload
+ * @returns {string} Plaintext
+ * @throws {Error} If the payload was tampered with or encrypted with another key
+ */
+exports.decryptValue = (payload) => {
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    DATA_KEY,
+    Buffer.from(payload.iv, "hex")
+  );
+  decipher.setAuthTag(Buffer.from(payload.authTag, "hex"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(payload.ciphertext, "hex")),
+    decipher.final(),
+  ]).toString("utf8");
+};
@@ -0,0 +1,19 @@
+/**
+ * @file HTTP error utilities
+ * @module helpers/errorHelper
+ * @description Errors thrown by services and middlewares carry the HTTP status
+ * controllers respond with (`error.statusCode`); errors without one are
+ * reported as a 500.
+ */
+
+/**
+ * Create an error carrying the HTTP status the controller should respond with
+ * @param {string} message - Client-facing message
+ * @param {number} [statusCode=400] - HTTP status code
+ * @returns {Error}
+ */
+exports.createHttpError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
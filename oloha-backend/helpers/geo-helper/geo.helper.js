@@ -0,0 +1,61 @@
+/**
+ * @file Geo utilities
+ * @module helpers/geoHelper
+ * @description Coordinate validation and GeoJSON conversion for location queries.
+ */
+
+/** Largest search radius accepted by "near me" queries, in kilometres */
+exports.MAX_RADIUS_KM = 500;
+
+/** Search radius used when none is given, in kilometres */
+exports.DEFAULT_RADIUS_KM = 50;
+
+/**
+ * Build a GeoJSON point from latitude and longitude
+ * @param {string|number} latitude
+ * @param {string|number} longitude
+ * @returns {{ type: "Point", coordinates: [number, number] } | null} Null if either value is missing or out of range
+ */
+exports.toGeoPoint = (latitude, longitude) => {
+  if (
+    latitude === undefined ||
+    latitude === null ||
+    latitude === "" ||
+    longitude === undefined ||
+    longitude === null ||
+    longitude === ""
+  ) {
+    return null;
+  }
+
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+
+  if (
+    isNaN(lat) ||
+    isNaN(lng) ||
+    lat < -90 ||
+    lat > 90 ||
+    lng < -180 ||
+    lng > 180
+  ) {
+    return null;
+  }
+
+  // GeoJSON stores longitude first
+  return { type: "Point", coordinates: [lng, lat] };
+};
+
+/**
+ * Parse a search radius in kilometres, clamped to the allowed range
+ * @param {string|number} radiusKm
+ * @returns {number|null} Radius in km, or null if not a positive number
+ */
+exports.parseRadiusKm = (radiusKm) => {
+  if (radiusKm === undefined || radiusKm === "") {
+    return exports.DEFAULT_RADIUS_KM;
+  }
+  const parsed = Number(radiusKm);
+  if (isNaN(parsed) || parsed <= 0) return null;
+  return Math.min(parsed, exports.MAX_RADIUS_KM);
+};
@@ -0,0 +1,89 @@
+/**
+ * @file Cursor pagination utilities
+ * @module helpers/paginationHelper
+ * @description Opaque cursor encoding and keyset query building for stable pagination
+ * over a sort field with `_id` as tie-breaker.
+ */
+
+const mongoose = require("mongoose");
+
+/** Default and maximum page sizes */
+exports.DEFAULT_PAGE_SIZE = 20;
+exports.MAX_PAGE_SIZE = 50;
+
+/**
+ * Parse a requested page size, clamped to the allowed range
+ * @param {string|number} limit
+ * @returns {number}
+ */
+exports.parsePageSize = (limit) => {
+  const parsed = parseInt(limit, 10);
+  if (!parsed || parsed < 1) return exports.DEFAULT_PAGE_SIZE;
+  return Math.min(parsed, exports.MAX_PAGE_SIZE);
+};
+
+/**
+ * Encode the last document's sort value and id as an opaque cursor
+ * @param {*} value - Sort field value of the last document
+ * @param {import('mongoose').Types.ObjectId|string} id - `_id` of the last document
+ * @returns {string} Base64url cursor
+ */
+exports.encodeCursor = (value, id) => {
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: id.toString(),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+/**
+ * Decode a cursor produced by `encodeCursor`.
+ * The value must be a plain date, number or string (never an object that
+ * could act as a query operator), and of `type` when one is given.
+ * @param {string} cursor
+ * @param {"date"|"number"|"string"} [type] - Type of the sort field
+ * @returns {{ value: *, id: import('mongoose').Types.ObjectId } | null} Null if malformed
+ */
+exports.decodeCursor = (cursor, type) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!mongoose.Types.ObjectId.isValid(payload.id)) return null;
+
+    let value;
+    if (payload.d === true && typeof payload.v === "string") {
+      value = new Date(payload.v);
+      if (Number.isNaN(value.getTime())) return null;
+    } else if (typeof payload.v === "number" && Number.isFinite(payload.v)) {
+      value = payload.v;
+    } else if (typeof payload.v === "string" && !payload.d) {
+      value = payload.v;
+    } else {
+      return null;
+    }
+
+    const valueType = value instanceof Date ? "date" : typeof value;
+    if (type && valueType !== type) return null;
+
+    return { value, id: new mongoose.Types.ObjectId(payload.id) };
+  } catch (_) {
+    return null;
+  }
+};
+
+/**
+ * Build the match condition that continues after a cursor
+ * @param {string} field - Sort field
+ * @param {1|-1} order - Sort direction
+ * @param {{ value: *, id: import('mongoose').Types.ObjectId }} cursor - Decoded cursor
+ * @returns {Object} MongoDB filter
+ */
+exports.buildCursorMatch = (field, order, cursor) => {
+  const op = order === 1 ? "$gt" : "$lt";
+  return {
+    $or: [
+      { [field]: { [op]: cursor.value } },
+      { [field]: cursor.value, _id: { [op]: cursor.id } },
+    ],
+  };
+};
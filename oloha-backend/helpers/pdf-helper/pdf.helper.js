@@ -0,0 +1,31 @@
+/**
+ * @file PDF rendering utilities
+ * @module helpers/pdfHelper
+ * @description Renders PDFKit documents into buffers, ready to upload, attach
+ * to an email or send in a response.
+ */
+
+const PDFDocument = require("pdfkit");
+
+/**
+ * Render a PDF into a buffer
+ * @param {function(PDFKit.PDFDocument): void} draw - Writes the content
+ * @param {Object} [options] - PDFKit document options
+ * @returns {Promise<Buffer>}
+ */
+exports.renderPdf = (draw, options = {}) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50, ...options });
+    const chunks = [];
+
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    try {
+      draw(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
@@ -0,0 +1,197 @@
+/**
+ * @file Search text utilities
+ * @module helpers/searchHelper
+ * @description Tokenising, trigram generation, fuzzy/prefix scoring and snippet
+ * highlighting for package search on a plain MongoDB deployment.
+ */
+
+/**
+ * Normalise text for matching: lowercase, strip accents, keep letters and digits
+ * @param {string} text
+ * @returns {string}
+ */
+exports.normalizeText = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+/**
+ * Split text into normalised word tokens
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+exports.tokenize = (text) => {
+  const normalized = exports.normalizeText(text);
+  return normalized ? normalized.split(" ") : [];
+};
+
+/**
+ * Word-boundary trigrams of a token ("hunza" → "_hu", "hun", "unz", "nza", "za_")
+ * @param {string} token
+ * @returns {Array<string>}
+ */
+exports.trigrams = (token) => {
+  const padded = `_${token}_`;
+  const grams = [];
+  for (let i = 0; i <= padded.length - 3; i++) {
+    grams.push(padded.slice(i, i + 3));
+  }
+  return grams;
+};
+
+/**
+ * Unique trigrams for every token of the given texts
+ * @param {...string} texts
+ * @returns {Array<string>}
+ */
+exports.buildSearchTerms = (...texts) => {
+  const grams = new Set();
+  for (const text of texts) {
+    for (const token of exports.tokenize(text)) {
+      exports.trigrams(token).forEach((gram) => grams.add(gram));
+    }
+  }
+  return [...grams];
+};
+
+/**
+ * Levenshtein edit distance, stopping early once `max` is exceeded
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Distance, or `max + 1` if greater than `max`
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Typos tolerated for a query token of the given length
+ * @param {number} length
+ * @returns {number}
+ */
+const allowedTypos = (length) => (length <= 3 ? 0 : length <= 7 ? 1 : 2);
+
+/**
+ * How well a query token matches a document token
+ * @param {string} queryToken
+ * @param {string} docToken
+ * @returns {number} 1 exact, 0.85 prefix, 0.7/0.5 for one/two typos, 0 otherwise
+ */
+exports.matchQuality = (queryToken, docToken) => {
+  if (queryToken === docToken) return 1;
+  if (queryToken.length >= 2 && docToken.startsWith(queryToken)) return 0.85;
+
+  const max = allowedTypos(queryToken.length);
+  if (!max) return 0;
+
+  // Compare against the same-length prefix too, so "honeymon" still finds "honeymoons"
+  const distance = Math.min(
+    editDistance(queryToken, docToken, max),
+    editDistance(queryToken, docToken.slice(0, queryToken.length), max)
+  );
+  if (distance > max) return 0;
+  return distance === 1 ? 0.7 : 0.5;
+};
+
+/**
+ * Score a document against query tokens over weighted fields.
+ * Each query token contributes its best weighted match across all fields.
+ * @param {Array<string>} queryTokens
+ * @param {Array<{ text: string, weight: number }>} fields
+ * @returns {{ score: number, matchedTokens: number, matchedWords: Set<string> }}
+ */
+exports.scoreFields = (queryTokens, fields) => {
+  const tokenizedFields = fields.map((field) => ({
+    weight: field.weight,
+    tokens: [...new Set(exports.tokenize(field.text))],
+  }));
+
+  let score = 0;
+  let matchedTokens = 0;
+  const matchedWords = new Set();
+
+  for (const queryToken of queryTokens) {
+    let best = 0;
+    for (const field of tokenizedFields) {
+      for (const docToken of field.tokens) {
+        const quality = exports.matchQuality(queryToken, docToken);
+        if (quality) matchedWords.add(docToken);
+        best = Math.max(best, quality * field.weight);
+      }
+    }
+    if (best > 0) matchedTokens += 1;
+    score += best;
+  }
+
+  return { score, matchedTokens, matchedWords };
+};
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Build an HTML-escaped snippet around the first matched word, wrapping matches in `<mark>`
+ * @param {string} text - Source text
+ * @param {Set<string>} matchedWords - Normalised words to highlight
+ * @param {number} [radius=60] - Characters of context on each side
+ * @returns {string|null} Snippet, or null if nothing matched
+ */
+exports.highlightSnippet = (text, matchedWords, radius = 60) => {
+  if (!text || !matchedWords.size) return null;
+
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  const hits = [];
+  let match;
+  while ((match = wordPattern.exec(text))) {
+    if (matchedWords.has(exports.normalizeText(match[0]))) {
+      hits.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+  if (!hits.length) return null;
+
+  const from = Math.max(0, hits[0].start - radius);
+  const to = Math.min(text.length, hits[0].end + radius);
+
+  let snippet = "";
+  let cursor = from;
+  for (const hit of hits) {
+    if (hit.start < from || hit.end > to) continue;
+    snippet += escapeHtml(text.slice(cursor, hit.start));
+    snippet += `<mark>${escapeHtml(text.slice(hit.start, hit.end))}</mark>`;
+    cursor = hit.end;
+  }
+  snippet += escapeHtml(text.slice(cursor, to));
+
+  return `${from > 0 ? "…" : ""}${snippet}${to < text.length ? "…" : ""}`;
+};
@@ -8,6 +8,7 @@
  * - Role-based access control
  * - Token expiry and max lifetime enforcement
  * - Rate limiting for authentication endpoints
+ * - Socket.io handshake authentication with the same tokens
  */
 
 const jwt = require("jsonwebtoken");
@@ -16,6 +17,7 @@ const rateLimit = require("express-rate-limit");
 const SuperAdmin = require("../../models/super-admin-model/super-admin.model");
 const Agency = require("../../models/travel-agency-model/travel-agency.model");
 const User = require("../../models/user-model/user.model");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
 
 // ------------------------------------------------------------------
 // ENVIRONMENT VALIDATION
@@ -92,6 +94,88 @@ const decryptToken = (payload) => {
   ]).toString("utf8");
 };
 
+// ------------------------------------------------------------------
+// TOKEN VERIFICATION
+// ------------------------------------------------------------------
+/**
+ * Decrypt and verify an encrypted token, and check it against the account's
+ * current session
+ * @async
+ * @param {string} token - Base64url encoded encrypted token
+ * @returns {Promise<{id: string, role: string, email: string, sessionId: string}>}
+ * @throws {Error} With `statusCode` when the token is rejected; without one
+ * when it cannot be decrypted or verified
+ */
+const verifyEncryptedToken = async (token) => {
+  const encryptedPayload = JSON.parse(
+    Buffer.from(token, "base64url").toString()
+  );
+
+  const decryptedJwt = decryptToken(encryptedPayload);
+
+  const decoded = jwt.verify(decryptedJwt, process.env.JWT_SECRET, {
+    algorithms: ["HS256"],
+    clockTolerance: 30,
+  });
+
+  if (!decoded?.user?.id || !decoded?.role) {
+    throw createHttpError("Malformed token payload", 401);
+  }
+
+  const now = Date.now() / 1000;
+  if (decoded.iat < now - 24 * 60 * 60) {
+    throw createHttpError("Token exceeded max lifetime", 401);
+  }
+
+  // Resolve model based on role
+  let Model;
+  switch (decoded.role) {
+    case "SUPERADMIN":
+      Model = SuperAdmin;
+      break;
+
+    case "AGENCY":
+      Model = Agency;
+      break;
+
+    case "USER":
+      Model = User;
+      break;
+
+    default:
+      throw createHttpError("Invalid role", 401);
+  }
+
+  const user = await Model.findById(decoded.user.id).select("-password -__v");
+  if (!user) throw createHttpError("User not found", 404);
+
+  if (decoded.sessionId !== user.sessionId) {
+    throw createHttpError("Session mismatch detected", 401);
+  }
+
+  return {
+    id: user._id.toString(),
+    role: decoded.role,
+    email: user.email,
+    sessionId: decoded.sessionId,
+  };
+};
+
+/**
+ * Read a cookie from a raw Cookie header
+ * @param {string} [cookieHeader]
+ * @param {string} name
+ * @returns {string|null}
+ */
+const readCookie = (cookieHeader, name) => {
+  const pair = (cookieHeader || "")
+    .split(";")
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+};
+
 // ------------------------------------------------------------------
 // ENCRYPTED AUTH MIDDLEWARE
 // ------------------------------------------------------------------
@@ -104,90 +188,67 @@ const decryptToken = (payload) => {
  */
 exports.encryptedAuthMiddleware = async (req, res, next) => {
   try {
-    let encryptedPayload = null;
+    let token = null;
     const header = req.header("Authorization");
 
     if (header?.startsWith("Bearer ")) {
-      encryptedPayload = JSON.parse(
-        Buffer.from(header.split(" ")[1], "base64url").toString()
-      );
+      token = header.split(" ")[1];
     } else if (req.cookies?.accessToken) {
-      encryptedPayload = JSON.parse(
-        Buffer.from(req.cookies.accessToken, "base64url").toString()
-      );
+      token = req.cookies.accessToken;
     }
 
-    if (!encryptedPayload)
+    if (!token)
       return res.status(401).json({
         success: false,
         message: "Unauthorized: Missing encrypted token",
       });
 
-    const decryptedJwt = decryptToken(encryptedPayload);
-
-    const decoded = jwt.verify(decryptedJwt, process.env.JWT_SECRET, {
-      algorithms: ["HS256"],
-      clockTolerance: 30,
-    });
-
-    if (!decoded?.user?.id || !decoded?.role) {
+    req.user = await verifyEncryptedToken(token);
+    next();
+  } catch (error) {
+    if (error.statusCode) {
       return res
-        .status(401)
-        .json({ success: false, message: "Malformed token payload" });
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
     }
 
-    const now = Date.now() / 1000;
-    if (decoded.iat < now - 24 * 60 * 60) {
-      return res
-        .status(401)
-        .json({ success: false, message: "Token exceeded max lifetime" });
-    }
+    console.error("Encrypted Auth Error:", error.message);
+    return res
+      .status(401)
+      .json({ success: false, message: "Authentication failed" });
+  }
+};
 
-    // Resolve model based on role
-    let Model;
-    switch (decoded.role) {
-      case "SUPERADMIN":
-        Model = SuperAdmin;
-        break;
-
-      case "AGENCY":
-        Model = Agency;
-        break;
-
-      case "USER":
-        Model = User;
-        break;
-
-      default:
-        return res
-          .status(401)
-          .json({ success: false, message: "Invalid role" });
-    }
+// ------------------------------------------------------------------
+// SOCKET AUTH MIDDLEWARE
+// ------------------------------------------------------------------
+/**
+ * Socket.io middleware authenticating the handshake with the same encrypted
+ * token as the REST API, taken from `auth.token`, a Bearer Authorization
+ * header or the `accessToken` cookie. Sets `socket.user`.
+ * @async
+ * @param {import('socket.io').Socket} socket
+ * @param {function(Error=): void} next
+ */
+exports.socketAuthMiddleware = async (socket, next) => {
+  try {
+    const { auth, headers } = socket.handshake;
+    const header = headers.authorization;
 
-    const user = await Model.findById(decoded.user.id).select("-password -__v");
-    if (!user)
-      return res
-        .status(404)
-        .json({ success: false, message: "User not found" });
+    const token =
+      auth?.token ||
+      (header?.startsWith("Bearer ") ? header.split(" ")[1] : null) ||
+      readCookie(headers.cookie, "accessToken");
 
-    if (decoded.sessionId !== user.sessionId) {
-      return res
-        .status(401)
-        .json({ success: false, message: "Session mismatch detected" });
-    }
+    if (!token) return next(new Error("Unauthorized: Missing encrypted token"));
 
-    req.user = {
-      id: user._id.toString(),
-      role: decoded.role,
-      email: user.email,
-      sessionId: decoded.sessionId,
-    };
+    socket.user = await verifyEncryptedToken(token);
     next();
   } catch (error) {
-    console.error("Encrypted Auth Error:", error.message);
-    return res
-      .status(401)
-      .json({ success: false, message: "Authentication failed" });
+    if (error.statusCode) return next(new Error(error.message));
+
+    console.error("Socket Auth Error:", error.message);
+    next(new Error("Authentication failed"));
   }
 };
 
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Mongoose schema for short-lived slot holds within the Oloha platform.
+ * @module models/BookingHold
+ * @description
+ * A hold reserves package slots for a user while checkout is in progress.
+ * Slots are decremented when the hold is placed and either handed over to a
+ * booking (CONSUMED) or given back to the package (EXPIRED / RELEASED).
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Booking Hold Schema
+ * Represents a temporary slot reservation made before a booking is created.
+ *
+ * @typedef {Object} BookingHold
+ * @property {ObjectId} package - Package whose slots are held.
+ * @property {ObjectId} departure - Departure whose slots are held, if the package is dated.
+ * @property {ObjectId} customer - User holding the slots.
+ * @property {Number} numberOfPersons - Number of slots held.
+ * @property {String} status - Hold lifecycle state.
+ * @property {Date} expiresAt - When the hold lapses if checkout is not completed.
+ * @property {ObjectId} booking - Booking created from this hold.
+ * @property {Date} purgeAt - When the settled hold document is removed.
+ */
+
+const bookingHoldSchema = new mongoose.Schema(
+  {
+    /* ---------------------------------------------------------------------- */
+    /*                           RELATIONAL FIELDS                             */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Package whose slots are held.
+     * @type {ObjectId}
+     * @ref Package
+     * @required
+     */
+    package: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Package",
+      required: true,
+    },
+
+    /**
+     * Departure (package sub-document) whose slots are held.
+     * Null for packages without departures.
+     * @type {ObjectId|null}
+     */
+    departure: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+
+    /**
+     * User holding the slots.
+     * @type {ObjectId}
+     * @ref User
+     * @required
+     */
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    /**
+     * Booking created from this hold, once consumed.
+     * @type {ObjectId}
+     * @ref Booking
+     */
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      default: null,
+    },
+
+    /* ---------------------------------------------------------------------- */
+    /*                               HOLD DATA                                 */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Number of slots held.
+     * @type {Number}
+     * @required
+     */
+    numberOfPersons: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    /**
+     * Hold lifecycle status.
+     * @enum ["HELD", "CONSUMED", "EXPIRED", "RELEASED"]
+     * @type {String}
+     */
+    status: {
+      type: String,
+      enum: ["HELD", "CONSUMED", "EXPIRED", "RELEASED"],
+      default: "HELD",
+    },
+
+    /**
+     * Time after which an unconsumed hold gives its slots back.
+     * @type {Date}
+     * @required
+     */
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    /**
+     * Removal time for settled holds. Left empty while the hold is active so
+     * the TTL monitor never deletes a hold whose slots are still reserved.
+     * @type {Date|null}
+     */
+    purgeAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+bookingHoldSchema.index({ status: 1, expiresAt: 1 });
+bookingHoldSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("BookingHold", bookingHoldSchema);
@@ -8,22 +8,382 @@
 
 const mongoose = require("mongoose");
 
+/**
+ * Price Snapshot Schema
+ * The full price breakdown agreed when the booking was made. It is immutable
+ * so later package edits never change what the customer owes.
+ *
+ * @typedef {Object} PriceSnapshot
+ * @property {String} quoteId - Quote the booking was priced from.
+ * @property {String} currency - ISO currency code.
+ * @property {Object} travellers - Adults, children and infants.
+ * @property {Object} ageLimits - Oldest child and infant ages quoted.
+ * @property {Array} lines - Fare per traveller type.
+ * @property {Number} subtotal - Fare before discounts.
+ * @property {Array} discounts - Package, group and promo code discounts.
+ * @property {Array} fees - Agency fees.
+ * @property {Object} tax - Tax rate and amount.
+ * @property {Number} total - Amount owed.
+ * @property {Date} pricedAt - When the price was calculated.
+ */
+const priceSnapshotSchema = new mongoose.Schema(
+  {
+    quoteId: { type: String, required: true },
+    currency: { type: String, required: true },
+    travellers: {
+      adults: { type: Number, required: true },
+      children: { type: Number, default: 0 },
+      infants: { type: Number, default: 0 },
+    },
+    ageLimits: {
+      type: {
+        _id: false,
+        childMaxAge: { type: Number, required: true },
+        infantMaxAge: { type: Number, required: true },
+      },
+      default: null,
+    },
+    lines: [
+      {
+        _id: false,
+        travellerType: {
+          type: String,
+          enum: ["ADULT", "CHILD", "INFANT"],
+          required: true,
+        },
+        quantity: { type: Number, required: true },
+        unitPrice: { type: Number, required: true },
+        amount: { type: Number, required: true },
+      },
+    ],
+    subtotal: { type: Number, required: true },
+    discounts: [
+      {
+        _id: false,
+        type: {
+          type: String,
+          enum: ["PACKAGE", "GROUP", "PROMO"],
+          required: true,
+        },
+        code: { type: String, default: null },
+        promoCodeId: { type: mongoose.Schema.Types.ObjectId, default: null },
+        percent: { type: Number, default: null },
+        amount: { type: Number, required: true },
+      },
+    ],
+    fees: [
+      {
+        _id: false,
+        name: { type: String, required: true },
+        type: { type: String, required: true },
+        rate: { type: Number, required: true },
+        amount: { type: Number, required: true },
+      },
+    ],
+    tax: {
+      percent: { type: Number, default: 0 },
+      amount: { type: Number, default: 0 },
+    },
+    total: { type: Number, required: true },
+    pricedAt: { type: Date, required: true },
+  },
+  { _id: false }
+);
+
+/**
+ * One payment due on a booking. A booking paid in full has a single FULL
+ * installment; a deposit booking has a DEPOSIT followed by INSTALLMENTs and a
+ * final BALANCE.
+ *
+ * @typedef {Object} Installment
+ * @property {Number} sequence - Position in the schedule, starting at 1.
+ * @property {String} kind - FULL, DEPOSIT, INSTALLMENT or BALANCE.
+ * @property {Number} amount - Amount due.
+ * @property {Date} dueDate - When the amount is due.
+ * @property {String} status - DUE, AUTHORIZED, PAID or FAILED.
+ * @property {Date} paidAt - When it was paid.
+ * @property {String} provider - Provider the installment was paid through.
+ * @property {String} intentId - Provider payment intent / transaction ID.
+ * @property {Number} amountRefunded - Refunded by the provider so far.
+ * @property {Number} amountCaptured - Amount captured short of `amount`, left for super admins to settle.
+ * @property {Number} refundRequested - Refunds requested from the provider so far.
+ * @property {Date} reminderSentAt - When the due-date reminder was emailed.
+ */
+const installmentSchema = new mongoose.Schema(
+  {
+    sequence: { type: Number, required: true, min: 1 },
+    kind: {
+      type: String,
+      enum: ["FULL", "DEPOSIT", "INSTALLMENT", "BALANCE"],
+      required: true,
+    },
+    amount: { type: Number, required: true, min: 0 },
+    dueDate: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: ["DUE", "AUTHORIZED", "PAID", "FAILED"],
+      default: "DUE",
+    },
+    paidAt: { type: Date, default: null },
+    provider: { type: String, default: null },
+    intentId: { type: String, default: null },
+    amountRefunded: { type: Number, default: 0 },
+    refundRequested: { type: Number, default: 0 },
+    amountCaptured: { type: Number, default: null },
+    reminderSentAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * Share of a cancellation refund taken from one paid installment.
+ *
+ * @typedef {Object} RefundAllocation
+ * @property {Number} sequence - Installment refunded.
+ * @property {Number} amount - Amount refunded from it.
+ * @property {String} refundId - Provider refund ID.
+ * @property {Date} requestedAt - When it was requested from the provider.
+ */
+const refundAllocationSchema = new mongoose.Schema(
+  {
+    sequence: { type: Number, required: true },
+    amount: { type: Number, required: true, min: 0 },
+    refundId: { type: String, default: null },
+    requestedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * Platform commission stamped on a booking when it is fully paid.
+ *
+ * @typedef {Object} BookingCommission
+ * @property {Number} ratePercent - Commission rate applied.
+ * @property {String} source - Rate that applied: AGENCY, CATEGORY, GLOBAL or DEFAULT.
+ * @property {Number} grossAmount - Amount paid the commission was taken from.
+ * @property {Number} amount - Commission kept by the platform.
+ * @property {Number} agencyNet - Agency's earning after commission.
+ * @property {String} currency - ISO currency code.
+ * @property {Date} calculatedAt - When the commission was stamped.
+ */
+const bookingCommissionSchema = new mongoose.Schema(
+  {
+    ratePercent: { type: Number, required: true, min: 0, max: 100 },
+    source: {
+      type: String,
+      enum: ["AGENCY", "CATEGORY", "GLOBAL", "DEFAULT"],
+      required: true,
+    },
+    grossAmount: { type: Number, required: true, min: 0 },
+    amount: { type: Number, required: true, min: 0 },
+    agencyNet: { type: Number, required: true, min: 0 },
+    currency: { type: String, default: "PKR" },
+    calculatedAt: { type: Date, required: true },
+  },
+  { _id: false }
+);
+
+/**
+ * Refund worked out when a booking is cancelled.
+ *
+ * @typedef {Object} BookingRefund
+ * @property {Number} percent - Share of the paid amount refunded.
+ * @property {Number} amount - Amount to refund.
+ * @property {Number} daysBeforeDeparture - Whole days between cancellation and departure.
+ * @property {String} rule - Why this percentage applies.
+ * @property {String} status - Progress of the provider refund.
+ * @property {String} refundId - Latest provider refund ID.
+ * @property {Array<RefundAllocation>} allocations - Split across paid installments.
+ * @property {Number} attempts - Provider refund requests made.
+ * @property {String} error - Last provider error.
+ * @property {Date} requestedAt - When the refund was requested from the provider.
+ */
+const bookingRefundSchema = new mongoose.Schema(
+  {
+    percent: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 },
+    daysBeforeDeparture: { type: Number, default: null },
+    rule: {
+      type: String,
+      enum: ["POLICY", "AGENCY_CANCELLED", "NOT_PAID"],
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["NOT_REQUIRED", "PENDING", "REQUESTED", "COMPLETED", "FAILED"],
+      default: "NOT_REQUIRED",
+    },
+    refundId: { type: String, default: null },
+    allocations: [refundAllocationSchema],
+    attempts: { type: Number, default: 0 },
+    error: { type: String, default: null },
+    requestedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * Provider-side state of a booking's online payment.
+ *
+ * @typedef {Object} BookingPayment
+ * @property {String} provider - Payment provider handling the payment.
+ * @property {String} intentId - Latest provider payment intent / transaction ID.
+ * @property {Number} attempts - Payment intents created for the booking.
+ * @property {String} providerStatus - Last status reported by the provider.
+ * @property {Number} amount - Amount requested by the latest intent.
+ * @property {String} currency - ISO currency code.
+ * @property {Number} amountPaid - Total paid so far, across installments.
+ * @property {Number} amountOutstanding - Total still to pay.
+ * @property {Number} amountRefunded - Total refunded so far.
+ * @property {Date} paidAt - When the booking was fully paid.
+ * @property {Date} lastEventAt - When the last provider event was applied.
+ */
+const bookingPaymentSchema = new mongoose.Schema(
+  {
+    provider: { type: String, default: null },
+    intentId: { type: String, default: null },
+    attempts: { type: Number, default: 0 },
+    providerStatus: { type: String, default: null },
+    amount: { type: Number, default: null },
+    currency: { type: String, default: null },
+    amountPaid: { type: Number, default: 0 },
+    amountOutstanding: { type: Number, default: null },
+    amountRefunded: { type: Number, default: 0 },
+    paidAt: { type: Date, default: null },
+    lastEventAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * A value encrypted with AES-256-GCM (see the encryption helper).
+ *
+ * @typedef {Object} EncryptedValue
+ * @property {String} iv - Initialisation vector (hex).
+ * @property {String} ciphertext - Encrypted value (hex).
+ * @property {String} authTag - GCM authentication tag (hex).
+ */
+const encryptedValueSchema = new mongoose.Schema(
+  {
+    iv: { type: String, required: true },
+    ciphertext: { type: String, required: true },
+    authTag: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+/**
+ * One person travelling on a booking, as needed by hotels, airlines and
+ * permit offices. Identity numbers are stored encrypted and never included
+ * when a booking is sent as JSON; only their last 4 characters are.
+ *
+ * @typedef {Object} Traveller
+ * @property {String} fullName - Name as on the identity document.
+ * @property {String} ageGroup - ADULT, CHILD or INFANT.
+ * @property {Number} age - Age in years on the departure date.
+ * @property {String} nationality - ISO 3166-1 alpha-2 country code.
+ * @property {String} identityType - CNIC or PASSPORT.
+ * @property {EncryptedValue} identityNumber - Encrypted identity number.
+ * @property {String} identityLast4 - Last 4 characters, for display.
+ * @property {String} specialNeeds - Dietary, medical or accessibility needs.
+ * @property {Object} emergencyContact - Name, phone and relationship.
+ */
+const travellerSchema = new mongoose.Schema(
+  {
+    fullName: { type: String, required: true, trim: true, maxlength: 100 },
+    ageGroup: {
+      type: String,
+      enum: ["ADULT", "CHILD", "INFANT"],
+      required: true,
+    },
+    age: { type: Number, min: 0, max: 120, default: null },
+    nationality: { type: String, required: true, match: /^[A-Z]{2}$/ },
+    identityType: {
+      type: String,
+      enum: ["CNIC", "PASSPORT"],
+      default: null,
+    },
+    identityNumber: { type: encryptedValueSchema, default: null },
+    identityLast4: { type: String, default: null },
+    specialNeeds: { type: String, default: "", trim: true, maxlength: 500 },
+    emergencyContact: {
+      type: {
+        _id: false,
+        name: { type: String, required: true, trim: true },
+        phone: { type: String, required: true, trim: true },
+        relationship: { type: String, default: "", trim: true },
+      },
+      default: null,
+    },
+  },
+  {
+    _id: false,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.identityNumber;
+        return ret;
+      },
+    },
+  }
+);
+
+/**
+ * A generated PDF stored on Cloudinary.
+ *
+ * @typedef {Object} BookingDocument
+ * @property {String} url - Cloudinary URL.
+ * @property {String} publicId - Cloudinary public ID, reused when regenerated.
+ * @property {Date} generatedAt - When the PDF was generated.
+ */
+const bookingDocumentSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    publicId: { type: String, required: true },
+    generatedAt: { type: Date, required: true },
+  },
+  { _id: false }
+);
+
 /**
  * Booking Schema
  * Represents a customer booking made for a package.
  *
  * @typedef {Object} Booking
+ * @property {String} bookingReference - Human-friendly reference, e.g. OLH-24-7KQ9X2.
  * @property {ObjectId} agency - Agency receiving the booking.
  * @property {ObjectId} package - Package booked.
+ * @property {ObjectId} departure - Departure booked, for dated packages.
+ * @property {Date} departureDate - Start date of the booked departure.
  * @property {Number} totalPersons - Number of travelers.
+ * @property {Array<Traveller>} travellers - Details of each traveller.
  * @property {Number} totalPrice - Final price after discount.
+ * @property {PriceSnapshot} priceSnapshot - Immutable price breakdown.
  * @property {String} paymentMethod - Payment method used.
  * @property {String} paymentStatus - Payment state.
+ * @property {String} paymentOption - FULL or DEPOSIT.
+ * @property {Array<Installment>} paymentSchedule - Installments due.
+ * @property {BookingPayment} payment - Provider-side payment details.
+ * @property {BookingCommission} commission - Platform commission and agency net earning.
  * @property {String} bookingStatus - Booking lifecycle state.
+ * @property {Object} cancellation - Who cancelled the booking, why and when.
+ * @property {CancellationPolicy} cancellationPolicy - Package refund tiers when booked.
+ * @property {BookingRefund} refund - Refund owed after cancellation.
+ * @property {Object} documents - Invoice and e-ticket PDFs.
  */
 
 const bookingSchema = new mongoose.Schema(
   {
+    /**
+     * Human-friendly reference shown to customers and agencies,
+     * e.g. OLH-24-7KQ9X2 (year of booking, then 6 random characters).
+     * Set at creation; older bookings get one from a background job.
+     * @type {String|null}
+     */
+    bookingReference: {
+      type: String,
+      default: null,
+    },
+
     /* ---------------------------------------------------------------------- */
     /*                           RELATIONAL FIELDS                             */
     /* ---------------------------------------------------------------------- */
@@ -52,6 +412,25 @@ const bookingSchema = new mongoose.Schema(
       required: true,
     },
 
+    /**
+     * Departure (package sub-document) being booked.
+     * Null for packages without departures.
+     * @type {ObjectId|null}
+     */
+    departure: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+
+    /**
+     * Start date of the booked departure, kept for display and policies.
+     * @type {Date|null}
+     */
+    departureDate: {
+      type: Date,
+      default: null,
+    },
+
     /* ---------------------------------------------------------------------- */
     /*                        CUSTOMER INFORMATION                             */
     /* ---------------------------------------------------------------------- */
@@ -71,6 +450,13 @@ const bookingSchema = new mongoose.Schema(
       required: true,
     },
 
+    /**
+     * Details of each traveller, for the agency's manifest. May be filled in
+     * after booking; once set there is one entry per person in the booking.
+     * @type {Array<Traveller>}
+     */
+    travellers: [travellerSchema],
+
     /* ---------------------------------------------------------------------- */
     /*                               BOOKING DATA                              */
     /* ---------------------------------------------------------------------- */
@@ -93,6 +479,18 @@ const bookingSchema = new mongoose.Schema(
     totalPrice: {
       type: Number,
       required: true,
+      immutable: true,
+    },
+
+    /**
+     * Price breakdown agreed at booking time. Cannot be changed once set.
+     * Null for bookings made before quotes existed.
+     * @type {PriceSnapshot|null}
+     */
+    priceSnapshot: {
+      type: priceSnapshotSchema,
+      default: null,
+      immutable: true,
     },
 
     /* ---------------------------------------------------------------------- */
@@ -111,16 +509,61 @@ const bookingSchema = new mongoose.Schema(
     },
 
     /**
-     * Payment status.
-     * @enum ["PENDING", "PAID", "FAILED", "REFUNDED"]
+     * Payment status. After creation it is only changed by verified
+     * payment provider events (see the payment service).
+     * PARTIALLY_PAID means some installments of the schedule are paid.
+     * @enum ["PENDING", "AUTHORIZED", "PARTIALLY_PAID", "PAID", "FAILED", "REFUNDED"]
      * @type {String}
      */
     paymentStatus: {
       type: String,
-      enum: ["PENDING", "PAID", "FAILED", "REFUNDED"],
+      enum: [
+        "PENDING",
+        "AUTHORIZED",
+        "PARTIALLY_PAID",
+        "PAID",
+        "FAILED",
+        "REFUNDED",
+      ],
       default: "PENDING",
     },
 
+    /**
+     * Whether the customer pays in full or a deposit first.
+     * @enum ["FULL", "DEPOSIT"]
+     * @type {String}
+     */
+    paymentOption: {
+      type: String,
+      enum: ["FULL", "DEPOSIT"],
+      default: "FULL",
+    },
+
+    /**
+     * Installments the total is paid in, in due-date order.
+     * @type {Array<Installment>}
+     */
+    paymentSchedule: [installmentSchema],
+
+    /**
+     * Provider-side payment details for online payments.
+     * @type {BookingPayment}
+     */
+    payment: {
+      type: bookingPaymentSchema,
+      default: () => ({}),
+    },
+
+    /**
+     * Platform commission and agency net earning, stamped once when the
+     * booking is fully paid so later rate changes do not affect it.
+     * @type {BookingCommission|null}
+     */
+    commission: {
+      type: bookingCommissionSchema,
+      default: null,
+    },
+
     /* ---------------------------------------------------------------------- */
     /*                               BOOKING STATUS                            */
     /* ---------------------------------------------------------------------- */
@@ -135,8 +578,88 @@ const bookingSchema = new mongoose.Schema(
       enum: ["PENDING", "CONFIRMED", "CANCELLED", "COMPLETED"],
       default: "PENDING",
     },
+
+    /**
+     * Cancellation details, set when the booking is cancelled.
+     * SYSTEM cancellations are made by the scheduler, e.g. for an unpaid balance.
+     * @type {{cancelledBy: String, reason: String, cancelledAt: Date}}
+     */
+    cancellation: {
+      cancelledBy: {
+        type: String,
+        enum: ["USER", "AGENCY", "SUPERADMIN", "SYSTEM"],
+        default: null,
+      },
+      reason: { type: String, default: null },
+      cancelledAt: { type: Date, default: null },
+    },
+
+    /**
+     * The package's refund tiers when the booking was made, so later policy
+     * changes do not affect existing bookings.
+     * @type {{tiers: Array<{minDaysBeforeDeparture: Number, refundPercent: Number}>}|null}
+     */
+    cancellationPolicy: {
+      type: {
+        _id: false,
+        tiers: [
+          {
+            _id: false,
+            minDaysBeforeDeparture: { type: Number, required: true },
+            refundPercent: { type: Number, required: true },
+          },
+        ],
+      },
+      default: null,
+      immutable: true,
+    },
+
+    /**
+     * Refund owed after cancellation, and its progress with the provider.
+     * @type {BookingRefund|null}
+     */
+    refund: {
+      type: bookingRefundSchema,
+      default: null,
+    },
+
+    /* ---------------------------------------------------------------------- */
+    /*                                DOCUMENTS                                */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Invoice and e-ticket PDFs, generated when the booking is confirmed.
+     * @type {{invoice: BookingDocument|null, ticket: BookingDocument|null}}
+     */
+    documents: {
+      invoice: { type: bookingDocumentSchema, default: null },
+      ticket: { type: bookingDocumentSchema, default: null },
+    },
   },
   { timestamps: true }
 );
 
+bookingSchema.index(
+  { bookingReference: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { bookingReference: { $type: "string" } },
+  }
+);
+bookingSchema.index({ "refund.status": 1, updatedAt: 1 });
+bookingSchema.index({ "commission.calculatedAt": 1, agency: 1 });
+bookingSchema.index({ "paymentSchedule.intentId": 1 });
+bookingSchema.index({
+  paymentOption: 1,
+  paymentStatus: 1,
+  "paymentSchedule.dueDate": 1,
+});
+bookingSchema.index(
+  { "payment.provider": 1, "payment.intentId": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "payment.intentId": { $type: "string" } },
+  }
+);
+
 module.exports = mongoose.model("Booking", bookingSchema);
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Mongoose schema for platform commission rates within the Oloha platform.
+ * @module models/CommissionRate
+ * @description
+ * Commission rates are set by super admins: one global default, plus optional
+ * overrides for a package category or a single agency. When a booking is paid
+ * the most specific rate applies (agency, then category, then global).
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Commission Rate Schema
+ * Represents the share of a booking the platform keeps.
+ *
+ * @typedef {Object} CommissionRate
+ * @property {String} scope - GLOBAL, CATEGORY or AGENCY.
+ * @property {ObjectId} agency - Agency the override applies to (AGENCY).
+ * @property {String} category - Package category the override applies to (CATEGORY).
+ * @property {Number} ratePercent - Percentage of the booking total kept as commission.
+ * @property {String} note - Why the rate was set.
+ * @property {Object} updatedBy - Super admin who last set the rate.
+ */
+
+const commissionRateSchema = new mongoose.Schema(
+  {
+    /* ---------------------------------------------------------------------- */
+    /*                                  TARGET                                 */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * What the rate applies to.
+     * @enum ["GLOBAL", "CATEGORY", "AGENCY"]
+     * @type {String}
+     * @required
+     */
+    scope: {
+      type: String,
+      enum: ["GLOBAL", "CATEGORY", "AGENCY"],
+      required: true,
+    },
+
+    /**
+     * Agency the override applies to, for AGENCY rates.
+     * @type {ObjectId|null}
+     * @ref Agency
+     */
+    agency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Agency",
+      default: null,
+    },
+
+    /**
+     * Package category the override applies to, for CATEGORY rates.
+     * @enum ["TOUR", "HONEYMOON", "ADVENTURE", "GROUP", "FAMILY", "LUXURY"]
+     * @type {String|null}
+     */
+    category: {
+      type: String,
+      enum: ["TOUR", "HONEYMOON", "ADVENTURE", "GROUP", "FAMILY", "LUXURY"],
+      default: null,
+    },
+
+    /* ---------------------------------------------------------------------- */
+    /*                                   RATE                                  */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Percentage of the booking total kept as commission.
+     * @type {Number}
+     * @required
+     */
+    ratePercent: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+
+    /**
+     * Why the rate was set, for other super admins.
+     * @type {String}
+     */
+    note: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+
+    /**
+     * Super admin who last set the rate.
+     * @type {{id: ObjectId, at: Date}}
+     */
+    updatedBy: {
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SuperAdmin",
+        required: true,
+      },
+      at: { type: Date, default: Date.now },
+    },
+  },
+  { timestamps: true }
+);
+
+// One rate per target; GLOBAL has neither agency nor category
+commissionRateSchema.index(
+  { scope: 1, agency: 1, category: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model("CommissionRate", commissionRateSchema);
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Mongoose schema for user–agency chat conversations within the Oloha platform.
+ * @module models/Conversation
+ * @description
+ * A conversation is scoped to one user and one agency, and optionally to one
+ * of the user's bookings with that agency, so a trip's messages stay
+ * together. There is at most one conversation per user, agency and booking
+ * (a null booking being the general enquiry thread).
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Conversation Schema
+ * Represents a chat thread between a user and an agency.
+ *
+ * @typedef {Object} Conversation
+ * @property {ObjectId} user - Participating user.
+ * @property {ObjectId} agency - Participating agency.
+ * @property {ObjectId|null} booking - Booking the conversation is about.
+ * @property {Object|null} lastMessage - Preview of the latest message.
+ * @property {Date} lastMessageAt - When the latest message was sent.
+ * @property {{user: Number, agency: Number}} unreadCount - Unread messages per side.
+ */
+
+const conversationSchema = new mongoose.Schema(
+  {
+    /* ---------------------------------------------------------------------- */
+    /*                              PARTICIPANTS                               */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Participating user.
+     * @type {ObjectId}
+     * @ref User
+     * @required
+     */
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    /**
+     * Participating agency.
+     * @type {ObjectId}
+     * @ref Agency
+     * @required
+     */
+    agency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Agency",
+      required: true,
+    },
+
+    /**
+     * Booking the conversation is about; null for general enquiries.
+     * @type {ObjectId|null}
+     * @ref Booking
+     */
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      default: null,
+    },
+
+    /* ---------------------------------------------------------------------- */
+    /*                                ACTIVITY                                 */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Preview of the latest message.
+     * @type {{text: String, type: String, senderRole: String}|null}
+     */
+    lastMessage: {
+      type: new mongoose.Schema(
+        {
+          text: { type: String, default: "" },
+          type: { type: String, enum: ["TEXT", "IMAGE"], required: true },
+          senderRole: {
+            type: String,
+            enum: ["USER", "AGENCY"],
+            required: true,
+          },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+
+    /**
+     * When the latest message was sent; creation time until then.
+     * @type {Date}
+     */
+    lastMessageAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    /**
+     * Messages each side has not read yet.
+     * @type {{user: Number, agency: Number}}
+     */
+    unreadCount: {
+      user: { type: Number, default: 0, min: 0 },
+      agency: { type: Number, default: 0, min: 0 },
+    },
+  },
+  { timestamps: true }
+);
+
+conversationSchema.index({ user: 1, agency: 1, booking: 1 }, { unique: true });
+conversationSchema.index({ user: 1, lastMessageAt: -1 });
+conversationSchema.index({ agency: 1, lastMessageAt: -1 });
+
+module.exports = mongoose.model("Conversation", conversationSchema);
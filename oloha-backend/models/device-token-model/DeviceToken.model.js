@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Mongoose schema for push notification device tokens within the Oloha platform.
+ * @module models/DeviceToken
+ * @description
+ * One FCM registration token of a user's or agency's device. A token belongs
+ * to whoever registered it last, so a shared device signed in to another
+ * account stops receiving the previous account's pushes. Tokens that FCM
+ * reports as unregistered, or that have not been refreshed for a long time,
+ * are pruned by the push service.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Device Token Schema
+ * Represents a device that can receive push notifications.
+ *
+ * @typedef {Object} DeviceToken
+ * @property {ObjectId} owner - User or agency the device is signed in to.
+ * @property {String} ownerModel - User or Agency.
+ * @property {String} token - FCM registration token.
+ * @property {String} platform - ANDROID, IOS or WEB.
+ * @property {String|null} appVersion - App version on the device.
+ * @property {String|null} deviceModel - Device model, for the user's reference.
+ * @property {Date} lastSeenAt - When the app last registered the token.
+ */
+
+const deviceTokenSchema = new mongoose.Schema(
+  {
+    /* ---------------------------------------------------------------------- */
+    /*                                  OWNER                                  */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * User or agency the device is signed in to.
+     * @type {ObjectId}
+     * @required
+     */
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "ownerModel",
+      required: true,
+    },
+
+    /**
+     * Model of the owner.
+     * @enum ["User", "Agency"]
+     * @type {String}
+     * @required
+     */
+    ownerModel: {
+      type: String,
+      enum: ["User", "Agency"],
+      required: true,
+    },
+
+    /* ---------------------------------------------------------------------- */
+    /*                                 DEVICE                                  */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * FCM registration token.
+     * @type {String}
+     * @required
+     * @unique
+     */
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      maxlength: 4096,
+    },
+
+    /**
+     * Platform of the device.
+     * @enum ["ANDROID", "IOS", "WEB"]
+     * @type {String}
+     * @required
+     */
+    platform: {
+      type: String,
+      enum: ["ANDROID", "IOS", "WEB"],
+      required: true,
+    },
+
+    /**
+     * App version on the device.
+     * @type {String|null}
+     */
+    appVersion: {
+      type: String,
+      trim: true,
+      maxlength: 50,
+      default: null,
+    },
+
+    /**
+     * Device model, e.g. "Pixel 8".
+     * @type {String|null}
+     */
+    deviceModel: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: null,
+    },
+
+    /**
+     * When the app last registered the token. Apps register on every launch,
+     * so an old value means the app is no longer in use on the device.
+     * @type {Date}
+     */
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+deviceTokenSchema.index({ owner: 1, lastSeenAt: -1 });
+deviceTokenSchema.index({ lastSeenAt: 1 });
+
+module.exports = mongoose.model("DeviceToken", deviceTokenSchema);
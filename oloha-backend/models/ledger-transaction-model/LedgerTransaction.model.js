@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Mongoose schema for the double-entry earnings ledger within the Oloha platform.
+ * @module models/LedgerTransaction
+ * @description
+ * Every movement of money between customers, agencies and the platform is a
+ * balanced transaction: its debit and credit entries sum to the same amount.
+ * Agency wallets are liability accounts (credits increase what the platform
+ * owes the agency), so an agency's balance is its AGENCY_WALLET credits minus
+ * debits. Transactions are never edited; corrections are new transactions.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * One side of a ledger transaction.
+ *
+ * @typedef {Object} LedgerEntry
+ * @property {String} account - Account moved: AGENCY_WALLET, CUSTOMER_FUNDS,
+ * PLATFORM_COMMISSION, PAYOUTS_IN_TRANSIT or PAYOUTS_PAID.
+ * @property {String} direction - DEBIT or CREDIT.
+ * @property {Number} amount - Amount moved.
+ */
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    account: {
+      type: String,
+      enum: [
+        "AGENCY_WALLET",
+        "CUSTOMER_FUNDS",
+        "PLATFORM_COMMISSION",
+        "PAYOUTS_IN_TRANSIT",
+        "PAYOUTS_PAID",
+      ],
+      required: true,
+    },
+    direction: {
+      type: String,
+      enum: ["DEBIT", "CREDIT"],
+      required: true,
+    },
+    amount: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * Ledger Transaction Schema
+ * Represents one balanced journal entry.
+ *
+ * @typedef {Object} LedgerTransaction
+ * @property {String} type - Business event that caused it.
+ * @property {String} reference - Unique key, so an event is posted once.
+ * @property {ObjectId} agency - Agency whose wallet the AGENCY_WALLET entries belong to.
+ * @property {ObjectId} booking - Booking it relates to.
+ * @property {ObjectId} payout - Payout it relates to.
+ * @property {String} currency - ISO currency code.
+ * @property {Array<LedgerEntry>} entries - Balanced debit and credit entries.
+ * @property {Date} availableAt - When wallet credits can be paid out.
+ * @property {String} memo - Human-readable description.
+ */
+
+const ledgerTransactionSchema = new mongoose.Schema(
+  {
+    /* ---------------------------------------------------------------------- */
+    /*                                 SOURCE                                  */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Business event that caused the transaction.
+     * @enum ["BOOKING_COMPLETED", "BOOKING_REFUNDED", "PAYOUT_REQUESTED", "PAYOUT_REJECTED", "PAYOUT_PAID"]
+     * @type {String}
+     * @required
+     */
+    type: {
+      type: String,
+      enum: [
+        "BOOKING_COMPLETED",
+        "BOOKING_REFUNDED",
+        "PAYOUT_REQUESTED",
+        "PAYOUT_REJECTED",
+        "PAYOUT_PAID",
+      ],
+      required: true,
+    },
+
+    /**
+     * Unique key for the event, e.g. "booking-completed-<bookingId>".
+     * @type {String}
+     * @required
+     */
+    reference: {
+      type: String,
+      required: true,
+    },
+
+    /**
+     * Agency whose wallet the AGENCY_WALLET entries belong to.
+     * @type {ObjectId}
+     * @ref Agency
+     * @required
+     */
+    agency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Agency",
+      required: true,
+    },
+
+    /**
+     * Booking the transaction relates to.
+     * @type {ObjectId|null}
+     * @ref Booking
+     */
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      default: null,
+    },
+
+    /**
+     * Payout the transaction relates to.
+     * @type {ObjectId|null}
+     * @ref Payout
+     */
+    payout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payout",
+      default: null,
+    },
+
+    /* ---------------------------------------------------------------------- */
+    /*                                 ENTRIES                                 */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * ISO currency code of every entry.
+     * @type {String}
+     */
+    currency: {
+      type: String,
+      default: "PKR",
+    },
+
+    /**
+     * Debit and credit entries; they must balance.
+     * @type {Array<LedgerEntry>}
+     */
+    entries: {
+      type: [ledgerEntrySchema],
+      validate: {
+        validator: (entries) => {
+          if (entries.length < 2) return false;
+          const sum = (direction) =>
+            entries
+              .filter((entry) => entry.direction === direction)
+              .reduce(
+                (total, entry) => total + Math.round(entry.amount * 100),
+                0
+              );
+          return sum("DEBIT") === sum("CREDIT");
+        },
+        message: "Ledger entries must have equal debits and credits",
+      },
+    },
+
+    /**
+     * When wallet credits become available for payout (after the hold period).
+     * @type {Date}
+     */
+    availableAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    /**
+     * Human-readable description shown on the agency statement.
+     * @type {String}
+     */
+    memo: {
+      type: String,
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+ledgerTransactionSchema.index({ reference: 1 }, { unique: true });
+ledgerTransactionSchema.index({ agency: 1, createdAt: -1 });
+
+module.exports = mongoose.model("LedgerTransaction", ledgerTransactionSchema);
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Mongoose schema for chat messages within the Oloha platform.
+ * @module models/Message
+ * @description
+ * A text or image message in a user–agency conversation. `readAt` is set
+ * when the other participant reads it, which drives read receipts.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Message Schema
+ * Represents one chat message.
+ *
+ * @typedef {Object} Message
+ * @property {ObjectId} conversation - Conversation the message belongs to.
+ * @property {ObjectId} sender - User or agency who sent it.
+ * @property {String} senderRole - USER or AGENCY.
+ * @property {String} type - TEXT or IMAGE.
+ * @property {String} text - Message text, or image caption.
+ * @property {{url: String, publicId: String}|null} attachment - Uploaded image.
+ * @property {Date|null} readAt - When the recipient read it.
+ */
+
+const messageSchema = new mongoose.Schema(
+  {
+    /* ---------------------------------------------------------------------- */
+    /*                           RELATIONAL FIELDS                             */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Conversation the message belongs to.
+     * @type {ObjectId}
+     * @ref Conversation
+     * @required
+     */
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      required: true,
+    },
+
+    /**
+     * User or agency who sent the message.
+     * @type {ObjectId}
+     * @required
+     */
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+
+    /**
+     * Role of the sender.
+     * @enum ["USER", "AGENCY"]
+     * @type {String}
+     * @required
+     */
+    senderRole: {
+      type: String,
+      enum: ["USER", "AGENCY"],
+      required: true,
+    },
+
+    /* ---------------------------------------------------------------------- */
+    /*                                 CONTENT                                 */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Message type.
+     * @enum ["TEXT", "IMAGE"]
+     * @type {String}
+     */
+    type: {
+      type: String,
+      enum: ["TEXT", "IMAGE"],
+      default: "TEXT",
+    },
+
+    /**
+     * Message text, or the caption of an image.
+     * @type {String}
+     */
+    text: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+      default: "",
+    },
+
+    /**
+     * Uploaded image.
+     * @type {{url: String, publicId: String}|null}
+     */
+    attachment: {
+      type: new mongoose.Schema(
+        {
+          url: { type: String, required: true },
+          publicId: { type: String, required: true },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+
+    /* ---------------------------------------------------------------------- */
+    /*                              READ RECEIPT                               */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * When the recipient read the message.
+     * @type {Date|null}
+     */
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+messageSchema.index({ conversation: 1, createdAt: -1 });
+messageSchema.index({ conversation: 1, senderRole: 1, readAt: 1 });
+
+module.exports = mongoose.model("Message", messageSchema);
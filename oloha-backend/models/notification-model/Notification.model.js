@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Mongoose schema for in-app notifications within the Oloha platform.
+ * @module models/Notification
+ * @description
+ * One notification for one recipient, who may be a user, an agency or a
+ * super admin. Notifications are created by the notification service when
+ * something happens to the recipient's account, bookings, packages or
+ * payouts, and are unread until the recipient opens them.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Notification Schema
+ * Represents an entry in a recipient's notification center.
+ *
+ * @typedef {Object} Notification
+ * @property {ObjectId} recipient - User, agency or super admin notified.
+ * @property {String} recipientModel - User, Agency or SuperAdmin.
+ * @property {String} type - What happened.
+ * @property {String} title - Short heading.
+ * @property {String} message - Notification text.
+ * @property {Object} data - IDs of the related records, for deep links.
+ * @property {Date|null} readAt - When the recipient read it.
+ */
+
+const notificationSchema = new mongoose.Schema(
+  {
+    /* ---------------------------------------------------------------------- */
+    /*                                RECIPIENT                                */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * User, agency or super admin notified.
+     * @type {ObjectId}
+     * @required
+     */
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "recipientModel",
+      required: true,
+    },
+
+    /**
+     * Model of the recipient.
+     * @enum ["User", "Agency", "SuperAdmin"]
+     * @type {String}
+     * @required
+     */
+    recipientModel: {
+      type: String,
+      enum: ["User", "Agency", "SuperAdmin"],
+      required: true,
+    },
+
+    /* ---------------------------------------------------------------------- */
+    /*                                 CONTENT                                 */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * What happened.
+     * @enum ["AGENCY_STATUS_UPDATED", "AGENCY_VERIFICATION_UPDATED", "PACKAGE_MODERATED", "BOOKING_CONFIRMED", "BOOKING_CANCELLED", "PAYMENT_RECEIVED", "PAYMENT_FAILED", "PAYMENT_UNDERPAID", "PAYMENT_REMINDER", "PAYOUT_REQUESTED", "PAYOUT_UPDATED", "REVIEW_REPORTED"]
+     * @type {String}
+     * @required
+     */
+    type: {
+      type: String,
+      enum: [
+        "AGENCY_STATUS_UPDATED",
+        "AGENCY_VERIFICATION_UPDATED",
+        "PACKAGE_MODERATED",
+        "BOOKING_CONFIRMED",
+        "BOOKING_CANCELLED",
+        "PAYMENT_RECEIVED",
+        "PAYMENT_FAILED",
+        "PAYMENT_UNDERPAID",
+        "PAYMENT_REMINDER",
+        "PAYOUT_REQUESTED",
+        "PAYOUT_UPDATED",
+        "REVIEW_REPORTED",
+      ],
+      required: true,
+    },
+
+    /**
+     * Short heading.
+     * @type {String}
+     * @required
+     */
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 120,
+    },
+
+    /**
+     * Notification text.
+     * @type {String}
+     * @required
+     */
+    message: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 1000,
+    },
+
+    /**
+     * IDs of the related records (e.g. bookingId, packageId), so clients can
+     * link to them.
+     * @type {Object}
+     */
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    /* ---------------------------------------------------------------------- */
+    /*                                  STATE                                  */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * When the recipient read the notification; null while unread.
+     * @type {Date|null}
+     */
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
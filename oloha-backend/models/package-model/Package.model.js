@@ -7,6 +7,368 @@
  */
 
 const mongoose = require("mongoose");
+const {
+  buildSearchTerms,
+} = require("../../helpers/search-helper/search.helper");
+
+/**
+ * Departure Schema
+ * A dated run of the package. Departures that have started are no longer bookable.
+ *
+ * @typedef {Object} Departure
+ * @property {Date} startDate - Departure date.
+ * @property {Date} endDate - Return date.
+ * @property {Number} capacity - Total seats on this departure.
+ * @property {Number} availableSlots - Seats still free on this departure.
+ * @property {Number} priceOverride - Per-person price replacing the package price.
+ * @property {String} status - OPEN while bookable, CLOSED once started or closed by the agency.
+ */
+const departureSchema = new mongoose.Schema({
+  /**
+   * Departure date.
+   * @type {Date}
+   * @required
+   */
+  startDate: {
+    type: Date,
+    required: true,
+  },
+
+  /**
+   * Return date.
+   * @type {Date}
+   * @required
+   */
+  endDate: {
+    type: Date,
+    required: true,
+  },
+
+  /**
+   * Total seats on this departure.
+   * @type {Number}
+   * @required
+   */
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+
+  /**
+   * Seats still free on this departure.
+   * @type {Number}
+   * @required
+   */
+  availableSlots: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+
+  /**
+   * Per-person price for this departure, replacing the package price.
+   * @type {Number|null}
+   */
+  priceOverride: {
+    type: Number,
+    default: null,
+  },
+
+  /**
+   * Departure status.
+   * @enum ["OPEN", "CLOSED"]
+   * @type {String}
+   */
+  status: {
+    type: String,
+    enum: ["OPEN", "CLOSED"],
+    default: "OPEN",
+  },
+});
+
+/**
+ * Pricing Schema
+ * Traveller-type prices, group discounts and agency fees used by the quote engine.
+ *
+ * @typedef {Object} Pricing
+ * @property {Number} childPricePercent - Child price as a percentage of the adult price.
+ * @property {Number} infantPricePercent - Infant price as a percentage of the adult price.
+ * @property {Number} childMaxAge - Oldest age charged as a child.
+ * @property {Number} infantMaxAge - Oldest age charged as an infant.
+ * @property {Array} groupTiers - Extra discount once a group reaches a size.
+ * @property {Array} fees - Agency fees added on top of the fare.
+ */
+const pricingSchema = new mongoose.Schema(
+  {
+    /**
+     * Child price as a percentage of the adult price.
+     * @type {Number}
+     */
+    childPricePercent: {
+      type: Number,
+      default: 100,
+      min: 0,
+      max: 100,
+    },
+
+    /**
+     * Infant price as a percentage of the adult price.
+     * @type {Number}
+     */
+    infantPricePercent: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+
+    /**
+     * Oldest age charged as a child.
+     * @type {Number}
+     */
+    childMaxAge: {
+      type: Number,
+      default: 11,
+    },
+
+    /**
+     * Oldest age charged as an infant.
+     * @type {Number}
+     */
+    infantMaxAge: {
+      type: Number,
+      default: 1,
+    },
+
+    /**
+     * Extra discount applied once adults and children reach `minPersons`.
+     * The largest qualifying tier wins.
+     * @type {Array<{minPersons: Number, discountPercent: Number}>}
+     */
+    groupTiers: [
+      {
+        _id: false,
+        minPersons: { type: Number, required: true, min: 2 },
+        discountPercent: { type: Number, required: true, min: 0, max: 100 },
+      },
+    ],
+
+    /**
+     * Agency fees added on top of the fare.
+     * PERCENT is charged on the discounted fare, PER_PERSON per adult and
+     * child, PER_BOOKING once.
+     * @type {Array<{name: String, type: String, amount: Number}>}
+     */
+    fees: [
+      {
+        _id: false,
+        name: { type: String, required: true, trim: true },
+        type: {
+          type: String,
+          enum: ["PERCENT", "PER_PERSON", "PER_BOOKING"],
+          required: true,
+        },
+        amount: { type: Number, required: true, min: 0 },
+      },
+    ],
+  },
+  { _id: false }
+);
+
+/**
+ * Cancellation Policy Schema
+ * Refund tiers by how far ahead of departure a customer cancels.
+ *
+ * @typedef {Object} CancellationPolicy
+ * @property {Array} tiers - Refund percentages, most days before departure first.
+ */
+const cancellationPolicySchema = new mongoose.Schema(
+  {
+    /**
+     * Refund tiers. A cancellation made at least `minDaysBeforeDeparture`
+     * days ahead gets `refundPercent` of what was paid; the tier with the
+     * most days that still applies wins. No matching tier means no refund.
+     * @type {Array<{minDaysBeforeDeparture: Number, refundPercent: Number}>}
+     */
+    tiers: [
+      {
+        _id: false,
+        minDaysBeforeDeparture: { type: Number, required: true, min: 0 },
+        refundPercent: { type: Number, required: true, min: 0, max: 100 },
+      },
+    ],
+  },
+  { _id: false }
+);
+
+/**
+ * Deposit Policy Schema
+ * Lets customers pay a deposit at booking and the balance in installments
+ * before departure.
+ *
+ * @typedef {Object} DepositPolicy
+ * @property {String} type - PERCENT of the total, or a FIXED amount per booking.
+ * @property {Number} value - Deposit percentage or amount.
+ * @property {Number} balanceDueDaysBeforeDeparture - Days before departure the balance is due.
+ * @property {Number} installmentCount - Payments the balance is split into.
+ */
+const depositPolicySchema = new mongoose.Schema(
+  {
+    /**
+     * How the deposit is worked out.
+     * @enum ["PERCENT", "FIXED"]
+     * @type {String}
+     * @required
+     */
+    type: {
+      type: String,
+      enum: ["PERCENT", "FIXED"],
+      required: true,
+    },
+
+    /**
+     * Deposit percentage of the total, or fixed amount per booking.
+     * @type {Number}
+     * @required
+     */
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    /**
+     * Days before departure the last installment is due.
+     * @type {Number}
+     */
+    balanceDueDaysBeforeDeparture: {
+      type: Number,
+      default: 30,
+      min: 0,
+    },
+
+    /**
+     * Payments the balance is split into, spread evenly up to the due date.
+     * @type {Number}
+     */
+    installmentCount: {
+      type: Number,
+      default: 1,
+      min: 1,
+      max: 6,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * GeoJSON Point Schema
+ * Coordinates are stored as [longitude, latitude].
+ *
+ * @typedef {Object} GeoPoint
+ * @property {String} type - Always "Point".
+ * @property {Array<Number>} coordinates - [longitude, latitude].
+ */
+const pointSchema = new mongoose.Schema(
+  {
+    /**
+     * GeoJSON geometry type.
+     * @enum ["Point"]
+     * @type {String}
+     * @required
+     */
+    type: {
+      type: String,
+      enum: ["Point"],
+      default: "Point",
+      required: true,
+    },
+
+    /**
+     * [longitude, latitude].
+     * @type {Array<Number>}
+     * @required
+     */
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator: ([lng, lat] = []) =>
+          lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90,
+        message: "Coordinates must be [longitude, latitude]",
+      },
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Destination Schema
+ * Where an itinerary stop takes place.
+ *
+ * @typedef {Object} Destination
+ * @property {String} name - Display name of the stop (e.g. "Karimabad").
+ * @property {String} city - City or town.
+ * @property {String} region - Province, state or region.
+ * @property {String} country - Country.
+ * @property {GeoPoint} location - Coordinates of the stop.
+ */
+const destinationSchema = new mongoose.Schema(
+  {
+    /**
+     * Display name of the stop.
+     * @type {String}
+     * @required
+     */
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    /**
+     * City or town.
+     * @type {String}
+     */
+    city: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+
+    /**
+     * Province, state or region.
+     * @type {String}
+     */
+    region: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+
+    /**
+     * Country.
+     * @type {String}
+     */
+    country: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+
+    /**
+     * Coordinates of the stop.
+     * @type {GeoPoint}
+     * @required
+     */
+    location: {
+      type: pointSchema,
+      required: true,
+    },
+  },
+  { _id: false }
+);
 
 /**
  * Package Schema
@@ -18,13 +380,24 @@ const mongoose = require("mongoose");
  * @property {Array<String>} images - Cloudinary URLs for package images.
  * @property {Number} price - Base price per person.
  * @property {Number} discount - Discount percentage (optional).
+ * @property {Pricing} pricing - Child/infant prices, group tiers and fees.
+ * @property {CancellationPolicy} cancellationPolicy - Refund tiers for customer cancellations.
+ * @property {DepositPolicy} depositPolicy - Deposit and installment rules.
  * @property {String} duration - Total duration (e.g., "3 Days 2 Nights").
- * @property {Array} itinerary - Day-wise itinerary breakdown.
- * @property {Number} availableSlots - Total booking capacity.
+ * @property {Number} durationDays - Trip length in days, used for filtering.
+ * @property {Array} itinerary - Day-wise itinerary breakdown with optional destination per stop.
+ * @property {Number} availableSlots - Total booking capacity (packages without departures).
+ * @property {Array} departures - Dated departures with their own capacity and price.
  * @property {String} category - Package category (e.g., Tour, Umrah).
  * @property {ObjectId} agency - Linked agency.
  * @property {Array<ObjectId>} bookings - Bookings made under this package.
+ * @property {Number} rating - Average rating based on reviews.
+ * @property {Number} totalReviews - Number of reviews received.
+ * @property {Object} subRatings - Average value, guide and accommodation ratings.
  * @property {String} status - Package status.
+ * @property {Object} moderation - Latest submission and super admin review.
+ * @property {String} searchAgencyName - Agency name copied for text search.
+ * @property {Array<String>} searchTerms - Trigrams used for typo-tolerant search.
  */
 
 const packageSchema = new mongoose.Schema(
@@ -86,6 +459,34 @@ const packageSchema = new mongoose.Schema(
       default: 0,
     },
 
+    /**
+     * Child/infant prices, group tiers and fees used for quotes.
+     * @type {Pricing}
+     */
+    pricing: {
+      type: pricingSchema,
+      default: () => ({}),
+    },
+
+    /**
+     * Refund tiers applied when a customer cancels.
+     * @type {CancellationPolicy}
+     */
+    cancellationPolicy: {
+      type: cancellationPolicySchema,
+      default: () => ({}),
+    },
+
+    /**
+     * Deposit and installment rules. Null means bookings are paid in full.
+     * Only applies to departures far enough ahead for the balance schedule.
+     * @type {DepositPolicy|null}
+     */
+    depositPolicy: {
+      type: depositPolicySchema,
+      default: null,
+    },
+
     /* ---------------------------------------------------------------------- */
     /*                                ITINERARY                                */
     /* ---------------------------------------------------------------------- */
@@ -100,13 +501,26 @@ const packageSchema = new mongoose.Schema(
     },
 
     /**
-     * Day-wise itinerary.
-     * @type {Array<{day: String, activities: String}>}
+     * Trip length in days, used by catalogue filters.
+     * @type {Number|null}
+     */
+    durationDays: {
+      type: Number,
+      default: null,
+    },
+
+    /**
+     * Day-wise itinerary. Each stop may carry a destination with coordinates.
+     * @type {Array<{day: String, activities: String, destination: Destination}>}
      */
     itinerary: [
       {
         day: String,
         activities: String,
+        destination: {
+          type: destinationSchema,
+          default: undefined,
+        },
       },
     ],
 
@@ -116,14 +530,24 @@ const packageSchema = new mongoose.Schema(
 
     /**
      * Available slots for booking.
+     * Only required for packages that are not sold by departure.
      * @type {Number}
-     * @required
      */
     availableSlots: {
       type: Number,
-      required: true,
+      required: function () {
+        return !this.departures?.length;
+      },
+      default: 0,
     },
 
+    /**
+     * Dated departures of the package. Each departure has its own capacity
+     * and can override the package price.
+     * @type {Array<{startDate: Date, endDate: Date, capacity: Number, availableSlots: Number, priceOverride: Number, status: String}>}
+     */
+    departures: [departureSchema],
+
     /* ---------------------------------------------------------------------- */
     /*                             CLASSIFICATION                              */
     /* ---------------------------------------------------------------------- */
@@ -167,23 +591,171 @@ const packageSchema = new mongoose.Schema(
       },
     ],
 
+    /* ---------------------------------------------------------------------- */
+    /*                         REVIEWS & RATINGS AGGREGATION                   */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Average overall rating, to one decimal. 0 until the first review.
+     * @type {Number}
+     */
+    rating: {
+      type: Number,
+      default: 0,
+    },
+
+    /**
+     * Count of all reviews the package has received.
+     * @type {Number}
+     */
+    totalReviews: {
+      type: Number,
+      default: 0,
+    },
+
+    /**
+     * Average sub-ratings, to one decimal. Null until one is given.
+     * @type {{value: Number|null, guide: Number|null, accommodation: Number|null}}
+     */
+    subRatings: {
+      value: { type: Number, default: null },
+      guide: { type: Number, default: null },
+      accommodation: { type: Number, default: null },
+    },
+
+    /**
+     * Running sums and counts the averages are worked out from.
+     * @type {Object}
+     */
+    reviewTotals: {
+      type: mongoose.Schema.Types.Mixed,
+      default: () => ({}),
+      select: false,
+    },
+
     /* ---------------------------------------------------------------------- */
     /*                              STATUS INFO                                */
     /* ---------------------------------------------------------------------- */
 
     /**
      * Status of the package.
-     * @enum ["ACTIVATED, "INACTIVATED", "PENDING"]
+     * PENDING packages await super admin review; REJECTED ones go back to
+     * PENDING when the agency edits them.
+     * @enum ["ACTIVATED, "INACTIVATED", "PENDING", "REJECTED"]
      * @type {String}
      */
 
     status: {
       type: String,
-      enum: ["PENDING", "ACTIVATED", "INACTIVATED"],
+      enum: ["PENDING", "ACTIVATED", "INACTIVATED", "REJECTED"],
       default: "PENDING",
     },
+
+    /**
+     * Latest submission for review and the super admin decision on it.
+     * @type {{submittedAt: Date, reviewedBy: ObjectId, reviewedAt: Date, decision: String, rejectionReason: String}}
+     */
+    moderation: {
+      submittedAt: { type: Date, default: Date.now },
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SuperAdmin",
+        default: null,
+      },
+      reviewedAt: { type: Date, default: null },
+      decision: {
+        type: String,
+        enum: ["APPROVED", "REJECTED", null],
+        default: null,
+      },
+      rejectionReason: { type: String, default: null },
+    },
+
+    /* ---------------------------------------------------------------------- */
+    /*                              SEARCH INDEX                               */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Name of the owning agency, copied here so it can be text-indexed.
+     * @type {String}
+     */
+    searchAgencyName: {
+      type: String,
+      default: "",
+    },
+
+    /**
+     * Trigrams of the searchable text, maintained on save.
+     * @type {Array<String>}
+     */
+    searchTerms: {
+      type: [String],
+      select: false,
+    },
   },
   { timestamps: true }
 );
 
+packageSchema.index({ status: 1, category: 1, createdAt: -1 });
+packageSchema.index({ status: 1, "moderation.submittedAt": 1 });
+packageSchema.index({ "departures.startDate": 1 });
+packageSchema.index({ searchTerms: 1 });
+packageSchema.index({ "itinerary.destination.location": "2dsphere" });
+packageSchema.index(
+  {
+    packageTitle: "text",
+    "itinerary.activities": "text",
+    searchAgencyName: "text",
+    description: "text",
+  },
+  {
+    name: "package_text_search",
+    weights: {
+      packageTitle: 10,
+      "itinerary.activities": 4,
+      searchAgencyName: 3,
+      description: 2,
+    },
+  }
+);
+
+/**
+ * Fields whose text feeds `searchTerms`.
+ * @constant {Array<string>}
+ */
+const SEARCHABLE_FIELDS = [
+  "packageTitle",
+  "description",
+  "itinerary",
+  "category",
+  "searchAgencyName",
+];
+
+/**
+ * Recomputes the search trigrams from the package's searchable text.
+ * @returns {void}
+ */
+packageSchema.methods.refreshSearchTerms = function () {
+  this.searchTerms = buildSearchTerms(
+    this.packageTitle,
+    this.description,
+    ...(this.itinerary || []).flatMap((day) => [
+      day.activities,
+      day.destination?.name,
+      day.destination?.city,
+      day.destination?.region,
+      day.destination?.country,
+    ]),
+    this.category,
+    this.searchAgencyName
+  );
+};
+
+packageSchema.pre("save", function (next) {
+  if (this.isNew || SEARCHABLE_FIELDS.some((field) => this.isModified(field))) {
+    this.refreshSearchTerms();
+  }
+  next();
+});
+
 module.exports = mongoose.model("Package", packageSchema);
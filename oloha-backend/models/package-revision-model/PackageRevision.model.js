@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Mongoose schema for package revisions within the Oloha platform.
+ * @module models/PackageRevision
+ * @description
+ * An append-only log of package changes. Each revision stores who made the
+ * change, a snapshot of the tracked fields after it, and a field-level diff
+ * against the previous state. Revisions cannot be updated or deleted.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Package Revision Schema
+ * Represents one recorded change to a package.
+ *
+ * @typedef {Object} PackageRevision
+ * @property {ObjectId} package - Package the revision belongs to.
+ * @property {Number} revisionNumber - Sequential number per package, starting at 1.
+ * @property {String} action - Kind of change.
+ * @property {Object} changedBy - Account that made the change.
+ * @property {Object} snapshot - Tracked package fields after the change.
+ * @property {Array} changes - Field-level differences from the previous state.
+ * @property {Number} rolledBackTo - Revision restored by a ROLLBACK.
+ */
+
+const packageRevisionSchema = new mongoose.Schema(
+  {
+    /* ---------------------------------------------------------------------- */
+    /*                           RELATIONAL FIELDS                             */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Package the revision belongs to.
+     * Kept after the package is deleted so disputes can still be resolved.
+     * @type {ObjectId}
+     * @ref Package
+     * @required
+     */
+    package: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Package",
+      required: true,
+    },
+
+    /**
+     * Account that made the change.
+     * @type {{id: ObjectId, role: String}}
+     */
+    changedBy: {
+      id: { type: mongoose.Schema.Types.ObjectId, required: true },
+      role: {
+        type: String,
+        enum: ["AGENCY", "SUPERADMIN", "SYSTEM"],
+        required: true,
+      },
+    },
+
+    /* ---------------------------------------------------------------------- */
+    /*                             REVISION DATA                               */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Sequential number per package, starting at 1.
+     * @type {Number}
+     * @required
+     */
+    revisionNumber: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    /**
+     * Kind of change.
+     * @enum ["CREATE", "UPDATE", "STATUS", "ROLLBACK"]
+     * @type {String}
+     * @required
+     */
+    action: {
+      type: String,
+      enum: ["CREATE", "UPDATE", "STATUS", "ROLLBACK"],
+      required: true,
+    },
+
+    /**
+     * Tracked package fields after the change.
+     * @type {Object}
+     * @required
+     */
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+
+    /**
+     * Field-level differences from the previous state.
+     * `path` uses dot notation, e.g. "itinerary.2.activities".
+     * @type {Array<{path: String, before: *, after: *}>}
+     */
+    changes: [
+      {
+        _id: false,
+        path: { type: String, required: true },
+        before: { type: mongoose.Schema.Types.Mixed, default: null },
+        after: { type: mongoose.Schema.Types.Mixed, default: null },
+      },
+    ],
+
+    /**
+     * Revision restored by a ROLLBACK.
+     * @type {Number|null}
+     */
+    rolledBackTo: {
+      type: Number,
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+packageRevisionSchema.index(
+  { package: 1, revisionNumber: -1 },
+  { unique: true }
+);
+packageRevisionSchema.index({ package: 1, createdAt: -1 });
+
+/**
+ * Rejects any attempt to modify or delete a stored revision.
+ * @throws {Error}
+ */
+function rejectMutation() {
+  throw new Error("Package revisions are immutable");
+}
+
+packageRevisionSchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error("Package revisions are immutable"));
+  next();
+});
+
+packageRevisionSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectMutation
+);
+
+module.exports = mongoose.model("PackageRevision", packageRevisionSchema);
@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Mongoose schema for payment events within the Oloha platform.
+ * @module models/PaymentEvent
+ * @description
+ * A ledger of every payment outcome received from a provider: webhooks and
+ * callbacks, synchronous wallet responses and reconciliation lookups. The
+ * unique (provider, eventId) index makes a retried delivery land on the same
+ * document, so each event is applied to its booking at most once.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Payment Event Schema
+ * Represents one event received from a payment provider.
+ *
+ * @typedef {Object} PaymentEvent
+ * @property {String} provider - Provider that sent the event.
+ * @property {String} eventId - Provider event ID.
+ * @property {String} source - How the event was received.
+ * @property {String} signatureStatus - Whether the provider signature checked out.
+ * @property {String} type - Normalised event type.
+ * @property {String} providerType - Event type as named by the provider.
+ * @property {String} intentId - Provider payment intent / transaction ID.
+ * @property {String} providerStatus - Provider status of the payment.
+ * @property {Number} amount - Amount captured.
+ * @property {Number} amountRefunded - Total refunded so far.
+ * @property {Date} occurredAt - When the provider created the event.
+ * @property {Object} payload - Original event payload.
+ * @property {ObjectId} booking - Booking the event was applied to.
+ * @property {String} status - Processing state.
+ * @property {Number} attempts - Processing attempts so far.
+ * @property {String} outcome - Why the event was ignored, or the last error.
+ * @property {Date} processedAt - When the event was processed.
+ */
+
+const paymentEventSchema = new mongoose.Schema(
+  {
+    /* ---------------------------------------------------------------------- */
+    /*                               EVENT SOURCE                              */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Provider that sent the event.
+     * @type {String}
+     * @required
+     */
+    provider: {
+      type: String,
+      required: true,
+    },
+
+    /**
+     * Provider event ID. Events that fail verification get a generated ID,
+     * since their claimed ID cannot be trusted.
+     * @type {String}
+     * @required
+     */
+    eventId: {
+      type: String,
+      required: true,
+    },
+
+    /**
+     * How the event was received.
+     * @enum ["WEBHOOK", "SYNC", "RECONCILIATION"]
+     * @type {String}
+     * @required
+     */
+    source: {
+      type: String,
+      enum: ["WEBHOOK", "SYNC", "RECONCILIATION"],
+      required: true,
+    },
+
+    /**
+     * Whether the provider signature (or inquiry) checked out.
+     * @enum ["VERIFIED", "FAILED"]
+     * @type {String}
+     * @required
+     */
+    signatureStatus: {
+      type: String,
+      enum: ["VERIFIED", "FAILED"],
+      required: true,
+    },
+
+    /* ---------------------------------------------------------------------- */
+    /*                               EVENT DATA                                */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Normalised event type. Null for events the platform does not act on.
+     * @enum ["PAYMENT_AUTHORIZED", "PAYMENT_SUCCEEDED", "PAYMENT_FAILED", "PAYMENT_REFUNDED"]
+     * @type {String|null}
+     */
+    type: {
+      type: String,
+      enum: [
+        "PAYMENT_AUTHORIZED",
+        "PAYMENT_SUCCEEDED",
+        "PAYMENT_FAILED",
+        "PAYMENT_REFUNDED",
+        null,
+      ],
+      default: null,
+    },
+
+    /**
+     * Event type as named by the provider.
+     * @type {String|null}
+     */
+    providerType: {
+      type: String,
+      default: null,
+    },
+
+    /**
+     * Provider payment intent / transaction ID.
+     * @type {String|null}
+     */
+    intentId: {
+      type: String,
+      default: null,
+    },
+
+    /**
+     * Provider status of the payment.
+     * @type {String|null}
+     */
+    providerStatus: {
+      type: String,
+      default: null,
+    },
+
+    /**
+     * Amount captured.
+     * @type {Number}
+     */
+    amount: {
+      type: Number,
+      default: 0,
+    },
+
+    /**
+     * Total refunded so far.
+     * @type {Number}
+     */
+    amountRefunded: {
+      type: Number,
+      default: 0,
+    },
+
+    /**
+     * When the provider created the event.
+     * @type {Date}
+     */
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    /**
+     * Original event payload, kept for audits and disputes.
+     * @type {Object}
+     */
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    /* ---------------------------------------------------------------------- */
+    /*                               PROCESSING                                */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Booking the event was applied to.
+     * @type {ObjectId|null}
+     * @ref Booking
+     */
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      default: null,
+    },
+
+    /**
+     * Processing state. REJECTED events failed verification and are never
+     * applied; FAILED events can be replayed.
+     * @enum ["RECEIVED", "PROCESSED", "IGNORED", "FAILED", "REJECTED"]
+     * @type {String}
+     */
+    status: {
+      type: String,
+      enum: ["RECEIVED", "PROCESSED", "IGNORED", "FAILED", "REJECTED"],
+      default: "RECEIVED",
+    },
+
+    /**
+     * Processing attempts so far.
+     * @type {Number}
+     */
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+
+    /**
+     * Why the event was ignored or rejected, or the last processing error.
+     * @type {String|null}
+     */
+    outcome: {
+      type: String,
+      default: null,
+    },
+
+    /**
+     * When the event was processed.
+     * @type {Date|null}
+     */
+    processedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ status: 1, createdAt: -1 });
+paymentEventSchema.index({ provider: 1, intentId: 1 });
+
+module.exports = mongoose.model("PaymentEvent", paymentEventSchema);
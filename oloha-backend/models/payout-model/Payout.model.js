@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Mongoose schema for agency payout requests within the Oloha platform.
+ * @module models/Payout
+ * @description
+ * An agency asks to be paid out part of its available wallet balance to a
+ * bank account. The amount leaves the wallet as soon as it is requested and
+ * returns if a super admin rejects the request. An agency has at most one
+ * open (REQUESTED or APPROVED) payout at a time.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Bank account a payout is sent to.
+ *
+ * @typedef {Object} BankDetails
+ * @property {String} accountTitle - Name on the account.
+ * @property {String} bankName - Bank name.
+ * @property {String} iban - IBAN, upper-case without spaces.
+ */
+const bankDetailsSchema = new mongoose.Schema(
+  {
+    accountTitle: { type: String, required: true, trim: true },
+    bankName: { type: String, required: true, trim: true },
+    iban: {
+      type: String,
+      required: true,
+      match: /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Payout Schema
+ * Represents a request to transfer wallet earnings to an agency.
+ *
+ * @typedef {Object} Payout
+ * @property {ObjectId} agency - Agency being paid.
+ * @property {Number} amount - Amount requested.
+ * @property {String} currency - ISO currency code.
+ * @property {BankDetails} bankDetails - Destination account.
+ * @property {String} status - REQUESTED, APPROVED, REJECTED or PAID.
+ * @property {Boolean} isOpen - True while REQUESTED or APPROVED.
+ * @property {Object} review - Super admin decision.
+ * @property {String} paymentReference - Bank transfer reference once paid.
+ * @property {Date} paidAt - When the transfer was made.
+ */
+
+const payoutSchema = new mongoose.Schema(
+  {
+    /* ---------------------------------------------------------------------- */
+    /*                                 REQUEST                                 */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Agency being paid.
+     * @type {ObjectId}
+     * @ref Agency
+     * @required
+     */
+    agency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Agency",
+      required: true,
+    },
+
+    /**
+     * Amount requested.
+     * @type {Number}
+     * @required
+     */
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    /**
+     * ISO currency code.
+     * @type {String}
+     */
+    currency: {
+      type: String,
+      default: "PKR",
+    },
+
+    /**
+     * Bank account the payout is sent to.
+     * @type {BankDetails}
+     * @required
+     */
+    bankDetails: {
+      type: bankDetailsSchema,
+      required: true,
+    },
+
+    /* ---------------------------------------------------------------------- */
+    /*                                  STATUS                                 */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Payout status.
+     * @enum ["REQUESTED", "APPROVED", "REJECTED", "PAID"]
+     * @type {String}
+     */
+    status: {
+      type: String,
+      enum: ["REQUESTED", "APPROVED", "REJECTED", "PAID"],
+      default: "REQUESTED",
+    },
+
+    /**
+     * True while the payout is REQUESTED or APPROVED. Backs the one open
+     * payout per agency index.
+     * @type {Boolean}
+     */
+    isOpen: {
+      type: Boolean,
+      default: true,
+    },
+
+    /**
+     * Latest super admin decision.
+     * @type {{reviewedBy: ObjectId, reviewedAt: Date, reason: String}}
+     */
+    review: {
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SuperAdmin",
+        default: null,
+      },
+      reviewedAt: { type: Date, default: null },
+      reason: { type: String, default: null },
+    },
+
+    /**
+     * Bank transfer reference once paid.
+     * @type {String|null}
+     */
+    paymentReference: {
+      type: String,
+      default: null,
+    },
+
+    /**
+     * When the transfer was made.
+     * @type {Date|null}
+     */
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+payoutSchema.index(
+  { agency: 1 },
+  { unique: true, partialFilterExpression: { isOpen: true } }
+);
+payoutSchema.index({ agency: 1, createdAt: -1 });
+payoutSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Payout", payoutSchema);
@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Mongoose schema for promo codes within the Oloha platform.
+ * @module models/PromoCode
+ * @description
+ * Promo codes are either platform-wide (created by a super admin) or scoped to
+ * one agency's packages. Usage is counted atomically when a booking redeems
+ * the code; per-user usage is tracked through PromoRedemption documents.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Promo Code Schema
+ * Represents a discount code customers can apply at checkout.
+ *
+ * @typedef {Object} PromoCode
+ * @property {String} code - Upper-case code customers type in.
+ * @property {String} scope - GLOBAL (super admin) or AGENCY.
+ * @property {ObjectId} agency - Owning agency for AGENCY codes.
+ * @property {String} discountType - PERCENT or FIXED.
+ * @property {Number} value - Percentage or fixed amount off.
+ * @property {Number} maxDiscount - Cap on the amount off for PERCENT codes.
+ * @property {Number} minSpend - Minimum fare after other discounts.
+ * @property {Number} maxUses - Total redemptions allowed.
+ * @property {Number} usedCount - Redemptions so far.
+ * @property {Number} perUserLimit - Redemptions allowed per customer.
+ * @property {Date} validFrom - Start of the validity window.
+ * @property {Date} validUntil - End of the validity window.
+ * @property {Array<String>} categories - Package categories the code is limited to.
+ * @property {Array<ObjectId>} packages - Packages the code is limited to.
+ * @property {Boolean} isActive - Whether the code can be used.
+ */
+
+const promoCodeSchema = new mongoose.Schema(
+  {
+    /* ---------------------------------------------------------------------- */
+    /*                               BASIC DETAILS                             */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Code customers type in, stored upper-case.
+     * @type {String}
+     * @required
+     */
+    code: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      match: /^[A-Z0-9_-]{3,32}$/,
+    },
+
+    /**
+     * Short description shown to customers.
+     * @type {String}
+     */
+    description: {
+      type: String,
+      default: "",
+    },
+
+    /* ---------------------------------------------------------------------- */
+    /*                               OWNERSHIP                                 */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Who the code belongs to.
+     * @enum ["GLOBAL", "AGENCY"]
+     * @type {String}
+     * @required
+     */
+    scope: {
+      type: String,
+      enum: ["GLOBAL", "AGENCY"],
+      required: true,
+    },
+
+    /**
+     * Owning agency for AGENCY codes.
+     * @type {ObjectId|null}
+     * @ref Agency
+     */
+    agency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Agency",
+      default: null,
+    },
+
+    /**
+     * Account that created the code.
+     * @type {{id: ObjectId, role: String}}
+     */
+    createdBy: {
+      id: { type: mongoose.Schema.Types.ObjectId, required: true },
+      role: { type: String, enum: ["AGENCY", "SUPERADMIN"], required: true },
+    },
+
+    /* ---------------------------------------------------------------------- */
+    /*                                DISCOUNT                                 */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Kind of discount.
+     * @enum ["PERCENT", "FIXED"]
+     * @type {String}
+     * @required
+     */
+    discountType: {
+      type: String,
+      enum: ["PERCENT", "FIXED"],
+      required: true,
+    },
+
+    /**
+     * Percentage (PERCENT) or amount (FIXED) off.
+     * @type {Number}
+     * @required
+     */
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    /**
+     * Cap on the amount off for PERCENT codes.
+     * @type {Number|null}
+     */
+    maxDiscount: {
+      type: Number,
+      default: null,
+    },
+
+    /**
+     * Minimum fare, after package and group discounts, for the code to apply.
+     * @type {Number}
+     */
+    minSpend: {
+      type: Number,
+      default: 0,
+    },
+
+    /* ---------------------------------------------------------------------- */
+    /*                                 LIMITS                                  */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Total redemptions allowed. Null means unlimited.
+     * @type {Number|null}
+     */
+    maxUses: {
+      type: Number,
+      default: null,
+    },
+
+    /**
+     * Redemptions so far. Only changed through atomic updates.
+     * @type {Number}
+     */
+    usedCount: {
+      type: Number,
+      default: 0,
+    },
+
+    /**
+     * Redemptions allowed per customer.
+     * @type {Number}
+     */
+    perUserLimit: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+
+    /**
+     * Start of the validity window.
+     * @type {Date}
+     */
+    validFrom: {
+      type: Date,
+      default: Date.now,
+    },
+
+    /**
+     * End of the validity window. Null means no end.
+     * @type {Date|null}
+     */
+    validUntil: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * Package categories the code is limited to. Empty means any.
+     * @type {Array<String>}
+     */
+    categories: [
+      {
+        type: String,
+        enum: ["TOUR", "HONEYMOON", "ADVENTURE", "GROUP", "FAMILY", "LUXURY"],
+      },
+    ],
+
+    /**
+     * Packages the code is limited to. Empty means any.
+     * @type {Array<ObjectId>}
+     * @ref Package
+     */
+    packages: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Package",
+      },
+    ],
+
+    /* ---------------------------------------------------------------------- */
+    /*                              STATUS INFO                                */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Whether the code can be used.
+     * @type {Boolean}
+     */
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+promoCodeSchema.index({ code: 1 }, { unique: true });
+promoCodeSchema.index({ scope: 1, agency: 1, createdAt: -1 });
+
+module.exports = mongoose.model("PromoCode", promoCodeSchema);
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Mongoose schema for promo code redemptions within the Oloha platform.
+ * @module models/PromoRedemption
+ * @description
+ * One document per booking that used a promo code. `useNumber` counts a
+ * customer's active redemptions of a code, and a unique index on it stops two
+ * concurrent bookings from both taking a customer's last allowed use.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Promo Redemption Schema
+ * Represents a promo code applied to a booking.
+ *
+ * @typedef {Object} PromoRedemption
+ * @property {ObjectId} promoCode - Redeemed promo code.
+ * @property {String} code - Code as applied.
+ * @property {ObjectId} customer - Customer who redeemed it.
+ * @property {ObjectId} booking - Booking the code was applied to.
+ * @property {Number} useNumber - Nth active use of the code by this customer.
+ * @property {Number} amount - Discount given.
+ * @property {String} status - REDEEMED or REVERSED.
+ * @property {Date} reversedAt - When the use was given back.
+ */
+
+const promoRedemptionSchema = new mongoose.Schema(
+  {
+    /* ---------------------------------------------------------------------- */
+    /*                           RELATIONAL FIELDS                             */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Redeemed promo code.
+     * @type {ObjectId}
+     * @ref PromoCode
+     * @required
+     */
+    promoCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PromoCode",
+      required: true,
+    },
+
+    /**
+     * Customer who redeemed the code.
+     * @type {ObjectId}
+     * @ref User
+     * @required
+     */
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    /**
+     * Booking the code was applied to.
+     * @type {ObjectId}
+     * @ref Booking
+     * @required
+     */
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+    },
+
+    /* ---------------------------------------------------------------------- */
+    /*                             REDEMPTION DATA                             */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Code as applied.
+     * @type {String}
+     * @required
+     */
+    code: {
+      type: String,
+      required: true,
+    },
+
+    /**
+     * Nth active use of the code by this customer, starting at 1.
+     * @type {Number}
+     * @required
+     */
+    useNumber: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    /**
+     * Discount given.
+     * @type {Number}
+     * @required
+     */
+    amount: {
+      type: Number,
+      required: true,
+    },
+
+    /**
+     * Redemption status. REVERSED uses no longer count towards limits.
+     * @enum ["REDEEMED", "REVERSED"]
+     * @type {String}
+     */
+    status: {
+      type: String,
+      enum: ["REDEEMED", "REVERSED"],
+      default: "REDEEMED",
+    },
+
+    /**
+     * When the use was given back.
+     * @type {Date|null}
+     */
+    reversedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+promoRedemptionSchema.index(
+  { promoCode: 1, customer: 1, useNumber: 1 },
+  { unique: true, partialFilterExpression: { status: "REDEEMED" } }
+);
+promoRedemptionSchema.index({ booking: 1 });
+
+module.exports = mongoose.model("PromoRedemption", promoRedemptionSchema);
@@ -0,0 +1,262 @@
+/**
+ * @fileoverview Mongoose schema for package reviews within the Oloha platform.
+ * @module models/Review
+ * @description
+ * A customer reviews a package once per COMPLETED booking. Reviews feed the
+ * rating aggregates on the package and its agency, which are updated in the
+ * same transaction as the review is written. The agency may post one public
+ * reply to each review.
+ *
+ * Users and agencies can report a review; super admins work through the
+ * reported reviews and hide, restore or delete them. Only PUBLISHED reviews
+ * are listed publicly and counted in the aggregates.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * A 1-5 star score.
+ * @constant {Object}
+ */
+const starRating = { type: Number, min: 1, max: 5 };
+
+/**
+ * Optional scores for parts of the trip. Null when the customer skipped it,
+ * e.g. a self-guided package has no guide to rate.
+ *
+ * @typedef {Object} SubRatings
+ * @property {Number|null} value - Value for money.
+ * @property {Number|null} guide - Guide.
+ * @property {Number|null} accommodation - Accommodation.
+ */
+const subRatingsSchema = new mongoose.Schema(
+  {
+    value: { ...starRating, default: null },
+    guide: { ...starRating, default: null },
+    accommodation: { ...starRating, default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * Uploaded review photo.
+ *
+ * @typedef {Object} ReviewPhoto
+ * @property {String} url - Cloudinary URL.
+ * @property {String} publicId - Cloudinary public ID.
+ */
+const reviewPhotoSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    publicId: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+/**
+ * Review Schema
+ * Represents a customer's review of a completed trip.
+ *
+ * @typedef {Object} Review
+ * @property {ObjectId} booking - Reviewed booking; one review per booking.
+ * @property {ObjectId} customer - Customer who wrote the review.
+ * @property {ObjectId} package - Reviewed package.
+ * @property {ObjectId} agency - Agency that ran the trip.
+ * @property {Number} rating - Overall 1-5 star rating.
+ * @property {SubRatings} subRatings - Optional 1-5 scores.
+ * @property {String} comment - Review text.
+ * @property {Array<ReviewPhoto>} photos - Uploaded photos.
+ * @property {Object|null} agencyReply - The agency's public reply.
+ * @property {String} status - PUBLISHED, HIDDEN or DELETED.
+ * @property {Object} moderation - Latest super admin decision.
+ * @property {Number} openReports - Reports awaiting moderation.
+ * @property {Date} lastReportedAt - When the latest report was made.
+ */
+
+const reviewSchema = new mongoose.Schema(
+  {
+    /* ---------------------------------------------------------------------- */
+    /*                           RELATIONAL FIELDS                             */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Reviewed booking. Unique, so a booking is reviewed at most once.
+     * @type {ObjectId}
+     * @ref Booking
+     * @required
+     */
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+    },
+
+    /**
+     * Customer who wrote the review.
+     * @type {ObjectId}
+     * @ref User
+     * @required
+     */
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    /**
+     * Reviewed package.
+     * @type {ObjectId}
+     * @ref Package
+     * @required
+     */
+    package: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Package",
+      required: true,
+    },
+
+    /**
+     * Agency that ran the trip.
+     * @type {ObjectId}
+     * @ref Agency
+     * @required
+     */
+    agency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Agency",
+      required: true,
+    },
+
+    /* ---------------------------------------------------------------------- */
+    /*                              REVIEW CONTENT                             */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Overall 1-5 star rating.
+     * @type {Number}
+     * @required
+     */
+    rating: {
+      ...starRating,
+      required: true,
+    },
+
+    /**
+     * Optional scores for value, guide and accommodation.
+     * @type {SubRatings}
+     */
+    subRatings: {
+      type: subRatingsSchema,
+      default: () => ({}),
+    },
+
+    /**
+     * Review text.
+     * @type {String}
+     * @required
+     */
+    comment: {
+      type: String,
+      required: true,
+      trim: true,
+      minlength: 10,
+      maxlength: 2000,
+    },
+
+    /**
+     * Uploaded photos.
+     * @type {Array<ReviewPhoto>}
+     */
+    photos: {
+      type: [reviewPhotoSchema],
+      default: [],
+    },
+
+    /* ---------------------------------------------------------------------- */
+    /*                              AGENCY REPLY                               */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * The agency's public reply. Only one reply can be posted.
+     * @type {{text: String, repliedAt: Date}|null}
+     */
+    agencyReply: {
+      type: new mongoose.Schema(
+        {
+          text: { type: String, required: true, trim: true, maxlength: 1000 },
+          repliedAt: { type: Date, default: Date.now },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+
+    /* ---------------------------------------------------------------------- */
+    /*                               MODERATION                                */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Visibility. HIDDEN and DELETED reviews are kept but not listed or
+     * counted; DELETED ones cannot be restored or replied to.
+     * @enum ["PUBLISHED", "HIDDEN", "DELETED"]
+     * @type {String}
+     */
+    status: {
+      type: String,
+      enum: ["PUBLISHED", "HIDDEN", "DELETED"],
+      default: "PUBLISHED",
+    },
+
+    /**
+     * Latest super admin decision. The full history is in ReviewModerationLog.
+     * @type {{action: String, moderatedBy: ObjectId, moderatedAt: Date, reason: String}}
+     */
+    moderation: {
+      action: {
+        type: String,
+        enum: ["HIDE", "RESTORE", "DELETE", "DISMISS_REPORTS", null],
+        default: null,
+      },
+      moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SuperAdmin",
+        default: null,
+      },
+      moderatedAt: { type: Date, default: null },
+      reason: { type: String, default: null },
+    },
+
+    /**
+     * Reports awaiting moderation. Reset when a super admin acts on them.
+     * @type {Number}
+     */
+    openReports: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    /**
+     * When the latest report was made.
+     * @type {Date|null}
+     */
+    lastReportedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+reviewSchema.index({ booking: 1 }, { unique: true });
+reviewSchema.index({ package: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ package: 1, status: 1, rating: -1 });
+reviewSchema.index({ agency: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ agency: 1, status: 1, rating: -1 });
+reviewSchema.index({ customer: 1, createdAt: -1 });
+reviewSchema.index(
+  { openReports: -1, lastReportedAt: 1 },
+  { partialFilterExpression: { openReports: { $gt: 0 } } }
+);
+
+module.exports = mongoose.model("Review", reviewSchema);
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Mongoose schema for the review moderation audit trail within the Oloha platform.
+ * @module models/ReviewModerationLog
+ * @description
+ * Append-only record of every super admin decision on a review: hide,
+ * restore, delete or dismiss its reports. Each entry keeps a snapshot of the
+ * review as it was, so the trail still makes sense after a review is deleted.
+ * Entries are never updated or removed.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Review Moderation Log Schema
+ * Represents one moderation decision.
+ *
+ * @typedef {Object} ReviewModerationLog
+ * @property {ObjectId} review - Moderated review (may no longer exist).
+ * @property {String} action - HIDE, RESTORE, DELETE or DISMISS_REPORTS.
+ * @property {ObjectId} moderator - Super admin who decided.
+ * @property {String} reason - Reason given.
+ * @property {String} previousStatus - Review status before the decision.
+ * @property {String} newStatus - Review status after it (DELETED when removed).
+ * @property {Number} reportsResolved - Open reports closed by the decision.
+ * @property {Object} snapshot - Review content at the time of the decision.
+ */
+
+const reviewModerationLogSchema = new mongoose.Schema(
+  {
+    /* ---------------------------------------------------------------------- */
+    /*                           RELATIONAL FIELDS                             */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Moderated review. Kept after the review is deleted.
+     * @type {ObjectId}
+     * @ref Review
+     * @required
+     */
+    review: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Review",
+      required: true,
+    },
+
+    /**
+     * Super admin who made the decision.
+     * @type {ObjectId}
+     * @ref SuperAdmin
+     * @required
+     */
+    moderator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SuperAdmin",
+      required: true,
+    },
+
+    /* ---------------------------------------------------------------------- */
+    /*                                DECISION                                 */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Moderation action.
+     * @enum ["HIDE", "RESTORE", "DELETE", "DISMISS_REPORTS"]
+     * @type {String}
+     * @required
+     */
+    action: {
+      type: String,
+      enum: ["HIDE", "RESTORE", "DELETE", "DISMISS_REPORTS"],
+      required: true,
+    },
+
+    /**
+     * Reason given by the super admin.
+     * @type {String|null}
+     */
+    reason: {
+      type: String,
+      default: null,
+    },
+
+    /**
+     * Review status before the decision.
+     * @type {String}
+     * @required
+     */
+    previousStatus: {
+      type: String,
+      required: true,
+    },
+
+    /**
+     * Review status after the decision; DELETED when it was removed.
+     * @type {String}
+     * @required
+     */
+    newStatus: {
+      type: String,
+      required: true,
+    },
+
+    /**
+     * Open reports closed by the decision.
+     * @type {Number}
+     */
+    reportsResolved: {
+      type: Number,
+      default: 0,
+    },
+
+    /**
+     * Review content at the time of the decision.
+     * @type {{customer: ObjectId, package: ObjectId, agency: ObjectId, rating: Number, comment: String, photos: Array<String>}}
+     */
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+reviewModerationLogSchema.index({ review: 1, createdAt: -1 });
+reviewModerationLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model(
+  "ReviewModerationLog",
+  reviewModerationLogSchema
+);
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Mongoose schema for review abuse reports within the Oloha platform.
+ * @module models/ReviewReport
+ * @description
+ * A user or agency flags a review as fake, abusive or otherwise against the
+ * rules. Each reporter can report a review once. Reports stay OPEN until a
+ * super admin acts on the review, which marks them UPHELD (hidden or
+ * deleted) or DISMISSED (left published).
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Review Report Schema
+ * Represents one complaint about a review.
+ *
+ * @typedef {Object} ReviewReport
+ * @property {ObjectId} review - Reported review.
+ * @property {ObjectId} reporter - User or agency who reported it.
+ * @property {String} reporterModel - User or Agency.
+ * @property {String} reason - Report category.
+ * @property {String} details - Optional explanation.
+ * @property {String} status - OPEN, UPHELD or DISMISSED.
+ * @property {Date} resolvedAt - When a super admin acted on it.
+ */
+
+const reviewReportSchema = new mongoose.Schema(
+  {
+    /* ---------------------------------------------------------------------- */
+    /*                           RELATIONAL FIELDS                             */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Reported review. Not a hard reference: the review may since have been
+     * deleted, and the report is kept for the audit trail.
+     * @type {ObjectId}
+     * @ref Review
+     * @required
+     */
+    review: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Review",
+      required: true,
+    },
+
+    /**
+     * User or agency who reported the review.
+     * @type {ObjectId}
+     * @required
+     */
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "reporterModel",
+      required: true,
+    },
+
+    /**
+     * Model of the reporter.
+     * @enum ["User", "Agency"]
+     * @type {String}
+     * @required
+     */
+    reporterModel: {
+      type: String,
+      enum: ["User", "Agency"],
+      required: true,
+    },
+
+    /* ---------------------------------------------------------------------- */
+    /*                               REPORT DATA                               */
+    /* ---------------------------------------------------------------------- */
+
+    /**
+     * Report category.
+     * @enum ["FAKE", "ABUSIVE", "SPAM", "OFF_TOPIC", "PERSONAL_INFO", "OTHER"]
+     * @type {String}
+     * @required
+     */
+    reason: {
+      type: String,
+      enum: ["FAKE", "ABUSIVE", "SPAM", "OFF_TOPIC", "PERSONAL_INFO", "OTHER"],
+      required: true,
+    },
+
+    /**
+     * Optional explanation from the reporter.
+     * @type {String}
+     */
+    details: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: "",
+    },
+
+    /**
+     * Report status.
+     * @enum ["OPEN", "UPHELD", "DISMISSED"]
+     * @type {String}
+     */
+    status: {
+      type: String,
+      enum: ["OPEN", "UPHELD", "DISMISSED"],
+      default: "OPEN",
+    },
+
+    /**
+     * When a super admin acted on the report.
+     * @type {Date|null}
+     */
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+reviewReportSchema.index({ review: 1, reporter: 1 }, { unique: true });
+reviewReportSchema.index({ review: 1, status: 1 });
+
+module.exports = mongoose.model("ReviewReport", reviewReportSchema);
@@ -33,6 +33,7 @@ const mongoose = require("mongoose");
  * @property {Array<ObjectId>} bookings - Linked bookings.
  * @property {Number} rating - Average rating based on reviews.
  * @property {Number} totalReviews - Number of reviews received.
+ * @property {Object} subRatings - Average value, guide and accommodation ratings.
  * @property {String} status - Account status: active, suspended, pending.
  */
 
@@ -211,6 +212,26 @@ const travelAgencySchema = new mongoose.Schema(
       default: 0,
     },
 
+    /**
+     * Average sub-ratings across the agency's packages. Null until one is given.
+     * @type {{value: Number|null, guide: Number|null, accommodation: Number|null}}
+     */
+    subRatings: {
+      value: { type: Number, default: null },
+      guide: { type: Number, default: null },
+      accommodation: { type: Number, default: null },
+    },
+
+    /**
+     * Running sums and counts the averages are worked out from.
+     * @type {Object}
+     */
+    reviewTotals: {
+      type: mongoose.Schema.Types.Mixed,
+      default: () => ({}),
+      select: false,
+    },
+
     /* ---------------------------------------------------------------------- */
     /*                        ACCOUNT STATUS                                  */
     /* ---------------------------------------------------------------------- */
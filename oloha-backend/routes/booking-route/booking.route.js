@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Express routes for Booking management by Users and Agencies
+ * @module routes/bookingRoutes
+ * @description Provides endpoints for:
+ *  - Signed price quotes
+ *  - Slot holds during checkout
+ *  - Booking creation and cancellation by users, with policy-based refunds
+ *  - Booking retrieval for users, agencies and super admins, by ID or reference
+ *  - Booking status updates (confirm, cancel, complete) by agencies
+ *  - Invoice and e-ticket downloads, and e-ticket verification by agencies
+ *  - Traveller details by users and departure manifests for agencies
+ */
+
+const express = require("express");
+const router = express.Router();
+const bookingController = require("../../controllers/booking-controller/booking.controller");
+const {
+  encryptedAuthMiddleware,
+} = require("../../middlewares/auth-middleware/auth.middleware");
+
+// ================== USER BOOKING ROUTES ===================
+// ==========================================================
+// ==========================================================
+// ==========================================================
+
+/**
+ * @description Prices a traveller mix for a package and returns a signed quote
+ * @route POST /api/booking/user/get-quote
+ * @access Private (User only)
+ */
+router.post(
+  "/user/get-quote",
+  encryptedAuthMiddleware,
+  bookingController.getBookingQuote
+);
+
+/**
+ * @description Holds package slots for a short time while checkout completes
+ * @route POST /api/booking/user/create-hold
+ * @access Private (User only)
+ */
+router.post(
+  "/user/create-hold",
+  encryptedAuthMiddleware,
+  bookingController.createBookingHold
+);
+
+/**
+ * @description Releases a slot hold before it expires
+ * @route DELETE /api/booking/user/release-hold/:holdId
+ * @access Private (User only)
+ */
+router.delete(
+  "/user/release-hold/:holdId",
+  encryptedAuthMiddleware,
+  bookingController.releaseBookingHold
+);
+
+/**
+ * @description Creates a new booking against an activated package, optionally from a hold
+ * @route POST /api/booking/user/create-booking
+ * @access Private (User only)
+ */
+router.post(
+  "/user/create-booking",
+  encryptedAuthMiddleware,
+  bookingController.createBooking
+);
+
+/**
+ * @description Retrieves all bookings made by the logged-in user
+ * @route GET /api/booking/user/get-my-bookings
+ * @access Private (User only)
+ */
+router.get(
+  "/user/get-my-bookings",
+  encryptedAuthMiddleware,
+  bookingController.getUserBookings
+);
+
+/**
+ * @description Shows the refund cancelling a booking now would give
+ * @route GET /api/booking/user/get-cancellation-refund/:bookingId
+ * @access Private (User only)
+ */
+router.get(
+  "/user/get-cancellation-refund/:bookingId",
+  encryptedAuthMiddleware,
+  bookingController.getCancellationRefund
+);
+
+/**
+ * @description Cancels a pending or confirmed booking, restores its slots and
+ * refunds per the cancellation policy
+ * @route PATCH /api/booking/user/cancel-booking/:bookingId
+ * @access Private (User only)
+ */
+router.patch(
+  "/user/cancel-booking/:bookingId",
+  encryptedAuthMiddleware,
+  bookingController.cancelBooking
+);
+
+/**
+ * @description Adds or replaces the details of each traveller on a booking
+ * @route PUT /api/booking/user/update-travellers/:bookingId
+ * @access Private (User only)
+ */
+router.put(
+  "/user/update-travellers/:bookingId",
+  encryptedAuthMiddleware,
+  bookingController.updateTravellers
+);
+
+// ================== AGENCY BOOKING ROUTES =================
+// ==========================================================
+// ==========================================================
+// ==========================================================
+
+/**
+ * @description Retrieves all bookings received by the logged-in agency
+ * @route GET /api/booking/agency/get-agency-bookings
+ * @access Private (Agency only)
+ */
+router.get(
+  "/agency/get-agency-bookings",
+  encryptedAuthMiddleware,
+  bookingController.getAgencyBookings
+);
+
+/**
+ * @description Confirms, cancels or completes a booking
+ * @route PATCH /api/booking/agency/update-booking-status/:bookingId
+ * @access Private (Agency only)
+ */
+router.patch(
+  "/agency/update-booking-status/:bookingId",
+  encryptedAuthMiddleware,
+  bookingController.updateBookingStatus
+);
+
+/**
+ * @description Verifies the token read from an e-ticket QR code
+ * @route POST /api/booking/agency/verify-ticket
+ * @access Private (Agency only)
+ */
+router.post(
+  "/agency/verify-ticket",
+  encryptedAuthMiddleware,
+  bookingController.verifyTicket
+);
+
+/**
+ * @description Exports the traveller manifest of a package departure as CSV or PDF
+ * @route GET /api/booking/agency/export-manifest/:packageId
+ * @access Private (Agency only)
+ */
+router.get(
+  "/agency/export-manifest/:packageId",
+  encryptedAuthMiddleware,
+  bookingController.exportManifest
+);
+
+// ================== SHARED BOOKING ROUTES =================
+// ==========================================================
+// ==========================================================
+// ==========================================================
+
+/**
+ * @description Retrieves a specific booking by ID
+ * @route GET /api/booking/get-booking-by-id/:bookingId
+ * @access Private (Booking customer, owning agency or Super Admin)
+ */
+router.get(
+  "/get-booking-by-id/:bookingId",
+  encryptedAuthMiddleware,
+  bookingController.getBookingById
+);
+
+/**
+ * @description Retrieves a specific booking by its reference (e.g. OLH-24-7KQ9X2)
+ * @route GET /api/booking/get-booking-by-reference/:bookingReference
+ * @access Private (Booking customer, owning agency or Super Admin)
+ */
+router.get(
+  "/get-booking-by-reference/:bookingReference",
+  encryptedAuthMiddleware,
+  bookingController.getBookingByReference
+);
+
+/**
+ * @description Downloads the invoice PDF of a confirmed booking
+ * @route GET /api/booking/download-invoice/:bookingId
+ * @access Private (Booking customer, owning agency or Super Admin)
+ */
+router.get(
+  "/download-invoice/:bookingId",
+  encryptedAuthMiddleware,
+  bookingController.downloadInvoice
+);
+
+/**
+ * @description Downloads the e-ticket PDF of a confirmed booking
+ * @route GET /api/booking/download-ticket/:bookingId
+ * @access Private (Booking customer, owning agency or Super Admin)
+ */
+router.get(
+  "/download-ticket/:bookingId",
+  encryptedAuthMiddleware,
+  bookingController.downloadTicket
+);
+
+module.exports = router;
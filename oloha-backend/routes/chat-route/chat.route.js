@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Express routes for user–agency chat
+ * @module routes/chatRoutes
+ * @description Provides endpoints for:
+ *  - Opening conversations between users and agencies
+ *  - Conversation lists and paginated message history
+ *  - Image messages with Cloudinary uploads
+ *  - Read receipts
+ * Real-time messaging and typing indicators run over Socket.io.
+ */
+
+const express = require("express");
+const router = express.Router();
+const chatController = require("../../controllers/chat-controller/chat.controller");
+const {
+  encryptedAuthMiddleware,
+} = require("../../middlewares/auth-middleware/auth.middleware");
+const cloudinaryUtility = require("../../utilities/cloudinary-utility/cloudinary.utility");
+
+// ================== CONVERSATION ROUTES ===================
+// ==========================================================
+// ==========================================================
+// ==========================================================
+
+/**
+ * @description Opens (or returns) the conversation with an agency, optionally about a booking
+ * @route POST /api/chat/open-conversation
+ * @access Private (User or Agency)
+ */
+router.post(
+  "/open-conversation",
+  encryptedAuthMiddleware,
+  chatController.openConversation
+);
+
+/**
+ * @description Lists the caller's conversations, most recently active first (cursor paginated)
+ * @route GET /api/chat/get-conversations
+ * @access Private (User or Agency)
+ */
+router.get(
+  "/get-conversations",
+  encryptedAuthMiddleware,
+  chatController.getConversations
+);
+
+// ================== MESSAGE ROUTES ========================
+// ==========================================================
+// ==========================================================
+// ==========================================================
+
+/**
+ * @description Lists a conversation's messages, newest first (cursor paginated)
+ * @route GET /api/chat/get-messages/:conversationId
+ * @access Private (Conversation participants)
+ */
+router.get(
+  "/get-messages/:conversationId",
+  encryptedAuthMiddleware,
+  chatController.getMessages
+);
+
+/**
+ * @description Sends an image message with an optional caption
+ * @route POST /api/chat/send-image-message/:conversationId
+ * @access Private (Conversation participants)
+ */
+router.post(
+  "/send-image-message/:conversationId",
+  encryptedAuthMiddleware,
+  cloudinaryUtility.upload,
+  chatController.sendImageMessage
+);
+
+/**
+ * @description Marks the other side's messages as read and sends a read receipt
+ * @route PATCH /api/chat/mark-as-read/:conversationId
+ * @access Private (Conversation participants)
+ */
+router.patch(
+  "/mark-as-read/:conversationId",
+  encryptedAuthMiddleware,
+  chatController.markAsRead
+);
+
+module.exports = router;
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Express routes for platform commission
+ * @module routes/commissionRoutes
+ * @description Provides endpoints for:
+ *  - Global, per-category and per-agency commission rates managed by super admins
+ *  - Commission reports per period for super admins and agencies
+ */
+
+const express = require("express");
+const router = express.Router();
+const commissionController = require("../../controllers/commission-controller/commission.controller");
+const {
+  encryptedAuthMiddleware,
+} = require("../../middlewares/auth-middleware/auth.middleware");
+
+// ================== SUPER ADMIN COMMISSION ROUTES =========
+// ==========================================================
+// ==========================================================
+// ==========================================================
+
+/**
+ * @description Creates or replaces the commission rate for a scope (global, category or agency)
+ * @route PUT /api/commission/super-admin/set-commission-rate
+ * @access Private (Super Admin only)
+ */
+router.put(
+  "/super-admin/set-commission-rate",
+  encryptedAuthMiddleware,
+  commissionController.setCommissionRate
+);
+
+/**
+ * @description Lists all commission rates
+ * @route GET /api/commission/super-admin/get-commission-rates
+ * @access Private (Super Admin only)
+ */
+router.get(
+  "/super-admin/get-commission-rates",
+  encryptedAuthMiddleware,
+  commissionController.getCommissionRates
+);
+
+/**
+ * @description Deletes a commission rate override
+ * @route DELETE /api/commission/super-admin/delete-commission-rate/:commissionRateId
+ * @access Private (Super Admin only)
+ */
+router.delete(
+  "/super-admin/delete-commission-rate/:commissionRateId",
+  encryptedAuthMiddleware,
+  commissionController.deleteCommissionRate
+);
+
+// ================== SHARED COMMISSION ROUTES ==============
+// ==========================================================
+// ==========================================================
+// ==========================================================
+
+/**
+ * @description Aggregates commission and agency earnings per period
+ * @route GET /api/commission/get-commission-report
+ * @access Private (Agency or Super Admin)
+ */
+router.get(
+  "/get-commission-report",
+  encryptedAuthMiddleware,
+  commissionController.getCommissionReport
+);
+
+module.exports = router;
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Express routes for the in-app notification center
+ * @module routes/notificationRoutes
+ * @description Provides endpoints for:
+ *  - Listing notifications and the unread count
+ *  - Marking one or all notifications as read
+ *  - Registering devices for push notifications (users and agencies)
+ * Available to users, agencies and super admins alike. New notifications are
+ * also pushed over Socket.io.
+ */
+
+const express = require("express");
+const router = express.Router();
+const notificationController = require("../../controllers/notification-controller/notification.controller");
+const {
+  encryptedAuthMiddleware,
+} = require("../../middlewares/auth-middleware/auth.middleware");
+
+// ================== NOTIFICATION ROUTES ===================
+// ==========================================================
+// ==========================================================
+// ==========================================================
+
+/**
+ * @description Lists the caller's notifications, newest first (cursor paginated)
+ * @route GET /api/notification/get-notifications
+ * @access Private (User, Agency or Super Admin)
+ */
+router.get(
+  "/get-notifications",
+  encryptedAuthMiddleware,
+  notificationController.getNotifications
+);
+
+/**
+ * @description Returns the caller's number of unread notifications
+ * @route GET /api/notification/get-unread-count
+ * @access Private (User, Agency or Super Admin)
+ */
+router.get(
+  "/get-unread-count",
+  encryptedAuthMiddleware,
+  notificationController.getUnreadCount
+);
+
+/**
+ * @description Marks all of the caller's notifications as read
+ * @route PATCH /api/notification/mark-all-as-read
+ * @access Private (User, Agency or Super Admin)
+ */
+router.patch(
+  "/mark-all-as-read",
+  encryptedAuthMiddleware,
+  notificationController.markAllAsRead
+);
+
+/**
+ * @description Marks one notification as read
+ * @route PATCH /api/notification/mark-as-read/:notificationId
+ * @access Private (Notification recipient)
+ */
+router.patch(
+  "/mark-as-read/:notificationId",
+  encryptedAuthMiddleware,
+  notificationController.markAsRead
+);
+
+// ================== DEVICE TOKEN ROUTES ===================
+// ==========================================================
+// ==========================================================
+// ==========================================================
+
+/**
+ * @description Registers or refreshes the caller's device for push notifications
+ * @route POST /api/notification/register-device-token
+ * @access Private (User or Agency)
+ */
+router.post(
+  "/register-device-token",
+  encryptedAuthMiddleware,
+  notificationController.registerDeviceToken
+);
+
+/**
+ * @description Stops push notifications to one of the caller's devices
+ * @route DELETE /api/notification/unregister-device-token
+ * @access Private (User or Agency)
+ */
+router.delete(
+  "/unregister-device-token",
+  encryptedAuthMiddleware,
+  notificationController.unregisterDeviceToken
+);
+
+module.exports = router;
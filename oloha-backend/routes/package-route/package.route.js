@@ -6,6 +6,9 @@
  *  - Package retrieval by ID and agency
  *  - Package updates with image management
  *  - Package deletion with cleanup
+ *  - Package revision history and rollback
+ *  - Public catalogue listing, search and package details
+ *  - "Near me" package discovery
  */
 
 const express = require("express");
@@ -67,4 +70,63 @@ router.delete(
   packageController.deletePackage
 );
 
+/**
+ * @description Lists package revisions with field-level diffs, or the revision current at `?at=`
+ * @route GET /api/package/agency/get-package-revisions/:packageId
+ * @access Private (Agency owner or Super Admin)
+ */
+router.get(
+  "/agency/get-package-revisions/:packageId",
+  encryptedAuthMiddleware,
+  packageController.getPackageRevisions
+);
+
+/**
+ * @description Restores a package's content and pricing from an earlier revision
+ * @route PATCH /api/package/agency/rollback-package/:packageId
+ * @access Private (Agency only)
+ */
+router.patch(
+  "/agency/rollback-package/:packageId",
+  encryptedAuthMiddleware,
+  packageController.rollbackPackage
+);
+
+// ================== PUBLIC CATALOGUE ROUTES ===============
+// ==========================================================
+// ==========================================================
+// ==========================================================
+
+/**
+ * @description Lists activated packages with filters, sorting and cursor pagination
+ * @route GET /api/package
+ * @access Public
+ */
+router.get("/", packageController.getPublicPackages);
+
+/**
+ * @description Ranked, typo-tolerant search with highlighted snippets
+ * @route GET /api/package/search
+ * @access Public
+ */
+router.get("/search", packageController.searchPackages);
+
+/**
+ * @description Packages with an itinerary stop near the caller's stored location or a given point
+ * @route GET /api/package/nearby
+ * @access Private (Authenticated)
+ */
+router.get(
+  "/nearby",
+  encryptedAuthMiddleware,
+  packageController.getNearbyPackages
+);
+
+/**
+ * @description Retrieves public details of an activated package
+ * @route GET /api/package/:packageId
+ * @access Public
+ */
+router.get("/:packageId", packageController.getPublicPackageById);
+
 module.exports = router;
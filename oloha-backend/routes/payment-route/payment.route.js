@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Express routes for online booking payments
+ * @module routes/paymentRoutes
+ * @description Provides endpoints for:
+ *  - Payment intents and confirmation by users (card, JazzCash, Easypaisa)
+ *  - Capturing authorised payments by agencies
+ *  - Refunds and payment event replay by super admins
+ *  - Signed payment provider webhooks
+ */
+
+const express = require("express");
+const router = express.Router();
+const paymentController = require("../../controllers/payment-controller/payment.controller");
+const {
+  encryptedAuthMiddleware,
+} = require("../../middlewares/auth-middleware/auth.middleware");
+
+// ================== USER PAYMENT ROUTES ===================
+// ==========================================================
+// ==========================================================
+// ==========================================================
+
+/**
+ * @description Creates (or resumes) a provider payment intent for a booking
+ * @route POST /api/payment/user/create-intent/:bookingId
+ * @access Private (User only)
+ */
+router.post(
+  "/user/create-intent/:bookingId",
+  encryptedAuthMiddleware,
+  paymentController.createPaymentIntent
+);
+
+/**
+ * @description Submits a payment method for the booking's payment intent
+ * @route POST /api/payment/user/confirm-payment/:bookingId
+ * @access Private (User only)
+ */
+router.post(
+  "/user/confirm-payment/:bookingId",
+  encryptedAuthMiddleware,
+  paymentController.confirmPayment
+);
+
+// ================== AGENCY PAYMENT ROUTES =================
+// ==========================================================
+// ==========================================================
+// ==========================================================
+
+/**
+ * @description Captures an authorised payment for the agency's booking
+ * @route PATCH /api/payment/agency/capture-payment/:bookingId
+ * @access Private (Agency only)
+ */
+router.patch(
+  "/agency/capture-payment/:bookingId",
+  encryptedAuthMiddleware,
+  paymentController.capturePayment
+);
+
+// ================== SUPER ADMIN PAYMENT ROUTES ============
+// ==========================================================
+// ==========================================================
+// ==========================================================
+
+/**
+ * @description Refunds all or part of a paid booking
+ * @route PATCH /api/payment/super-admin/refund-payment/:bookingId
+ * @access Private (Super Admin only)
+ */
+router.patch(
+  "/super-admin/refund-payment/:bookingId",
+  encryptedAuthMiddleware,
+  paymentController.refundPayment
+);
+
+/**
+ * @description Lists the payment event ledger with status/provider/booking filters
+ * @route GET /api/payment/super-admin/get-payment-events
+ * @access Private (Super Admin only)
+ */
+router.get(
+  "/super-admin/get-payment-events",
+  encryptedAuthMiddleware,
+  paymentController.getPaymentEvents
+);
+
+/**
+ * @description Re-processes a payment event that failed to apply
+ * @route POST /api/payment/super-admin/replay-payment-event/:paymentEventId
+ * @access Private (Super Admin only)
+ */
+router.post(
+  "/super-admin/replay-payment-event/:paymentEventId",
+  encryptedAuthMiddleware,
+  paymentController.replayPaymentEvent
+);
+
+// ================== PROVIDER WEBHOOK ROUTES ===============
+// ==========================================================
+// ==========================================================
+// ==========================================================
+
+/**
+ * @description Receives signed payment events and checkout callbacks from a
+ * provider (STRIPE, JAZZCASH, EASYPAISA)
+ * @route POST /api/payment/webhook/:provider
+ * @access Public (verified by provider signature)
+ */
+router.post("/webhook/:provider", paymentController.handlePaymentWebhook);
+
+/**
+ * @description Receives payment notifications from providers that send them
+ * as query parameters (EASYPAISA)
+ * @route GET /api/payment/webhook/:provider
+ * @access Public (verified by transaction inquiry)
+ */
+router.get("/webhook/:provider", paymentController.handlePaymentWebhook);
+
+module.exports = router;
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Express routes for promo code management
+ * @module routes/promoCodeRoutes
+ * @description Provides endpoints for:
+ *  - Agency-scoped promo codes managed by agencies
+ *  - Platform-wide promo codes managed by super admins
+ */
+
+const express = require("express");
+const router = express.Router();
+const promoCodeController = require("../../controllers/promo-code-controller/promo-code.controller");
+const {
+  encryptedAuthMiddleware,
+} = require("../../middlewares/auth-middleware/auth.middleware");
+
+// ================== PROMO CODE MANAGEMENT ROUTES ==========
+// ==========================================================
+// ==========================================================
+// ==========================================================
+
+/**
+ * @description Creates a promo code (agency-scoped for agencies, global for super admins)
+ * @route POST /api/promo-code/create-promo-code
+ * @access Private (Agency or Super Admin)
+ */
+router.post(
+  "/create-promo-code",
+  encryptedAuthMiddleware,
+  promoCodeController.createPromoCode
+);
+
+/**
+ * @description Lists the caller's promo codes (super admins may pass ?scope=ALL)
+ * @route GET /api/promo-code/get-promo-codes
+ * @access Private (Agency or Super Admin)
+ */
+router.get(
+  "/get-promo-codes",
+  encryptedAuthMiddleware,
+  promoCodeController.getPromoCodes
+);
+
+/**
+ * @description Updates a promo code owned by the caller
+ * @route PATCH /api/promo-code/update-promo-code/:promoCodeId
+ * @access Private (Agency or Super Admin)
+ */
+router.patch(
+  "/update-promo-code/:promoCodeId",
+  encryptedAuthMiddleware,
+  promoCodeController.updatePromoCode
+);
+
+/**
+ * @description Deletes an unused promo code owned by the caller
+ * @route DELETE /api/promo-code/delete-promo-code/:promoCodeId
+ * @access Private (Agency or Super Admin)
+ */
+router.delete(
+  "/delete-promo-code/:promoCodeId",
+  encryptedAuthMiddleware,
+  promoCodeController.deletePromoCode
+);
+
+module.exports = router;
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Express routes for package reviews and ratings
+ * @module routes/reviewRoutes
+ * @description Provides endpoints for:
+ *  - Reviews of completed bookings by users, with photo uploads
+ *  - Public replies to reviews by agencies
+ *  - Abuse reports on reviews by users and agencies
+ *  - Public review listings per package and per agency
+ */
+
+const express = require("express");
+const router = express.Router();
+const reviewController = require("../../controllers/review-controller/review.controller");
+const {
+  encryptedAuthMiddleware,
+} = require("../../middlewares/auth-middleware/auth.middleware");
+const cloudinaryUtility = require("../../utilities/cloudinary-utility/cloudinary.utility");
+
+// ================== USER REVIEW ROUTES ====================
+// ==========================================================
+// ==========================================================
+// ==========================================================
+
+/**
+ * @description Reviews a completed booking, with optional photo uploads
+ * @route POST /api/review/user/create-review/:bookingId
+ * @access Private (User only)
+ */
+router.post(
+  "/user/create-review/:bookingId",
+  encryptedAuthMiddleware,
+  cloudinaryUtility.upload,
+  reviewController.createReview
+);
+
+/**
+ * @description Lists the user's reviews (cursor paginated)
+ * @route GET /api/review/user/get-my-reviews
+ * @access Private (User only)
+ */
+router.get(
+  "/user/get-my-reviews",
+  encryptedAuthMiddleware,
+  reviewController.getMyReviews
+);
+
+// ================== AGENCY REVIEW ROUTES ==================
+// ==========================================================
+// ==========================================================
+// ==========================================================
+
+/**
+ * @description Posts the agency's one public reply to a review
+ * @route PATCH /api/review/agency/reply-to-review/:reviewId
+ * @access Private (Agency only)
+ */
+router.patch(
+  "/agency/reply-to-review/:reviewId",
+  encryptedAuthMiddleware,
+  reviewController.replyToReview
+);
+
+// ================== REVIEW REPORT ROUTES ==================
+// ==========================================================
+// ==========================================================
+// ==========================================================
+
+/**
+ * @description Reports a review as fake, abusive or otherwise against the rules
+ * @route POST /api/review/report-review/:reviewId
+ * @access Private (User or Agency)
+ */
+router.post(
+  "/report-review/:reviewId",
+  encryptedAuthMiddleware,
+  reviewController.reportReview
+);
+
+// ================== PUBLIC REVIEW ROUTES ==================
+// ==========================================================
+// ==========================================================
+// ==========================================================
+
+/**
+ * @description Lists a package's reviews with its rating summary (sortable, cursor paginated)
+ * @route GET /api/review/get-package-reviews/:packageId
+ * @access Public
+ */
+router.get(
+  "/get-package-reviews/:packageId",
+  reviewController.getPackageReviews
+);
+
+/**
+ * @description Lists an agency's reviews with its rating summary (sortable, cursor paginated)
+ * @route GET /api/review/get-agency-reviews/:agencyId
+ * @access Public
+ */
+router.get("/get-agency-reviews/:agencyId", reviewController.getAgencyReviews);
+
+module.exports = router;
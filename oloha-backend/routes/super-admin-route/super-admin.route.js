@@ -6,6 +6,8 @@
  *  - Login with AES-256-GCM encrypted JWT
  *  - Fetching Super Admin details by ID
  *  - Logout with session invalidation
+ *  - Package moderation (approve / reject with reason)
+ *  - Review moderation (reported review queue, hide / restore / delete, audit trail)
  */
 
 const express = require("express");
@@ -90,6 +92,87 @@ router.get("/action/get-all-agencies", superAdminController.getAllAgencies);
  */
 router.get("/action/get-all-packages", superAdminController.getAllPackages);
 
+/**
+ * @description Retrieves packages awaiting review, oldest submission first.
+ */
+router.get(
+  "/action/get-pending-packages",
+  encryptedAuthMiddleware,
+  superAdminController.getPendingPackages
+);
+
+/**
+ * @description Approves a pending package and emails the agency.
+ */
+router.put(
+  "/action/approve-package/:packageId",
+  encryptedAuthMiddleware,
+  superAdminController.approvePackage
+);
+
+/**
+ * @description Rejects a pending package with a reason and emails the agency.
+ */
+router.put(
+  "/action/reject-package/:packageId",
+  encryptedAuthMiddleware,
+  superAdminController.rejectPackage
+);
+
+/**
+ * @description Retrieves reported reviews with their open reports, most reported first.
+ */
+router.get(
+  "/action/get-reported-reviews",
+  encryptedAuthMiddleware,
+  superAdminController.getReportedReviews
+);
+
+/**
+ * @description Hides a review from listings and ratings, with a reason.
+ */
+router.put(
+  "/action/hide-review/:reviewId",
+  encryptedAuthMiddleware,
+  superAdminController.hideReview
+);
+
+/**
+ * @description Restores a hidden review.
+ */
+router.put(
+  "/action/restore-review/:reviewId",
+  encryptedAuthMiddleware,
+  superAdminController.restoreReview
+);
+
+/**
+ * @description Dismisses a review's open reports, leaving it published or hidden.
+ */
+router.put(
+  "/action/dismiss-review-reports/:reviewId",
+  encryptedAuthMiddleware,
+  superAdminController.dismissReviewReports
+);
+
+/**
+ * @description Deletes a review (kept as DELETED), with a reason.
+ */
+router.delete(
+  "/action/delete-review/:reviewId",
+  encryptedAuthMiddleware,
+  superAdminController.deleteReview
+);
+
+/**
+ * @description Retrieves the review moderation audit trail, newest first.
+ */
+router.get(
+  "/action/get-review-moderation-logs",
+  encryptedAuthMiddleware,
+  superAdminController.getReviewModerationLogs
+);
+
 /**
  * @description Retrieves all users.
  */
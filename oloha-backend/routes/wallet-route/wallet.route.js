@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Express routes for agency wallets and payouts
+ * @module routes/walletRoutes
+ * @description Provides endpoints for:
+ *  - Agency wallet balances and ledger statements
+ *  - Payout requests by agencies
+ *  - Payout review by super admins
+ */
+
+const express = require("express");
+const router = express.Router();
+const walletController = require("../../controllers/wallet-controller/wallet.controller");
+const {
+  encryptedAuthMiddleware,
+} = require("../../middlewares/auth-middleware/auth.middleware");
+
+// ================== AGENCY WALLET ROUTES ==================
+// ==========================================================
+// ==========================================================
+// ==========================================================
+
+/**
+ * @description Gets the agency's wallet balance, on hold and available for payout
+ * @route GET /api/wallet/agency/get-wallet-balance
+ * @access Private (Agency only)
+ */
+router.get(
+  "/agency/get-wallet-balance",
+  encryptedAuthMiddleware,
+  walletController.getWalletBalance
+);
+
+/**
+ * @description Lists the agency's ledger transactions (cursor paginated)
+ * @route GET /api/wallet/agency/get-ledger-transactions
+ * @access Private (Agency only)
+ */
+router.get(
+  "/agency/get-ledger-transactions",
+  encryptedAuthMiddleware,
+  walletController.getLedgerTransactions
+);
+
+/**
+ * @description Requests a payout of available earnings to a bank account
+ * @route POST /api/wallet/agency/request-payout
+ * @access Private (Agency only)
+ */
+router.post(
+  "/agency/request-payout",
+  encryptedAuthMiddleware,
+  walletController.requestPayout
+);
+
+/**
+ * @description Lists the agency's payouts
+ * @route GET /api/wallet/agency/get-my-payouts
+ * @access Private (Agency only)
+ */
+router.get(
+  "/agency/get-my-payouts",
+  encryptedAuthMiddleware,
+  walletController.getMyPayouts
+);
+
+// ================== SUPER ADMIN PAYOUT ROUTES =============
+// ==========================================================
+// ==========================================================
+// ==========================================================
+
+/**
+ * @description Lists payouts, optionally by status
+ * @route GET /api/wallet/super-admin/get-payouts
+ * @access Private (Super Admin only)
+ */
+router.get(
+  "/super-admin/get-payouts",
+  encryptedAuthMiddleware,
+  walletController.getPayouts
+);
+
+/**
+ * @description Approves a requested payout
+ * @route PATCH /api/wallet/super-admin/approve-payout/:payoutId
+ * @access Private (Super Admin only)
+ */
+router.patch(
+  "/super-admin/approve-payout/:payoutId",
+  encryptedAuthMiddleware,
+  walletController.approvePayout
+);
+
+/**
+ * @description Rejects a payout and returns the amount to the agency's wallet
+ * @route PATCH /api/wallet/super-admin/reject-payout/:payoutId
+ * @access Private (Super Admin only)
+ */
+router.patch(
+  "/super-admin/reject-payout/:payoutId",
+  encryptedAuthMiddleware,
+  walletController.rejectPayout
+);
+
+/**
+ * @description Marks an approved payout as transferred
+ * @route PATCH /api/wallet/super-admin/mark-payout-paid/:payoutId
+ * @access Private (Super Admin only)
+ */
+router.patch(
+  "/super-admin/mark-payout-paid/:payoutId",
+  encryptedAuthMiddleware,
+  walletController.markPayoutPaid
+);
+
+module.exports = router;
@@ -0,0 +1,463 @@
+/**
+ * @fileoverview Booking document service for Oloha backend.
+ * @module services/bookingDocumentService
+ * @description Generates the invoice and e-ticket (travel voucher) PDFs for a
+ * confirmed booking, stores them on Cloudinary and serves them back for
+ * download.
+ *
+ * The e-ticket carries a QR code of a signed ticket token. Agencies scan it at
+ * departure and the token is verified with an HMAC, so a ticket cannot be
+ * forged for another booking.
+ */
+
+const crypto = require("crypto");
+const axios = require("axios");
+const QRCode = require("qrcode");
+const Booking = require("../../models/booking-model/Booking.model");
+const {
+  uploadToCloudinary,
+} = require("../../utilities/cloudinary-utility/cloudinary.utility");
+const { renderPdf } = require("../../helpers/pdf-helper/pdf.helper");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+/** Timezone dates are printed in */
+const DOCUMENT_TIMEZONE = process.env.REPORT_TIMEZONE || "Asia/Karachi";
+
+/** Document types, with the file name each is sent as */
+const DOCUMENT_TYPES = {
+  invoice: "invoice",
+  ticket: "e-ticket",
+};
+
+/**
+ * Key used to sign ticket tokens.
+ * @returns {string}
+ */
+const getSigningSecret = () =>
+  process.env.TICKET_SIGNING_SECRET || process.env.JWT_SECRET;
+
+/**
+ * HMAC-SHA256 signature of an encoded ticket payload.
+ * @param {string} encodedPayload
+ * @returns {string} Base64url signature
+ */
+const sign = (encodedPayload) =>
+  crypto
+    .createHmac("sha256", getSigningSecret())
+    .update(`ticket.${encodedPayload}`)
+    .digest("base64url");
+
+/**
+ * Signed token encoded in the e-ticket QR code.
+ * @function createTicketToken
+ * @param {Object} booking - Booking document.
+ * @returns {string} `<payload>.<signature>`
+ */
+const createTicketToken = (booking) => {
+  const encodedPayload = Buffer.from(
+    JSON.stringify({ bookingId: booking._id.toString() })
+  ).toString("base64url");
+
+  return `${encodedPayload}.${sign(encodedPayload)}`;
+};
+
+/**
+ * Checks a ticket token's signature.
+ * @function verifyTicketToken
+ * @param {string} ticketToken - Token read from the QR code.
+ * @returns {string} Booking ID the ticket was issued for.
+ * @throws {Error} 400 if the token is malformed or not signed by us.
+ */
+const verifyTicketToken = (ticketToken) => {
+  const [encodedPayload, signature] = String(ticketToken || "").split(".");
+  // Compared as bytes: timingSafeEqual throws on buffers of different lengths
+  const received = Buffer.from(signature || "");
+  const expected = Buffer.from(encodedPayload ? sign(encodedPayload) : "");
+
+  if (
+    !received.length ||
+    received.length !== expected.length ||
+    !crypto.timingSafeEqual(received, expected)
+  ) {
+    throw createHttpError("Invalid ticket");
+  }
+
+  const { bookingId } = JSON.parse(
+    Buffer.from(encodedPayload, "base64url").toString()
+  );
+  return bookingId;
+};
+
+/**
+ * Formats an amount with its currency, e.g. "PKR 12,500.00".
+ * @param {number} amount
+ * @param {string} currency
+ * @returns {string}
+ */
+const formatMoney = (amount, currency) =>
+  `${currency} ${Number(amount || 0).toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+/**
+ * Formats a date as e.g. "05 Mar 2026".
+ * @param {Date|null} date
+ * @returns {string}
+ */
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString("en-GB", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+        timeZone: DOCUMENT_TIMEZONE,
+      })
+    : "Flexible";
+
+/**
+ * Loads a booking with everything printed on its documents.
+ * @param {string} bookingId
+ * @returns {Promise<Object|null>}
+ */
+const loadBookingForDocuments = (bookingId) =>
+  Booking.findById(bookingId)
+    .populate("package", "packageTitle duration itinerary")
+    .populate("agency", "agencyName email contactNumber address")
+    .populate("customer", "userName email phone");
+
+/**
+ * Writes the OLOHA header and document title.
+ * @param {PDFKit.PDFDocument} doc
+ * @param {string} title
+ * @param {Object} booking
+ */
+const drawHeader = (doc, title, booking) => {
+  doc.font("Helvetica-Bold").fontSize(22).text("OLOHA", 50, 50);
+  doc
+    .fontSize(16)
+    .text(title, 50, 50, { align: "right" })
+    .font("Helvetica")
+    .fontSize(10)
+    .text(`Booking reference: ${booking.bookingReference || booking._id}`, {
+      align: "right",
+    })
+    .text(`Issued: ${formatDate(new Date())}`, { align: "right" });
+  doc.moveTo(50, 110).lineTo(545, 110).stroke();
+  doc.y = 125;
+};
+
+/**
+ * Writes a bold section heading.
+ * @param {PDFKit.PDFDocument} doc
+ * @param {string} heading
+ */
+const drawHeading = (doc, heading) => {
+  doc.moveDown(0.8).font("Helvetica-Bold").fontSize(12).text(heading, 50);
+  doc.moveDown(0.3).font("Helvetica").fontSize(10);
+};
+
+/**
+ * Writes a row of columns at the current position.
+ * @param {PDFKit.PDFDocument} doc
+ * @param {Array<string>} cells
+ * @param {Object} [options]
+ * @param {boolean} [options.bold=false]
+ */
+const drawRow = (doc, cells, { bold = false } = {}) => {
+  const columns = [
+    { x: 50, width: 245, align: "left" },
+    { x: 295, width: 60, align: "right" },
+    { x: 355, width: 90, align: "right" },
+    { x: 445, width: 100, align: "right" },
+  ];
+  const y = doc.y;
+
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+  cells.forEach((cell, index) => {
+    const column = columns[columns.length - cells.length + index] || columns[0];
+    doc.text(cell, index === 0 ? 50 : column.x, y, {
+      width: index === 0 ? column.x + column.width - 50 : column.width,
+      align: index === 0 ? "left" : column.align,
+    });
+  });
+  doc.font("Helvetica");
+  doc.y = Math.max(doc.y, y + 14);
+};
+
+/**
+ * Writes the agency and customer blocks side by side.
+ * @param {PDFKit.PDFDocument} doc
+ * @param {Object} booking - Populated booking.
+ */
+const drawParties = (doc, booking) => {
+  const { agency, customer } = booking;
+  const y = doc.y;
+
+  const left = { width: 230 };
+  const right = { width: 245 };
+
+  doc.font("Helvetica-Bold").text("Travel agency", 50, y, left);
+  doc
+    .font("Helvetica")
+    .text(agency?.agencyName || "-", left)
+    .text(agency?.email || "", left)
+    .text(agency?.contactNumber || "", left)
+    .text(agency?.address || "", left);
+  const agencyBottom = doc.y;
+
+  doc.font("Helvetica-Bold").text("Lead traveller", 300, y, right);
+  doc
+    .font("Helvetica")
+    .text(customer?.userName || "-", right)
+    .text(customer?.email || "", right)
+    .text(customer?.phone || "", right);
+
+  doc.x = 50;
+  doc.y = Math.max(agencyBottom, doc.y);
+};
+
+/**
+ * Writes the package, departure and traveller summary, with traveller names
+ * once they have been filled in.
+ * @param {PDFKit.PDFDocument} doc
+ * @param {Object} booking - Populated booking.
+ */
+const drawTrip = (doc, booking) => {
+  const travellers = booking.priceSnapshot?.travellers;
+
+  drawHeading(doc, "Trip");
+  doc
+    .text(`Package: ${booking.package?.packageTitle || "-"}`)
+    .text(`Departure: ${formatDate(booking.departureDate)}`)
+    .text(`Duration: ${booking.package?.duration || "-"}`)
+    .text(
+      travellers
+        ? `Travellers: ${travellers.adults} adult(s), ${travellers.children} child(ren), ${travellers.infants} infant(s)`
+        : `Travellers: ${booking.totalPersons}`
+    );
+
+  booking.travellers?.forEach((traveller, index) =>
+    doc.text(
+      `   ${index + 1}. ${traveller.fullName} (${traveller.ageGroup.toLowerCase()}, ${traveller.nationality})`,
+      { width: 330 }
+    )
+  );
+};
+
+/**
+ * Renders the invoice: parties, trip, price breakdown and payments.
+ * @param {Object} booking - Populated booking.
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoice = (booking) =>
+  renderPdf((doc) => {
+    const snapshot = booking.priceSnapshot;
+    const currency = snapshot?.currency || "PKR";
+
+    drawHeader(doc, "INVOICE", booking);
+    drawParties(doc, booking);
+    drawTrip(doc, booking);
+
+    drawHeading(doc, "Price breakdown");
+    drawRow(doc, ["Item", "Qty", "Unit price", "Amount"], { bold: true });
+
+    if (snapshot) {
+      snapshot.lines.forEach((line) =>
+        drawRow(doc, [
+          `${line.travellerType.charAt(0)}${line.travellerType.slice(1).toLowerCase()} fare`,
+          String(line.quantity),
+          formatMoney(line.unitPrice, currency),
+          formatMoney(line.amount, currency),
+        ])
+      );
+      drawRow(doc, ["Subtotal", formatMoney(snapshot.subtotal, currency)]);
+      snapshot.discounts.forEach((discount) =>
+        drawRow(doc, [
+          `${discount.type.charAt(0)}${discount.type.slice(1).toLowerCase()} discount${discount.code ? ` (${discount.code})` : ""}`,
+          `- ${formatMoney(discount.amount, currency)}`,
+        ])
+      );
+      snapshot.fees.forEach((fee) =>
+        drawRow(doc, [fee.name, formatMoney(fee.amount, currency)])
+      );
+      if (snapshot.tax?.amount) {
+        drawRow(doc, [
+          `Tax (${snapshot.tax.percent}%)`,
+          formatMoney(snapshot.tax.amount, currency),
+        ]);
+      }
+    } else {
+      drawRow(doc, [
+        "Package fare",
+        String(booking.totalPersons),
+        "",
+        formatMoney(booking.totalPrice, currency),
+      ]);
+    }
+
+    drawRow(
+      doc,
+      ["Total", formatMoney(snapshot?.total ?? booking.totalPrice, currency)],
+      { bold: true }
+    );
+
+    if (booking.paymentSchedule?.length) {
+      drawHeading(doc, "Payments");
+      drawRow(doc, ["Installment", "Due", "Status", "Amount"], {
+        bold: true,
+      });
+      booking.paymentSchedule.forEach((installment) =>
+        drawRow(doc, [
+          `${installment.sequence}. ${installment.kind}`,
+          formatDate(installment.dueDate),
+          installment.status,
+          formatMoney(installment.amount, currency),
+        ])
+      );
+    }
+
+    drawRow(
+      doc,
+      ["Amount paid", formatMoney(booking.payment?.amountPaid, currency)],
+      { bold: true }
+    );
+    drawRow(doc, ["Payment method", booking.paymentMethod]);
+    drawRow(doc, ["Payment status", booking.paymentStatus]);
+  });
+
+/**
+ * Renders the e-ticket: trip, itinerary, agency contact and QR code.
+ * @param {Object} booking - Populated booking.
+ * @returns {Promise<Buffer>}
+ */
+const renderTicket = async (booking) => {
+  const qrCode = await QRCode.toBuffer(createTicketToken(booking), {
+    errorCorrectionLevel: "M",
+    margin: 1,
+    width: 300,
+  });
+
+  return renderPdf((doc) => {
+    drawHeader(doc, "E-TICKET", booking);
+
+    doc.image(qrCode, 395, 125, { width: 150 });
+    doc
+      .fontSize(8)
+      .text("Show this code to your agency at departure", 395, 280, {
+        width: 150,
+        align: "center",
+      })
+      .fontSize(10);
+
+    doc.x = 50;
+    doc.y = 125;
+    drawTrip(doc, booking);
+
+    drawHeading(doc, "Lead traveller");
+    doc
+      .text(booking.customer?.userName || "-")
+      .text(booking.customer?.phone || "");
+
+    drawHeading(doc, "Your agency");
+    doc
+      .text(booking.agency?.agencyName || "-")
+      .text(booking.agency?.contactNumber || "")
+      .text(booking.agency?.email || "");
+
+    doc.y = Math.max(doc.y, 300);
+
+    if (booking.package?.itinerary?.length) {
+      drawHeading(doc, "Itinerary");
+      booking.package.itinerary.forEach((stop) => {
+        doc
+          .font("Helvetica-Bold")
+          .text(
+            `${stop.day || ""}${stop.destination?.name ? ` - ${stop.destination.name}` : ""}`,
+            50
+          )
+          .font("Helvetica")
+          .text(stop.activities || "", { width: 495 })
+          .moveDown(0.4);
+      });
+    }
+  });
+};
+
+/**
+ * Generates both documents, stores them on Cloudinary (replacing earlier
+ * versions) and records them on the booking.
+ * @async
+ * @function issueBookingDocuments
+ * @param {string} bookingId
+ * @returns {Promise<{booking: Object, attachments: Array<{filename: string, content: Buffer, contentType: string}>}>}
+ * Populated booking, and the PDFs ready to attach to an email.
+ * @throws {Error} 404 if the booking does not exist.
+ */
+const issueBookingDocuments = async (bookingId) => {
+  const booking = await loadBookingForDocuments(bookingId);
+  if (!booking) throw createHttpError("Booking not found", 404);
+
+  const rendered = {
+    invoice: await renderInvoice(booking),
+    ticket: await renderTicket(booking),
+  };
+
+  const documents = {};
+  const attachments = [];
+
+  for (const [type, content] of Object.entries(rendered)) {
+    const filename = `${DOCUMENT_TYPES[type]}-${booking.bookingReference || booking._id}.pdf`;
+    const { url, publicId } = await uploadToCloudinary(
+      { buffer: content, mimetype: "application/pdf", originalname: filename },
+      "bookingDocuments",
+      booking.documents?.[type]?.publicId
+    );
+
+    documents[`documents.${type}`] = {
+      url,
+      publicId,
+      generatedAt: new Date(),
+    };
+    attachments.push({ filename, content, contentType: "application/pdf" });
+  }
+
+  await Booking.updateOne({ _id: booking._id }, { $set: documents });
+
+  return { booking, attachments };
+};
+
+/**
+ * Loads a stored document, generating both documents first if it is missing.
+ * @async
+ * @function getBookingDocument
+ * @param {Object} booking - Booking document.
+ * @param {string} type - "invoice" or "ticket".
+ * @returns {Promise<{filename: string, content: Buffer}>}
+ * @throws {Error} 400 for an unknown type.
+ */
+const getBookingDocument = async (booking, type) => {
+  if (!DOCUMENT_TYPES[type]) {
+    throw createHttpError("Invalid document type");
+  }
+
+  const filename = `${DOCUMENT_TYPES[type]}-${booking.bookingReference || booking._id}.pdf`;
+  const stored = booking.documents?.[type];
+
+  if (stored?.url) {
+    const response = await axios.get(stored.url, {
+      responseType: "arraybuffer",
+      timeout: 15000,
+    });
+    return { filename, content: Buffer.from(response.data) };
+  }
+
+  const { attachments } = await issueBookingDocuments(booking._id);
+  return attachments.find((attachment) => attachment.filename === filename);
+};
+
+module.exports = {
+  verifyTicketToken,
+  issueBookingDocuments,
+  getBookingDocument,
+};
@@ -0,0 +1,409 @@
+/**
+ * @fileoverview Booking lifecycle service for Oloha backend.
+ * @module services/bookingService
+ * @description Status transitions shared by the booking controller and
+ * background jobs: moving a booking to its next status, and cancelling it with
+ * slot restoration, refund and notification emails. Confirming a booking
+ * issues its invoice and e-ticket; completing it credits the agency's
+ * earnings ledger. Customers and agencies also get in-app notifications when
+ * a booking is confirmed or cancelled. Also generates the human-friendly booking references.
+ */
+
+const crypto = require("crypto");
+const Booking = require("../../models/booking-model/Booking.model");
+const Package = require("../../models/package-model/Package.model");
+const {
+  runInTransaction,
+  releaseSlots,
+} = require("../slot-reservation-service/slot-reservation.service");
+const { releasePromoRedemption } = require("../promo-service/promo.service");
+const { postBookingCompletion } = require("../ledger-service/ledger.service");
+const {
+  calculateRefund,
+  requestCancellationRefund,
+} = require("../refund-service/refund.service");
+const {
+  issueBookingDocuments,
+} = require("../booking-document-service/booking-document.service");
+const { notify } = require("../notification-service/notification.service");
+const {
+  sendBookingConfirmationEmail,
+  sendBookingCancellationEmail,
+} = require("../../helpers/email-helper/email.helper");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+/**
+ * Characters used in booking references. 0/O, 1/I/L and U are left out so
+ * references can be read out over the phone.
+ */
+const BOOKING_REFERENCE_ALPHABET = "23456789ABCDEFGHJKMNPQRSTVWXYZ";
+
+/**
+ * Shape of a booking reference, e.g. OLH-24-7KQ9X2.
+ * @constant {RegExp}
+ */
+const BOOKING_REFERENCE_PATTERN = /^OLH-\d{2}-[2-9A-HJKMNP-TV-Z]{6}$/;
+
+/** Attempts at a unique reference before giving up */
+const MAX_REFERENCE_ATTEMPTS = 5;
+
+/** Bookings handled per batch by the backfill job */
+const BATCH_SIZE = 100;
+
+/**
+ * Generates a random booking reference for the given booking date.
+ * About 729 million references per year, so collisions are rare; the
+ * unique index on `bookingReference` catches the ones that happen.
+ *
+ * @function generateBookingReference
+ * @param {Date} [date=new Date()] - When the booking was made
+ * @returns {string}
+ */
+const generateBookingReference = (date = new Date()) => {
+  const year = String(date.getUTCFullYear() % 100).padStart(2, "0");
+  const code = Array.from(
+    { length: 6 },
+    () =>
+      BOOKING_REFERENCE_ALPHABET[
+        crypto.randomInt(BOOKING_REFERENCE_ALPHABET.length)
+      ]
+  ).join("");
+
+  return `OLH-${year}-${code}`;
+};
+
+/**
+ * Whether an error is a duplicate booking reference.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isReferenceConflict = (error) =>
+  error?.code === 11000 && Boolean(error.keyPattern?.bookingReference);
+
+/**
+ * Runs a booking write with a fresh reference, retrying with a new one if the
+ * reference is already taken.
+ *
+ * @async
+ * @function createWithBookingReference
+ * @param {function(string): Promise<Object>} create - Writes the booking with the given reference
+ * @returns {Promise<Object>} Whatever `create` returns
+ */
+const createWithBookingReference = async (create) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await create(generateBookingReference());
+    } catch (error) {
+      if (!isReferenceConflict(error) || attempt >= MAX_REFERENCE_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Normalises a reference typed by a person: upper case, no surrounding spaces.
+ *
+ * @function parseBookingReference
+ * @param {string} input
+ * @returns {string|null} The reference, or null if it is not well-formed
+ */
+const parseBookingReference = (input) => {
+  const reference = String(input || "")
+    .trim()
+    .toUpperCase();
+  return BOOKING_REFERENCE_PATTERN.test(reference) ? reference : null;
+};
+
+/**
+ * Gives bookings made before references existed a reference dated from
+ * their creation.
+ *
+ * @async
+ * @function backfillBookingReferences
+ * @returns {Promise<number>} Bookings updated.
+ */
+const backfillBookingReferences = async () => {
+  let updated = 0;
+
+  while (true) {
+    const bookings = await Booking.find({ bookingReference: null })
+      .select("_id createdAt")
+      .limit(BATCH_SIZE);
+
+    if (!bookings.length) return updated;
+
+    for (const booking of bookings) {
+      try {
+        const result = await Booking.updateOne(
+          { _id: booking._id, bookingReference: null },
+          {
+            $set: {
+              bookingReference: generateBookingReference(booking.createdAt),
+            },
+          }
+        );
+        updated += result.modifiedCount;
+      } catch (error) {
+        // Picked up again by the next batch with a new reference
+        if (!isReferenceConflict(error)) throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Restores the slots held by a booking and detaches it from the package's
+ * active bookings. User and agency booking lists are kept as history.
+ *
+ * @async
+ * @param {Object} booking - Booking document being cancelled
+ * @param {import('mongoose').ClientSession} session - Active transaction session
+ * @returns {Promise<void>}
+ */
+const releaseBookingSlots = async (booking, session) => {
+  await releaseSlots(
+    {
+      packageId: booking.package,
+      departureId: booking.departure,
+      persons: booking.numberOfPersons,
+    },
+    session
+  );
+  await Package.updateOne(
+    { _id: booking.package },
+    { $pull: { bookings: booking._id } },
+    { session }
+  );
+};
+
+/**
+ * Moves a booking to its next status. The update is conditional on the status
+ * the caller validated against, so two concurrent cancellations cannot both
+ * release the same slots. Cancellations are also conditional on the payment
+ * status and amount paid, since the refund was worked out from them.
+ *
+ * @async
+ * @function applyBookingTransition
+ * @param {Object} booking - Booking document as loaded by the caller
+ * @param {string} nextStatus - Target booking status
+ * @param {Object} [fields={}] - Extra fields to set alongside the status
+ * @returns {Promise<Object>} Updated booking document
+ */
+const applyBookingTransition = (booking, nextStatus, fields = {}) =>
+  runInTransaction(async (session) => {
+    const updated = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        bookingStatus: booking.bookingStatus,
+        ...(nextStatus === "CANCELLED" && {
+          paymentStatus: booking.paymentStatus,
+          "payment.amountPaid": booking.payment?.amountPaid || {
+            $in: [0, null],
+          },
+        }),
+      },
+      { bookingStatus: nextStatus, ...fields },
+      { new: true, session }
+    );
+
+    if (!updated) {
+      throw createHttpError(
+        "Booking was updated by another request. Please refresh and try again.",
+        409
+      );
+    }
+
+    if (nextStatus === "CANCELLED") {
+      await releaseBookingSlots(updated, session);
+      await releasePromoRedemption(updated._id, session);
+    }
+
+    if (nextStatus === "COMPLETED") {
+      await postBookingCompletion(updated, session);
+    }
+
+    return updated;
+  });
+
+/**
+ * Notifies the customer and the agency of a confirmed booking, then
+ * generates its invoice and e-ticket and emails them to the customer.
+ * Failures are logged and never fail the caller; the documents are generated
+ * again on first download.
+ *
+ * @async
+ * @param {Object} booking - Confirmed booking document
+ * @returns {Promise<void>}
+ */
+const notifyBookingConfirmed = async (booking) => {
+  const reference = booking.bookingReference || booking._id.toString();
+  const data = { bookingId: booking._id, bookingReference: reference };
+
+  await notify({
+    recipientId: booking.customer,
+    role: "USER",
+    type: "BOOKING_CONFIRMED",
+    title: "Booking confirmed",
+    message: `Your booking ${reference} is confirmed. Your invoice and e-ticket are ready to download.`,
+    data,
+  });
+  await notify({
+    recipientId: booking.agency,
+    role: "AGENCY",
+    type: "BOOKING_CONFIRMED",
+    title: "Booking confirmed",
+    message: `Booking ${reference} is confirmed.`,
+    data,
+  });
+
+  try {
+    const { booking: populated, attachments } = await issueBookingDocuments(
+      booking._id
+    );
+
+    if (populated.customer?.email) {
+      await sendBookingConfirmationEmail(
+        populated.customer.email,
+        populated.customer.userName,
+        {
+          packageTitle: populated.package?.packageTitle || "your trip",
+          bookingId: populated.bookingReference || populated._id.toString(),
+          agencyName: populated.agency?.agencyName || "Your agency",
+          departureDate: populated.departureDate,
+          totalPersons: populated.totalPersons,
+          total: populated.priceSnapshot?.total ?? populated.totalPrice,
+          currency: populated.priceSnapshot?.currency || "PKR",
+        },
+        attachments
+      );
+    }
+  } catch (documentError) {
+    console.error("Failed to send booking confirmation email:", documentError);
+  }
+};
+
+/**
+ * Notifies and emails the customer and the agency about a cancelled booking.
+ * Failures are logged and never fail the caller.
+ *
+ * @async
+ * @param {Object} booking - Cancelled booking document
+ * @returns {Promise<void>}
+ */
+const notifyBookingCancelled = async (booking) => {
+  try {
+    await booking.populate([
+      { path: "package", select: "packageTitle" },
+      { path: "agency", select: "agencyName email" },
+      { path: "customer", select: "userName email" },
+    ]);
+
+    const details = {
+      packageTitle: booking.package?.packageTitle || "your trip",
+      bookingId: booking.bookingReference || booking._id.toString(),
+      cancelledBy: booking.cancellation.cancelledBy,
+      reason: booking.cancellation.reason,
+      refundAmount: booking.refund?.amount || 0,
+      refundPercent: booking.refund?.percent || 0,
+      currency: booking.priceSnapshot?.currency || "PKR",
+    };
+
+    const data = {
+      bookingId: booking._id,
+      bookingReference: details.bookingId,
+      cancelledBy: details.cancelledBy,
+    };
+    const refundNote = details.refundAmount
+      ? ` A refund of ${details.currency} ${details.refundAmount} is on its way.`
+      : "";
+
+    if (booking.customer) {
+      await notify({
+        recipientId: booking.customer._id,
+        role: "USER",
+        type: "BOOKING_CANCELLED",
+        title: "Booking cancelled",
+        message: `Your booking ${details.bookingId} for ${details.packageTitle} has been cancelled.${refundNote}`,
+        data,
+      });
+    }
+    if (booking.agency) {
+      await notify({
+        recipientId: booking.agency._id,
+        role: "AGENCY",
+        type: "BOOKING_CANCELLED",
+        title: "Booking cancelled",
+        message: `Booking ${details.bookingId} for ${details.packageTitle} has been cancelled.`,
+        data,
+      });
+    }
+
+    if (booking.customer?.email) {
+      await sendBookingCancellationEmail(
+        booking.customer.email,
+        booking.customer.userName,
+        details,
+        "CUSTOMER"
+      );
+    }
+    if (booking.agency?.email) {
+      await sendBookingCancellationEmail(
+        booking.agency.email,
+        booking.agency.agencyName,
+        details,
+        "AGENCY"
+      );
+    }
+  } catch (emailError) {
+    console.error("Failed to send booking cancellation email:", emailError);
+  }
+};
+
+/**
+ * Cancels a booking: restores its slots, works out the refund it is owed,
+ * requests that refund from the payment provider and emails both parties.
+ *
+ * @async
+ * @function cancelBookingWithRefund
+ * @param {Object} booking - Booking document as loaded by the caller
+ * @param {{cancelledBy: string, reason: string|null}} cancellation
+ * @returns {Promise<Object>} Cancelled booking document
+ */
+const cancelBookingWithRefund = async (booking, { cancelledBy, reason }) => {
+  const cancelledAt = new Date();
+
+  const cancelled = await applyBookingTransition(booking, "CANCELLED", {
+    cancellation: { cancelledBy, reason, cancelledAt },
+    refund: calculateRefund(booking, { cancelledBy, now: cancelledAt }),
+  });
+
+  const refunded = await requestCancellationRefund(cancelled);
+  await notifyBookingCancelled(refunded);
+
+  return refunded;
+};
+
+/**
+ * Confirms a booking, then sends the customer its invoice and e-ticket.
+ *
+ * @async
+ * @function confirmBookingWithDocuments
+ * @param {Object} booking - Booking document as loaded by the caller
+ * @returns {Promise<Object>} Confirmed booking document
+ */
+const confirmBookingWithDocuments = async (booking) => {
+  const confirmed = await applyBookingTransition(booking, "CONFIRMED");
+  await notifyBookingConfirmed(confirmed);
+
+  return confirmed;
+};
+
+module.exports = {
+  createWithBookingReference,
+  parseBookingReference,
+  backfillBookingReferences,
+  applyBookingTransition,
+  confirmBookingWithDocuments,
+  cancelBookingWithRefund,
+};
@@ -0,0 +1,330 @@
+/**
+ * @fileoverview Chat service for Oloha backend.
+ * @module services/chatService
+ * @description User–agency conversations and their messages, shared by the
+ * chat REST endpoints and the Socket.io handlers. New messages and read
+ * receipts are pushed to both participants' connected devices once saved;
+ * recipients without the app open get a push notification instead.
+ *
+ * Users can start a conversation with any activated agency, optionally about
+ * one of their bookings with it. Agencies can only start one about a booking
+ * made with them, so they cannot message users out of the blue.
+ */
+
+const Conversation = require("../../models/conversation-model/Conversation.model");
+const Message = require("../../models/message-model/Message.model");
+const Agency = require("../../models/travel-agency-model/travel-agency.model");
+const User = require("../../models/user-model/user.model");
+const Booking = require("../../models/booking-model/Booking.model");
+const {
+  runInTransaction,
+} = require("../slot-reservation-service/slot-reservation.service");
+const { sendPushToParticipant } = require("../push-service/push.service");
+const {
+  emitToParticipant,
+  isParticipantOnline,
+} = require("../../utilities/socket-utility/socket.utility");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+/** Longest message accepted */
+const MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * Side of a conversation a role is on, as used in `unreadCount`.
+ * @constant {Object<string, string>}
+ */
+const PARTICIPANT_SIDES = { USER: "user", AGENCY: "agency" };
+
+/**
+ * Filter matching the conversations a participant is part of.
+ * @function participantFilter
+ * @param {{id: string, role: string}} participant - Authenticated user or agency.
+ * @returns {Object}
+ * @throws {Error} 403 for roles that cannot chat.
+ */
+const participantFilter = (participant) => {
+  const side = PARTICIPANT_SIDES[participant.role];
+  if (!side) {
+    throw createHttpError(
+      "Access denied. Only users and agencies can chat.",
+      403
+    );
+  }
+  return { [side]: participant.id };
+};
+
+/**
+ * The other side of a conversation.
+ * @function getCounterpart
+ * @param {Object} conversation
+ * @param {{role: string}} participant
+ * @returns {{id: string, role: string}}
+ */
+const getCounterpart = (conversation, participant) =>
+  participant.role === "USER"
+    ? { id: conversation.agency.toString(), role: "AGENCY" }
+    : { id: conversation.user.toString(), role: "USER" };
+
+/**
+ * Loads a conversation the participant is part of.
+ * @async
+ * @function getConversationForParticipant
+ * @param {string} conversationId
+ * @param {{id: string, role: string}} participant
+ * @returns {Promise<Object>}
+ * @throws {Error} 404 if it does not exist or is someone else's.
+ */
+const getConversationForParticipant = async (conversationId, participant) => {
+  if (!String(conversationId || "").match(/^[0-9a-fA-F]{24}$/)) {
+    throw createHttpError("Invalid Conversation ID");
+  }
+
+  const conversation = await Conversation.findOne({
+    _id: conversationId,
+    ...participantFilter(participant),
+  });
+  if (!conversation) throw createHttpError("Conversation not found", 404);
+
+  return conversation;
+};
+
+/**
+ * Finds or creates the conversation between a user and an agency.
+ * Users pass `agencyId` and optionally `bookingId`; agencies pass `bookingId`.
+ * @async
+ * @function openConversation
+ * @param {{id: string, role: string}} participant
+ * @param {{agencyId?: string, bookingId?: string}} params
+ * @returns {Promise<Object>} The conversation.
+ * @throws {Error} 400 on missing ids, 404 if the agency or booking is not found.
+ */
+const openConversation = async (participant, { agencyId, bookingId }) => {
+  participantFilter(participant);
+
+  for (const id of [agencyId, bookingId]) {
+    if (id && !String(id).match(/^[0-9a-fA-F]{24}$/)) {
+      throw createHttpError("Invalid ID");
+    }
+  }
+
+  let scope;
+  if (bookingId) {
+    const booking = await Booking.findOne({
+      _id: bookingId,
+      ...(participant.role === "USER"
+        ? { customer: participant.id }
+        : { agency: participant.id }),
+    }).select("customer agency");
+    if (!booking) throw createHttpError("Booking not found", 404);
+
+    if (agencyId && booking.agency.toString() !== agencyId) {
+      throw createHttpError("This booking was not made with that agency");
+    }
+
+    scope = {
+      user: booking.customer,
+      agency: booking.agency,
+      booking: booking._id,
+    };
+  } else {
+    if (participant.role !== "USER") {
+      throw createHttpError("Agencies can only start a chat about a booking");
+    }
+    if (!agencyId) throw createHttpError("Agency ID is required");
+
+    const agency = await Agency.exists({ _id: agencyId, status: "ACTIVATED" });
+    if (!agency) throw createHttpError("Agency not found", 404);
+
+    scope = { user: participant.id, agency: agencyId, booking: null };
+  }
+
+  try {
+    return await Conversation.findOneAndUpdate(
+      scope,
+      { $setOnInsert: { lastMessageAt: new Date() } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Two concurrent upserts: the loser reads the winner's conversation
+    if (error.code === 11000) return Conversation.findOne(scope);
+    throw error;
+  }
+};
+
+/**
+ * Sends a push notification for a new message to a recipient who does not
+ * have the app open. Failures are logged and never fail the caller.
+ * @async
+ * @param {Object} message - Saved message.
+ * @param {{id: string, role: string}} sender
+ * @param {{id: string, role: string}} recipient
+ * @returns {Promise<void>}
+ */
+const pushMessageToOfflineRecipient = async (message, sender, recipient) => {
+  if (isParticipantOnline(recipient.role, recipient.id)) return;
+
+  try {
+    const senderAccount =
+      sender.role === "USER"
+        ? await User.findById(sender.id).select("userName")
+        : await Agency.findById(sender.id).select("agencyName");
+
+    await sendPushToParticipant(recipient.role, recipient.id, {
+      title:
+        senderAccount?.userName || senderAccount?.agencyName || "New message",
+      body:
+        message.type === "IMAGE"
+          ? message.text || "Sent a photo"
+          : message.text,
+      data: {
+        type: "CHAT_MESSAGE",
+        conversationId: message.conversation,
+        messageId: message._id,
+      },
+    });
+  } catch (error) {
+    console.error("Failed to push chat message:", error);
+  }
+};
+
+/**
+ * Adds a message to a conversation, updates its preview and the recipient's
+ * unread count, and delivers it to both participants (by push notification
+ * if the recipient is offline).
+ * @async
+ * @function sendMessage
+ * @param {Object} params
+ * @param {string} params.conversationId
+ * @param {{id: string, role: string}} params.participant - Sender.
+ * @param {*} [params.text] - Message text or image caption.
+ * @param {{url: string, publicId: string}|null} [params.attachment] - Uploaded image.
+ * @returns {Promise<{message: Object, conversation: Object, recipient: {id: string, role: string}}>}
+ * @throws {Error} 400 if empty or too long, 404 if not the sender's conversation.
+ */
+const sendMessage = async ({
+  conversationId,
+  participant,
+  text,
+  attachment = null,
+}) => {
+  const body = String(text || "").trim();
+  if (!body && !attachment) throw createHttpError("Message cannot be empty");
+  if (body.length > MAX_MESSAGE_LENGTH) {
+    throw createHttpError(
+      `Message must be at most ${MAX_MESSAGE_LENGTH} characters`
+    );
+  }
+
+  const conversation = await getConversationForParticipant(
+    conversationId,
+    participant
+  );
+  const recipient = getCounterpart(conversation, participant);
+  const type = attachment ? "IMAGE" : "TEXT";
+
+  const result = await runInTransaction(async (session) => {
+    const [message] = await Message.create(
+      [
+        {
+          conversation: conversation._id,
+          sender: participant.id,
+          senderRole: participant.role,
+          type,
+          text: body,
+          attachment,
+        },
+      ],
+      { session }
+    );
+
+    const updated = await Conversation.findByIdAndUpdate(
+      conversation._id,
+      {
+        $set: {
+          lastMessage: { text: body, type, senderRole: participant.role },
+          lastMessageAt: message.createdAt,
+        },
+        $inc: { [`unreadCount.${PARTICIPANT_SIDES[recipient.role]}`]: 1 },
+      },
+      { new: true, session }
+    );
+
+    return { message, conversation: updated, recipient };
+  });
+
+  const payload = {
+    conversationId: conversation._id.toString(),
+    message: result.message,
+  };
+  emitToParticipant(recipient.role, recipient.id, "chat:message", payload);
+  emitToParticipant(participant.role, participant.id, "chat:message", payload);
+  await pushMessageToOfflineRecipient(result.message, participant, recipient);
+
+  return result;
+};
+
+/**
+ * Marks the counterpart's unread messages as read, resets the participant's
+ * unread count and sends the read receipt.
+ * @async
+ * @function markConversationRead
+ * @param {string} conversationId
+ * @param {{id: string, role: string}} participant - Reader.
+ * @returns {Promise<{conversation: Object, readAt: Date, count: number, counterpart: {id: string, role: string}}>}
+ * @throws {Error} 404 if not the reader's conversation.
+ */
+const markConversationRead = async (conversationId, participant) => {
+  const conversation = await getConversationForParticipant(
+    conversationId,
+    participant
+  );
+  const counterpart = getCounterpart(conversation, participant);
+  const readAt = new Date();
+
+  const receipt = await runInTransaction(async (session) => {
+    const result = await Message.updateMany(
+      {
+        conversation: conversation._id,
+        senderRole: counterpart.role,
+        readAt: null,
+      },
+      { $set: { readAt } },
+      { session }
+    );
+
+    const updated = await Conversation.findByIdAndUpdate(
+      conversation._id,
+      { $set: { [`unreadCount.${PARTICIPANT_SIDES[participant.role]}`]: 0 } },
+      { new: true, session }
+    );
+
+    return {
+      conversation: updated,
+      readAt,
+      count: result.modifiedCount,
+      counterpart,
+    };
+  });
+
+  if (receipt.count) {
+    const payload = {
+      conversationId: conversation._id.toString(),
+      readerRole: participant.role,
+      readAt,
+    };
+    emitToParticipant(counterpart.role, counterpart.id, "chat:read", payload);
+    emitToParticipant(participant.role, participant.id, "chat:read", payload);
+  }
+
+  return receipt;
+};
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  participantFilter,
+  getCounterpart,
+  getConversationForParticipant,
+  openConversation,
+  sendMessage,
+  markConversationRead,
+};
@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Commission service for Oloha backend.
+ * @module services/commissionService
+ * @description Resolves the platform commission rate for a booking (agency
+ * override, then category override, then the global rate, then the
+ * COMMISSION_DEFAULT_PERCENT fallback), stamps the commission and the agency's
+ * net earning on bookings when they are paid, and aggregates stamped
+ * commissions into period reports.
+ */
+
+const mongoose = require("mongoose");
+const Booking = require("../../models/booking-model/Booking.model");
+const CommissionRate = require("../../models/commission-rate-model/CommissionRate.model");
+const Package = require("../../models/package-model/Package.model");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+/** What a commission rate can apply to */
+const COMMISSION_SCOPES = ["GLOBAL", "CATEGORY", "AGENCY"];
+
+/** Periods a commission report can be grouped by */
+const REPORT_PERIODS = ["day", "week", "month", "year"];
+
+/** Rate used until a super admin sets a global one */
+const DEFAULT_COMMISSION_PERCENT = 10;
+
+/**
+ * Rounds an amount to 2 decimal places.
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Validates a commission rate from a super admin request.
+ * @function buildCommissionRateInput
+ * @param {Object} body - Request body: scope, agencyId, category, ratePercent, note.
+ * @returns {{scope: string, agency: string|null, category: string|null, ratePercent: number, note: string}}
+ * @throws {Error} 400 if the input is invalid.
+ */
+const buildCommissionRateInput = (body) => {
+  const scope = String(body.scope || "").toUpperCase();
+  if (!COMMISSION_SCOPES.includes(scope)) {
+    throw createHttpError(
+      `scope must be one of ${COMMISSION_SCOPES.join(", ")}`
+    );
+  }
+
+  const ratePercent = Number(body.ratePercent);
+  if (
+    body.ratePercent === undefined ||
+    isNaN(ratePercent) ||
+    ratePercent < 0 ||
+    ratePercent > 100
+  ) {
+    throw createHttpError("ratePercent must be between 0 and 100");
+  }
+
+  let agency = null;
+  let category = null;
+
+  if (scope === "AGENCY") {
+    if (!body.agencyId || !String(body.agencyId).match(/^[0-9a-fA-F]{24}$/)) {
+      throw createHttpError("Invalid Agency ID");
+    }
+    agency = String(body.agencyId);
+  }
+
+  if (scope === "CATEGORY") {
+    category = String(body.category || "").toUpperCase();
+    const categories = Package.schema.path("category").enumValues;
+    if (!categories.includes(category)) {
+      throw createHttpError(`category must be one of ${categories.join(", ")}`);
+    }
+  }
+
+  return {
+    scope,
+    agency,
+    category,
+    ratePercent,
+    note: body.note ? String(body.note).trim() : "",
+  };
+};
+
+/**
+ * Finds the commission rate that applies to an agency's booking in a
+ * category. The most specific rate wins.
+ * @async
+ * @function resolveCommissionRate
+ * @param {{agencyId: string, category: string}} target
+ * @param {import('mongoose').ClientSession} [session] - Active transaction session.
+ * @returns {Promise<{ratePercent: number, source: string}>}
+ */
+const resolveCommissionRate = async (
+  { agencyId, category },
+  session = null
+) => {
+  const rates = await CommissionRate.find({
+    $or: [
+      { scope: "AGENCY", agency: agencyId },
+      { scope: "CATEGORY", category },
+      { scope: "GLOBAL" },
+    ],
+  }).session(session);
+
+  for (const scope of ["AGENCY", "CATEGORY", "GLOBAL"]) {
+    const rate = rates.find((candidate) => candidate.scope === scope);
+    if (rate) return { ratePercent: rate.ratePercent, source: scope };
+  }
+
+  const fallback = Number(process.env.COMMISSION_DEFAULT_PERCENT);
+  return {
+    ratePercent:
+      !isNaN(fallback) && fallback >= 0 && fallback <= 100
+        ? fallback
+        : DEFAULT_COMMISSION_PERCENT,
+    source: "DEFAULT",
+  };
+};
+
+/**
+ * Works out the commission for a booking that has just been fully paid.
+ * @async
+ * @function buildBookingCommission
+ * @param {Object} booking - Booking document.
+ * @param {number} grossAmount - Amount the customer paid.
+ * @param {import('mongoose').ClientSession} [session] - Active transaction session.
+ * @returns {Promise<Object>} Commission to store on the booking.
+ */
+const buildBookingCommission = async (booking, grossAmount, session = null) => {
+  const package = await Package.findById(booking.package)
+    .select("category")
+    .session(session);
+
+  const { ratePercent, source } = await resolveCommissionRate(
+    { agencyId: booking.agency, category: package?.category || null },
+    session
+  );
+  const amount = roundAmount((grossAmount * ratePercent) / 100);
+
+  return {
+    ratePercent,
+    source,
+    grossAmount,
+    amount,
+    agencyNet: roundAmount(grossAmount - amount),
+    currency: booking.priceSnapshot?.currency || "PKR",
+    calculatedAt: new Date(),
+  };
+};
+
+/**
+ * Totals stamped commissions per period and currency.
+ * @async
+ * @function getCommissionReport
+ * @param {Object} params
+ * @param {string} [params.period="month"] - day, week, month or year.
+ * @param {Date} params.from - Start of the range (inclusive).
+ * @param {Date} params.to - End of the range (exclusive).
+ * @param {string} [params.agencyId] - Limit to one agency.
+ * @returns {Promise<Array<{periodStart: Date, currency: string, bookings: number, grossAmount: number, commissionAmount: number, agencyNetAmount: number}>>}
+ * @throws {Error} 400 for an unknown period or an invalid range.
+ */
+const getCommissionReport = async ({
+  period = "month",
+  from,
+  to,
+  agencyId,
+}) => {
+  if (!REPORT_PERIODS.includes(period)) {
+    throw createHttpError(`period must be one of ${REPORT_PERIODS.join(", ")}`);
+  }
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+    throw createHttpError("from must be a date before to");
+  }
+
+  const match = { "commission.calculatedAt": { $gte: from, $lt: to } };
+  if (agencyId) match.agency = new mongoose.Types.ObjectId(agencyId);
+
+  return Booking.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          periodStart: {
+            $dateTrunc: {
+              date: "$commission.calculatedAt",
+              unit: period,
+              timezone: process.env.REPORT_TIMEZONE || "Asia/Karachi",
+            },
+          },
+          currency: "$commission.currency",
+        },
+        bookings: { $sum: 1 },
+        grossAmount: { $sum: "$commission.grossAmount" },
+        commissionAmount: { $sum: "$commission.amount" },
+        agencyNetAmount: { $sum: "$commission.agencyNet" },
+      },
+    },
+    { $sort: { "_id.periodStart": 1, "_id.currency": 1 } },
+    {
+      $project: {
+        _id: 0,
+        periodStart: "$_id.periodStart",
+        currency: "$_id.currency",
+        bookings: 1,
+        grossAmount: { $round: ["$grossAmount", 2] },
+        commissionAmount: { $round: ["$commissionAmount", 2] },
+        agencyNetAmount: { $round: ["$agencyNetAmount", 2] },
+      },
+    },
+  ]);
+};
+
+module.exports = {
+  buildCommissionRateInput,
+  resolveCommissionRate,
+  buildBookingCommission,
+  getCommissionReport,
+};
@@ -0,0 +1,256 @@
+/**
+ * @fileoverview Departure service for Oloha backend.
+ * @module services/departureService
+ * @description Validates and merges dated package departures submitted by agencies,
+ * resolves bookable departures, and closes departures that have already started.
+ */
+
+const Package = require("../../models/package-model/Package.model");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+/**
+ * Parses the `departures` request field, accepting a JSON string (multipart forms) or an array.
+ * @function parseDeparturesInput
+ * @param {string|Array} input - Raw request value.
+ * @returns {Array<Object>} Parsed departures.
+ * @throws {Error} 400 if the input is not an array.
+ */
+const parseDeparturesInput = (input) => {
+  let parsed = input;
+
+  if (typeof input === "string") {
+    try {
+      parsed = JSON.parse(input);
+    } catch (parseError) {
+      throw createHttpError("Invalid departures format");
+    }
+  }
+
+  if (!Array.isArray(parsed)) {
+    throw createHttpError("Departures must be an array");
+  }
+
+  return parsed;
+};
+
+/**
+ * Validates a single submitted departure and normalises its values.
+ * @function validateDeparture
+ * @param {Object} departure - Submitted departure.
+ * @returns {{ startDate: Date, endDate: Date, capacity: number, priceOverride: number|null }}
+ * @throws {Error} 400 if any field is invalid.
+ */
+const validateDeparture = (departure) => {
+  const startDate = new Date(departure.startDate);
+  const endDate = new Date(departure.endDate);
+  const capacity = Number(departure.capacity);
+  const hasPriceOverride =
+    departure.priceOverride !== undefined &&
+    departure.priceOverride !== null &&
+    departure.priceOverride !== "";
+  const priceOverride = hasPriceOverride
+    ? Number(departure.priceOverride)
+    : null;
+
+  if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+    throw createHttpError(
+      "Each departure must have a valid startDate and endDate"
+    );
+  }
+
+  if (endDate < startDate) {
+    throw createHttpError("Departure endDate cannot be before startDate");
+  }
+
+  if (!Number.isInteger(capacity) || capacity <= 0) {
+    throw createHttpError("Departure capacity must be a positive whole number");
+  }
+
+  if (hasPriceOverride && (isNaN(priceOverride) || priceOverride <= 0)) {
+    throw createHttpError("Departure price override must be greater than 0");
+  }
+
+  return { startDate, endDate, capacity, priceOverride };
+};
+
+/**
+ * Builds departures for a new package. All departures must be in the future.
+ * @function buildDepartures
+ * @param {string|Array} input - Raw request value.
+ * @returns {Array<Object>} Departures ready to be stored.
+ */
+const buildDepartures = (input) =>
+  parseDeparturesInput(input).map((departure) => {
+    const values = validateDeparture(departure);
+
+    if (values.startDate <= new Date()) {
+      throw createHttpError("Departure startDate must be in the future");
+    }
+
+    return { ...values, availableSlots: values.capacity, status: "OPEN" };
+  });
+
+/**
+ * Applies submitted departures to a package document.
+ * Entries with an `_id` update that departure, entries without one are added,
+ * and existing departures left out of the list are removed. Departures with
+ * bookings cannot be removed, moved to other dates (bookings keep theirs) or
+ * shrunk below the seats already sold. A moved start date must be in the
+ * future, like a new one.
+ *
+ * Bookings take seats concurrently, so the departures are re-read with the
+ * transaction session and the merge is based on those: seats sold after the
+ * package was loaded are kept, and a booking committed before the package is
+ * saved aborts the transaction with a write conflict, which is retried.
+ * @async
+ * @function mergeDepartures
+ * @param {Object} package - Package document being updated.
+ * @param {string|Array} input - Raw request value.
+ * @param {import('mongoose').ClientSession} session - Transaction the package is saved in.
+ * @returns {Promise<void>}
+ * @throws {Error} 400 if the update would drop sold seats, move a booked
+ * departure or start one in the past.
+ */
+const mergeDepartures = async (package, input, session) => {
+  const submitted = parseDeparturesInput(input);
+  const keptIds = new Set();
+
+  const current = await Package.findById(package._id)
+    .select("departures")
+    .session(session);
+  const currentDepartures = (current?.departures || []).map((departure) =>
+    departure.toObject()
+  );
+  package.departures = currentDepartures;
+
+  for (const departure of submitted) {
+    const values = validateDeparture(departure);
+
+    if (!departure._id) {
+      if (values.startDate <= new Date()) {
+        throw createHttpError("Departure startDate must be in the future");
+      }
+      package.departures.push({
+        ...values,
+        availableSlots: values.capacity,
+        status: "OPEN",
+      });
+      continue;
+    }
+
+    const existing = package.departures.id(departure._id);
+    if (!existing) {
+      throw createHttpError(`Departure ${departure._id} not found`);
+    }
+
+    const soldSeats = existing.capacity - existing.availableSlots;
+    if (values.capacity < soldSeats) {
+      throw createHttpError(
+        `Departure capacity cannot be lower than the ${soldSeats} seat(s) already booked`
+      );
+    }
+
+    const startMoved =
+      values.startDate.getTime() !== existing.startDate.getTime();
+    const endMoved = values.endDate.getTime() !== existing.endDate.getTime();
+    if ((startMoved || endMoved) && soldSeats > 0) {
+      throw createHttpError(
+        "Cannot change the dates of a departure that already has bookings. Close it and add a new departure instead."
+      );
+    }
+    if (startMoved && values.startDate <= new Date()) {
+      throw createHttpError("Departure startDate must be in the future");
+    }
+
+    existing.startDate = values.startDate;
+    existing.endDate = values.endDate;
+    existing.priceOverride = values.priceOverride;
+    existing.availableSlots = values.capacity - soldSeats;
+    existing.capacity = values.capacity;
+    if (departure.status && ["OPEN", "CLOSED"].includes(departure.status)) {
+      existing.status = departure.status;
+    }
+
+    keptIds.add(existing._id.toString());
+  }
+
+  for (const existing of currentDepartures) {
+    if (keptIds.has(existing._id.toString())) continue;
+
+    if (existing.availableSlots < existing.capacity) {
+      throw createHttpError(
+        "Cannot remove a departure that already has bookings. Close it instead."
+      );
+    }
+
+    package.departures.pull(existing._id);
+  }
+};
+
+/**
+ * Whether a departure can currently take bookings.
+ * @function isDepartureBookable
+ * @param {Object} departure - Departure sub-document.
+ * @returns {boolean}
+ */
+const isDepartureBookable = (departure) =>
+  departure.status === "OPEN" && departure.startDate > new Date();
+
+/**
+ * Resolves the departure a booking targets and checks it is still bookable.
+ * Packages without departures do not need (or accept) one.
+ * @function resolveBookableDeparture
+ * @param {Object} package - Package document.
+ * @param {string} [departureId] - Requested departure.
+ * @returns {Object|null} Departure sub-document, or null for undated packages.
+ * @throws {Error} 400/404 if the departure is missing or no longer bookable.
+ */
+const resolveBookableDeparture = (package, departureId) => {
+  if (!package.departures?.length) return null;
+
+  if (!departureId || !String(departureId).match(/^[0-9a-fA-F]{24}$/)) {
+    throw createHttpError("A valid departure must be selected");
+  }
+
+  const departure = package.departures.id(departureId);
+  if (!departure) {
+    throw createHttpError("Departure not found", 404);
+  }
+
+  if (!isDepartureBookable(departure)) {
+    throw createHttpError("This departure is no longer bookable");
+  }
+
+  return departure;
+};
+
+/**
+ * Closes every open departure whose start date has passed.
+ * @function closeExpiredDepartures
+ * @returns {Promise<number>} Number of packages updated.
+ */
+const closeExpiredDepartures = async () => {
+  const now = new Date();
+
+  const result = await Package.updateMany(
+    {
+      departures: { $elemMatch: { status: "OPEN", startDate: { $lte: now } } },
+    },
+    { $set: { "departures.$[departure].status": "CLOSED" } },
+    {
+      arrayFilters: [
+        { "departure.status": "OPEN", "departure.startDate": { $lte: now } },
+      ],
+    }
+  );
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  buildDepartures,
+  mergeDepartures,
+  isDepartureBookable,
+  resolveBookableDeparture,
+  closeExpiredDepartures,
+};
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Itinerary service for Oloha backend.
+ * @module services/itineraryService
+ * @description Validates itineraries submitted by agencies, including the
+ * optional destination (city, region, country and coordinates) of each stop.
+ */
+
+const { toGeoPoint } = require("../../helpers/geo-helper/geo.helper");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+/**
+ * Validates a submitted destination and converts its coordinates to GeoJSON.
+ * Coordinates may be sent as `latitude`/`longitude` or as a GeoJSON `location`.
+ * @function buildDestination
+ * @param {Object} destination - Submitted destination.
+ * @returns {{ name: string, city: string, region: string, country: string, location: Object }}
+ * @throws {Error} 400 if the destination has no name or invalid coordinates.
+ */
+const buildDestination = (destination) => {
+  if (typeof destination !== "object" || Array.isArray(destination)) {
+    throw createHttpError("Itinerary destination must be an object");
+  }
+
+  const [longitude, latitude] = destination.location?.coordinates || [];
+  const location = toGeoPoint(
+    destination.latitude ?? latitude,
+    destination.longitude ?? longitude
+  );
+
+  if (!location) {
+    throw createHttpError(
+      "Each itinerary destination must have a valid latitude and longitude"
+    );
+  }
+
+  const name = String(destination.name || destination.city || "").trim();
+  if (!name) {
+    throw createHttpError("Each itinerary destination must have a name");
+  }
+
+  return {
+    name,
+    city: String(destination.city || "").trim(),
+    region: String(destination.region || "").trim(),
+    country: String(destination.country || "").trim(),
+    location,
+  };
+};
+
+/**
+ * Parses and validates the `itinerary` request field, accepting a JSON string
+ * (multipart forms) or an array. Destinations are optional per day.
+ * @function buildItinerary
+ * @param {string|Array} input - Raw request value.
+ * @returns {Array<{ day: string, activities: string, destination?: Object }>}
+ * @throws {Error} 400 if the itinerary or any of its days is invalid.
+ */
+const buildItinerary = (input) => {
+  let parsed = input;
+
+  if (typeof input === "string") {
+    try {
+      parsed = JSON.parse(input);
+    } catch (parseError) {
+      throw createHttpError("Invalid itinerary format");
+    }
+  }
+
+  if (!Array.isArray(parsed)) {
+    throw createHttpError("Itinerary must be an array");
+  }
+
+  return parsed.map((day) => {
+    if (!day?.day || !day.activities) {
+      throw createHttpError(
+        "Each itinerary day must have 'day' and 'activities' fields"
+      );
+    }
+
+    const stop = { day: day.day, activities: day.activities };
+    if (day.destination) {
+      stop.destination = buildDestination(day.destination);
+    }
+    return stop;
+  });
+};
+
+module.exports = {
+  buildItinerary,
+};
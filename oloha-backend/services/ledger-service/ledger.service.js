@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Agency earnings ledger service for Oloha backend.
+ * @module services/ledgerService
+ * @description Posts balanced double-entry transactions for agency earnings
+ * and works out wallet balances from them:
+ *  - A completed booking credits the agency what the customer paid, less refunds,
+ *    and debits the platform commission.
+ *  - A refund after completion debits the agency, and credits back the
+ *    commission taken on the refunded amount.
+ *  - Payout requests, rejections and transfers move money between the wallet
+ *    and the payout accounts (see the payout service).
+ *
+ * Earnings are held for PAYOUT_HOLD_DAYS before they can be paid out.
+ * Each transaction has a unique reference, so posting the same event twice
+ * has no further effect.
+ */
+
+const mongoose = require("mongoose");
+const Booking = require("../../models/booking-model/Booking.model");
+const LedgerTransaction = require("../../models/ledger-transaction-model/LedgerTransaction.model");
+const {
+  buildBookingCommission,
+} = require("../commission-service/commission.service");
+
+/** Days earnings are held before they can be paid out, unless configured */
+const DEFAULT_HOLD_DAYS = 7;
+
+/** Milliseconds in a day */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Rounds an amount to 2 decimal places.
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Days earnings are held before payout.
+ * @function getHoldDays
+ * @returns {number}
+ */
+const getHoldDays = () => {
+  const days = Number(process.env.PAYOUT_HOLD_DAYS);
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_HOLD_DAYS;
+};
+
+/**
+ * Posts a transaction unless one with the same reference exists.
+ * @async
+ * @function postLedgerTransaction
+ * @param {Object} transaction - LedgerTransaction fields; `entries` must balance.
+ * @param {import('mongoose').ClientSession} [session] - Active transaction session.
+ * @returns {Promise<Object>} Posted (or previously posted) transaction.
+ */
+const postLedgerTransaction = async (transaction, session = null) => {
+  const existing = await LedgerTransaction.findOne({
+    reference: transaction.reference,
+  }).session(session);
+  if (existing) return existing;
+
+  const [posted] = await LedgerTransaction.create(
+    [
+      {
+        ...transaction,
+        entries: transaction.entries.filter((entry) => entry.amount > 0),
+      },
+    ],
+    { session }
+  );
+  return posted;
+};
+
+/**
+ * Credits an agency for a completed booking, less the platform commission.
+ * Bookings with nothing left paid post nothing. Bookings without a stamped
+ * commission get one from the current rates.
+ * @async
+ * @function postBookingCompletion
+ * @param {Object} booking - Booking that just moved to COMPLETED.
+ * @param {import('mongoose').ClientSession} session - Active transaction session.
+ * @returns {Promise<Object|null>} Posted transaction.
+ */
+const postBookingCompletion = async (booking, session) => {
+  const gross = roundAmount(
+    (booking.payment?.amountPaid || 0) - (booking.payment?.amountRefunded || 0)
+  );
+  if (gross <= 0) return null;
+
+  let commission = booking.commission;
+  if (!commission) {
+    commission = await buildBookingCommission(
+      booking,
+      booking.payment.amountPaid,
+      session
+    );
+    await Booking.updateOne(
+      { _id: booking._id, commission: null },
+      { $set: { commission } },
+      { session }
+    );
+  }
+
+  const commissionAmount = roundAmount((gross * commission.ratePercent) / 100);
+
+  return postLedgerTransaction(
+    {
+      type: "BOOKING_COMPLETED",
+      reference: `booking-completed-${booking._id}`,
+      agency: booking.agency,
+      booking: booking._id,
+      currency: commission.currency,
+      availableAt: new Date(Date.now() + getHoldDays() * DAY_MS),
+      memo: `Booking ${booking._id} completed (commission ${commission.ratePercent}%)`,
+      entries: [
+        { account: "CUSTOMER_FUNDS", direction: "DEBIT", amount: gross },
+        { account: "AGENCY_WALLET", direction: "CREDIT", amount: gross },
+        {
+          account: "AGENCY_WALLET",
+          direction: "DEBIT",
+          amount: commissionAmount,
+        },
+        {
+          account: "PLATFORM_COMMISSION",
+          direction: "CREDIT",
+          amount: commissionAmount,
+        },
+      ],
+    },
+    session
+  );
+};
+
+/**
+ * Debits an agency for a refund made after its booking was completed, and
+ * returns the commission taken on the refunded amount. Refunds before
+ * completion post nothing: the completion credit is already net of them.
+ * @async
+ * @function postBookingRefund
+ * @param {Object} booking - Refunded booking.
+ * @param {{amount: number, reference: string}} refund - Amount newly refunded,
+ * and a key unique to the refund event.
+ * @param {import('mongoose').ClientSession} session - Active transaction session.
+ * @returns {Promise<Object|null>} Posted transaction.
+ */
+const postBookingRefund = async (booking, { amount, reference }, session) => {
+  if (booking.bookingStatus !== "COMPLETED" || amount <= 0) return null;
+
+  const completed = await LedgerTransaction.exists({
+    reference: `booking-completed-${booking._id}`,
+  }).session(session);
+  if (!completed) return null;
+
+  const commissionAmount = roundAmount(
+    (amount * (booking.commission?.ratePercent || 0)) / 100
+  );
+
+  return postLedgerTransaction(
+    {
+      type: "BOOKING_REFUNDED",
+      reference: `booking-refunded-${reference}`,
+      agency: booking.agency,
+      booking: booking._id,
+      currency: booking.commission?.currency || "PKR",
+      memo: `Refund of ${amount} on booking ${booking._id}`,
+      entries: [
+        { account: "AGENCY_WALLET", direction: "DEBIT", amount },
+        { account: "CUSTOMER_FUNDS", direction: "CREDIT", amount },
+        {
+          account: "PLATFORM_COMMISSION",
+          direction: "DEBIT",
+          amount: commissionAmount,
+        },
+        {
+          account: "AGENCY_WALLET",
+          direction: "CREDIT",
+          amount: commissionAmount,
+        },
+      ],
+    },
+    session
+  );
+};
+
+/**
+ * Works out an agency's wallet per currency.
+ * `onHold` is the part of the balance earned within the hold period;
+ * `available` is what can be paid out now.
+ * @async
+ * @function getWalletBalances
+ * @param {string} agencyId
+ * @param {import('mongoose').ClientSession} [session] - Active transaction session.
+ * @returns {Promise<Array<{currency: string, balance: number, onHold: number, available: number}>>}
+ */
+const getWalletBalances = async (agencyId, session = null) => {
+  const now = new Date();
+
+  const results = await LedgerTransaction.aggregate([
+    { $match: { agency: new mongoose.Types.ObjectId(agencyId) } },
+    { $unwind: "$entries" },
+    { $match: { "entries.account": "AGENCY_WALLET" } },
+    {
+      $group: {
+        _id: "$_id",
+        currency: { $first: "$currency" },
+        availableAt: { $first: "$availableAt" },
+        net: {
+          $sum: {
+            $cond: [
+              { $eq: ["$entries.direction", "CREDIT"] },
+              "$entries.amount",
+              { $multiply: ["$entries.amount", -1] },
+            ],
+          },
+        },
+      },
+    },
+    {
+      $group: {
+        _id: "$currency",
+        balance: { $sum: "$net" },
+        onHold: {
+          $sum: {
+            $cond: [
+              { $and: [{ $gt: ["$net", 0] }, { $gt: ["$availableAt", now] }] },
+              "$net",
+              0,
+            ],
+          },
+        },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]).session(session);
+
+  return results.map(({ _id, balance, onHold }) => {
+    const roundedBalance = roundAmount(balance);
+    const roundedHold = roundAmount(Math.min(onHold, Math.max(balance, 0)));
+    return {
+      currency: _id,
+      balance: roundedBalance,
+      onHold: roundedHold,
+      available: roundAmount(Math.max(roundedBalance - roundedHold, 0)),
+    };
+  });
+};
+
+module.exports = {
+  getHoldDays,
+  postLedgerTransaction,
+  postBookingCompletion,
+  postBookingRefund,
+  getWalletBalances,
+};
@@ -0,0 +1,265 @@
+/**
+ * @fileoverview Departure manifest service for Oloha backend.
+ * @module services/manifestService
+ * @description Lists every traveller on a package departure, with decrypted
+ * identity numbers, for the agency to share with hotels, airlines and permit
+ * offices. Exported as CSV or PDF.
+ *
+ * Only confirmed and completed bookings are included. Bookings whose
+ * travellers have not been filled in yet appear as a single "details
+ * pending" row so the agency can chase them.
+ */
+
+const Booking = require("../../models/booking-model/Booking.model");
+const Package = require("../../models/package-model/Package.model");
+const {
+  revealIdentityNumber,
+} = require("../traveller-service/traveller.service");
+const { renderPdf } = require("../../helpers/pdf-helper/pdf.helper");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+/** Timezone dates are printed in */
+const MANIFEST_TIMEZONE = process.env.REPORT_TIMEZONE || "Asia/Karachi";
+
+/**
+ * Manifest columns, in export order.
+ * @constant {Array<{key: string, label: string, width: number}>}
+ */
+const MANIFEST_COLUMNS = [
+  { key: "bookingReference", label: "Booking", width: 72 },
+  { key: "fullName", label: "Traveller", width: 95 },
+  { key: "ageGroup", label: "Age group", width: 45 },
+  { key: "nationality", label: "Nat.", width: 28 },
+  { key: "identityType", label: "ID type", width: 45 },
+  { key: "identityNumber", label: "ID number", width: 80 },
+  { key: "specialNeeds", label: "Special needs", width: 110 },
+  { key: "emergencyContact", label: "Emergency contact", width: 120 },
+  { key: "bookedBy", label: "Booked by", width: 95 },
+];
+
+/**
+ * Formats a date as e.g. "05 Mar 2026".
+ * @param {Date|null} date
+ * @returns {string}
+ */
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString("en-GB", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+        timeZone: MANIFEST_TIMEZONE,
+      })
+    : "";
+
+/**
+ * Turns a booking into manifest rows, one per traveller.
+ * @param {Object} booking - Booking with the customer populated.
+ * @returns {Array<Object>}
+ */
+const toManifestRows = (booking) => {
+  const bookingReference = booking.bookingReference || booking._id.toString();
+  const bookedBy = [booking.customer?.userName, booking.customer?.phone]
+    .filter(Boolean)
+    .join(", ");
+
+  if (!booking.travellers?.length) {
+    return [
+      {
+        bookingReference,
+        fullName: `Details pending (${booking.totalPersons} traveller(s))`,
+        ageGroup: "",
+        nationality: "",
+        identityType: "",
+        identityNumber: "",
+        specialNeeds: "",
+        emergencyContact: "",
+        bookedBy,
+      },
+    ];
+  }
+
+  return booking.travellers.map((traveller) => ({
+    bookingReference,
+    fullName: traveller.fullName,
+    ageGroup: traveller.ageGroup,
+    nationality: traveller.nationality,
+    identityType: traveller.identityType || "",
+    identityNumber: revealIdentityNumber(traveller) || "",
+    specialNeeds: traveller.specialNeeds || "",
+    emergencyContact: traveller.emergencyContact
+      ? [
+          traveller.emergencyContact.name,
+          traveller.emergencyContact.relationship,
+          traveller.emergencyContact.phone,
+        ]
+          .filter(Boolean)
+          .join(", ")
+      : "",
+    bookedBy,
+  }));
+};
+
+/**
+ * Builds the manifest of a package departure.
+ * @async
+ * @function getDepartureManifest
+ * @param {Object} params
+ * @param {string} params.packageId - Package the departure belongs to.
+ * @param {string|null} params.departureId - Departure; required for dated packages.
+ * @param {string} params.agencyId - Requesting agency, which must own the package.
+ * @returns {Promise<{packageTitle: string, departure: Object|null, generatedAt: Date, bookings: number, rows: Array<Object>}>}
+ * @throws {Error} 400/403/404 if the package or departure cannot be used.
+ */
+const getDepartureManifest = async ({ packageId, departureId, agencyId }) => {
+  const package = await Package.findById(packageId).select(
+    "packageTitle agency departures"
+  );
+  if (!package) throw createHttpError("Package not found", 404);
+
+  if (package.agency.toString() !== agencyId) {
+    throw createHttpError(
+      "Access denied. You can only export manifests for your own packages.",
+      403
+    );
+  }
+
+  let departure = null;
+  if (package.departures?.length) {
+    if (!departureId || !String(departureId).match(/^[0-9a-fA-F]{24}$/)) {
+      throw createHttpError("A valid departure must be selected");
+    }
+
+    departure = package.departures.id(departureId);
+    if (!departure) throw createHttpError("Departure not found", 404);
+  }
+
+  const bookings = await Booking.find({
+    package: package._id,
+    departure: departure?._id || null,
+    bookingStatus: { $in: ["CONFIRMED", "COMPLETED"] },
+  })
+    .select("bookingReference customer totalPersons travellers")
+    .populate("customer", "userName phone")
+    .sort({ createdAt: 1 });
+
+  return {
+    packageTitle: package.packageTitle,
+    departure: departure
+      ? {
+          _id: departure._id,
+          startDate: departure.startDate,
+          endDate: departure.endDate,
+        }
+      : null,
+    generatedAt: new Date(),
+    bookings: bookings.length,
+    rows: bookings.flatMap(toManifestRows),
+  };
+};
+
+/**
+ * Quotes a CSV cell, and defuses values a spreadsheet would run as a formula.
+ * @param {string} value
+ * @returns {string}
+ */
+const toCsvCell = (value) => {
+  let cell = String(value ?? "");
+  if (/^[=+\-@\t\r]/.test(cell)) cell = `'${cell}`;
+  return `"${cell.replace(/"/g, '""')}"`;
+};
+
+/**
+ * Serialises a manifest as CSV, with a header row.
+ * @function toManifestCsv
+ * @param {Object} manifest - Result of getDepartureManifest.
+ * @returns {string}
+ */
+const toManifestCsv = (manifest) =>
+  [
+    MANIFEST_COLUMNS.map((column) => toCsvCell(column.label)).join(","),
+    ...manifest.rows.map((row) =>
+      MANIFEST_COLUMNS.map((column) => toCsvCell(row[column.key])).join(",")
+    ),
+  ].join("\r\n");
+
+/**
+ * Renders a manifest as a landscape PDF table.
+ * @function renderManifestPdf
+ * @param {Object} manifest - Result of getDepartureManifest.
+ * @returns {Promise<Buffer>}
+ */
+const renderManifestPdf = (manifest) =>
+  renderPdf(
+    (doc) => {
+      const left = 40;
+      const bottom = doc.page.height - 40;
+
+      const drawTableRow = (row, { bold = false } = {}) => {
+        const y = doc.y;
+        let x = left;
+        let rowBottom = y;
+
+        doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8);
+        MANIFEST_COLUMNS.forEach((column) => {
+          doc.text(row[column.key] || "", x, y, { width: column.width - 4 });
+          rowBottom = Math.max(rowBottom, doc.y);
+          x += column.width;
+        });
+
+        doc.y = rowBottom + 4;
+        doc
+          .moveTo(left, doc.y - 2)
+          .lineTo(x, doc.y - 2)
+          .lineWidth(0.3)
+          .stroke();
+      };
+
+      const header = Object.fromEntries(
+        MANIFEST_COLUMNS.map((column) => [column.key, column.label])
+      );
+
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(16)
+        .text("OLOHA - Traveller manifest", left);
+      doc
+        .font("Helvetica")
+        .fontSize(10)
+        .text(`Package: ${manifest.packageTitle}`)
+        .text(
+          manifest.departure
+            ? `Departure: ${formatDate(manifest.departure.startDate)} - ${formatDate(manifest.departure.endDate)}`
+            : "Departure: flexible dates"
+        )
+        .text(
+          `Bookings: ${manifest.bookings}   Generated: ${formatDate(manifest.generatedAt)}`
+        )
+        .moveDown();
+
+      drawTableRow(header, { bold: true });
+      manifest.rows.forEach((row) => {
+        if (doc.y > bottom - 30) {
+          doc.addPage();
+          drawTableRow(header, { bold: true });
+        }
+        drawTableRow(row);
+      });
+
+      doc
+        .moveDown()
+        .font("Helvetica-Oblique")
+        .fontSize(8)
+        .text(
+          "Contains personal data. Share only with the hotels, carriers and authorities that need it.",
+          left
+        );
+    },
+    { layout: "landscape", margin: 40 }
+  );
+
+module.exports = {
+  getDepartureManifest,
+  toManifestCsv,
+  renderManifestPdf,
+};
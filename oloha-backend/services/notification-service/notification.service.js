@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Notification service for Oloha backend.
+ * @module services/notificationService
+ * @description In-app notifications for users, agencies and super admins.
+ * Controllers and services call `notify` (or `notifySuperAdmins`) next to the
+ * emails they already send; each notification is saved and pushed to the
+ * recipient's connected devices as `notification:new`, with their new unread
+ * count. Reading notifications pushes `notification:read` so other devices
+ * can update their badge. Booking and payment notifications are also sent
+ * to the recipient's phones as push notifications.
+ */
+
+const Notification = require("../../models/notification-model/Notification.model");
+const SuperAdmin = require("../../models/super-admin-model/super-admin.model");
+const { sendPushToParticipant } = require("../push-service/push.service");
+const {
+  emitToParticipant,
+} = require("../../utilities/socket-utility/socket.utility");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+/**
+ * Notification model of each role.
+ * @constant {Object<string, string>}
+ */
+const RECIPIENT_MODELS = {
+  USER: "User",
+  AGENCY: "Agency",
+  SUPERADMIN: "SuperAdmin",
+};
+
+/**
+ * Notification types also sent as push notifications.
+ * @constant {string[]}
+ */
+const PUSH_NOTIFICATION_TYPES = [
+  "BOOKING_CONFIRMED",
+  "BOOKING_CANCELLED",
+  "PAYMENT_RECEIVED",
+  "PAYMENT_FAILED",
+  "PAYMENT_REMINDER",
+  "PAYOUT_UPDATED",
+];
+
+/**
+ * Filter matching the notifications of a recipient.
+ * @function recipientFilter
+ * @param {{id: string, role: string}} recipient - Authenticated account.
+ * @returns {{recipient: string, recipientModel: string}}
+ * @throws {Error} 403 for unknown roles.
+ */
+const recipientFilter = (recipient) => {
+  const recipientModel = RECIPIENT_MODELS[recipient.role];
+  if (!recipientModel) {
+    throw createHttpError("Access denied. Unknown role.", 403);
+  }
+  return { recipient: recipient.id, recipientModel };
+};
+
+/**
+ * Number of unread notifications of a recipient.
+ * @async
+ * @function countUnread
+ * @param {{id: string, role: string}} recipient
+ * @returns {Promise<number>}
+ */
+const countUnread = (recipient) =>
+  Notification.countDocuments({ ...recipientFilter(recipient), readAt: null });
+
+/**
+ * Pushes a saved notification to its recipient with their unread count.
+ * @async
+ * @param {Object} notification
+ * @param {{id: string, role: string}} recipient
+ * @returns {Promise<void>}
+ */
+const deliverNotification = async (notification, recipient) => {
+  emitToParticipant(recipient.role, recipient.id, "notification:new", {
+    notification,
+    unreadCount: await countUnread(recipient),
+  });
+};
+
+/**
+ * Notifies a user, agency or super admin. Failures are logged and never fail
+ * the caller, like the emails sent alongside.
+ * @async
+ * @function notify
+ * @param {Object} params
+ * @param {string|ObjectId|Object} params.recipientId - Account to notify.
+ * @param {"USER"|"AGENCY"|"SUPERADMIN"} params.role - Role of that account.
+ * @param {string} params.type - Notification type (see the model).
+ * @param {string} params.title - Short heading.
+ * @param {string} params.message - Notification text.
+ * @param {Object} [params.data] - IDs of the related records.
+ * @returns {Promise<Object|null>} The notification, or null if it failed.
+ */
+const notify = async ({ recipientId, role, type, title, message, data }) => {
+  try {
+    // Accepts a populated document as well as an ID
+    const recipient = { id: (recipientId._id || recipientId).toString(), role };
+
+    const notification = await Notification.create({
+      ...recipientFilter(recipient),
+      type,
+      title,
+      message,
+      data: data || {},
+    });
+
+    await deliverNotification(notification, recipient);
+
+    if (PUSH_NOTIFICATION_TYPES.includes(type)) {
+      await sendPushToParticipant(role, recipient.id, {
+        title,
+        body: message,
+        data: {
+          ...notification.data,
+          type,
+          notificationId: notification._id,
+        },
+      });
+    }
+    return notification;
+  } catch (error) {
+    console.error("Failed to create notification:", error);
+    return null;
+  }
+};
+
+/**
+ * Notifies every active super admin. Failures are logged and never fail the
+ * caller.
+ * @async
+ * @function notifySuperAdmins
+ * @param {Object} params
+ * @param {string} params.type - Notification type (see the model).
+ * @param {string} params.title - Short heading.
+ * @param {string} params.message - Notification text.
+ * @param {Object} [params.data] - IDs of the related records.
+ * @returns {Promise<Object[]>} The notifications created.
+ */
+const notifySuperAdmins = async ({ type, title, message, data }) => {
+  try {
+    const admins = await SuperAdmin.find({ isActive: true }).select("_id");
+    if (!admins.length) return [];
+
+    const notifications = await Notification.insertMany(
+      admins.map((admin) => ({
+        recipient: admin._id,
+        recipientModel: RECIPIENT_MODELS.SUPERADMIN,
+        type,
+        title,
+        message,
+        data: data || {},
+      }))
+    );
+
+    for (const notification of notifications) {
+      await deliverNotification(notification, {
+        id: notification.recipient.toString(),
+        role: "SUPERADMIN",
+      });
+    }
+    return notifications;
+  } catch (error) {
+    console.error("Failed to notify super admins:", error);
+    return [];
+  }
+};
+
+/**
+ * Marks one of the recipient's notifications as read. Already read
+ * notifications are returned unchanged.
+ * @async
+ * @function markNotificationRead
+ * @param {string} notificationId
+ * @param {{id: string, role: string}} recipient
+ * @returns {Promise<{notification: Object, unreadCount: number}>}
+ * @throws {Error} 400 on an invalid ID, 404 if it is not the recipient's.
+ */
+const markNotificationRead = async (notificationId, recipient) => {
+  if (!String(notificationId || "").match(/^[0-9a-fA-F]{24}$/)) {
+    throw createHttpError("Invalid Notification ID");
+  }
+
+  const filter = { _id: notificationId, ...recipientFilter(recipient) };
+
+  const notification = await Notification.findOneAndUpdate(
+    { ...filter, readAt: null },
+    { $set: { readAt: new Date() } },
+    { new: true }
+  );
+
+  if (!notification) {
+    const existing = await Notification.findOne(filter);
+    if (!existing) throw createHttpError("Notification not found", 404);
+    return {
+      notification: existing,
+      unreadCount: await countUnread(recipient),
+    };
+  }
+
+  const unreadCount = await countUnread(recipient);
+  emitToParticipant(recipient.role, recipient.id, "notification:read", {
+    notificationId: notification._id.toString(),
+    unreadCount,
+  });
+
+  return { notification, unreadCount };
+};
+
+/**
+ * Marks all of the recipient's notifications as read.
+ * @async
+ * @function markAllNotificationsRead
+ * @param {{id: string, role: string}} recipient
+ * @returns {Promise<{count: number, unreadCount: number}>} Notifications marked.
+ */
+const markAllNotificationsRead = async (recipient) => {
+  const result = await Notification.updateMany(
+    { ...recipientFilter(recipient), readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+
+  if (result.modifiedCount) {
+    emitToParticipant(recipient.role, recipient.id, "notification:read", {
+      notificationId: null,
+      unreadCount: 0,
+    });
+  }
+
+  return { count: result.modifiedCount, unreadCount: 0 };
+};
+
+module.exports = {
+  recipientFilter,
+  countUnread,
+  notify,
+  notifySuperAdmins,
+  markNotificationRead,
+  markAllNotificationsRead,
+};
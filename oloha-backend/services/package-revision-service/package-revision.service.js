@@ -0,0 +1,234 @@
+/**
+ * @fileoverview Package revision service for Oloha backend.
+ * @module services/packageRevisionService
+ * @description Snapshots tracked package fields, records field-level diffs as
+ * immutable revisions, resolves what a package looked like at a given time,
+ * and restores earlier revisions.
+ */
+
+const PackageRevision = require("../../models/package-revision-model/PackageRevision.model");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+/**
+ * Package fields captured in every revision.
+ * Remaining seats are left out because bookings change them constantly.
+ * @constant {Array<string>}
+ */
+const TRACKED_FIELDS = [
+  "packageTitle",
+  "description",
+  "packageImages",
+  "price",
+  "discount",
+  "pricing",
+  "cancellationPolicy",
+  "depositPolicy",
+  "duration",
+  "durationDays",
+  "itinerary",
+  "departures",
+  "category",
+  "status",
+];
+
+/**
+ * Fields restored by a rollback. Status, seats and departures are left as they
+ * are so a rollback can never bypass review or oversell a departure.
+ * @constant {Array<string>}
+ */
+const RESTORABLE_FIELDS = [
+  "packageTitle",
+  "description",
+  "packageImages",
+  "price",
+  "discount",
+  "pricing",
+  "cancellationPolicy",
+  "depositPolicy",
+  "duration",
+  "durationDays",
+  "itinerary",
+  "category",
+];
+
+/**
+ * Captures the tracked fields of a package as plain JSON values.
+ * @function snapshotPackage
+ * @param {Object} package - Package document.
+ * @returns {Object} Snapshot keyed by field name.
+ */
+const snapshotPackage = (package) => {
+  const plain = package.toObject({ depopulate: true });
+
+  const snapshot = {};
+  for (const field of TRACKED_FIELDS) {
+    snapshot[field] = plain[field] ?? null;
+  }
+
+  snapshot.itinerary = (snapshot.itinerary || []).map(({ _id, ...day }) => day);
+  snapshot.departures = (snapshot.departures || []).map(
+    ({ availableSlots, ...departure }) => departure
+  );
+
+  // Round-trip so dates and ObjectIds compare and store as plain values
+  return JSON.parse(JSON.stringify(snapshot));
+};
+
+/**
+ * Lists the differences between two snapshots, down to nested object keys
+ * and array positions.
+ * @function diffSnapshots
+ * @param {*} before - Previous value.
+ * @param {*} after - New value.
+ * @param {string} [path=""] - Dot path of the values being compared.
+ * @returns {Array<{path: string, before: *, after: *}>}
+ */
+const diffSnapshots = (before, after, path = "") => {
+  const isContainer = (value) => value !== null && typeof value === "object";
+
+  if (
+    isContainer(before) &&
+    isContainer(after) &&
+    Array.isArray(before) === Array.isArray(after)
+  ) {
+    const keys = Array.isArray(before)
+      ? [...Array(Math.max(before.length, after.length)).keys()]
+      : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+    return keys.flatMap((key) =>
+      diffSnapshots(
+        before[key] ?? null,
+        after[key] ?? null,
+        path ? `${path}.${key}` : String(key)
+      )
+    );
+  }
+
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  return [{ path, before, after }];
+};
+
+/**
+ * Appends a revision for a package if anything tracked changed.
+ * CREATE revisions are always written and carry only the snapshot.
+ * @async
+ * @function recordRevision
+ * @param {Object} package - Package document after the change.
+ * @param {Object} options
+ * @param {{id: string, role: string}} options.actor - Account making the change.
+ * @param {string} options.action - CREATE, UPDATE, STATUS or ROLLBACK.
+ * @param {Object|null} [options.before] - Snapshot taken before the change.
+ * @param {number|null} [options.rolledBackTo] - Revision restored by a rollback.
+ * @param {import('mongoose').ClientSession} [session] - Transaction session.
+ * @returns {Promise<Object|null>} The new revision, or null if nothing changed.
+ */
+const recordRevision = async (
+  package,
+  { actor, action, before = null, rolledBackTo = null },
+  session
+) => {
+  const snapshot = snapshotPackage(package);
+  const changes = before ? diffSnapshots(before, snapshot) : [];
+
+  if (action !== "CREATE" && !changes.length) return null;
+
+  // Revision numbers are unique per package; retry if another write took ours
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await PackageRevision.findOne({ package: package._id })
+      .sort({ revisionNumber: -1 })
+      .select("revisionNumber")
+      .session(session || null);
+
+    try {
+      const [revision] = await PackageRevision.create(
+        [
+          {
+            package: package._id,
+            revisionNumber: (latest?.revisionNumber || 0) + 1,
+            action,
+            changedBy: { id: actor.id, role: actor.role },
+            snapshot,
+            changes,
+            rolledBackTo,
+          },
+        ],
+        { session }
+      );
+      return revision;
+    } catch (error) {
+      if (error.code !== 11000 || session) throw error;
+    }
+  }
+
+  throw createHttpError("Could not record package revision", 409);
+};
+
+/**
+ * Lists revisions of a package, newest first.
+ * @async
+ * @function listRevisions
+ * @param {string} packageId
+ * @returns {Promise<Array<Object>>}
+ */
+const listRevisions = (packageId) =>
+  PackageRevision.find({ package: packageId })
+    .sort({ revisionNumber: -1 })
+    .select("-__v")
+    .lean();
+
+/**
+ * Finds the revision that was current at a point in time, e.g. when a booking was made.
+ * @async
+ * @function getRevisionAt
+ * @param {string} packageId
+ * @param {Date} at
+ * @returns {Promise<Object|null>}
+ */
+const getRevisionAt = (packageId, at) =>
+  PackageRevision.findOne({ package: packageId, createdAt: { $lte: at } })
+    .sort({ revisionNumber: -1 })
+    .select("-__v")
+    .lean();
+
+/**
+ * Restores the content and pricing of an earlier revision onto a package.
+ * The caller saves the package and records the ROLLBACK revision.
+ * @async
+ * @function applyRollback
+ * @param {Object} package - Package document.
+ * @param {number|string} revisionNumber - Revision to restore.
+ * @returns {Promise<Object>} The restored revision.
+ * @throws {Error} 400/404 if the revision number is invalid or unknown.
+ */
+const applyRollback = async (package, revisionNumber) => {
+  const number = Number(revisionNumber);
+  if (!Number.isInteger(number) || number < 1) {
+    throw createHttpError("A valid revision number is required");
+  }
+
+  const revision = await PackageRevision.findOne({
+    package: package._id,
+    revisionNumber: number,
+  }).lean();
+
+  if (!revision) {
+    throw createHttpError("Revision not found", 404);
+  }
+
+  for (const field of RESTORABLE_FIELDS) {
+    if (revision.snapshot[field] !== undefined) {
+      package[field] = revision.snapshot[field];
+    }
+  }
+
+  return revision;
+};
+
+module.exports = {
+  snapshotPackage,
+  diffSnapshots,
+  recordRevision,
+  listRevisions,
+  getRevisionAt,
+  applyRollback,
+};
@@ -0,0 +1,375 @@
+/**
+ * @fileoverview Payment event ledger service for Oloha backend.
+ * @module services/paymentEventService
+ * @description Records every payment event in the PaymentEvent ledger and
+ * applies it to its booking exactly once. Claiming the event and updating the
+ * booking happen in one transaction, so a retried or concurrent delivery of
+ * the same event finds it already processed. Failed events stay in the ledger
+ * and can be replayed by a super admin. Customers (and, for payments
+ * received, agencies) are notified once an event is applied.
+ */
+
+const crypto = require("crypto");
+const Booking = require("../../models/booking-model/Booking.model");
+const PaymentEvent = require("../../models/payment-event-model/PaymentEvent.model");
+const {
+  getPaymentProvider,
+  applyPaymentEvent,
+} = require("../payment-service/payment.service");
+const {
+  runInTransaction,
+} = require("../slot-reservation-service/slot-reservation.service");
+const {
+  notify,
+  notifySuperAdmins,
+} = require("../notification-service/notification.service");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+/** Minutes a payment may stay unconfirmed before it is reconciled */
+const RECONCILE_AFTER_MINUTES = 10;
+
+/** Pending payments reconciled per run */
+const RECONCILE_BATCH_SIZE = 100;
+
+/** Ledger statuses an event can still be processed from */
+const PROCESSABLE_STATUSES = ["RECEIVED", "FAILED"];
+
+/**
+ * Stores an event in the ledger. A repeated delivery returns the existing
+ * entry instead of creating a new one.
+ * @async
+ * @function recordPaymentEvent
+ * @param {string} provider - Provider name.
+ * @param {import('../payment-service/payment.service').PaymentEvent} event - Verified event.
+ * @param {string} source - WEBHOOK, SYNC or RECONCILIATION.
+ * @returns {Promise<{paymentEvent: Object, isDuplicate: boolean}>}
+ */
+const recordPaymentEvent = async (provider, event, source) => {
+  const filter = { provider, eventId: event.id };
+
+  try {
+    const result = await PaymentEvent.findOneAndUpdate(
+      filter,
+      {
+        $setOnInsert: {
+          source,
+          signatureStatus: "VERIFIED",
+          type: event.type,
+          providerType: event.providerType,
+          intentId: event.intentId,
+          providerStatus: event.providerStatus,
+          amount: event.amount,
+          amountRefunded: event.amountRefunded,
+          occurredAt: event.occurredAt,
+          payload: event.raw,
+          status: event.type ? "RECEIVED" : "IGNORED",
+          outcome: event.type ? null : "Event type not handled",
+        },
+      },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+
+    return {
+      paymentEvent: result.value,
+      isDuplicate: Boolean(result.lastErrorObject?.updatedExisting),
+    };
+  } catch (error) {
+    // Two deliveries raced to insert the same event
+    if (error.code === 11000) {
+      return {
+        paymentEvent: await PaymentEvent.findOne(filter),
+        isDuplicate: true,
+      };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Stores a webhook that failed verification. Its claimed event ID is not
+ * trusted, so it gets a generated one and is never applied.
+ * @async
+ * @function recordRejectedPaymentEvent
+ * @param {string} provider - Provider name.
+ * @param {Object} payload - Request payload as received.
+ * @param {string} reason - Verification error.
+ * @returns {Promise<Object>} Ledger entry.
+ */
+const recordRejectedPaymentEvent = (provider, payload, reason) =>
+  PaymentEvent.create({
+    provider,
+    eventId: `rejected:${crypto.randomUUID()}`,
+    source: "WEBHOOK",
+    signatureStatus: "FAILED",
+    payload,
+    status: "REJECTED",
+    outcome: reason,
+  });
+
+/**
+ * Notifies the customer of a payment that went through or failed, and the
+ * agency of a payment received. Other event types are not notified.
+ * @async
+ * @param {Object} paymentEvent - Processed ledger entry.
+ * @param {Object} booking - Booking it was applied to.
+ * @returns {Promise<void>}
+ */
+const notifyPaymentOutcome = async (paymentEvent, booking) => {
+  const reference = booking.bookingReference || booking._id.toString();
+  const currency = booking.priceSnapshot?.currency || "PKR";
+  const data = { bookingId: booking._id, bookingReference: reference };
+
+  if (paymentEvent.type === "PAYMENT_SUCCEEDED") {
+    const fullyPaid = booking.paymentStatus === "PAID";
+
+    await notify({
+      recipientId: booking.customer,
+      role: "USER",
+      type: "PAYMENT_RECEIVED",
+      title: "Payment received",
+      message: `We received your payment of ${currency} ${paymentEvent.amount} for booking ${reference}.${
+        fullyPaid ? " Your booking is now fully paid." : ""
+      }`,
+      data,
+    });
+    await notify({
+      recipientId: booking.agency,
+      role: "AGENCY",
+      type: "PAYMENT_RECEIVED",
+      title: "Payment received",
+      message: `A payment of ${currency} ${paymentEvent.amount} was received for booking ${reference}.`,
+      data,
+    });
+  } else if (paymentEvent.type === "PAYMENT_FAILED") {
+    await notify({
+      recipientId: booking.customer,
+      role: "USER",
+      type: "PAYMENT_FAILED",
+      title: "Payment failed",
+      message: `Your payment for booking ${reference} did not go through. Please try again.`,
+      data,
+    });
+  }
+};
+
+/**
+ * Tells super admins about a capture below the installment amount, so they
+ * can collect the rest or refund what was captured.
+ * @async
+ * @param {Object} paymentEvent - Ignored ledger entry.
+ * @param {Object} booking - Booking the capture was recorded on.
+ * @returns {Promise<void>}
+ */
+const notifyUnderpayment = async (paymentEvent, booking) => {
+  const reference = booking.bookingReference || booking._id.toString();
+  const currency = booking.priceSnapshot?.currency || "PKR";
+
+  await notifySuperAdmins({
+    type: "PAYMENT_UNDERPAID",
+    title: "Payment underpaid",
+    message: `${paymentEvent.provider} captured ${currency} ${paymentEvent.amount} for booking ${reference}, less than the installment due. The installment stays unpaid.`,
+    data: {
+      bookingId: booking._id,
+      bookingReference: reference,
+      paymentEventId: paymentEvent._id,
+    },
+  });
+};
+
+/**
+ * Applies a ledger entry to its booking, once, then notifies the customer,
+ * or the super admins when the capture was short.
+ * @async
+ * @function processPaymentEvent
+ * @param {string} paymentEventId - Ledger entry ID.
+ * @returns {Promise<{processed: boolean, underpaid?: boolean, paymentEvent: Object, booking?: Object}>}
+ * `processed` is false when the event had already been handled.
+ * @throws {Error} When the event cannot be applied; it is left FAILED for replay.
+ */
+const processPaymentEvent = async (paymentEventId) => {
+  let outcome;
+
+  try {
+    outcome = await runInTransaction(async (session) => {
+      const paymentEvent = await PaymentEvent.findOneAndUpdate(
+        {
+          _id: paymentEventId,
+          signatureStatus: "VERIFIED",
+          status: { $in: PROCESSABLE_STATUSES },
+        },
+        { $inc: { attempts: 1 } },
+        { new: true, session }
+      );
+
+      if (!paymentEvent) {
+        return {
+          processed: false,
+          paymentEvent:
+            await PaymentEvent.findById(paymentEventId).session(session),
+        };
+      }
+
+      const result = await applyPaymentEvent(
+        paymentEvent.provider,
+        {
+          id: paymentEvent.eventId,
+          type: paymentEvent.type,
+          intentId: paymentEvent.intentId,
+          providerStatus: paymentEvent.providerStatus,
+          amount: paymentEvent.amount,
+          amountRefunded: paymentEvent.amountRefunded,
+          occurredAt: paymentEvent.occurredAt,
+        },
+        session
+      );
+
+      // The booking may not have stored its intent yet; keep the event replayable
+      if (!result.applied && result.reason === "No matching booking") {
+        throw createHttpError(result.reason, 404);
+      }
+
+      paymentEvent.status = result.applied ? "PROCESSED" : "IGNORED";
+      paymentEvent.outcome = result.reason || null;
+      paymentEvent.booking = result.booking?._id || null;
+      paymentEvent.processedAt = new Date();
+      await paymentEvent.save({ session });
+
+      return {
+        processed: true,
+        underpaid: Boolean(result.underpaid),
+        paymentEvent,
+        booking: result.booking,
+      };
+    });
+  } catch (error) {
+    await PaymentEvent.updateOne(
+      { _id: paymentEventId, status: { $in: PROCESSABLE_STATUSES } },
+      {
+        $set: { status: "FAILED", outcome: error.message },
+        $inc: { attempts: 1 },
+      }
+    );
+    throw error;
+  }
+
+  if (outcome.underpaid) {
+    await notifyUnderpayment(outcome.paymentEvent, outcome.booking);
+  } else if (outcome.processed && outcome.booking) {
+    await notifyPaymentOutcome(outcome.paymentEvent, outcome.booking);
+  }
+  return outcome;
+};
+
+/**
+ * Records a verified event and applies it. Duplicates of an event that was
+ * already handled are acknowledged without touching the booking.
+ * @async
+ * @function ingestPaymentEvent
+ * @param {string} provider - Provider name.
+ * @param {import('../payment-service/payment.service').PaymentEvent} event - Verified event.
+ * @param {string} source - WEBHOOK, SYNC or RECONCILIATION.
+ * @returns {Promise<{paymentEvent: Object, isDuplicate: boolean, processed: boolean, booking?: Object}>}
+ */
+const ingestPaymentEvent = async (provider, event, source) => {
+  const { paymentEvent, isDuplicate } = await recordPaymentEvent(
+    provider,
+    event,
+    source
+  );
+
+  if (!PROCESSABLE_STATUSES.includes(paymentEvent.status)) {
+    return { paymentEvent, isDuplicate, processed: false };
+  }
+
+  return { isDuplicate, ...(await processPaymentEvent(paymentEvent._id)) };
+};
+
+/**
+ * Re-processes a FAILED ledger entry.
+ * @async
+ * @function replayPaymentEvent
+ * @param {string} paymentEventId - Ledger entry ID.
+ * @returns {Promise<{processed: boolean, paymentEvent: Object, booking?: Object}>}
+ * @throws {Error} 404 if not found, 409 if the entry is not FAILED.
+ */
+const replayPaymentEvent = async (paymentEventId) => {
+  const paymentEvent = await PaymentEvent.findById(paymentEventId);
+
+  if (!paymentEvent) {
+    throw createHttpError("Payment event not found", 404);
+  }
+  if (paymentEvent.status !== "FAILED") {
+    throw createHttpError(
+      `Only FAILED events can be replayed; this one is ${paymentEvent.status}`,
+      409
+    );
+  }
+
+  return processPaymentEvent(paymentEvent._id);
+};
+
+/**
+ * Looks up installment payments that have had no outcome for a while and
+ * records the provider's answer, for callbacks that never arrived.
+ * @async
+ * @function reconcilePendingPayments
+ * @returns {Promise<{checked: number, applied: number}>}
+ */
+const reconcilePendingPayments = async () => {
+  const bookings = await Booking.find({
+    bookingStatus: { $ne: "CANCELLED" },
+    paymentStatus: { $in: ["PENDING", "AUTHORIZED", "PARTIALLY_PAID"] },
+    paymentSchedule: {
+      $elemMatch: {
+        intentId: { $type: "string" },
+        status: { $in: ["DUE", "AUTHORIZED"] },
+      },
+    },
+    updatedAt: {
+      $lte: new Date(Date.now() - RECONCILE_AFTER_MINUTES * 60 * 1000),
+    },
+  })
+    .select("paymentSchedule")
+    .sort({ updatedAt: 1 })
+    .limit(RECONCILE_BATCH_SIZE);
+
+  let applied = 0;
+  for (const booking of bookings) {
+    const installments = booking.paymentSchedule.filter(
+      (installment) =>
+        installment.intentId &&
+        ["DUE", "AUTHORIZED"].includes(installment.status)
+    );
+
+    for (const installment of installments) {
+      try {
+        const provider = getPaymentProvider(installment.provider);
+        const event = await provider.inquire(installment.intentId);
+        if (!event.type) continue;
+
+        const result = await ingestPaymentEvent(
+          provider.name,
+          event,
+          "RECONCILIATION"
+        );
+        if (result.processed && result.paymentEvent.status === "PROCESSED") {
+          applied += 1;
+        }
+      } catch (error) {
+        console.error(
+          `Payment reconciliation failed for booking ${booking._id}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  return { checked: bookings.length, applied };
+};
+
+module.exports = {
+  recordRejectedPaymentEvent,
+  ingestPaymentEvent,
+  replayPaymentEvent,
+  reconcilePendingPayments,
+};
@@ -0,0 +1,409 @@
+/**
+ * @fileoverview Payment schedule service for Oloha backend.
+ * @module services/paymentScheduleService
+ * @description Validates package deposit policies and builds the installment
+ * schedule a booking is paid in. Background jobs send reminders (email, in-app
+ * and push) before installments fall due and cancel deposit bookings whose balance is still
+ * unpaid after the final due date.
+ *
+ * Installments are marked paid by verified provider events; see the payment
+ * service.
+ */
+
+const Booking = require("../../models/booking-model/Booking.model");
+const {
+  cancelBookingWithRefund,
+} = require("../booking-service/booking.service");
+const { notify } = require("../notification-service/notification.service");
+const {
+  sendPaymentReminderEmail,
+} = require("../../helpers/email-helper/email.helper");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+/** Ways a customer can pay for a booking */
+const PAYMENT_OPTIONS = ["FULL", "DEPOSIT"];
+
+/** Most installments the balance can be split into */
+const MAX_INSTALLMENT_COUNT = 6;
+
+/** Minimum days between booking and the final due date to offer a deposit */
+const MIN_BALANCE_LEAD_DAYS = 1;
+
+/** Days before an installment is due that its reminder is emailed */
+const REMINDER_DAYS_BEFORE_DUE = 3;
+
+/** Hours after the final due date before an unpaid booking is cancelled */
+const PAYMENT_GRACE_HOURS = 48;
+
+/** Bookings handled per batch by the background jobs */
+const BATCH_SIZE = 100;
+
+/** Milliseconds in a day */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Rounds an amount to 2 decimal places.
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Validates a deposit policy from a create or update request.
+ * @function buildDepositPolicy
+ * @param {Object|string|null} input - Policy object, or its JSON (multipart
+ * forms). Null or an empty string removes the policy.
+ * @returns {{type: string, value: number, balanceDueDaysBeforeDeparture: number, installmentCount: number}|null}
+ * @throws {Error} 400 if the policy is malformed.
+ */
+const buildDepositPolicy = (input) => {
+  if (input === null || input === "" || input === "null") return null;
+
+  let policy = input;
+
+  if (typeof input === "string") {
+    try {
+      policy = JSON.parse(input);
+    } catch (parseError) {
+      throw createHttpError("Invalid deposit policy format");
+    }
+  }
+
+  if (!policy || typeof policy !== "object") {
+    throw createHttpError("Invalid deposit policy format");
+  }
+
+  const type = String(policy.type || "").toUpperCase();
+  const value = Number(policy.value);
+  const balanceDueDaysBeforeDeparture = Number(
+    policy.balanceDueDaysBeforeDeparture ?? 30
+  );
+  const installmentCount = Number(policy.installmentCount ?? 1);
+
+  if (!["PERCENT", "FIXED"].includes(type)) {
+    throw createHttpError("Deposit type must be PERCENT or FIXED");
+  }
+  if (isNaN(value) || value <= 0) {
+    throw createHttpError("Deposit value must be greater than 0");
+  }
+  if (type === "PERCENT" && value >= 100) {
+    throw createHttpError("Deposit percent must be below 100");
+  }
+  if (
+    !Number.isInteger(balanceDueDaysBeforeDeparture) ||
+    balanceDueDaysBeforeDeparture < 0
+  ) {
+    throw createHttpError(
+      "balanceDueDaysBeforeDeparture must be a whole number of days"
+    );
+  }
+  if (
+    !Number.isInteger(installmentCount) ||
+    installmentCount < 1 ||
+    installmentCount > MAX_INSTALLMENT_COUNT
+  ) {
+    throw createHttpError(
+      `installmentCount must be between 1 and ${MAX_INSTALLMENT_COUNT}`
+    );
+  }
+
+  return { type, value, balanceDueDaysBeforeDeparture, installmentCount };
+};
+
+/**
+ * Builds the installments a booking total is paid in.
+ * FULL is a single payment due now. DEPOSIT is a deposit due now, then the
+ * balance split evenly into installments spread up to the final due date; the
+ * last one (BALANCE) absorbs any rounding.
+ * @function buildPaymentSchedule
+ * @param {Object} params
+ * @param {number} params.total - Booking total.
+ * @param {Date|null} params.departureDate - Departure start date.
+ * @param {Object|null} params.depositPolicy - Package deposit policy.
+ * @param {string} [params.paymentOption="FULL"] - FULL or DEPOSIT.
+ * @param {Date} [params.now] - Booking time.
+ * @returns {Array<{sequence: number, kind: string, amount: number, dueDate: Date}>}
+ * @throws {Error} 400 if a deposit is not available for this booking.
+ */
+const buildPaymentSchedule = ({
+  total,
+  departureDate,
+  depositPolicy,
+  paymentOption = "FULL",
+  now = new Date(),
+}) => {
+  if (!PAYMENT_OPTIONS.includes(paymentOption)) {
+    throw createHttpError(
+      `paymentOption must be one of ${PAYMENT_OPTIONS.join(", ")}`
+    );
+  }
+
+  const fullSchedule = [
+    { sequence: 1, kind: "FULL", amount: total, dueDate: now },
+  ];
+
+  if (paymentOption === "FULL") return fullSchedule;
+
+  if (!depositPolicy) {
+    throw createHttpError("This package does not offer deposit payments");
+  }
+  if (!departureDate) {
+    throw createHttpError(
+      "Deposit payments are only available for scheduled departures"
+    );
+  }
+
+  const finalDueDate = new Date(
+    departureDate.getTime() -
+      depositPolicy.balanceDueDaysBeforeDeparture * DAY_MS
+  );
+  if (finalDueDate.getTime() - now.getTime() < MIN_BALANCE_LEAD_DAYS * DAY_MS) {
+    throw createHttpError(
+      "This departure is too soon for a deposit. Please pay in full."
+    );
+  }
+
+  const deposit = roundAmount(
+    depositPolicy.type === "PERCENT"
+      ? (total * depositPolicy.value) / 100
+      : Math.min(depositPolicy.value, total)
+  );
+
+  // A fixed deposit can cover a small booking outright
+  if (deposit >= total) return fullSchedule;
+
+  const balance = roundAmount(total - deposit);
+  const count = depositPolicy.installmentCount || 1;
+  const share = roundAmount(balance / count);
+  const span = finalDueDate.getTime() - now.getTime();
+
+  const schedule = [
+    { sequence: 1, kind: "DEPOSIT", amount: deposit, dueDate: now },
+  ];
+
+  for (let index = 1; index <= count; index += 1) {
+    const isLast = index === count;
+    schedule.push({
+      sequence: index + 1,
+      kind: isLast ? "BALANCE" : "INSTALLMENT",
+      amount: isLast ? roundAmount(balance - share * (count - 1)) : share,
+      dueDate: isLast
+        ? finalDueDate
+        : new Date(now.getTime() + Math.round((span * index) / count)),
+    });
+  }
+
+  return schedule;
+};
+
+/**
+ * Reminds customers about deposit-booking installments falling due within
+ * REMINDER_DAYS_BEFORE_DUE days (or already overdue), by notification and
+ * email. Each installment is reminded once; it is claimed before the
+ * reminder goes out so it is never sent twice.
+ * @async
+ * @function sendPaymentReminders
+ * @returns {Promise<number>} Reminder emails sent.
+ */
+const sendPaymentReminders = async () => {
+  const remindBefore = new Date(Date.now() + REMINDER_DAYS_BEFORE_DUE * DAY_MS);
+  const dueFilter = {
+    sequence: { $gt: 1 },
+    status: { $in: ["DUE", "FAILED"] },
+    dueDate: { $lte: remindBefore },
+    reminderSentAt: null,
+  };
+
+  const bookings = await Booking.find({
+    paymentOption: "DEPOSIT",
+    bookingStatus: { $in: ["PENDING", "CONFIRMED"] },
+    paymentStatus: { $ne: "REFUNDED" },
+    paymentSchedule: { $elemMatch: dueFilter },
+  })
+    .limit(BATCH_SIZE)
+    .populate("customer", "userName email")
+    .populate("package", "packageTitle");
+
+  let sent = 0;
+
+  for (const booking of bookings) {
+    const installments = booking.paymentSchedule.filter(
+      (installment) =>
+        installment.sequence > 1 &&
+        ["DUE", "FAILED"].includes(installment.status) &&
+        installment.dueDate <= remindBefore &&
+        !installment.reminderSentAt
+    );
+
+    for (const installment of installments) {
+      const claimed = await Booking.updateOne(
+        { _id: booking._id },
+        {
+          $set: {
+            "paymentSchedule.$[installment].reminderSentAt": new Date(),
+          },
+        },
+        {
+          arrayFilters: [
+            {
+              "installment.sequence": installment.sequence,
+              "installment.reminderSentAt": null,
+            },
+          ],
+        }
+      );
+      if (!claimed.modifiedCount || !booking.customer) continue;
+
+      const currency = booking.priceSnapshot?.currency || "PKR";
+      const reference = booking.bookingReference || booking._id.toString();
+      await notify({
+        recipientId: booking.customer._id,
+        role: "USER",
+        type: "PAYMENT_REMINDER",
+        title: "Payment due soon",
+        message: `${currency} ${installment.amount} for booking ${reference} is due on ${installment.dueDate.toDateString()}.`,
+        data: { bookingId: booking._id, bookingReference: reference },
+      });
+
+      if (!booking.customer.email) continue;
+
+      try {
+        await sendPaymentReminderEmail(
+          booking.customer.email,
+          booking.customer.userName,
+          {
+            packageTitle: booking.package?.packageTitle || "your trip",
+            bookingId: booking.bookingReference || booking._id.toString(),
+            amount: installment.amount,
+            currency: booking.priceSnapshot?.currency || "PKR",
+            dueDate: installment.dueDate,
+            isFinal: installment.kind === "BALANCE",
+          }
+        );
+        sent += 1;
+      } catch (emailError) {
+        console.error("Failed to send payment reminder email:", emailError);
+      }
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Cancels deposit bookings whose final balance is still unpaid
+ * PAYMENT_GRACE_HOURS after it was due. The refund follows the cancellation
+ * policy, as if the customer had cancelled.
+ * @async
+ * @function cancelOverdueBookings
+ * @returns {Promise<number>} Bookings cancelled.
+ */
+const cancelOverdueBookings = async () => {
+  const bookings = await Booking.find({
+    paymentOption: "DEPOSIT",
+    bookingStatus: { $in: ["PENDING", "CONFIRMED"] },
+    paymentStatus: { $nin: ["PAID", "REFUNDED"] },
+    paymentSchedule: {
+      $elemMatch: {
+        kind: "BALANCE",
+        status: { $in: ["DUE", "FAILED"] },
+        dueDate: {
+          $lte: new Date(Date.now() - PAYMENT_GRACE_HOURS * 60 * 60 * 1000),
+        },
+      },
+    },
+  }).limit(BATCH_SIZE);
+
+  let cancelled = 0;
+
+  for (const booking of bookings) {
+    try {
+      await cancelBookingWithRefund(booking, {
+        cancelledBy: "SYSTEM",
+        reason: "The balance was not paid by the final due date",
+      });
+      cancelled += 1;
+    } catch (error) {
+      // Usually a payment that landed meanwhile; the next run rechecks it
+      console.error(
+        `Failed to cancel overdue booking ${booking._id}:`,
+        error.message
+      );
+    }
+  }
+
+  return cancelled;
+};
+
+/**
+ * Gives bookings made before payment schedules a single FULL installment that
+ * mirrors their existing payment state.
+ * @async
+ * @function backfillPaymentSchedules
+ * @returns {Promise<number>} Bookings updated.
+ */
+const backfillPaymentSchedules = async () => {
+  let updated = 0;
+
+  while (true) {
+    const bookings = await Booking.find({
+      "paymentSchedule.0": { $exists: false },
+    }).limit(BATCH_SIZE);
+
+    if (!bookings.length) return updated;
+
+    for (const booking of bookings) {
+      const payment = booking.payment || {};
+      const isPaid = ["PAID", "REFUNDED"].includes(booking.paymentStatus);
+      const amountPaid = isPaid ? payment.amount || booking.totalPrice : 0;
+      const amountRefunded = payment.amountRefunded || 0;
+
+      // Written with updateOne so an otherwise invalid legacy booking cannot
+      // fail validation and be picked up again forever
+      await Booking.updateOne(
+        { _id: booking._id, "paymentSchedule.0": { $exists: false } },
+        {
+          $set: {
+            paymentOption: "FULL",
+            paymentSchedule: [
+              {
+                sequence: 1,
+                kind: "FULL",
+                amount: booking.totalPrice,
+                dueDate: booking.createdAt,
+                status: isPaid
+                  ? "PAID"
+                  : booking.paymentStatus === "PENDING"
+                    ? "DUE"
+                    : booking.paymentStatus,
+                paidAt: payment.paidAt || null,
+                provider: payment.provider || null,
+                intentId: payment.intentId || null,
+                amountRefunded,
+                refundRequested:
+                  amountRefunded +
+                  (booking.refund?.status === "REQUESTED"
+                    ? booking.refund.amount
+                    : 0),
+              },
+            ],
+            "payment.amountPaid": amountPaid,
+            "payment.amountOutstanding": roundAmount(
+              booking.totalPrice - amountPaid
+            ),
+          },
+        }
+      );
+    }
+
+    updated += bookings.length;
+  }
+};
+
+module.exports = {
+  buildDepositPolicy,
+  buildPaymentSchedule,
+  sendPaymentReminders,
+  cancelOverdueBookings,
+  backfillPaymentSchedules,
+};
@@ -0,0 +1,513 @@
+/**
+ * @fileoverview Payment service for Oloha backend.
+ * @module services/paymentService
+ * @description Keeps a registry of payment providers behind one interface
+ * (create intent, confirm, capture, refund, inquire, verify webhook) and
+ * applies verified provider events to bookings. `Booking.paymentStatus` is only ever
+ * changed here, from events whose signature the provider has verified.
+ * Events reach `applyPaymentEvent` through the payment event ledger, which
+ * makes sure each one is applied once.
+ *
+ * Bookings are paid through their payment schedule: each provider intent pays
+ * one installment, and the booking totals (`payment.amountPaid`,
+ * `payment.amountOutstanding`, `payment.amountRefunded`) are kept in step.
+ * The platform commission is stamped when the last installment is paid.
+ */
+
+const Booking = require("../../models/booking-model/Booking.model");
+const stripeProvider = require("./providers/stripe.provider");
+const jazzCashProvider = require("./providers/jazzcash.provider");
+const easypaisaProvider = require("./providers/easypaisa.provider");
+const {
+  buildBookingCommission,
+} = require("../commission-service/commission.service");
+const { postBookingRefund } = require("../ledger-service/ledger.service");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+/**
+ * A payment provider implementation.
+ * @typedef {Object} PaymentProvider
+ * @property {string} name - Registry key, e.g. "STRIPE".
+ * @property {Function} createIntent - ({bookingId, amount, currency, flow,
+ * manualCapture, idempotencyKey}) => {intentId, status, clientSecret, redirect}
+ * @property {Function} confirmIntent - (intentId, params) => {intentId, status, event?}
+ * @property {Function} captureIntent - (intentId, {amount}) => {intentId, status}
+ * @property {Function} refund - (intentId, {amount, refundedSoFar,
+ * idempotencyKey}) => {refundId, status, event?}
+ * @property {Function} inquire - (intentId) => PaymentEvent
+ * @property {Function} verifyWebhook - ({rawBody, headers, payload}) => PaymentEvent
+ *
+ * Any method may be async. `event` is returned when the provider answers
+ * synchronously with a verified outcome (e.g. wallet payments) and is applied
+ * like a webhook event.
+ */
+
+/**
+ * A verified provider event, normalised across providers.
+ * @typedef {Object} PaymentEvent
+ * @property {string} id - Provider event ID.
+ * @property {string|null} type - PAYMENT_AUTHORIZED, PAYMENT_SUCCEEDED,
+ * PAYMENT_FAILED, PAYMENT_REFUNDED, or null when not relevant.
+ * @property {string} providerType - Event type as named by the provider.
+ * @property {string} intentId - Provider payment intent / transaction ID.
+ * @property {string|null} providerStatus - Provider status of the payment.
+ * @property {number} amount - Amount captured.
+ * @property {number} amountRefunded - Total refunded so far.
+ * @property {Date} occurredAt - When the provider created the event.
+ * @property {Object} raw - Original event payload.
+ */
+
+/**
+ * Registered providers by name.
+ * @type {Object<string, PaymentProvider>}
+ */
+const providers = {
+  [stripeProvider.name]: stripeProvider,
+  [jazzCashProvider.name]: jazzCashProvider,
+  [easypaisaProvider.name]: easypaisaProvider,
+};
+
+/**
+ * Provider handling each online `Booking.paymentMethod`.
+ * Methods not listed here (e.g. CASH) are settled offline.
+ * @constant {Object<string, string>}
+ */
+const PROVIDER_BY_PAYMENT_METHOD = {
+  CARD: "STRIPE",
+  JAZZCASH: "JAZZCASH",
+  EASYPaisa: "EASYPAISA",
+};
+
+/**
+ * Checkout flows a customer can choose. HOSTED redirects to the provider's
+ * payment page; MWALLET charges a mobile wallet server-to-server. Card
+ * providers ignore the flow.
+ * @constant {Array<string>}
+ */
+const PAYMENT_FLOWS = ["HOSTED", "MWALLET"];
+
+/**
+ * Allowed payment status transitions. A failed payment can be retried, and a
+ * booking paid in installments is PARTIALLY_PAID until the last one is paid.
+ * @constant {Object<string, Array<string>>}
+ */
+const PAYMENT_STATUS_TRANSITIONS = {
+  PENDING: ["AUTHORIZED", "PARTIALLY_PAID", "PAID", "FAILED"],
+  AUTHORIZED: ["PARTIALLY_PAID", "PAID", "FAILED"],
+  FAILED: ["AUTHORIZED", "PARTIALLY_PAID", "PAID"],
+  PARTIALLY_PAID: ["PAID", "REFUNDED"],
+  PAID: ["REFUNDED"],
+  REFUNDED: [],
+};
+
+/** Attempts at applying an event when the booking changes concurrently */
+const MAX_APPLY_ATTEMPTS = 3;
+
+/**
+ * Rounds an amount to 2 decimal places.
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Registers or replaces a provider, e.g. with a mock in tests.
+ * @function registerPaymentProvider
+ * @param {PaymentProvider} provider
+ */
+const registerPaymentProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+/**
+ * Looks up a provider by name.
+ * @function getPaymentProvider
+ * @param {string} name
+ * @returns {PaymentProvider}
+ * @throws {Error} 404 if no provider has that name.
+ */
+const getPaymentProvider = (name) => {
+  const provider = providers[String(name || "").toUpperCase()];
+  if (!provider) {
+    throw createHttpError("Payment provider not found", 404);
+  }
+  return provider;
+};
+
+/**
+ * Provider for a booking, based on its payment method or the provider it
+ * already started paying with.
+ * @param {Object} booking - Booking document.
+ * @returns {PaymentProvider}
+ * @throws {Error} 400 if the payment method is not paid online.
+ */
+const getBookingProvider = (booking) => {
+  const name =
+    booking.payment?.provider ||
+    PROVIDER_BY_PAYMENT_METHOD[booking.paymentMethod];
+  if (!name) {
+    throw createHttpError(
+      `${booking.paymentMethod} payments are not processed online`
+    );
+  }
+  return getPaymentProvider(name);
+};
+
+/**
+ * Next installment of a booking still to be paid.
+ * @param {Object} booking - Booking document.
+ * @returns {Object|undefined}
+ */
+const getNextInstallment = (booking) =>
+  [...booking.paymentSchedule]
+    .sort((a, b) => a.sequence - b.sequence)
+    .find((installment) => installment.status !== "PAID");
+
+/**
+ * Whether every refund requested for a cancellation has been confirmed by
+ * the provider.
+ * @function isRefundSettled
+ * @param {Object} booking - Booking document.
+ * @returns {boolean}
+ */
+const isRefundSettled = (booking) =>
+  (booking.refund?.allocations || []).every(
+    (allocation) => allocation.requestedAt
+  ) &&
+  booking.paymentSchedule.every(
+    (installment) =>
+      (installment.amountRefunded || 0) >= (installment.refundRequested || 0)
+  );
+
+/**
+ * Starts (or resumes) online payment of a booking's next installment.
+ * While the installment is still due the same provider intent is returned;
+ * after a failure a new attempt is started.
+ * @async
+ * @function startBookingPayment
+ * @param {Object} booking - Booking document.
+ * @param {{ flow?: string }} [options] - Checkout flow, HOSTED by default.
+ * @returns {Promise<{provider: string, intentId: string, status: string, clientSecret: string|null, redirect: Object|null, installment: {sequence: number, kind: string, amount: number, dueDate: Date}}>}
+ * @throws {Error} 400 for an unknown flow, 409 if the booking cannot be paid.
+ */
+const startBookingPayment = async (booking, { flow = "HOSTED" } = {}) => {
+  if (!PAYMENT_FLOWS.includes(flow)) {
+    throw createHttpError(`flow must be one of ${PAYMENT_FLOWS.join(", ")}`);
+  }
+
+  if (booking.bookingStatus === "CANCELLED") {
+    throw createHttpError("Cancelled bookings cannot be paid", 409);
+  }
+  if (
+    !["PENDING", "FAILED", "PARTIALLY_PAID"].includes(booking.paymentStatus)
+  ) {
+    throw createHttpError(
+      `Booking payment is already ${booking.paymentStatus}`,
+      409
+    );
+  }
+
+  const installment = getNextInstallment(booking);
+  if (!installment) {
+    throw createHttpError("This booking has no payment due", 409);
+  }
+  if (installment.status === "AUTHORIZED") {
+    throw createHttpError(
+      "This payment is authorized and awaiting capture",
+      409
+    );
+  }
+
+  const provider = getBookingProvider(booking);
+  const currency = booking.priceSnapshot?.currency || "PKR";
+  const previousAttempts = booking.payment?.attempts || 0;
+  const attempts =
+    installment.status === "FAILED" || !installment.intentId
+      ? previousAttempts + 1
+      : previousAttempts;
+
+  const intent = await provider.createIntent({
+    bookingId: booking._id,
+    amount: installment.amount,
+    currency,
+    flow,
+    manualCapture: process.env.PAYMENT_MANUAL_CAPTURE === "true",
+    idempotencyKey: `booking-${booking._id}-attempt-${attempts}`,
+  });
+
+  const updated = await Booking.updateOne(
+    {
+      _id: booking._id,
+      paymentStatus: booking.paymentStatus,
+      // Bookings made before online payments have no payment block yet
+      "payment.attempts": previousAttempts || { $in: [0, null] },
+    },
+    {
+      $set: {
+        "payment.provider": provider.name,
+        "payment.intentId": intent.intentId,
+        "payment.providerStatus": intent.status,
+        "payment.amount": installment.amount,
+        "payment.currency": currency,
+        "payment.attempts": attempts,
+        "paymentSchedule.$[installment].provider": provider.name,
+        "paymentSchedule.$[installment].intentId": intent.intentId,
+        "paymentSchedule.$[installment].status": "DUE",
+      },
+    },
+    { arrayFilters: [{ "installment.sequence": installment.sequence }] }
+  );
+
+  if (!updated.matchedCount) {
+    throw createHttpError(
+      "Booking payment was updated by another request. Please try again.",
+      409
+    );
+  }
+
+  return {
+    provider: provider.name,
+    ...intent,
+    installment: {
+      sequence: installment.sequence,
+      kind: installment.kind,
+      amount: installment.amount,
+      dueDate: installment.dueDate,
+    },
+  };
+};
+
+/**
+ * Works out how an event changes the installment it paid for and the
+ * booking's totals.
+ * @param {Object} booking - Booking document.
+ * @param {Object} installment - Installment the event's intent belongs to.
+ * @param {PaymentEvent} event - Verified event.
+ * @returns {{nextStatus: string, fields: Object, underpaid?: boolean}|{reason: string}}
+ * Changes to apply, or why the event does not apply. An underpaid capture
+ * only records the captured amount on the installment.
+ */
+const planPaymentEvent = (booking, installment, event) => {
+  const at = (field) => `paymentSchedule.$[installment].${field}`;
+  const amountPaid = booking.payment.amountPaid || 0;
+  const fields = {};
+
+  if (event.type === "PAYMENT_SUCCEEDED") {
+    if (installment.status === "PAID") {
+      return { reason: "Installment is already PAID" };
+    }
+    if (event.amount < installment.amount) {
+      if (installment.amountCaptured === event.amount) {
+        return { reason: "Underpayment is already recorded" };
+      }
+      fields[at("amountCaptured")] = event.amount;
+      return { nextStatus: booking.paymentStatus, fields, underpaid: true };
+    }
+
+    const amountOutstanding = roundAmount(
+      booking.paymentSchedule
+        .filter(
+          (other) =>
+            other.sequence !== installment.sequence && other.status !== "PAID"
+        )
+        .reduce((sum, other) => sum + other.amount, 0)
+    );
+
+    fields[at("status")] = "PAID";
+    fields[at("paidAt")] = event.occurredAt;
+    fields["payment.amountPaid"] = roundAmount(amountPaid + installment.amount);
+    fields["payment.amountOutstanding"] = amountOutstanding;
+
+    if (amountOutstanding > 0) {
+      return { nextStatus: "PARTIALLY_PAID", fields };
+    }
+    fields["payment.paidAt"] = event.occurredAt;
+    return { nextStatus: "PAID", fields };
+  }
+
+  if (event.type === "PAYMENT_FAILED") {
+    if (installment.status === "PAID") {
+      return { reason: "Installment is already PAID" };
+    }
+    fields[at("status")] = "FAILED";
+    return {
+      nextStatus: amountPaid > 0 ? "PARTIALLY_PAID" : "FAILED",
+      fields,
+    };
+  }
+
+  if (event.type === "PAYMENT_AUTHORIZED") {
+    if (!["DUE", "FAILED"].includes(installment.status)) {
+      return { reason: `Installment is already ${installment.status}` };
+    }
+    fields[at("status")] = "AUTHORIZED";
+    return {
+      nextStatus: amountPaid > 0 ? "PARTIALLY_PAID" : "AUTHORIZED",
+      fields,
+    };
+  }
+
+  // PAYMENT_REFUNDED: amountRefunded is the total refunded on this intent
+  const previouslyRefunded = installment.amountRefunded || 0;
+  if (
+    installment.status !== "PAID" ||
+    event.amountRefunded <= previouslyRefunded
+  ) {
+    return { reason: "Refund is already applied" };
+  }
+
+  const amountRefunded = roundAmount(
+    (booking.payment.amountRefunded || 0) +
+      event.amountRefunded -
+      previouslyRefunded
+  );
+
+  fields[at("amountRefunded")] = event.amountRefunded;
+  fields["payment.amountRefunded"] = amountRefunded;
+
+  if (booking.refund?.status === "REQUESTED") {
+    const refunded = booking.toObject();
+    refunded.paymentSchedule.find(
+      (other) => other.sequence === installment.sequence
+    ).amountRefunded = event.amountRefunded;
+    if (isRefundSettled(refunded)) fields["refund.status"] = "COMPLETED";
+  }
+
+  // Partial refunds keep the booking's payment status
+  return {
+    nextStatus:
+      amountRefunded >= amountPaid ? "REFUNDED" : booking.paymentStatus,
+    fields,
+  };
+};
+
+/**
+ * Applies a verified provider event to the booking installment it belongs to.
+ * Replays and out-of-order events are ignored, so applying the same event
+ * twice has no further effect. A capture below the installment amount does
+ * not pay it: the captured amount is recorded and `underpaid` is returned.
+ * @async
+ * @function applyPaymentEvent
+ * @param {string} providerName - Provider that sent the event.
+ * @param {PaymentEvent} event - Verified event.
+ * @param {import('mongoose').ClientSession} [session] - Active transaction session.
+ * @returns {Promise<{applied: boolean, reason?: string, underpaid?: boolean, booking?: Object}>}
+ */
+const applyPaymentEvent = async (providerName, event, session = null) => {
+  if (!event.type) return { applied: false, reason: "Event type not handled" };
+
+  for (let attempt = 0; attempt < MAX_APPLY_ATTEMPTS; attempt += 1) {
+    const booking = await Booking.findOne({
+      paymentSchedule: {
+        $elemMatch: { provider: providerName, intentId: event.intentId },
+      },
+    }).session(session);
+
+    if (!booking) return { applied: false, reason: "No matching booking" };
+
+    const installment = booking.paymentSchedule.find(
+      (candidate) =>
+        candidate.provider === providerName &&
+        candidate.intentId === event.intentId
+    );
+
+    const plan = planPaymentEvent(booking, installment, event);
+    if (plan.reason) return { applied: false, reason: plan.reason };
+
+    const { nextStatus, fields } = plan;
+    if (
+      nextStatus !== booking.paymentStatus &&
+      !PAYMENT_STATUS_TRANSITIONS[booking.paymentStatus].includes(nextStatus)
+    ) {
+      return {
+        applied: false,
+        reason: `Payment is already ${booking.paymentStatus}`,
+      };
+    }
+
+    // Stamped once, from the rates in force when the booking was fully paid
+    if (
+      nextStatus === "PAID" &&
+      booking.paymentStatus !== "PAID" &&
+      !booking.commission
+    ) {
+      fields.commission = await buildBookingCommission(
+        booking,
+        fields["payment.amountPaid"],
+        session
+      );
+    }
+
+    // Conditional on everything the plan was worked out from
+    const updated = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        paymentStatus: booking.paymentStatus,
+        "payment.amountPaid": booking.payment.amountPaid || { $in: [0, null] },
+        "payment.amountRefunded": booking.payment.amountRefunded || {
+          $in: [0, null],
+        },
+        paymentSchedule: {
+          $elemMatch: {
+            sequence: installment.sequence,
+            status: installment.status,
+            amountRefunded: installment.amountRefunded || { $in: [0, null] },
+          },
+        },
+      },
+      {
+        $set: {
+          paymentStatus: nextStatus,
+          "payment.providerStatus": event.providerStatus,
+          "payment.lastEventAt": event.occurredAt,
+          ...fields,
+        },
+      },
+      {
+        new: true,
+        session,
+        arrayFilters: [{ "installment.sequence": installment.sequence }],
+      }
+    );
+
+    if (!updated) continue;
+
+    if (plan.underpaid) {
+      return {
+        applied: false,
+        underpaid: true,
+        reason: `Captured ${event.amount} of ${installment.amount} due`,
+        booking: updated,
+      };
+    }
+
+    if (event.type === "PAYMENT_REFUNDED") {
+      await postBookingRefund(
+        updated,
+        {
+          amount: roundAmount(
+            event.amountRefunded - (installment.amountRefunded || 0)
+          ),
+          reference: `${providerName}-${event.id}`,
+        },
+        session
+      );
+    }
+
+    return { applied: true, booking: updated };
+  }
+
+  throw createHttpError(
+    "Booking payment kept changing while applying the event",
+    409
+  );
+};
+
+module.exports = {
+  registerPaymentProvider,
+  getPaymentProvider,
+  getBookingProvider,
+  startBookingPayment,
+  applyPaymentEvent,
+  isRefundSettled,
+};
@@ -0,0 +1,350 @@
+/**
+ * @fileoverview Easypaisa payment provider for Oloha backend.
+ * @module services/paymentService/providers/easypaisa
+ * @description Implements the payment provider interface against Easypay
+ * (Easypaisa's merchant gateway): hosted checkout, mobile account (MA)
+ * payments, transaction inquiry and refunds.
+ *
+ * Hosted checkout requests carry `merchantHashedReq`, the sorted request
+ * fields encrypted with the store's hash key (AES-128-ECB, base64). Easypaisa
+ * notifications are not signed, so a callback is only trusted after the
+ * transaction is looked up again through the inquiry API.
+ * `EASYPAISA_API_BASE_URL` points the provider at a sandbox or mock server.
+ */
+
+const axios = require("axios");
+const crypto = require("crypto");
+const {
+  createHttpError,
+} = require("../../../helpers/error-helper/error.helper");
+
+/** Easypay response code for a successful API call */
+const SUCCESS_CODE = "0000";
+
+/** Hours a hosted checkout order stays open */
+const ORDER_EXPIRY_HOURS = 1;
+
+/**
+ * Maps Easypay transaction statuses to normalised payment event types.
+ * Statuses not listed (e.g. PENDING) are not acted on.
+ * @constant {Object<string, string>}
+ */
+const EVENT_TYPES = {
+  PAID: "PAYMENT_SUCCEEDED",
+  FAILED: "PAYMENT_FAILED",
+  EXPIRED: "PAYMENT_FAILED",
+  DROPPED: "PAYMENT_FAILED",
+  REVERSED: "PAYMENT_REFUNDED",
+};
+
+/**
+ * Store credentials from the environment.
+ * @returns {{storeId: string, hashKey: string, accountNum: string, credentials: string, baseUrl: string}}
+ */
+const getConfig = () => ({
+  storeId: process.env.EASYPAISA_STORE_ID,
+  hashKey: process.env.EASYPAISA_HASH_KEY,
+  accountNum: process.env.EASYPAISA_ACCOUNT_NUM,
+  credentials: Buffer.from(
+    `${process.env.EASYPAISA_USERNAME}:${process.env.EASYPAISA_PASSWORD}`
+  ).toString("base64"),
+  baseUrl:
+    process.env.EASYPAISA_API_BASE_URL || "https://easypaystg.easypaisa.com.pk",
+});
+
+/**
+ * Computes `merchantHashedReq` for a hosted checkout request.
+ * @param {Object<string, string>} fields
+ * @returns {string} Base64 AES-128-ECB ciphertext
+ */
+const merchantHashedRequest = (fields) => {
+  const plain = Object.keys(fields)
+    .filter((key) => fields[key] !== undefined && fields[key] !== "")
+    .sort()
+    .map((key) => `${key}=${fields[key]}`)
+    .join("&");
+
+  const cipher = crypto.createCipheriv(
+    "aes-128-ecb",
+    Buffer.from(getConfig().hashKey, "utf8"),
+    null
+  );
+  return Buffer.concat([cipher.update(plain, "utf8"), cipher.final()]).toString(
+    "base64"
+  );
+};
+
+/**
+ * Formats a date as "yyyyMMdd HHmmss" in Pakistan time, as Easypay expects.
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatTimestamp = (date) => {
+  const digits = new Date(date.getTime() + 5 * 60 * 60 * 1000)
+    .toISOString()
+    .replace(/[-:T]/g, "");
+  return `${digits.slice(0, 8)} ${digits.slice(8, 14)}`;
+};
+
+/**
+ * Deterministic order reference, so resuming a payment attempt reuses it.
+ * @param {string} idempotencyKey
+ * @returns {string}
+ */
+const toOrderRef = (idempotencyKey) =>
+  `OLH${crypto
+    .createHash("sha256")
+    .update(idempotencyKey)
+    .digest("hex")
+    .slice(0, 17)
+    .toUpperCase()}`;
+
+/**
+ * Posts a request to an Easypay REST endpoint.
+ * @async
+ * @param {string} path - API path.
+ * @param {Object} body - Request body.
+ * @returns {Promise<Object>} Response body.
+ * @throws {Error} 502 if Easypaisa is unreachable.
+ */
+const post = async (path, body) => {
+  const { baseUrl, credentials } = getConfig();
+  try {
+    const { data } = await axios.post(`${baseUrl}${path}`, body, {
+      timeout: 30000,
+      headers: { Credentials: credentials },
+    });
+    return data;
+  } catch (error) {
+    throw createHttpError("Easypaisa is unavailable", 502);
+  }
+};
+
+/**
+ * Builds a normalised payment event.
+ * @param {string} orderRef
+ * @param {string|null} type
+ * @param {string} providerStatus
+ * @param {Object} raw - Easypay response.
+ * @param {Object} [amounts]
+ * @returns {import('../payment.service').PaymentEvent}
+ */
+const toPaymentEvent = (
+  orderRef,
+  type,
+  providerStatus,
+  raw,
+  { amount = 0, amountRefunded = 0 } = {}
+) => ({
+  id: `${orderRef}:${providerStatus}`,
+  type,
+  providerType: providerStatus,
+  intentId: orderRef,
+  providerStatus,
+  amount,
+  amountRefunded,
+  occurredAt: new Date(),
+  raw,
+});
+
+/**
+ * Starts an Easypaisa payment for a booking.
+ * HOSTED returns a form the app posts to the Easypay checkout page;
+ * MWALLET only reserves the reference and is charged by `confirmIntent`.
+ * @param {Object} params
+ * @param {number} params.amount
+ * @param {string} params.idempotencyKey
+ * @param {string} [params.flow="HOSTED"] - HOSTED or MWALLET.
+ * @returns {{intentId: string, status: string, clientSecret: null, redirect: Object|null}}
+ */
+const createIntent = ({ amount, idempotencyKey, flow = "HOSTED" }) => {
+  const orderRef = toOrderRef(idempotencyKey);
+
+  if (flow === "MWALLET") {
+    return {
+      intentId: orderRef,
+      status: "AWAITING_WALLET",
+      clientSecret: null,
+      redirect: null,
+    };
+  }
+
+  const { storeId, baseUrl } = getConfig();
+  const fields = {
+    storeId,
+    amount: amount.toFixed(1),
+    postBackURL: process.env.EASYPAISA_POSTBACK_URL,
+    orderRefNum: orderRef,
+    expiryDate: formatTimestamp(
+      new Date(Date.now() + ORDER_EXPIRY_HOURS * 60 * 60 * 1000)
+    ),
+    autoRedirect: "1",
+  };
+
+  return {
+    intentId: orderRef,
+    status: "AWAITING_CHECKOUT",
+    clientSecret: null,
+    redirect: {
+      method: "POST",
+      url: `${baseUrl}/easypay/Index.jsf`,
+      fields: { ...fields, merchantHashedReq: merchantHashedRequest(fields) },
+    },
+  };
+};
+
+/**
+ * Charges an Easypaisa mobile account. The customer approves the payment on
+ * their phone before Easypay responds.
+ * @async
+ * @param {string} intentId - Order reference from `createIntent`.
+ * @param {{ amount: number, mobileNumber: string, email?: string }} params
+ * @returns {Promise<{intentId: string, status: string, event: Object}>}
+ * @throws {Error} 400 if the mobile number is missing.
+ */
+const confirmIntent = async (intentId, { amount, mobileNumber, email }) => {
+  if (!/^03\d{9}$/.test(mobileNumber || "")) {
+    throw createHttpError(
+      "Easypaisa needs an 11-digit mobile number (03XXXXXXXXX)",
+      400
+    );
+  }
+
+  const response = await post(
+    "/easypay-service/rest/v4/initiate-ma-transaction",
+    {
+      orderId: intentId,
+      storeId: getConfig().storeId,
+      transactionAmount: amount.toFixed(2),
+      transactionType: "MA",
+      mobileAccountNo: mobileNumber,
+      emailAddress: email || "",
+    }
+  );
+
+  const isPaid = response.responseCode === SUCCESS_CODE;
+  const event = toPaymentEvent(
+    intentId,
+    isPaid ? "PAYMENT_SUCCEEDED" : "PAYMENT_FAILED",
+    isPaid ? "PAID" : `FAILED:${response.responseCode}`,
+    response,
+    { amount: isPaid ? amount : 0 }
+  );
+
+  return { intentId, status: event.providerStatus, event };
+};
+
+/**
+ * Easypaisa captures immediately, so there is nothing to capture later.
+ * @throws {Error} 409 always.
+ */
+const captureIntent = async () => {
+  throw createHttpError("Easypaisa payments are captured immediately", 409);
+};
+
+/**
+ * Refunds an Easypaisa payment. `EASYPAISA_REFUND_PATH` overrides the refund
+ * endpoint for stores on a different API version.
+ * @async
+ * @param {string} intentId - Order reference.
+ * @param {{ amount: number, refundedSoFar?: number }} params
+ * @returns {Promise<{refundId: string, status: string, event: Object}>}
+ * @throws {Error} 502 if Easypaisa declines the refund.
+ */
+const refund = async (intentId, { amount, refundedSoFar = 0 }) => {
+  const { storeId, accountNum } = getConfig();
+  const response = await post(
+    process.env.EASYPAISA_REFUND_PATH ||
+      "/easypay-service/rest/v4/refund-transaction",
+    {
+      orderId: intentId,
+      storeId,
+      accountNum,
+      refundAmount: amount.toFixed(2),
+    }
+  );
+
+  if (response.responseCode !== SUCCESS_CODE) {
+    throw createHttpError(
+      response.responseDesc || "Easypaisa declined the refund",
+      502
+    );
+  }
+
+  const amountRefunded = refundedSoFar + amount;
+  return {
+    refundId: `${intentId}:${amountRefunded}`,
+    status: "succeeded",
+    event: {
+      ...toPaymentEvent(intentId, "PAYMENT_REFUNDED", "REFUNDED", response, {
+        amountRefunded,
+      }),
+      id: `${intentId}:REFUND:${amountRefunded}`,
+    },
+  };
+};
+
+/**
+ * Asks Easypaisa for the current state of an order (reconciliation).
+ * @async
+ * @param {string} intentId - Order reference.
+ * @returns {Promise<import('../payment.service').PaymentEvent>}
+ */
+const inquire = async (intentId) => {
+  const { storeId, accountNum } = getConfig();
+  const response = await post("/easypay-service/rest/v4/inquire-transaction", {
+    orderId: intentId,
+    storeId,
+    accountNum,
+  });
+
+  // The inquiry itself failing says nothing about the payment
+  if (response.responseCode !== SUCCESS_CODE) {
+    return toPaymentEvent(
+      intentId,
+      null,
+      `INQUIRY:${response.responseCode}`,
+      response
+    );
+  }
+
+  const amount = Number(response.transactionAmount) || 0;
+  return toPaymentEvent(
+    intentId,
+    EVENT_TYPES[response.transactionStatus] || null,
+    response.transactionStatus,
+    response,
+    {
+      amount,
+      amountRefunded: response.transactionStatus === "REVERSED" ? amount : 0,
+    }
+  );
+};
+
+/**
+ * Handles an Easypaisa payment notification. The notification only names the
+ * order; its state is taken from a fresh inquiry, so a forged notification
+ * cannot change a booking.
+ * @async
+ * @param {{ payload: Object<string, string> }} request
+ * @returns {Promise<import('../payment.service').PaymentEvent>}
+ * @throws {Error} 400 if the notification does not name an order.
+ */
+const verifyWebhook = async ({ payload }) => {
+  const orderRef =
+    payload?.orderRefNumber || payload?.orderRefNum || payload?.orderId;
+  if (!/^OLH[0-9A-F]{17}$/.test(orderRef || "")) {
+    throw createHttpError("Invalid notification", 400);
+  }
+  return inquire(orderRef);
+};
+
+module.exports = {
+  name: "EASYPAISA",
+  createIntent,
+  confirmIntent,
+  captureIntent,
+  refund,
+  inquire,
+  verifyWebhook,
+};
@@ -0,0 +1,387 @@
+/**
+ * @fileoverview JazzCash payment provider for Oloha backend.
+ * @module services/paymentService/providers/jazzcash
+ * @description Implements the payment provider interface against JazzCash
+ * API v1.1: hosted checkout (page redirect) and MWALLET (server-to-server)
+ * payments, transaction inquiry and wallet refunds.
+ *
+ * Every request and response is signed with `pp_SecureHash`: an
+ * HMAC-SHA256, keyed with the integrity salt, over the integrity salt and the
+ * non-empty `pp_` field values sorted by field name, joined with "&".
+ * `JAZZCASH_API_BASE_URL` points the provider at a sandbox or mock server.
+ */
+
+const axios = require("axios");
+const crypto = require("crypto");
+const {
+  createHttpError,
+} = require("../../../helpers/error-helper/error.helper");
+
+/** JazzCash response codes for a completed payment */
+const SUCCESS_CODES = ["000", "121"];
+
+/** JazzCash response codes for a payment still waiting on the customer */
+const PENDING_CODES = ["124", "157"];
+
+/** Hours a hosted checkout transaction stays open */
+const TXN_EXPIRY_HOURS = 1;
+
+/**
+ * Merchant credentials from the environment.
+ * @returns {{merchantId: string, password: string, salt: string, mpin: string, baseUrl: string}}
+ */
+const getConfig = () => ({
+  merchantId: process.env.JAZZCASH_MERCHANT_ID,
+  password: process.env.JAZZCASH_PASSWORD,
+  salt: process.env.JAZZCASH_INTEGRITY_SALT,
+  mpin: process.env.JAZZCASH_MERCHANT_MPIN,
+  baseUrl:
+    process.env.JAZZCASH_API_BASE_URL || "https://sandbox.jazzcash.com.pk",
+});
+
+/**
+ * Computes `pp_SecureHash` for a set of fields.
+ * @param {Object<string, string>} fields
+ * @returns {string} Upper-case hex HMAC-SHA256
+ */
+const secureHash = (fields) => {
+  const { salt } = getConfig();
+  const values = Object.keys(fields)
+    .filter(
+      (key) =>
+        key.toLowerCase().startsWith("pp_") &&
+        key !== "pp_SecureHash" &&
+        fields[key] !== undefined &&
+        fields[key] !== null &&
+        fields[key] !== ""
+    )
+    .sort()
+    .map((key) => fields[key]);
+
+  return crypto
+    .createHmac("sha256", salt)
+    .update([salt, ...values].join("&"))
+    .digest("hex")
+    .toUpperCase();
+};
+
+/**
+ * Checks a `pp_SecureHash` in constant time.
+ * @param {Object<string, string>} fields - Fields including `pp_SecureHash`.
+ * @returns {boolean}
+ */
+const hasValidHash = (fields) => {
+  const received = Buffer.from(
+    String(fields.pp_SecureHash || "").toUpperCase()
+  );
+  const expected = Buffer.from(secureHash(fields));
+  return (
+    received.length === expected.length &&
+    crypto.timingSafeEqual(received, expected)
+  );
+};
+
+/**
+ * Formats a date as yyyyMMddHHmmss in Pakistan time, as JazzCash expects.
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatTimestamp = (date) =>
+  new Date(date.getTime() + 5 * 60 * 60 * 1000)
+    .toISOString()
+    .replace(/[-:T]/g, "")
+    .slice(0, 14);
+
+/** Converts an amount to paisa, as a string */
+const toPaisa = (amount) => String(Math.round(amount * 100));
+
+/** Converts paisa back to an amount */
+const fromPaisa = (paisa) => Number(paisa || 0) / 100;
+
+/**
+ * Deterministic 20-character transaction reference, so resuming a payment
+ * attempt reuses the same reference.
+ * @param {string} idempotencyKey
+ * @returns {string}
+ */
+const toTxnRef = (idempotencyKey) =>
+  `OLH${crypto
+    .createHash("sha256")
+    .update(idempotencyKey)
+    .digest("hex")
+    .slice(0, 17)
+    .toUpperCase()}`;
+
+/**
+ * Signs and posts a request to a JazzCash REST endpoint, then verifies the
+ * response hash.
+ * @async
+ * @param {string} path - API path.
+ * @param {Object<string, string>} fields - Request fields without the hash.
+ * @returns {Promise<Object<string, string>>} Verified response fields.
+ * @throws {Error} 502 if JazzCash is unreachable or the response is not signed correctly.
+ */
+const post = async (path, fields) => {
+  const { baseUrl } = getConfig();
+  let data;
+  try {
+    ({ data } = await axios.post(
+      `${baseUrl}${path}`,
+      { ...fields, pp_SecureHash: secureHash(fields) },
+      { timeout: 30000 }
+    ));
+  } catch (error) {
+    throw createHttpError("JazzCash is unavailable", 502);
+  }
+
+  if (data.pp_SecureHash && !hasValidHash(data)) {
+    throw createHttpError("JazzCash response failed verification", 502);
+  }
+  return data;
+};
+
+/**
+ * Normalises JazzCash transaction fields into a payment event.
+ * @param {Object<string, string>} fields - Verified JazzCash fields.
+ * @param {string} source - What produced the fields (CALLBACK, MWALLET, INQUIRY).
+ * @returns {import('../payment.service').PaymentEvent}
+ */
+const toPaymentEvent = (fields, source) => {
+  const code = fields.pp_PaymentResponseCode || fields.pp_ResponseCode;
+  const type = SUCCESS_CODES.includes(code)
+    ? "PAYMENT_SUCCEEDED"
+    : PENDING_CODES.includes(code)
+      ? null
+      : "PAYMENT_FAILED";
+
+  return {
+    id: `${fields.pp_TxnRefNo}:${source}:${code}`,
+    type,
+    providerType: `${source}:${code}`,
+    intentId: fields.pp_TxnRefNo,
+    providerStatus: fields.pp_Status || fields.pp_ResponseMessage || code,
+    amount: fromPaisa(fields.pp_Amount),
+    amountRefunded: 0,
+    occurredAt: new Date(),
+    raw: fields,
+  };
+};
+
+/**
+ * Fields shared by every JazzCash transaction request.
+ * @param {string} txnRef
+ * @param {number} amount
+ * @returns {Object<string, string>}
+ */
+const baseTransactionFields = (txnRef, amount) => {
+  const { merchantId, password } = getConfig();
+  const now = new Date();
+  return {
+    pp_Version: "1.1",
+    pp_Language: "EN",
+    pp_MerchantID: merchantId,
+    pp_Password: password,
+    pp_TxnRefNo: txnRef,
+    pp_Amount: toPaisa(amount),
+    pp_TxnCurrency: "PKR",
+    pp_TxnDateTime: formatTimestamp(now),
+    pp_TxnExpiryDateTime: formatTimestamp(
+      new Date(now.getTime() + TXN_EXPIRY_HOURS * 60 * 60 * 1000)
+    ),
+    pp_BillReference: "",
+    pp_Description: "",
+  };
+};
+
+/**
+ * Starts a JazzCash payment for a booking.
+ * HOSTED returns a signed form the app posts to the JazzCash checkout page;
+ * MWALLET only reserves the reference and is charged by `confirmIntent`.
+ * @param {Object} params
+ * @param {string} params.bookingId
+ * @param {number} params.amount
+ * @param {string} params.idempotencyKey
+ * @param {string} [params.flow="HOSTED"] - HOSTED or MWALLET.
+ * @returns {{intentId: string, status: string, clientSecret: null, redirect: Object|null}}
+ */
+const createIntent = ({
+  bookingId,
+  amount,
+  idempotencyKey,
+  flow = "HOSTED",
+}) => {
+  const txnRef = toTxnRef(idempotencyKey);
+
+  if (flow === "MWALLET") {
+    return {
+      intentId: txnRef,
+      status: "AWAITING_WALLET",
+      clientSecret: null,
+      redirect: null,
+    };
+  }
+
+  const fields = {
+    ...baseTransactionFields(txnRef, amount),
+    pp_TxnType: "",
+    pp_BillReference: `booking${bookingId}`,
+    pp_Description: `Oloha booking ${bookingId}`,
+    pp_ReturnURL: process.env.JAZZCASH_RETURN_URL,
+  };
+
+  return {
+    intentId: txnRef,
+    status: "AWAITING_CHECKOUT",
+    clientSecret: null,
+    redirect: {
+      method: "POST",
+      url: `${getConfig().baseUrl}/CustomerPortal/transactionmanagement/merchantform/`,
+      fields: { ...fields, pp_SecureHash: secureHash(fields) },
+    },
+  };
+};
+
+/**
+ * Charges a JazzCash mobile wallet (MWALLET). The customer approves the
+ * payment on their phone; the signed response is returned as a verified event.
+ * @async
+ * @param {string} intentId - Transaction reference from `createIntent`.
+ * @param {{ amount: number, mobileNumber: string, cnic: string, bookingId: string }} params
+ * @returns {Promise<{intentId: string, status: string, event: Object}>}
+ * @throws {Error} 400 if the wallet details are missing.
+ */
+const confirmIntent = async (
+  intentId,
+  { amount, mobileNumber, cnic, bookingId }
+) => {
+  if (!/^03\d{9}$/.test(mobileNumber || "") || !/^\d{6}$/.test(cnic || "")) {
+    throw createHttpError(
+      "JazzCash needs an 11-digit mobile number (03XXXXXXXXX) and the last 6 digits of the CNIC",
+      400
+    );
+  }
+
+  const response = await post(
+    "/ApplicationAPI/API/2.0/Purchase/DoMWalletTransaction",
+    {
+      ...baseTransactionFields(intentId, amount),
+      pp_BillReference: `booking${bookingId}`,
+      pp_Description: `Oloha booking ${bookingId}`,
+      pp_MobileNumber: mobileNumber,
+      pp_CNIC: cnic,
+    }
+  );
+
+  const event = toPaymentEvent(
+    { pp_TxnRefNo: intentId, ...response },
+    "MWALLET"
+  );
+  return { intentId, status: event.providerStatus, event };
+};
+
+/**
+ * JazzCash captures immediately, so there is nothing to capture later.
+ * @throws {Error} 409 always.
+ */
+const captureIntent = async () => {
+  throw createHttpError("JazzCash payments are captured immediately", 409);
+};
+
+/**
+ * Refunds a JazzCash wallet payment.
+ * @async
+ * @param {string} intentId - Transaction reference.
+ * @param {{ amount: number, refundedSoFar?: number }} params
+ * @returns {Promise<{refundId: string, status: string, event: Object|null}>}
+ * @throws {Error} 502 if JazzCash declines the refund.
+ */
+const refund = async (intentId, { amount, refundedSoFar = 0 }) => {
+  const { merchantId, password, mpin } = getConfig();
+  const response = await post(
+    "/ApplicationAPI/API/Purchase/domwalletrefundtransaction",
+    {
+      pp_TxnRefNo: intentId,
+      pp_Amount: toPaisa(amount),
+      pp_TxnCurrency: "PKR",
+      pp_MerchantID: merchantId,
+      pp_Password: password,
+      pp_MerchantMPIN: mpin,
+    }
+  );
+
+  if (!SUCCESS_CODES.includes(response.pp_ResponseCode)) {
+    throw createHttpError(
+      response.pp_ResponseMessage || "JazzCash declined the refund",
+      502
+    );
+  }
+
+  return {
+    refundId: `${intentId}:${refundedSoFar + amount}`,
+    status: "succeeded",
+    event: {
+      id: `${intentId}:REFUND:${refundedSoFar + amount}`,
+      type: "PAYMENT_REFUNDED",
+      providerType: `REFUND:${response.pp_ResponseCode}`,
+      intentId,
+      providerStatus: "REFUNDED",
+      amount: 0,
+      amountRefunded: refundedSoFar + amount,
+      occurredAt: new Date(),
+      raw: response,
+    },
+  };
+};
+
+/**
+ * Asks JazzCash for the current state of a transaction (reconciliation).
+ * @async
+ * @param {string} intentId - Transaction reference.
+ * @returns {Promise<import('../payment.service').PaymentEvent>}
+ */
+const inquire = async (intentId) => {
+  const { merchantId, password } = getConfig();
+  const response = await post("/ApplicationAPI/API/PaymentInquiry/Inquire", {
+    pp_TxnRefNo: intentId,
+    pp_MerchantID: merchantId,
+    pp_Password: password,
+  });
+
+  // The inquiry itself failing says nothing about the payment
+  if (!SUCCESS_CODES.includes(response.pp_ResponseCode)) {
+    return {
+      ...toPaymentEvent({ pp_TxnRefNo: intentId }, "INQUIRY"),
+      type: null,
+    };
+  }
+
+  return toPaymentEvent({ pp_TxnRefNo: intentId, ...response }, "INQUIRY");
+};
+
+/**
+ * Verifies the hash on the form JazzCash posts back after hosted checkout.
+ * @param {{ payload: Object<string, string> }} request
+ * @returns {import('../payment.service').PaymentEvent}
+ * @throws {Error} 400 if the hash is missing or invalid.
+ */
+const verifyWebhook = ({ payload }) => {
+  if (
+    !payload?.pp_SecureHash ||
+    !payload.pp_TxnRefNo ||
+    !hasValidHash(payload)
+  ) {
+    throw createHttpError("Invalid callback signature", 400);
+  }
+  return toPaymentEvent(payload, "CALLBACK");
+};
+
+module.exports = {
+  name: "JAZZCASH",
+  createIntent,
+  confirmIntent,
+  captureIntent,
+  refund,
+  inquire,
+  verifyWebhook,
+  secureHash,
+};
@@ -0,0 +1,291 @@
+/**
+ * @fileoverview Stripe card payment provider for Oloha backend.
+ * @module services/paymentService/providers/stripe
+ * @description Implements the payment provider interface against the Stripe
+ * REST API over axios. `STRIPE_API_BASE_URL` points the provider at a local
+ * mock server for tests; webhooks are verified against `STRIPE_WEBHOOK_SECRET`.
+ */
+
+const axios = require("axios");
+const crypto = require("crypto");
+const {
+  createHttpError,
+} = require("../../../helpers/error-helper/error.helper");
+
+/** Seconds a webhook signature timestamp may differ from the server clock */
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+/**
+ * Maps Stripe event types to normalised payment event types.
+ * @constant {Object<string, string>}
+ */
+const EVENT_TYPES = {
+  "payment_intent.amount_capturable_updated": "PAYMENT_AUTHORIZED",
+  "payment_intent.succeeded": "PAYMENT_SUCCEEDED",
+  "payment_intent.payment_failed": "PAYMENT_FAILED",
+  "payment_intent.canceled": "PAYMENT_FAILED",
+  "charge.refunded": "PAYMENT_REFUNDED",
+};
+
+/**
+ * Axios client for the Stripe API. Built per call so configuration changes
+ * (e.g. a mock server in tests) apply without a restart.
+ * @returns {import('axios').AxiosInstance}
+ */
+const getClient = () =>
+  axios.create({
+    baseURL: process.env.STRIPE_API_BASE_URL || "https://api.stripe.com/v1",
+    timeout: 15000,
+    headers: {
+      Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+  });
+
+/**
+ * Sends a request to Stripe and unwraps provider errors.
+ * @async
+ * @param {Function} send - Performs the request with an axios client.
+ * @returns {Promise<Object>} Response body.
+ * @throws {Error} 402 for card errors, 502 for other provider failures.
+ */
+const request = async (send) => {
+  try {
+    const { data } = await send(getClient());
+    return data;
+  } catch (error) {
+    const stripeError = error.response?.data?.error;
+    if (!stripeError) {
+      throw createHttpError("Payment provider is unavailable", 502);
+    }
+    throw createHttpError(
+      stripeError.message || "Payment provider rejected the request",
+      stripeError.type === "card_error" ? 402 : 502
+    );
+  }
+};
+
+/**
+ * Sends a form-encoded request to Stripe and unwraps provider errors.
+ * @async
+ * @param {string} path - API path, e.g. "/payment_intents".
+ * @param {Object<string, string|number>} params - Flat form fields.
+ * @param {string} [idempotencyKey] - Stripe idempotency key.
+ * @returns {Promise<Object>} Response body.
+ */
+const post = (path, params, idempotencyKey) =>
+  request((client) =>
+    client.post(
+      path,
+      new URLSearchParams(params).toString(),
+      idempotencyKey ? { headers: { "Idempotency-Key": idempotencyKey } } : {}
+    )
+  );
+
+/** Converts an amount to Stripe's minor currency units */
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+/** Converts Stripe minor currency units back to an amount */
+const fromMinorUnits = (amount) => Math.round(amount) / 100;
+
+/**
+ * Maps PaymentIntent statuses to normalised payment event types for
+ * reconciliation. Statuses not listed are still in progress.
+ * @constant {Object<string, string>}
+ */
+const INTENT_STATUS_EVENT_TYPES = {
+  requires_capture: "PAYMENT_AUTHORIZED",
+  succeeded: "PAYMENT_SUCCEEDED",
+  canceled: "PAYMENT_FAILED",
+};
+
+/**
+ * Shape returned for every payment intent call.
+ * @param {Object} intent - Stripe PaymentIntent.
+ * @returns {{intentId: string, status: string, clientSecret: string|null}}
+ */
+const toIntentResult = (intent) => ({
+  intentId: intent.id,
+  status: intent.status,
+  clientSecret: intent.client_secret || null,
+  redirect: null,
+});
+
+/**
+ * Creates a PaymentIntent for a booking.
+ * @async
+ * @param {Object} params
+ * @param {string} params.bookingId
+ * @param {number} params.amount
+ * @param {string} params.currency
+ * @param {boolean} [params.manualCapture=false] - Authorise now, capture later.
+ * @param {string} params.idempotencyKey
+ * @returns {Promise<{intentId: string, status: string, clientSecret: string, redirect: null}>}
+ */
+const createIntent = async ({
+  bookingId,
+  amount,
+  currency,
+  manualCapture = false,
+  idempotencyKey,
+}) =>
+  toIntentResult(
+    await post(
+      "/payment_intents",
+      {
+        amount: toMinorUnits(amount),
+        currency: currency.toLowerCase(),
+        capture_method: manualCapture ? "manual" : "automatic",
+        "metadata[bookingId]": String(bookingId),
+      },
+      idempotencyKey
+    )
+  );
+
+/**
+ * Confirms a PaymentIntent server-side with a payment method.
+ * @async
+ * @param {string} intentId
+ * @param {{ paymentMethodId: string, returnUrl?: string }} params
+ * @returns {Promise<{intentId: string, status: string}>}
+ * @throws {Error} 400 if no payment method is given.
+ */
+const confirmIntent = async (intentId, { paymentMethodId, returnUrl }) => {
+  if (!paymentMethodId) {
+    throw createHttpError("paymentMethodId is required", 400);
+  }
+
+  return toIntentResult(
+    await post(`/payment_intents/${encodeURIComponent(intentId)}/confirm`, {
+      payment_method: paymentMethodId,
+      ...(returnUrl && { return_url: returnUrl }),
+    })
+  );
+};
+
+/**
+ * Captures an authorised PaymentIntent.
+ * @async
+ * @param {string} intentId
+ * @param {{ amount?: number }} [params] - Amount to capture, defaults to all of it.
+ * @returns {Promise<{intentId: string, status: string}>}
+ */
+const captureIntent = async (intentId, { amount } = {}) =>
+  toIntentResult(
+    await post(
+      `/payment_intents/${encodeURIComponent(intentId)}/capture`,
+      amount ? { amount_to_capture: toMinorUnits(amount) } : {}
+    )
+  );
+
+/**
+ * Refunds a captured PaymentIntent. The booking is updated when Stripe sends
+ * the `charge.refunded` webhook.
+ * @async
+ * @param {string} intentId
+ * @param {{ amount?: number, idempotencyKey: string }} params - Omit amount for a full refund.
+ * @returns {Promise<{refundId: string, status: string, event: null}>}
+ */
+const refund = async (intentId, { amount, idempotencyKey }) => {
+  const data = await post(
+    "/refunds",
+    {
+      payment_intent: intentId,
+      ...(amount && { amount: toMinorUnits(amount) }),
+    },
+    idempotencyKey
+  );
+  return { refundId: data.id, status: data.status, event: null };
+};
+
+/**
+ * Looks up a PaymentIntent's current state (reconciliation).
+ * @async
+ * @param {string} intentId
+ * @returns {Promise<import('../payment.service').PaymentEvent>}
+ */
+const inquire = async (intentId) => {
+  const intent = await request((client) =>
+    client.get(`/payment_intents/${encodeURIComponent(intentId)}`)
+  );
+
+  return {
+    id: `${intent.id}:${intent.status}`,
+    type: INTENT_STATUS_EVENT_TYPES[intent.status] || null,
+    providerType: `inquiry:${intent.status}`,
+    intentId: intent.id,
+    providerStatus: intent.status,
+    amount: fromMinorUnits(intent.amount_received || 0),
+    amountRefunded: 0,
+    occurredAt: new Date(),
+    raw: intent,
+  };
+};
+
+/**
+ * Verifies a webhook's `Stripe-Signature` header and normalises the event.
+ * @param {{ rawBody: Buffer, headers: Object }} request - Unparsed request
+ * body and request headers.
+ * @returns {import('../payment.service').PaymentEvent} Normalised event; `type`
+ * is null for events the platform does not act on.
+ * @throws {Error} 400 if the signature is missing, invalid or too old.
+ */
+const verifyWebhook = ({ rawBody, headers }) => {
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  const header = headers["stripe-signature"];
+  if (!secret || !header || !rawBody) {
+    throw createHttpError("Missing webhook signature", 400);
+  }
+
+  const parts = header.split(",").map((part) => part.split("="));
+  const timestamp = Number(parts.find(([key]) => key === "t")?.[1]);
+  const signatures = parts
+    .filter(([key]) => key === "v1")
+    .map(([, value]) => Buffer.from(value, "hex"));
+
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${rawBody.toString("utf8")}`)
+    .digest();
+
+  const isValid = signatures.some(
+    (signature) =>
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(signature, expected)
+  );
+
+  if (
+    !isValid ||
+    Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS
+  ) {
+    throw createHttpError("Invalid webhook signature", 400);
+  }
+
+  const event = JSON.parse(rawBody.toString("utf8"));
+  const object = event.data?.object || {};
+  const isCharge = object.object === "charge";
+
+  return {
+    id: event.id,
+    type: EVENT_TYPES[event.type] || null,
+    providerType: event.type,
+    intentId: isCharge ? object.payment_intent : object.id,
+    providerStatus: object.status || null,
+    amount: fromMinorUnits(
+      (isCharge ? object.amount_captured : object.amount_received) || 0
+    ),
+    amountRefunded: fromMinorUnits(object.amount_refunded || 0),
+    occurredAt: new Date((event.created || Date.now() / 1000) * 1000),
+    raw: event,
+  };
+};
+
+module.exports = {
+  name: "STRIPE",
+  createIntent,
+  confirmIntent,
+  captureIntent,
+  refund,
+  inquire,
+  verifyWebhook,
+};
@@ -0,0 +1,256 @@
+/**
+ * @fileoverview Agency payout service for Oloha backend.
+ * @module services/payoutService
+ * @description Payout requests against an agency's available wallet balance,
+ * and their review by super admins. Each step posts to the earnings ledger in
+ * the same transaction as the status change:
+ *  - REQUESTED: wallet → payouts in transit
+ *  - REJECTED:  payouts in transit → wallet
+ *  - PAID:      payouts in transit → paid out
+ * Approval only changes the status.
+ */
+
+const Payout = require("../../models/payout-model/Payout.model");
+const {
+  runInTransaction,
+} = require("../slot-reservation-service/slot-reservation.service");
+const {
+  postLedgerTransaction,
+  getWalletBalances,
+} = require("../ledger-service/ledger.service");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+/** Smallest payout an agency can request, unless configured */
+const DEFAULT_MIN_PAYOUT_AMOUNT = 5000;
+
+/**
+ * Statuses a payout can move to, by current status.
+ * @constant {Object<string, Array<string>>}
+ */
+const PAYOUT_STATUS_TRANSITIONS = {
+  REQUESTED: ["APPROVED", "REJECTED"],
+  APPROVED: ["PAID", "REJECTED"],
+  REJECTED: [],
+  PAID: [],
+};
+
+/**
+ * Smallest payout an agency can request.
+ * @function getMinPayoutAmount
+ * @returns {number}
+ */
+const getMinPayoutAmount = () => {
+  const amount = Number(process.env.PAYOUT_MIN_AMOUNT);
+  return !isNaN(amount) && amount > 0 ? amount : DEFAULT_MIN_PAYOUT_AMOUNT;
+};
+
+/**
+ * Validates the bank account a payout is sent to.
+ * @function buildBankDetails
+ * @param {Object|string} input - Bank details, or their JSON.
+ * @returns {{accountTitle: string, bankName: string, iban: string}}
+ * @throws {Error} 400 if details are missing or the IBAN is malformed.
+ */
+const buildBankDetails = (input) => {
+  let details = input;
+
+  if (typeof input === "string") {
+    try {
+      details = JSON.parse(input);
+    } catch (parseError) {
+      throw createHttpError("Invalid bank details format");
+    }
+  }
+
+  const accountTitle = String(details?.accountTitle || "").trim();
+  const bankName = String(details?.bankName || "").trim();
+  const iban = String(details?.iban || "")
+    .replace(/\s+/g, "")
+    .toUpperCase();
+
+  if (!accountTitle || !bankName) {
+    throw createHttpError("Account title and bank name are required");
+  }
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) {
+    throw createHttpError("Invalid IBAN");
+  }
+
+  return { accountTitle, bankName, iban };
+};
+
+/**
+ * Requests a payout of part of the agency's available balance.
+ * @async
+ * @function requestPayout
+ * @param {Object} params
+ * @param {string} params.agencyId - Requesting agency.
+ * @param {number} params.amount - Amount to pay out.
+ * @param {string} [params.currency="PKR"] - Wallet currency.
+ * @param {Object} params.bankDetails - Validated bank details.
+ * @returns {Promise<Object>} Created payout.
+ * @throws {Error} 400 below the minimum or above the available balance,
+ * 409 if the agency already has an open payout.
+ */
+const requestPayout = async ({
+  agencyId,
+  amount,
+  currency = "PKR",
+  bankDetails,
+}) => {
+  const minimum = getMinPayoutAmount();
+  if (isNaN(amount) || amount < minimum) {
+    throw createHttpError(`The minimum payout is ${currency} ${minimum}`);
+  }
+
+  try {
+    return await runInTransaction(async (session) => {
+      const wallet = (await getWalletBalances(agencyId, session)).find(
+        (balance) => balance.currency === currency
+      );
+      const available = wallet?.available || 0;
+
+      if (amount > available) {
+        throw createHttpError(
+          `Only ${currency} ${available} is available for payout`
+        );
+      }
+
+      const [payout] = await Payout.create(
+        [{ agency: agencyId, amount, currency, bankDetails }],
+        { session }
+      );
+
+      await postLedgerTransaction(
+        {
+          type: "PAYOUT_REQUESTED",
+          reference: `payout-requested-${payout._id}`,
+          agency: agencyId,
+          payout: payout._id,
+          currency,
+          memo: `Payout ${payout._id} requested`,
+          entries: [
+            { account: "AGENCY_WALLET", direction: "DEBIT", amount },
+            { account: "PAYOUTS_IN_TRANSIT", direction: "CREDIT", amount },
+          ],
+        },
+        session
+      );
+
+      return payout;
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createHttpError(
+        "You already have a payout in progress. Please wait for it to be completed.",
+        409
+      );
+    }
+    throw error;
+  }
+};
+
+/**
+ * Moves a payout to its next status and posts the matching ledger transaction.
+ * @async
+ * @function reviewPayout
+ * @param {string} payoutId
+ * @param {Object} params
+ * @param {string} params.status - APPROVED, REJECTED or PAID.
+ * @param {string} params.adminId - Reviewing super admin.
+ * @param {string} [params.reason] - Required when rejecting.
+ * @param {string} [params.paymentReference] - Required when marking paid.
+ * @returns {Promise<Object>} Updated payout, with the agency populated.
+ * @throws {Error} 400 for missing details, 404 if not found, 409 if the
+ * payout cannot move to that status.
+ */
+const reviewPayout = async (
+  payoutId,
+  { status, adminId, reason = null, paymentReference = null }
+) => {
+  if (status === "REJECTED" && !reason) {
+    throw createHttpError("A reason is required to reject a payout");
+  }
+  if (status === "PAID" && !paymentReference) {
+    throw createHttpError("The bank transfer reference is required");
+  }
+
+  const payout = await runInTransaction(async (session) => {
+    const current = await Payout.findById(payoutId).session(session);
+    if (!current) throw createHttpError("Payout not found", 404);
+
+    if (!PAYOUT_STATUS_TRANSITIONS[current.status].includes(status)) {
+      throw createHttpError(
+        `A ${current.status.toLowerCase()} payout cannot be ${status.toLowerCase()}`,
+        409
+      );
+    }
+
+    const updated = await Payout.findOneAndUpdate(
+      { _id: current._id, status: current.status },
+      {
+        $set: {
+          status,
+          isOpen: status === "APPROVED",
+          review: { reviewedBy: adminId, reviewedAt: new Date(), reason },
+          ...(status === "PAID" && { paymentReference, paidAt: new Date() }),
+        },
+      },
+      { new: true, session }
+    );
+    if (!updated) {
+      throw createHttpError(
+        "Payout was updated by another request. Please refresh and try again.",
+        409
+      );
+    }
+
+    const { amount, currency } = updated;
+
+    if (status === "REJECTED") {
+      await postLedgerTransaction(
+        {
+          type: "PAYOUT_REJECTED",
+          reference: `payout-rejected-${updated._id}`,
+          agency: updated.agency,
+          payout: updated._id,
+          currency,
+          memo: `Payout ${updated._id} rejected`,
+          entries: [
+            { account: "PAYOUTS_IN_TRANSIT", direction: "DEBIT", amount },
+            { account: "AGENCY_WALLET", direction: "CREDIT", amount },
+          ],
+        },
+        session
+      );
+    }
+
+    if (status === "PAID") {
+      await postLedgerTransaction(
+        {
+          type: "PAYOUT_PAID",
+          reference: `payout-paid-${updated._id}`,
+          agency: updated.agency,
+          payout: updated._id,
+          currency,
+          memo: `Payout ${updated._id} paid (${paymentReference})`,
+          entries: [
+            { account: "PAYOUTS_IN_TRANSIT", direction: "DEBIT", amount },
+            { account: "PAYOUTS_PAID", direction: "CREDIT", amount },
+          ],
+        },
+        session
+      );
+    }
+
+    return updated;
+  });
+
+  return payout.populate("agency", "agencyName email");
+};
+
+module.exports = {
+  getMinPayoutAmount,
+  buildBankDetails,
+  requestPayout,
+  reviewPayout,
+};
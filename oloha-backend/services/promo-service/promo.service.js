@@ -0,0 +1,321 @@
+/**
+ * @fileoverview Promo code service for Oloha backend.
+ * @module services/promoService
+ * @description Validates promo code input from agencies and super admins,
+ * checks whether a code applies to a booking, computes its discount, and
+ * redeems or gives back uses atomically inside the booking transaction.
+ */
+
+const PromoCode = require("../../models/promo-code-model/PromoCode.model");
+const PromoRedemption = require("../../models/promo-redemption-model/PromoRedemption.model");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+/**
+ * Normalises a code as typed by a customer.
+ * @param {string} code
+ * @returns {string}
+ */
+const normalizeCode = (code) =>
+  String(code || "")
+    .trim()
+    .toUpperCase();
+
+/**
+ * Validates promo code fields from a create or update request.
+ * Only fields present in the body are returned, so the same function serves
+ * partial updates.
+ * @function buildPromoCodeInput
+ * @param {Object} body - Request body.
+ * @param {{ partial?: boolean }} [options]
+ * @returns {Object} Fields ready to be stored.
+ * @throws {Error} 400 if any field is invalid.
+ */
+const buildPromoCodeInput = (body, { partial = false } = {}) => {
+  const input = {};
+  const has = (field) => body[field] !== undefined && body[field] !== "";
+
+  if (!partial || has("code")) {
+    const code = normalizeCode(body.code);
+    if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+      throw createHttpError(
+        "Code must be 3-32 letters, digits, dashes or underscores"
+      );
+    }
+    input.code = code;
+  }
+
+  if (has("description")) input.description = String(body.description);
+
+  if (!partial || has("discountType")) {
+    if (!["PERCENT", "FIXED"].includes(body.discountType)) {
+      throw createHttpError("discountType must be PERCENT or FIXED");
+    }
+    input.discountType = body.discountType;
+  }
+
+  if (!partial || has("value")) {
+    const value = Number(body.value);
+    if (isNaN(value) || value <= 0) {
+      throw createHttpError("value must be greater than 0");
+    }
+    input.value = value;
+  }
+
+  for (const field of ["maxDiscount", "maxUses"]) {
+    if (body[field] === null) {
+      input[field] = null;
+    } else if (has(field)) {
+      const value = Number(body[field]);
+      if (isNaN(value) || value <= 0) {
+        throw createHttpError(`${field} must be greater than 0`);
+      }
+      input[field] = value;
+    }
+  }
+
+  if (has("minSpend")) {
+    const minSpend = Number(body.minSpend);
+    if (isNaN(minSpend) || minSpend < 0) {
+      throw createHttpError("minSpend cannot be negative");
+    }
+    input.minSpend = minSpend;
+  }
+
+  if (has("perUserLimit")) {
+    const perUserLimit = Number(body.perUserLimit);
+    if (!Number.isInteger(perUserLimit) || perUserLimit < 1) {
+      throw createHttpError("perUserLimit must be a positive whole number");
+    }
+    input.perUserLimit = perUserLimit;
+  }
+
+  for (const field of ["validFrom", "validUntil"]) {
+    if (body[field] === null && field === "validUntil") {
+      input.validUntil = null;
+    } else if (has(field)) {
+      const date = new Date(body[field]);
+      if (isNaN(date.getTime())) {
+        throw createHttpError(`Invalid ${field} date`);
+      }
+      input[field] = date;
+    }
+  }
+
+  if (has("categories")) {
+    if (!Array.isArray(body.categories)) {
+      throw createHttpError("categories must be an array");
+    }
+    input.categories = body.categories;
+  }
+
+  if (has("packages")) {
+    if (
+      !Array.isArray(body.packages) ||
+      body.packages.some((id) => !String(id).match(/^[0-9a-fA-F]{24}$/))
+    ) {
+      throw createHttpError("packages must be an array of package IDs");
+    }
+    input.packages = body.packages;
+  }
+
+  if (has("isActive")) input.isActive = Boolean(body.isActive);
+
+  if (input.discountType === "PERCENT" && input.value > 100) {
+    throw createHttpError("A percentage discount cannot exceed 100");
+  }
+
+  return input;
+};
+
+/**
+ * Loads a promo code and checks it can be used for a booking.
+ * @async
+ * @function resolvePromoCode
+ * @param {Object} params
+ * @param {string} params.code - Code as typed by the customer.
+ * @param {Object} params.package - Package document being booked.
+ * @param {string} params.customerId - Customer applying the code.
+ * @returns {Promise<Object>} Promo code document.
+ * @throws {Error} 404 if the code does not exist, 400 if it does not apply.
+ */
+const resolvePromoCode = async ({ code, package, customerId }) => {
+  const promo = await PromoCode.findOne({ code: normalizeCode(code) });
+  const now = new Date();
+
+  if (!promo || !promo.isActive) {
+    throw createHttpError("Promo code not found", 404);
+  }
+
+  if (promo.validFrom > now || (promo.validUntil && promo.validUntil < now)) {
+    throw createHttpError("This promo code is not valid at the moment");
+  }
+
+  if (promo.maxUses !== null && promo.usedCount >= promo.maxUses) {
+    throw createHttpError("This promo code has been fully redeemed");
+  }
+
+  const packageAgencyId = (package.agency?._id || package.agency).toString();
+  if (promo.scope === "AGENCY" && promo.agency.toString() !== packageAgencyId) {
+    throw createHttpError("This promo code does not apply to this package");
+  }
+
+  if (
+    (promo.categories.length && !promo.categories.includes(package.category)) ||
+    (promo.packages.length &&
+      !promo.packages.some((id) => id.toString() === package._id.toString()))
+  ) {
+    throw createHttpError("This promo code does not apply to this package");
+  }
+
+  const uses = await PromoRedemption.countDocuments({
+    promoCode: promo._id,
+    customer: customerId,
+    status: "REDEEMED",
+  });
+  if (uses >= promo.perUserLimit) {
+    throw createHttpError("You have already used this promo code");
+  }
+
+  return promo;
+};
+
+/**
+ * Amount a promo code takes off a fare.
+ * @function calculatePromoDiscount
+ * @param {Object} promo - Promo code document.
+ * @param {number} fare - Fare after package and group discounts.
+ * @returns {number} Discount, never more than the fare.
+ * @throws {Error} 400 if the fare is below the code's minimum spend.
+ */
+const calculatePromoDiscount = (promo, fare) => {
+  if (fare < promo.minSpend) {
+    throw createHttpError(
+      `This promo code needs a minimum spend of ${promo.minSpend}`
+    );
+  }
+
+  let amount =
+    promo.discountType === "PERCENT" ? (fare * promo.value) / 100 : promo.value;
+
+  if (promo.discountType === "PERCENT" && promo.maxDiscount) {
+    amount = Math.min(amount, promo.maxDiscount);
+  }
+
+  return Math.round(Math.min(amount, fare) * 100) / 100;
+};
+
+/**
+ * Redeems a promo code for a booking. The total usage counter is only
+ * incremented while uses remain and the code is live, and a customer's uses
+ * are numbered under a unique index, so concurrent bookings cannot exceed
+ * either limit.
+ * @async
+ * @function redeemPromoCode
+ * @param {Object} params
+ * @param {string} params.promoCodeId
+ * @param {string} params.customerId
+ * @param {string} params.bookingId
+ * @param {number} params.amount - Discount given.
+ * @param {import('mongoose').ClientSession} session - Active transaction session.
+ * @returns {Promise<Object>} The redemption.
+ * @throws {Error} 409 if the code can no longer be redeemed.
+ */
+const redeemPromoCode = async (
+  { promoCodeId, customerId, bookingId, amount },
+  session
+) => {
+  const now = new Date();
+
+  const promo = await PromoCode.findOneAndUpdate(
+    {
+      _id: promoCodeId,
+      isActive: true,
+      validFrom: { $lte: now },
+      $and: [
+        { $or: [{ validUntil: null }, { validUntil: { $gte: now } }] },
+        {
+          $or: [
+            { maxUses: null },
+            { $expr: { $lt: ["$usedCount", "$maxUses"] } },
+          ],
+        },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session }
+  );
+
+  if (!promo) {
+    throw createHttpError("This promo code can no longer be redeemed", 409);
+  }
+
+  const activeUses = await PromoRedemption.find({
+    promoCode: promo._id,
+    customer: customerId,
+    status: "REDEEMED",
+  })
+    .select("useNumber")
+    .session(session);
+
+  const takenNumbers = new Set(activeUses.map((use) => use.useNumber));
+  let useNumber = 1;
+  while (takenNumbers.has(useNumber)) useNumber += 1;
+
+  if (useNumber > promo.perUserLimit) {
+    throw createHttpError("You have already used this promo code", 409);
+  }
+
+  try {
+    const [redemption] = await PromoRedemption.create(
+      [
+        {
+          promoCode: promo._id,
+          code: promo.code,
+          customer: customerId,
+          booking: bookingId,
+          useNumber,
+          amount,
+        },
+      ],
+      { session }
+    );
+    return redemption;
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createHttpError("You have already used this promo code", 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Gives back the promo code use of a cancelled booking.
+ * @async
+ * @function releasePromoRedemption
+ * @param {string} bookingId
+ * @param {import('mongoose').ClientSession} session - Active transaction session.
+ * @returns {Promise<void>}
+ */
+const releasePromoRedemption = async (bookingId, session) => {
+  const redemption = await PromoRedemption.findOneAndUpdate(
+    { booking: bookingId, status: "REDEEMED" },
+    { status: "REVERSED", reversedAt: new Date() },
+    { new: true, session }
+  );
+
+  if (redemption) {
+    await PromoCode.updateOne(
+      { _id: redemption.promoCode, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } },
+      { session }
+    );
+  }
+};
+
+module.exports = {
+  buildPromoCodeInput,
+  resolvePromoCode,
+  calculatePromoDiscount,
+  redeemPromoCode,
+  releasePromoRedemption,
+};
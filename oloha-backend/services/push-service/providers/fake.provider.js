@@ -0,0 +1,52 @@
+/**
+ * @fileoverview In-memory push provider for Oloha backend.
+ * @module services/pushService/providers/fake
+ * @description Implements the push provider interface without contacting
+ * Firebase, for tests and local development (`PUSH_PROVIDER=FAKE`). Sent
+ * messages are kept in `sent`; tokens added to `invalidTokens` are reported
+ * as unregistered, like FCM does for uninstalled apps.
+ */
+
+/**
+ * Messages sent, oldest first.
+ * @type {import('../push.service').PushMessage[]}
+ */
+const sent = [];
+
+/**
+ * Tokens to report as unregistered.
+ * @type {Set<string>}
+ */
+const invalidTokens = new Set();
+
+/**
+ * Records a push message, or rejects it if its token is marked invalid.
+ * @async
+ * @param {import('../push.service').PushMessage} message
+ * @returns {Promise<import('../push.service').PushResult>}
+ */
+const send = async (message) => {
+  if (invalidTokens.has(message.token)) {
+    return { success: false, invalidToken: true, error: "UNREGISTERED" };
+  }
+
+  sent.push(message);
+  return { success: true, invalidToken: false };
+};
+
+/**
+ * Clears the sent messages and invalid tokens.
+ */
+const reset = () => {
+  sent.length = 0;
+  invalidTokens.clear();
+};
+
+module.exports = {
+  name: "FAKE",
+  isConfigured: () => true,
+  send,
+  sent,
+  invalidTokens,
+  reset,
+};
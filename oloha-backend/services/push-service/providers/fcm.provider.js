@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Firebase Cloud Messaging push provider for Oloha backend.
+ * @module services/pushService/providers/fcm
+ * @description Implements the push provider interface against the FCM HTTP
+ * v1 API over axios. Requests are authorised with a short-lived OAuth access
+ * token obtained with the Firebase service account (`FCM_PROJECT_ID`,
+ * `FCM_CLIENT_EMAIL`, `FCM_PRIVATE_KEY`) and cached until it expires.
+ * `FCM_API_BASE_URL` and `FCM_OAUTH_TOKEN_URL` point the provider at a local
+ * mock server.
+ */
+
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+
+/** OAuth scope for sending FCM messages */
+const FCM_SCOPE = "https://www.googleapis.com/auth/firebase.messaging";
+
+/** Seconds before expiry an access token is refreshed */
+const TOKEN_REFRESH_MARGIN_SECONDS = 60;
+
+/**
+ * FCM error codes meaning the registration token will never work again.
+ * @constant {string[]}
+ */
+const INVALID_TOKEN_ERRORS = ["UNREGISTERED", "SENDER_ID_MISMATCH"];
+
+/**
+ * Cached OAuth access token.
+ * @type {{value: string, expiresAt: number}|null}
+ */
+let accessToken = null;
+
+/**
+ * Service account credentials from the environment.
+ * @returns {{projectId: string, clientEmail: string, privateKey: string, baseUrl: string, tokenUrl: string}}
+ */
+const getConfig = () => ({
+  projectId: process.env.FCM_PROJECT_ID,
+  clientEmail: process.env.FCM_CLIENT_EMAIL,
+  // Environment files usually hold the PEM key on one line with escaped newlines
+  privateKey: (process.env.FCM_PRIVATE_KEY || "").replace(/\\n/g, "\n"),
+  baseUrl: process.env.FCM_API_BASE_URL || "https://fcm.googleapis.com",
+  tokenUrl:
+    process.env.FCM_OAUTH_TOKEN_URL || "https://oauth2.googleapis.com/token",
+});
+
+/**
+ * Whether the service account is configured.
+ * @returns {boolean}
+ */
+const isConfigured = () => {
+  const { projectId, clientEmail, privateKey } = getConfig();
+  return Boolean(projectId && clientEmail && privateKey);
+};
+
+/**
+ * Returns a valid OAuth access token, exchanging a signed service account
+ * assertion for a new one when the cached token is about to expire.
+ * @async
+ * @returns {Promise<string>}
+ */
+const getAccessToken = async () => {
+  const now = Math.floor(Date.now() / 1000);
+  if (
+    accessToken &&
+    accessToken.expiresAt - TOKEN_REFRESH_MARGIN_SECONDS > now
+  ) {
+    return accessToken.value;
+  }
+
+  const { clientEmail, privateKey, tokenUrl } = getConfig();
+  const assertion = jwt.sign({ scope: FCM_SCOPE }, privateKey, {
+    algorithm: "RS256",
+    issuer: clientEmail,
+    audience: tokenUrl,
+    expiresIn: "1h",
+  });
+
+  const { data } = await axios.post(
+    tokenUrl,
+    new URLSearchParams({
+      grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+      assertion,
+    }).toString(),
+    {
+      timeout: 15000,
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    }
+  );
+
+  accessToken = {
+    value: data.access_token,
+    expiresAt: now + (data.expires_in || 3600),
+  };
+  return accessToken.value;
+};
+
+/**
+ * FCM `data` values must be strings. Plain objects and arrays are sent as
+ * JSON; anything else (including ObjectIds and dates) as its string form.
+ * @param {Object} [data]
+ * @returns {Object<string, string>}
+ */
+const stringifyData = (data = {}) =>
+  Object.fromEntries(
+    Object.entries(data)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => [
+        key,
+        Array.isArray(value) ||
+        Object.getPrototypeOf(value) === Object.prototype
+          ? JSON.stringify(value)
+          : value instanceof Date
+            ? value.toISOString()
+            : String(value),
+      ])
+  );
+
+/**
+ * Sends a push message to one device.
+ * @async
+ * @param {import('../push.service').PushMessage} message
+ * @returns {Promise<import('../push.service').PushResult>}
+ */
+const send = async ({ token, title, body, data }) => {
+  const { projectId, baseUrl } = getConfig();
+
+  try {
+    await axios.post(
+      `${baseUrl}/v1/projects/${projectId}/messages:send`,
+      {
+        message: {
+          token,
+          notification: { title, body },
+          data: stringifyData(data),
+          android: { priority: "HIGH" },
+          apns: { payload: { aps: { sound: "default" } } },
+        },
+      },
+      {
+        timeout: 15000,
+        headers: { Authorization: `Bearer ${await getAccessToken()}` },
+      }
+    );
+    return { success: true, invalidToken: false };
+  } catch (error) {
+    const fcmError = error.response?.data?.error;
+    const errorCode = (fcmError?.details || []).find(
+      (detail) => detail.errorCode
+    )?.errorCode;
+
+    // Rejected credentials: fetch a new access token next time
+    if (error.response?.status === 401) accessToken = null;
+
+    return {
+      success: false,
+      invalidToken:
+        INVALID_TOKEN_ERRORS.includes(errorCode) ||
+        error.response?.status === 404,
+      error: fcmError?.message || error.message,
+    };
+  }
+};
+
+module.exports = {
+  name: "FCM",
+  isConfigured,
+  send,
+};
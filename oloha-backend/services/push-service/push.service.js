@@ -0,0 +1,278 @@
+/**
+ * @fileoverview Push notification service for Oloha backend.
+ * @module services/pushService
+ * @description Keeps the registry of users' and agencies' device tokens and
+ * dispatches push notifications to them through a push provider behind one
+ * interface: FCM in production, or the in-memory fake provider in tests and
+ * local development (`PUSH_PROVIDER=FAKE`, or `registerPushProvider`).
+ *
+ * Tokens are pruned when the provider reports them as unregistered, when an
+ * account has more than MAX_DEVICES_PER_OWNER devices, and by the scheduler
+ * once they have not been refreshed for DEVICE_TOKEN_TTL_DAYS.
+ */
+
+const DeviceToken = require("../../models/device-token-model/DeviceToken.model");
+const fcmProvider = require("./providers/fcm.provider");
+const fakeProvider = require("./providers/fake.provider");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+/** Devices kept per account; the least recently seen are dropped beyond it */
+const MAX_DEVICES_PER_OWNER = 10;
+
+/** Days after which a token the app has not refreshed is pruned */
+const DEVICE_TOKEN_TTL_DAYS = 60;
+
+/**
+ * Device token owner model of each role that can receive pushes.
+ * @constant {Object<string, string>}
+ */
+const OWNER_MODELS = { USER: "User", AGENCY: "Agency" };
+
+/**
+ * A push message to one device.
+ * @typedef {Object} PushMessage
+ * @property {string} token - Device registration token.
+ * @property {string} platform - ANDROID, IOS or WEB.
+ * @property {string} title - Notification title.
+ * @property {string} body - Notification text.
+ * @property {Object} [data] - Data for the app, e.g. what to open on tap.
+ */
+
+/**
+ * Outcome of sending a push message.
+ * @typedef {Object} PushResult
+ * @property {boolean} success - Whether the provider accepted the message.
+ * @property {boolean} invalidToken - Whether the token will never work again.
+ * @property {string} [error] - Provider error, when not accepted.
+ */
+
+/**
+ * A push provider implementation.
+ * @typedef {Object} PushProvider
+ * @property {string} name - Registry key, e.g. "FCM".
+ * @property {Function} isConfigured - () => boolean; pushes are skipped when false.
+ * @property {Function} send - (PushMessage) => Promise<PushResult>; never throws.
+ */
+
+/**
+ * Registered providers by name.
+ * @type {Object<string, PushProvider>}
+ */
+const providers = {
+  [fcmProvider.name]: fcmProvider,
+  [fakeProvider.name]: fakeProvider,
+};
+
+/**
+ * Provider set with `registerPushProvider`, overriding `PUSH_PROVIDER`.
+ * @type {PushProvider|null}
+ */
+let activeProvider = null;
+
+/**
+ * Registers a provider and uses it for all pushes, e.g. a fake in tests.
+ * @function registerPushProvider
+ * @param {PushProvider} provider
+ */
+const registerPushProvider = (provider) => {
+  providers[provider.name] = provider;
+  activeProvider = provider;
+};
+
+/**
+ * Provider pushes are sent with: the registered one, else `PUSH_PROVIDER`
+ * (FCM by default).
+ * @function getPushProvider
+ * @returns {PushProvider}
+ */
+const getPushProvider = () =>
+  activeProvider ||
+  providers[String(process.env.PUSH_PROVIDER || "FCM").toUpperCase()] ||
+  fcmProvider;
+
+/**
+ * Owner fields of an account's device tokens.
+ * @function ownerFilter
+ * @param {{id: string, role: string}} owner - Authenticated user or agency.
+ * @returns {{owner: string, ownerModel: string}}
+ * @throws {Error} 403 for roles without device tokens.
+ */
+const ownerFilter = (owner) => {
+  const ownerModel = OWNER_MODELS[owner.role];
+  if (!ownerModel) {
+    throw createHttpError(
+      "Access denied. Only users and agencies can register devices.",
+      403
+    );
+  }
+  return { owner: owner.id, ownerModel };
+};
+
+/**
+ * Registers a device token for an account, or refreshes it. A token
+ * registered by another account moves to this one.
+ * @async
+ * @function registerDeviceToken
+ * @param {{id: string, role: string}} owner
+ * @param {Object} device
+ * @param {*} device.token - FCM registration token.
+ * @param {*} device.platform - ANDROID, IOS or WEB.
+ * @param {*} [device.appVersion]
+ * @param {*} [device.deviceModel]
+ * @returns {Promise<Object>} The device token.
+ * @throws {Error} 400 on a missing token or unknown platform.
+ */
+const registerDeviceToken = async (
+  owner,
+  { token, platform, appVersion, deviceModel }
+) => {
+  const filter = ownerFilter(owner);
+
+  const value = String(token || "").trim();
+  if (!value || value.length > 4096) {
+    throw createHttpError("A valid device token is required");
+  }
+
+  const devicePlatform = String(platform || "").toUpperCase();
+  const platforms = DeviceToken.schema.path("platform").enumValues;
+  if (!platforms.includes(devicePlatform)) {
+    throw createHttpError(`Invalid platform. Allowed: ${platforms.join(", ")}`);
+  }
+
+  const update = {
+    $set: {
+      ...filter,
+      platform: devicePlatform,
+      appVersion: appVersion ? String(appVersion).trim().slice(0, 50) : null,
+      deviceModel: deviceModel
+        ? String(deviceModel).trim().slice(0, 100)
+        : null,
+      lastSeenAt: new Date(),
+    },
+  };
+
+  let device;
+  try {
+    device = await DeviceToken.findOneAndUpdate({ token: value }, update, {
+      upsert: true,
+      new: true,
+      runValidators: true,
+    });
+  } catch (error) {
+    // Two concurrent registrations of the same token: update the winner's
+    if (error.code !== 11000) throw error;
+    device = await DeviceToken.findOneAndUpdate({ token: value }, update, {
+      new: true,
+    });
+  }
+
+  const stale = await DeviceToken.find(filter)
+    .sort({ lastSeenAt: -1 })
+    .skip(MAX_DEVICES_PER_OWNER)
+    .select("_id");
+  if (stale.length) {
+    await DeviceToken.deleteMany({ _id: { $in: stale.map((d) => d._id) } });
+  }
+
+  return device;
+};
+
+/**
+ * Removes one of an account's device tokens, e.g. on sign out.
+ * @async
+ * @function unregisterDeviceToken
+ * @param {{id: string, role: string}} owner
+ * @param {*} token - FCM registration token.
+ * @returns {Promise<void>}
+ * @throws {Error} 400 without a token, 404 if the account has no such token.
+ */
+const unregisterDeviceToken = async (owner, token) => {
+  const filter = ownerFilter(owner);
+
+  const value = String(token || "").trim();
+  if (!value) throw createHttpError("Device token is required");
+
+  const result = await DeviceToken.deleteOne({ ...filter, token: value });
+  if (!result.deletedCount) {
+    throw createHttpError("Device token not found", 404);
+  }
+};
+
+/**
+ * Sends a push notification to every device of a user or agency, and prunes
+ * the tokens the provider reports as unregistered. Failures are logged and
+ * never fail the caller.
+ * @async
+ * @function sendPushToParticipant
+ * @param {string} role - USER or AGENCY; other roles have no devices.
+ * @param {string|ObjectId} id - Account ID.
+ * @param {{title: string, body: string, data?: Object}} notification
+ * @returns {Promise<{sent: number, failed: number, pruned: number}>}
+ */
+const sendPushToParticipant = async (role, id, { title, body, data }) => {
+  const summary = { sent: 0, failed: 0, pruned: 0 };
+
+  try {
+    const ownerModel = OWNER_MODELS[role];
+    const provider = getPushProvider();
+    if (!ownerModel || !provider.isConfigured()) return summary;
+
+    const devices = await DeviceToken.find({ owner: id, ownerModel })
+      .sort({ lastSeenAt: -1 })
+      .select("token platform");
+
+    const invalid = [];
+    for (const device of devices) {
+      const result = await provider.send({
+        token: device.token,
+        platform: device.platform,
+        title,
+        body,
+        data,
+      });
+
+      if (result.success) {
+        summary.sent += 1;
+      } else {
+        summary.failed += 1;
+        if (result.invalidToken) invalid.push(device._id);
+        else console.error("Failed to send push notification:", result.error);
+      }
+    }
+
+    if (invalid.length) {
+      const pruned = await DeviceToken.deleteMany({ _id: { $in: invalid } });
+      summary.pruned = pruned.deletedCount;
+    }
+  } catch (error) {
+    console.error("Failed to send push notifications:", error);
+  }
+
+  return summary;
+};
+
+/**
+ * Deletes device tokens the app has not refreshed for DEVICE_TOKEN_TTL_DAYS.
+ * @async
+ * @function pruneStaleDeviceTokens
+ * @returns {Promise<number>} Tokens deleted.
+ */
+const pruneStaleDeviceTokens = async () => {
+  const result = await DeviceToken.deleteMany({
+    lastSeenAt: {
+      $lt: new Date(Date.now() - DEVICE_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    },
+  });
+  return result.deletedCount;
+};
+
+module.exports = {
+  MAX_DEVICES_PER_OWNER,
+  DEVICE_TOKEN_TTL_DAYS,
+  registerPushProvider,
+  getPushProvider,
+  registerDeviceToken,
+  unregisterDeviceToken,
+  sendPushToParticipant,
+  pruneStaleDeviceTokens,
+};
@@ -0,0 +1,405 @@
+/**
+ * @fileoverview Quote service for Oloha backend.
+ * @module services/quoteService
+ * @description Prices a package for a traveller mix (adults, children, infants)
+ * with package, group and promo code discounts, agency fees and tax, and signs the result
+ * so a booking can be charged exactly what was quoted.
+ *
+ * Quotes are stateless: the signed token carries the full breakdown and is
+ * verified with an HMAC on the way back in.
+ */
+
+const crypto = require("crypto");
+const { calculatePromoDiscount } = require("../promo-service/promo.service");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+/** Minutes a signed quote stays valid */
+const QUOTE_TTL_MINUTES = Number(process.env.QUOTE_TTL_MINUTES) || 30;
+
+/** Tax charged on the discounted fare plus fees, as a percentage */
+const QUOTE_TAX_PERCENT = Number(process.env.QUOTE_TAX_PERCENT) || 0;
+
+/** Currency all package prices are stored in */
+const QUOTE_CURRENCY = process.env.QUOTE_CURRENCY || "PKR";
+
+/**
+ * Rounds an amount to 2 decimal places.
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Key used to sign quotes.
+ * @returns {string}
+ */
+const getSigningSecret = () =>
+  process.env.QUOTE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+/**
+ * HMAC-SHA256 signature of an encoded quote payload.
+ * @param {string} encodedPayload
+ * @returns {string} Base64url signature
+ */
+const sign = (encodedPayload) =>
+  crypto
+    .createHmac("sha256", getSigningSecret())
+    .update(encodedPayload)
+    .digest("base64url");
+
+/**
+ * Parses the traveller mix from a request body. A bare `numberOfPersons` is
+ * treated as that many adults.
+ * @function parseTravellers
+ * @param {{adults?: *, children?: *, infants?: *, numberOfPersons?: *}} input
+ * @returns {{adults: number, children: number, infants: number}}
+ * @throws {Error} 400 if counts are not whole numbers or there is no adult.
+ */
+const parseTravellers = ({ adults, children, infants, numberOfPersons }) => {
+  const travellers = {
+    adults: Number(adults ?? numberOfPersons),
+    children: Number(children || 0),
+    infants: Number(infants || 0),
+  };
+
+  if (
+    Object.values(travellers).some(
+      (count) => !Number.isInteger(count) || count < 0
+    )
+  ) {
+    throw createHttpError("Traveller counts must be whole numbers");
+  }
+
+  if (travellers.adults < 1) {
+    throw createHttpError("At least one adult is required");
+  }
+
+  return travellers;
+};
+
+/**
+ * Seats a traveller mix occupies. Infants share a seat with an adult.
+ * @function seatsFor
+ * @param {{adults: number, children: number}} travellers
+ * @returns {number}
+ */
+const seatsFor = ({ adults, children }) => adults + children;
+
+/**
+ * Validates a `pricing` request field (JSON string or object) for a package.
+ * @function buildPricing
+ * @param {string|Object} input - Raw request value.
+ * @returns {Object} Pricing ready to be stored.
+ * @throws {Error} 400 if any value is invalid.
+ */
+const buildPricing = (input) => {
+  let pricing = input;
+
+  if (typeof input === "string") {
+    try {
+      pricing = JSON.parse(input);
+    } catch (parseError) {
+      throw createHttpError("Invalid pricing format");
+    }
+  }
+
+  if (!pricing || typeof pricing !== "object" || Array.isArray(pricing)) {
+    throw createHttpError("Pricing must be an object");
+  }
+
+  const isPercent = (value) => !isNaN(value) && value >= 0 && value <= 100;
+  const result = {};
+
+  for (const field of ["childPricePercent", "infantPricePercent"]) {
+    if (pricing[field] === undefined) continue;
+    const value = Number(pricing[field]);
+    if (!isPercent(value)) {
+      throw createHttpError(`${field} must be between 0 and 100`);
+    }
+    result[field] = value;
+  }
+
+  for (const field of ["childMaxAge", "infantMaxAge"]) {
+    if (pricing[field] === undefined) continue;
+    const value = Number(pricing[field]);
+    if (!Number.isInteger(value) || value < 0) {
+      throw createHttpError(`${field} must be a whole number of years`);
+    }
+    result[field] = value;
+  }
+
+  if (
+    result.childMaxAge !== undefined &&
+    result.infantMaxAge !== undefined &&
+    result.infantMaxAge >= result.childMaxAge
+  ) {
+    throw createHttpError("infantMaxAge must be lower than childMaxAge");
+  }
+
+  if (pricing.groupTiers !== undefined) {
+    if (!Array.isArray(pricing.groupTiers)) {
+      throw createHttpError("groupTiers must be an array");
+    }
+    result.groupTiers = pricing.groupTiers.map((tier) => {
+      const minPersons = Number(tier.minPersons);
+      const discountPercent = Number(tier.discountPercent);
+      if (!Number.isInteger(minPersons) || minPersons < 2) {
+        throw createHttpError("Group tier minPersons must be at least 2");
+      }
+      if (!isPercent(discountPercent)) {
+        throw createHttpError(
+          "Group tier discountPercent must be between 0 and 100"
+        );
+      }
+      return { minPersons, discountPercent };
+    });
+  }
+
+  if (pricing.fees !== undefined) {
+    if (!Array.isArray(pricing.fees)) {
+      throw createHttpError("fees must be an array");
+    }
+    result.fees = pricing.fees.map((fee) => {
+      const amount = Number(fee.amount);
+      if (!fee.name || !String(fee.name).trim()) {
+        throw createHttpError("Each fee must have a name");
+      }
+      if (!["PERCENT", "PER_PERSON", "PER_BOOKING"].includes(fee.type)) {
+        throw createHttpError(
+          "Fee type must be PERCENT, PER_PERSON or PER_BOOKING"
+        );
+      }
+      if (
+        isNaN(amount) ||
+        amount < 0 ||
+        (fee.type === "PERCENT" && amount > 100)
+      ) {
+        throw createHttpError(`Invalid amount for fee '${fee.name}'`);
+      }
+      return { name: String(fee.name).trim(), type: fee.type, amount };
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Computes the full price breakdown for a package and traveller mix.
+ * @function calculatePrice
+ * @param {Object} package - Package document.
+ * @param {Object|null} departure - Departure sub-document, if the package is dated.
+ * @param {{adults: number, children: number, infants: number}} travellers
+ * @param {Object|null} [promo] - Promo code already checked by the promo service.
+ * @returns {Object} Breakdown matching the booking price snapshot.
+ */
+const calculatePrice = (package, departure, travellers, promo = null) => {
+  const pricing = package.pricing || {};
+  const adultPrice = departure?.priceOverride ?? package.price;
+
+  const lines = [
+    { travellerType: "ADULT", quantity: travellers.adults, percent: 100 },
+    {
+      travellerType: "CHILD",
+      quantity: travellers.children,
+      percent: pricing.childPricePercent ?? 100,
+    },
+    {
+      travellerType: "INFANT",
+      quantity: travellers.infants,
+      percent: pricing.infantPricePercent ?? 0,
+    },
+  ]
+    .filter((line) => line.quantity > 0)
+    .map(({ travellerType, quantity, percent }) => {
+      const unitPrice = roundAmount((adultPrice * percent) / 100);
+      return {
+        travellerType,
+        quantity,
+        unitPrice,
+        amount: roundAmount(unitPrice * quantity),
+      };
+    });
+
+  const subtotal = roundAmount(
+    lines.reduce((sum, line) => sum + line.amount, 0)
+  );
+
+  const discounts = [];
+  let fare = subtotal;
+
+  if (package.discount > 0) {
+    const amount = roundAmount((fare * package.discount) / 100);
+    discounts.push({ type: "PACKAGE", percent: package.discount, amount });
+    fare = roundAmount(fare - amount);
+  }
+
+  const seats = seatsFor(travellers);
+  const groupTier = (pricing.groupTiers || [])
+    .filter((tier) => seats >= tier.minPersons)
+    .sort((a, b) => b.minPersons - a.minPersons)[0];
+
+  if (groupTier?.discountPercent > 0) {
+    const amount = roundAmount((fare * groupTier.discountPercent) / 100);
+    discounts.push({
+      type: "GROUP",
+      percent: groupTier.discountPercent,
+      amount,
+    });
+    fare = roundAmount(fare - amount);
+  }
+
+  if (promo) {
+    const amount = calculatePromoDiscount(promo, fare);
+    discounts.push({
+      type: "PROMO",
+      code: promo.code,
+      promoCodeId: promo._id.toString(),
+      percent: promo.discountType === "PERCENT" ? promo.value : null,
+      amount,
+    });
+    fare = roundAmount(fare - amount);
+  }
+
+  const fees = (pricing.fees || []).map((fee) => {
+    let amount = fee.amount;
+    if (fee.type === "PERCENT") amount = (fare * fee.amount) / 100;
+    if (fee.type === "PER_PERSON") amount = fee.amount * seats;
+    return {
+      name: fee.name,
+      type: fee.type,
+      rate: fee.amount,
+      amount: roundAmount(amount),
+    };
+  });
+
+  const feesTotal = fees.reduce((sum, fee) => sum + fee.amount, 0);
+  const taxAmount = roundAmount(((fare + feesTotal) * QUOTE_TAX_PERCENT) / 100);
+
+  return {
+    currency: QUOTE_CURRENCY,
+    travellers,
+    // Kept with the price so travellers are classified by the quoted ages
+    ageLimits: {
+      childMaxAge: pricing.childMaxAge ?? 11,
+      infantMaxAge: pricing.infantMaxAge ?? 1,
+    },
+    lines,
+    subtotal,
+    discounts,
+    fees,
+    tax: { percent: QUOTE_TAX_PERCENT, amount: taxAmount },
+    total: roundAmount(fare + feesTotal + taxAmount),
+  };
+};
+
+/**
+ * Prices a booking request and signs the result.
+ * @function createQuote
+ * @param {Object} params
+ * @param {Object} params.package - Package document.
+ * @param {Object|null} params.departure - Departure sub-document, if any.
+ * @param {{adults: number, children: number, infants: number}} params.travellers
+ * @param {string} params.customerId - User the quote is issued to.
+ * @param {Object|null} [params.promo] - Promo code to apply.
+ * @returns {{ quote: Object, quoteToken: string }}
+ */
+const createQuote = ({
+  package,
+  departure,
+  travellers,
+  customerId,
+  promo = null,
+}) => {
+  const pricedAt = new Date();
+
+  const quote = {
+    quoteId: crypto.randomUUID(),
+    packageId: package._id.toString(),
+    departureId: departure?._id?.toString() || null,
+    customerId: customerId.toString(),
+    ...calculatePrice(package, departure, travellers, promo),
+    pricedAt: pricedAt.toISOString(),
+    expiresAt: new Date(
+      pricedAt.getTime() + QUOTE_TTL_MINUTES * 60 * 1000
+    ).toISOString(),
+  };
+
+  const encodedPayload = Buffer.from(JSON.stringify(quote)).toString(
+    "base64url"
+  );
+
+  return { quote, quoteToken: `${encodedPayload}.${sign(encodedPayload)}` };
+};
+
+/**
+ * Verifies a signed quote and checks it was issued for this booking request.
+ * @function verifyQuote
+ * @param {string} quoteToken - Token returned by `createQuote`.
+ * @param {Object} expected
+ * @param {string} expected.customerId
+ * @param {string} expected.packageId
+ * @param {string|null} expected.departureId
+ * @returns {Object} The quote payload.
+ * @throws {Error} 400 if tampered with or issued for something else, 410 if expired.
+ */
+const verifyQuote = (quoteToken, { customerId, packageId, departureId }) => {
+  const [encodedPayload, signature] = String(quoteToken).split(".");
+  // Compared as bytes: timingSafeEqual throws on buffers of different lengths
+  const received = Buffer.from(signature || "");
+  const expected = Buffer.from(encodedPayload ? sign(encodedPayload) : "");
+
+  if (
+    !received.length ||
+    received.length !== expected.length ||
+    !crypto.timingSafeEqual(received, expected)
+  ) {
+    throw createHttpError("Invalid quote");
+  }
+
+  const quote = JSON.parse(Buffer.from(encodedPayload, "base64url").toString());
+
+  if (
+    quote.customerId !== customerId.toString() ||
+    quote.packageId !== packageId.toString() ||
+    quote.departureId !== (departureId?.toString() || null)
+  ) {
+    throw createHttpError("Quote does not match this booking");
+  }
+
+  if (new Date(quote.expiresAt) <= new Date()) {
+    throw createHttpError("Quote has expired. Please request a new one.", 410);
+  }
+
+  return quote;
+};
+
+/**
+ * Turns a quote into the price snapshot stored on a booking.
+ * @function toPriceSnapshot
+ * @param {Object} quote - Quote payload.
+ * @returns {Object}
+ */
+const toPriceSnapshot = (quote) => ({
+  quoteId: quote.quoteId,
+  currency: quote.currency,
+  travellers: quote.travellers,
+  ageLimits: quote.ageLimits,
+  lines: quote.lines,
+  subtotal: quote.subtotal,
+  discounts: quote.discounts,
+  fees: quote.fees,
+  tax: quote.tax,
+  total: quote.total,
+  pricedAt: new Date(quote.pricedAt),
+});
+
+module.exports = {
+  QUOTE_TTL_MINUTES,
+  parseTravellers,
+  seatsFor,
+  buildPricing,
+  calculatePrice,
+  createQuote,
+  verifyQuote,
+  toPriceSnapshot,
+};
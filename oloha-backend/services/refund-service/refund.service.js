@@ -0,0 +1,518 @@
+/**
+ * @fileoverview Refund service for Oloha backend.
+ * @module services/refundService
+ * @description Validates package cancellation policies, works out what a
+ * cancelled booking is owed, and requests that refund from the payment
+ * provider. Refund requests that fail are retried by the scheduler.
+ *
+ * Refunds are split across the installments a booking was paid in, latest
+ * first, and requested from the provider each one was paid through. The
+ * provider's refund event (webhook or synchronous response) is what marks the
+ * booking REFUNDED; see the payment service.
+ */
+
+const Booking = require("../../models/booking-model/Booking.model");
+const {
+  getPaymentProvider,
+  isRefundSettled,
+} = require("../payment-service/payment.service");
+const {
+  ingestPaymentEvent,
+} = require("../payment-event-service/payment-event.service");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+/** Provider refund requests made for a cancellation before giving up */
+const MAX_REFUND_ATTEMPTS = 5;
+
+/** Minutes before a pending or failed refund request is retried */
+const REFUND_RETRY_AFTER_MINUTES = 5;
+
+/** Milliseconds in a day */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Rounds an amount to 2 decimal places.
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Validates a cancellation policy from a create or update request.
+ * @function buildCancellationPolicy
+ * @param {Object|string} input - Policy object, or its JSON (multipart forms).
+ * @returns {{tiers: Array<{minDaysBeforeDeparture: number, refundPercent: number}>}}
+ * Tiers sorted with the most days first.
+ * @throws {Error} 400 if the policy is malformed.
+ */
+const buildCancellationPolicy = (input) => {
+  let policy = input;
+
+  if (typeof input === "string") {
+    try {
+      policy = JSON.parse(input);
+    } catch (parseError) {
+      throw createHttpError("Invalid cancellation policy format");
+    }
+  }
+
+  if (!policy || !Array.isArray(policy.tiers)) {
+    throw createHttpError("Cancellation policy must have a tiers array");
+  }
+
+  const tiers = policy.tiers.map((tier) => {
+    const minDaysBeforeDeparture = Number(tier.minDaysBeforeDeparture);
+    const refundPercent = Number(tier.refundPercent);
+
+    if (
+      !Number.isInteger(minDaysBeforeDeparture) ||
+      minDaysBeforeDeparture < 0
+    ) {
+      throw createHttpError(
+        "Tier minDaysBeforeDeparture must be a whole number of days"
+      );
+    }
+    if (isNaN(refundPercent) || refundPercent < 0 || refundPercent > 100) {
+      throw createHttpError("Tier refundPercent must be between 0 and 100");
+    }
+    return { minDaysBeforeDeparture, refundPercent };
+  });
+
+  tiers.sort((a, b) => b.minDaysBeforeDeparture - a.minDaysBeforeDeparture);
+
+  if (
+    tiers.some(
+      (tier, index) =>
+        index > 0 &&
+        tier.minDaysBeforeDeparture === tiers[index - 1].minDaysBeforeDeparture
+    )
+  ) {
+    throw createHttpError("Each tier needs a different minDaysBeforeDeparture");
+  }
+
+  return { tiers };
+};
+
+/**
+ * Amount of a paid installment not yet refunded or asked to be refunded.
+ * @param {Object} installment
+ * @returns {number}
+ */
+const installmentRefundable = (installment) =>
+  installment.status === "PAID"
+    ? roundAmount(
+        installment.amount -
+          Math.max(
+            installment.refundRequested || 0,
+            installment.amountRefunded || 0
+          )
+      )
+    : 0;
+
+/**
+ * Amount a booking has paid that can still be refunded.
+ * @function getRefundableAmount
+ * @param {Object} booking - Booking document.
+ * @returns {number}
+ */
+const getRefundableAmount = (booking) =>
+  roundAmount(
+    booking.paymentSchedule.reduce(
+      (sum, installment) => sum + installmentRefundable(installment),
+      0
+    )
+  );
+
+/**
+ * Splits a refund across the booking's paid installments, latest first.
+ * @param {Object} booking - Booking document.
+ * @param {number} amount - Amount to refund.
+ * @returns {Array<{sequence: number, amount: number}>}
+ */
+const allocateRefund = (booking, amount) => {
+  let remaining = roundAmount(amount);
+  const allocations = [];
+
+  const installments = [...booking.paymentSchedule].sort(
+    (a, b) => b.sequence - a.sequence
+  );
+
+  for (const installment of installments) {
+    const share = Math.min(installmentRefundable(installment), remaining);
+    if (share <= 0) continue;
+
+    allocations.push({ sequence: installment.sequence, amount: share });
+    remaining = roundAmount(remaining - share);
+    if (remaining <= 0) break;
+  }
+
+  return allocations;
+};
+
+/**
+ * Requests one installment's share of a refund from the provider it was paid
+ * through.
+ * @async
+ * @param {Object} booking - Booking document.
+ * @param {{sequence: number, amount: number}} allocation
+ * @param {string} idempotencyKey - Key the provider refunds at most once for.
+ * @returns {Promise<{provider: Object, refundId: string, status: string, event: Object|null}>}
+ */
+const requestInstallmentRefund = async (
+  booking,
+  allocation,
+  idempotencyKey
+) => {
+  const installment = booking.paymentSchedule.find(
+    (candidate) => candidate.sequence === allocation.sequence
+  );
+  const provider = getPaymentProvider(installment.provider);
+
+  const result = await provider.refund(installment.intentId, {
+    amount: allocation.amount,
+    refundedSoFar: installment.refundRequested || 0,
+    idempotencyKey,
+  });
+
+  return { provider, ...result };
+};
+
+/**
+ * Works out the refund for cancelling a booking now.
+ * Agency and admin cancellations refund everything paid; customer
+ * cancellations, and system cancellations for an unpaid balance, follow the
+ * policy the booking was made under. Bookings without a departure date get
+ * the most generous tier.
+ * @function calculateRefund
+ * @param {Object} booking - Booking document.
+ * @param {{ cancelledBy: string, now?: Date }} params
+ * @returns {{percent: number, amount: number, daysBeforeDeparture: number|null, rule: string, status: string}}
+ */
+const calculateRefund = (booking, { cancelledBy, now = new Date() }) => {
+  const daysBeforeDeparture = booking.departureDate
+    ? Math.floor((booking.departureDate.getTime() - now.getTime()) / DAY_MS)
+    : null;
+
+  const paid = ["PAID", "PARTIALLY_PAID"].includes(booking.paymentStatus)
+    ? getRefundableAmount(booking)
+    : 0;
+
+  let percent;
+  let rule;
+
+  if (paid <= 0) {
+    percent = 0;
+    rule = "NOT_PAID";
+  } else if (["AGENCY", "SUPERADMIN"].includes(cancelledBy)) {
+    percent = 100;
+    rule = "AGENCY_CANCELLED";
+  } else {
+    const tiers = booking.cancellationPolicy?.tiers || [];
+    const tier =
+      daysBeforeDeparture === null
+        ? tiers[0]
+        : tiers.find(
+            (candidate) =>
+              daysBeforeDeparture >= candidate.minDaysBeforeDeparture
+          );
+    percent = tier ? tier.refundPercent : 0;
+    rule = "POLICY";
+  }
+
+  const amount = roundAmount((paid * percent) / 100);
+
+  return {
+    percent,
+    amount,
+    daysBeforeDeparture,
+    rule,
+    status: amount > 0 ? "PENDING" : "NOT_REQUIRED",
+  };
+};
+
+/**
+ * Requests a cancelled booking's refund from the payment providers its
+ * installments were paid through.
+ * Never throws: a failure is stored on the booking and retried later.
+ * @async
+ * @function requestCancellationRefund
+ * @param {Object} booking - Cancelled booking document.
+ * @returns {Promise<Object>} Booking with the updated refund state.
+ */
+const requestCancellationRefund = async (booking) => {
+  if (!["PENDING", "FAILED"].includes(booking.refund?.status)) return booking;
+
+  const attempts = (booking.refund.attempts || 0) + 1;
+
+  // Claim the request so a concurrent retry cannot refund twice. The split is
+  // fixed on the first attempt so retries request exactly the same refunds.
+  const claimed = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      "refund.status": booking.refund.status,
+      "refund.attempts": booking.refund.attempts || 0,
+    },
+    {
+      $set: {
+        "refund.status": "REQUESTED",
+        "refund.attempts": attempts,
+        "refund.requestedAt": new Date(),
+        ...(!booking.refund.allocations?.length && {
+          "refund.allocations": allocateRefund(booking, booking.refund.amount),
+        }),
+      },
+    },
+    { new: true }
+  );
+  if (!claimed) return booking;
+
+  try {
+    for (const allocation of claimed.refund.allocations) {
+      if (allocation.requestedAt) continue;
+
+      const result = await requestInstallmentRefund(
+        claimed,
+        allocation,
+        // Same key on every retry, so the provider refunds at most once
+        `cancellation-refund-${claimed._id}-${allocation.sequence}`
+      );
+
+      await Booking.updateOne(
+        { _id: claimed._id },
+        {
+          $set: {
+            "refund.refundId": result.refundId,
+            "refund.error": null,
+            "refund.allocations.$[allocation].refundId": result.refundId,
+            "refund.allocations.$[allocation].requestedAt": new Date(),
+          },
+          $inc: {
+            "paymentSchedule.$[installment].refundRequested": allocation.amount,
+          },
+        },
+        {
+          arrayFilters: [
+            {
+              "allocation.sequence": allocation.sequence,
+              "allocation.requestedAt": null,
+            },
+            { "installment.sequence": allocation.sequence },
+          ],
+        }
+      );
+
+      if (result.event) {
+        await ingestPaymentEvent(result.provider.name, result.event, "SYNC");
+      }
+    }
+
+    // Refund events that arrived before every request was recorded could not
+    // settle the refund themselves
+    const requested = await Booking.findById(claimed._id);
+    if (requested.refund.status === "REQUESTED" && isRefundSettled(requested)) {
+      await Booking.updateOne(
+        { _id: claimed._id, "refund.status": "REQUESTED" },
+        { $set: { "refund.status": "COMPLETED" } }
+      );
+    }
+  } catch (error) {
+    console.error(
+      `Refund request failed for booking ${claimed._id}:`,
+      error.message
+    );
+    await Booking.updateOne(
+      { _id: claimed._id, "refund.status": "REQUESTED" },
+      { $set: { "refund.status": "FAILED", "refund.error": error.message } }
+    );
+  }
+
+  return Booking.findById(claimed._id);
+};
+
+/**
+ * Update adding (or, with a sign of -1, removing) each allocation to its
+ * installment's `refundRequested`.
+ * @param {Array<{sequence: number, amount: number}>} allocations
+ * @param {number} sign - 1 or -1.
+ * @returns {[Object, Object]} Update and its options.
+ */
+const refundRequestedUpdate = (allocations, sign) => [
+  {
+    $inc: Object.fromEntries(
+      allocations.map((allocation, index) => [
+        `paymentSchedule.$[installment${index}].refundRequested`,
+        sign * allocation.amount,
+      ])
+    ),
+  },
+  {
+    arrayFilters: allocations.map((allocation, index) => ({
+      [`installment${index}.sequence`]: allocation.sequence,
+    })),
+  },
+];
+
+/**
+ * Claims a refund's allocations on the booking before the providers are
+ * asked, all or none: only if each installment still has its share left to
+ * refund.
+ * @async
+ * @param {Object} booking - Booking document the allocations were made from.
+ * @param {Array<{sequence: number, amount: number}>} allocations
+ * @returns {Promise<boolean>} Whether the allocations were claimed.
+ */
+const claimRefundAllocations = async (booking, allocations) => {
+  const result = await Booking.updateOne(
+    {
+      _id: booking._id,
+      $and: allocations.map((allocation) => {
+        const installment = booking.paymentSchedule.find(
+          (candidate) => candidate.sequence === allocation.sequence
+        );
+        const maxRefunded = roundAmount(installment.amount - allocation.amount);
+
+        return {
+          paymentSchedule: {
+            $elemMatch: {
+              sequence: allocation.sequence,
+              status: "PAID",
+              refundRequested: { $lte: maxRefunded },
+              amountRefunded: { $lte: maxRefunded },
+            },
+          },
+        };
+      }),
+    },
+    ...refundRequestedUpdate(allocations, 1)
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Refunds part or all of what a booking has paid, outside a cancellation.
+ * The amount is claimed on the booking before the providers are asked, so
+ * concurrent requests cannot refund the same money twice; shares the
+ * providers did not accept are released again and reported in `failed`,
+ * next to the refunds that were issued.
+ * @async
+ * @function requestPaymentRefund
+ * @param {Object} booking - Booking document.
+ * @param {number} amount - Amount to refund, at most `getRefundableAmount`.
+ * @returns {Promise<{refunds: Array<{sequence: number, refundId: string, status: string, amount: number}>, failed: Array<{sequence: number, amount: number, message: string}>, amountRefunded: number, isSettled: boolean}>}
+ * `amountRefunded` is the total of `refunds`. `isSettled` is false while a
+ * provider has yet to confirm its refund.
+ * @throws {Error} 400 if the amount is more than can be refunded, 409 if
+ * another refund claimed part of it first.
+ */
+const requestPaymentRefund = async (booking, amount) => {
+  const refundable = getRefundableAmount(booking);
+  if (!(amount > 0) || amount > refundable) {
+    throw createHttpError(`Refund amount must be between 0 and ${refundable}`);
+  }
+
+  const allocations = allocateRefund(booking, amount);
+  if (!(await claimRefundAllocations(booking, allocations))) {
+    throw createHttpError(
+      "The refundable amount changed while the refund was requested. Please try again.",
+      409
+    );
+  }
+
+  const refunds = [];
+  const failed = [];
+  let isSettled = true;
+
+  for (const allocation of allocations) {
+    const installment = booking.paymentSchedule.find(
+      (candidate) => candidate.sequence === allocation.sequence
+    );
+
+    let result;
+    try {
+      result = await requestInstallmentRefund(
+        booking,
+        allocation,
+        `refund-${booking._id}-${allocation.sequence}-${installment.refundRequested || 0}-${allocation.amount}`
+      );
+    } catch (error) {
+      // Retrying the same refund reuses the idempotency key, so the provider
+      // will not repeat one it made before failing to answer
+      console.error(
+        `Refund of installment ${allocation.sequence} on booking ${booking._id} failed:`,
+        error
+      );
+      await Booking.updateOne(
+        { _id: booking._id },
+        ...refundRequestedUpdate([allocation], -1)
+      );
+      failed.push({
+        sequence: allocation.sequence,
+        amount: allocation.amount,
+        message: error.message,
+      });
+      continue;
+    }
+
+    // The refund is made; a webhook or reconciliation applies it otherwise
+    let applied = false;
+    if (result.event) {
+      try {
+        await ingestPaymentEvent(result.provider.name, result.event, "SYNC");
+        applied = true;
+      } catch (error) {
+        console.error(
+          `Failed to apply refund ${result.refundId} on booking ${booking._id}:`,
+          error
+        );
+      }
+    }
+    if (!applied) isSettled = false;
+
+    refunds.push({
+      sequence: allocation.sequence,
+      refundId: result.refundId,
+      status: result.status,
+      amount: allocation.amount,
+    });
+  }
+
+  const amountRefunded = roundAmount(
+    refunds.reduce((sum, refund) => sum + refund.amount, 0)
+  );
+
+  return { refunds, failed, amountRefunded, isSettled };
+};
+
+/**
+ * Retries cancellation refunds that failed or were never requested (e.g. the
+ * process stopped right after the cancellation was saved).
+ * @async
+ * @function retryPendingRefunds
+ * @returns {Promise<number>} Refund requests retried.
+ */
+const retryPendingRefunds = async () => {
+  const bookings = await Booking.find({
+    bookingStatus: "CANCELLED",
+    "refund.status": { $in: ["PENDING", "FAILED"] },
+    "refund.attempts": { $lt: MAX_REFUND_ATTEMPTS },
+    updatedAt: {
+      $lte: new Date(Date.now() - REFUND_RETRY_AFTER_MINUTES * 60 * 1000),
+    },
+  }).limit(50);
+
+  for (const booking of bookings) {
+    await requestCancellationRefund(booking);
+  }
+
+  return bookings.length;
+};
+
+module.exports = {
+  buildCancellationPolicy,
+  calculateRefund,
+  getRefundableAmount,
+  requestCancellationRefund,
+  requestPaymentRefund,
+  retryPendingRefunds,
+};
@@ -0,0 +1,237 @@
+/**
+ * @fileoverview Review moderation service for Oloha backend.
+ * @module services/reviewModerationService
+ * @description Abuse reports on reviews, and the super admin decisions that
+ * resolve them:
+ *  - HIDE:            PUBLISHED → HIDDEN, reports upheld
+ *  - RESTORE:         HIDDEN → PUBLISHED, reports dismissed
+ *  - DELETE:          PUBLISHED/HIDDEN → DELETED, reports upheld
+ *  - DISMISS_REPORTS: status unchanged, reports dismissed
+ * Each decision, the report updates, the recomputed package and agency
+ * ratings and the audit log entry are written in one transaction. Deleted
+ * reviews are kept, so the booking still cannot be reviewed again.
+ */
+
+const Review = require("../../models/review-model/Review.model");
+const ReviewReport = require("../../models/review-report-model/ReviewReport.model");
+const ReviewModerationLog = require("../../models/review-moderation-log-model/ReviewModerationLog.model");
+const {
+  runInTransaction,
+} = require("../slot-reservation-service/slot-reservation.service");
+const {
+  recomputeRatingAggregates,
+} = require("../review-service/review.service");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+/** Longest report explanation accepted */
+const MAX_REPORT_DETAILS_LENGTH = 500;
+
+/**
+ * Moderation actions: the statuses they apply to, the status they lead to
+ * (null keeps it) and how open reports close.
+ * @constant {Object<string, {from: Array<string>, to: string|null, reportStatus: string, reasonRequired: boolean, conflictMessage: string}>}
+ */
+const MODERATION_ACTIONS = {
+  HIDE: {
+    from: ["PUBLISHED"],
+    to: "HIDDEN",
+    reportStatus: "UPHELD",
+    reasonRequired: true,
+    conflictMessage: "Only published reviews can be hidden",
+  },
+  RESTORE: {
+    from: ["HIDDEN"],
+    to: "PUBLISHED",
+    reportStatus: "DISMISSED",
+    reasonRequired: false,
+    conflictMessage: "Only hidden reviews can be restored",
+  },
+  DELETE: {
+    from: ["PUBLISHED", "HIDDEN"],
+    to: "DELETED",
+    reportStatus: "UPHELD",
+    reasonRequired: true,
+    conflictMessage: "This review cannot be deleted",
+  },
+  DISMISS_REPORTS: {
+    from: ["PUBLISHED", "HIDDEN"],
+    to: null,
+    reportStatus: "DISMISSED",
+    reasonRequired: false,
+    conflictMessage: "This review has no open reports",
+  },
+};
+
+/**
+ * Reports a published review.
+ * @async
+ * @function reportReview
+ * @param {Object} params
+ * @param {string} params.reviewId
+ * @param {string} params.reporterId - Reporting user or agency.
+ * @param {"USER"|"AGENCY"} params.role - Reporter's role.
+ * @param {*} params.reason - Report category.
+ * @param {*} [params.details] - Optional explanation.
+ * @returns {Promise<Object>} Created report.
+ * @throws {Error} 400 if invalid, 404 if the review is not listed, 409 if
+ * already reported by this reporter.
+ */
+const reportReview = async ({
+  reviewId,
+  reporterId,
+  role,
+  reason,
+  details,
+}) => {
+  const category = String(reason || "").toUpperCase();
+  if (!ReviewReport.schema.path("reason").enumValues.includes(category)) {
+    throw createHttpError(
+      `Invalid reason. Allowed: ${ReviewReport.schema.path("reason").enumValues.join(", ")}`
+    );
+  }
+
+  const explanation = String(details || "").trim();
+  if (explanation.length > MAX_REPORT_DETAILS_LENGTH) {
+    throw createHttpError(
+      `Details must be at most ${MAX_REPORT_DETAILS_LENGTH} characters`
+    );
+  }
+
+  const review = await Review.findOne({
+    _id: reviewId,
+    status: "PUBLISHED",
+  }).select("customer");
+  if (!review) throw createHttpError("Review not found", 404);
+
+  if (role === "USER" && review.customer.toString() === reporterId) {
+    throw createHttpError("You cannot report your own review");
+  }
+
+  try {
+    return await runInTransaction(async (session) => {
+      const [report] = await ReviewReport.create(
+        [
+          {
+            review: review._id,
+            reporter: reporterId,
+            reporterModel: role === "AGENCY" ? "Agency" : "User",
+            reason: category,
+            details: explanation,
+          },
+        ],
+        { session }
+      );
+
+      await Review.updateOne(
+        { _id: review._id },
+        { $inc: { openReports: 1 }, $set: { lastReportedAt: new Date() } },
+        { session }
+      );
+
+      return report;
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createHttpError("You have already reported this review", 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Applies a super admin decision to a review, closes its open reports,
+ * recomputes the package and agency ratings when the review's visibility
+ * changes, and records the decision in the audit trail.
+ * @async
+ * @function moderateReview
+ * @param {Object} params
+ * @param {string} params.reviewId
+ * @param {"HIDE"|"RESTORE"|"DELETE"|"DISMISS_REPORTS"} params.action
+ * @param {string} params.moderatorId - Deciding super admin.
+ * @param {string|null} params.reason - Required to hide or delete.
+ * @returns {Promise<{review: Object, log: Object}>} Updated review and its
+ * audit log entry.
+ * @throws {Error} 400 without a required reason, 404 if the review does not
+ * exist, 409 if the action does not apply to its current state.
+ */
+const moderateReview = async ({ reviewId, action, moderatorId, reason }) => {
+  const config = MODERATION_ACTIONS[action];
+  if (config.reasonRequired && !reason) {
+    throw createHttpError("A reason is required");
+  }
+
+  return runInTransaction(async (session) => {
+    const current = await Review.findById(reviewId).session(session);
+    if (!current) throw createHttpError("Review not found", 404);
+
+    if (
+      !config.from.includes(current.status) ||
+      (action === "DISMISS_REPORTS" && !current.openReports)
+    ) {
+      throw createHttpError(config.conflictMessage, 409);
+    }
+
+    const newStatus = config.to || current.status;
+
+    const updated = await Review.findOneAndUpdate(
+      { _id: current._id, status: current.status },
+      {
+        $set: {
+          status: newStatus,
+          moderation: {
+            action,
+            moderatedBy: moderatorId,
+            moderatedAt: new Date(),
+            reason,
+          },
+          openReports: 0,
+        },
+      },
+      { new: true, session }
+    );
+    if (!updated) throw createHttpError(config.conflictMessage, 409);
+
+    const resolved = await ReviewReport.updateMany(
+      { review: current._id, status: "OPEN" },
+      { $set: { status: config.reportStatus, resolvedAt: new Date() } },
+      { session }
+    );
+
+    if (newStatus !== current.status) {
+      await recomputeRatingAggregates(current, session);
+    }
+
+    const [entry] = await ReviewModerationLog.create(
+      [
+        {
+          review: current._id,
+          moderator: moderatorId,
+          action,
+          reason,
+          previousStatus: current.status,
+          newStatus,
+          reportsResolved: resolved.modifiedCount,
+          snapshot: {
+            customer: current.customer,
+            package: current.package,
+            agency: current.agency,
+            rating: current.rating,
+            subRatings: current.subRatings?.toObject(),
+            comment: current.comment,
+            photos: current.photos.map((photo) => photo.url),
+            agencyReply: current.agencyReply?.text || null,
+          },
+        },
+      ],
+      { session }
+    );
+
+    return { review: updated, log: entry };
+  });
+};
+
+module.exports = {
+  MODERATION_ACTIONS,
+  reportReview,
+  moderateReview,
+};
@@ -0,0 +1,384 @@
+/**
+ * @fileoverview Review service for Oloha backend.
+ * @module services/reviewService
+ * @description Customer reviews of completed trips, and the rating aggregates
+ * they feed on packages and agencies.
+ *
+ * Aggregates are updated incrementally: each package and agency keeps running
+ * sums and counts (`reviewTotals`) and the averages are recomputed from them
+ * in the same single-document update, so concurrent reviews never overwrite
+ * each other. The review and both updates are written in one transaction.
+ * Moderation recomputes the aggregates from the published reviews instead.
+ */
+
+const Review = require("../../models/review-model/Review.model");
+const Booking = require("../../models/booking-model/Booking.model");
+const Package = require("../../models/package-model/Package.model");
+const Agency = require("../../models/travel-agency-model/travel-agency.model");
+const {
+  runInTransaction,
+} = require("../slot-reservation-service/slot-reservation.service");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+/**
+ * Optional sub-ratings, in display order.
+ * @constant {Array<string>}
+ */
+const REVIEW_SUB_RATINGS = ["value", "guide", "accommodation"];
+
+/** Most photos a review can have */
+const MAX_REVIEW_PHOTOS = 6;
+
+/** Length limits of review and reply text */
+const MIN_COMMENT_LENGTH = 10;
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_REPLY_LENGTH = 1000;
+
+/**
+ * Review list sort options mapped to their sort field and direction.
+ * @constant {Object<string, {field: string, order: number}>}
+ */
+const REVIEW_SORT_OPTIONS = {
+  newest: { field: "createdAt", order: -1 },
+  oldest: { field: "createdAt", order: 1 },
+  highest: { field: "rating", order: -1 },
+  lowest: { field: "rating", order: 1 },
+};
+
+/**
+ * Parses a whole 1-5 star score.
+ * @param {*} input - Score as sent by the client.
+ * @param {string} label - Field name for error messages.
+ * @returns {number|null} Null when not given.
+ */
+const parseStarRating = (input, label) => {
+  if (input === undefined || input === null || input === "") return null;
+
+  const score = Number(input);
+  if (!Number.isInteger(score) || score < 1 || score > 5) {
+    throw createHttpError(`${label} must be a whole number from 1 to 5`);
+  }
+  return score;
+};
+
+/**
+ * Validates the text and ratings of a new review.
+ * `subRatings` may be an object or, from multipart forms, a JSON string.
+ * @function buildReviewFields
+ * @param {Object} body - Request body.
+ * @returns {{rating: number, subRatings: Object, comment: string}}
+ * @throws {Error} 400 if any field is invalid.
+ */
+const buildReviewFields = (body = {}) => {
+  const rating = parseStarRating(body.rating, "Rating");
+  if (rating === null) throw createHttpError("Rating is required");
+
+  let subRatingsInput = body.subRatings || {};
+  if (typeof subRatingsInput === "string") {
+    try {
+      subRatingsInput = JSON.parse(subRatingsInput);
+    } catch (parseError) {
+      throw createHttpError("Invalid sub-ratings format");
+    }
+  }
+
+  const subRatings = {};
+  REVIEW_SUB_RATINGS.forEach((key) => {
+    subRatings[key] = parseStarRating(
+      subRatingsInput?.[key],
+      `${key.charAt(0).toUpperCase()}${key.slice(1)} rating`
+    );
+  });
+
+  const comment = String(body.comment || "").trim();
+  if (
+    comment.length < MIN_COMMENT_LENGTH ||
+    comment.length > MAX_COMMENT_LENGTH
+  ) {
+    throw createHttpError(
+      `Review must be ${MIN_COMMENT_LENGTH}-${MAX_COMMENT_LENGTH} characters`
+    );
+  }
+
+  return { rating, subRatings, comment };
+};
+
+/**
+ * Finds a booking the customer can still review.
+ * @async
+ * @function getReviewableBooking
+ * @param {string} bookingId
+ * @param {string} customerId
+ * @returns {Promise<Object>} Booking with its package and agency ids.
+ * @throws {Error} 404 if not the customer's booking, 400 if the trip is not
+ * completed, 409 if it was already reviewed.
+ */
+const getReviewableBooking = async (bookingId, customerId) => {
+  const booking = await Booking.findOne({
+    _id: bookingId,
+    customer: customerId,
+  }).select("package agency bookingStatus");
+
+  if (!booking) throw createHttpError("Booking not found", 404);
+
+  if (booking.bookingStatus !== "COMPLETED") {
+    throw createHttpError("Only completed trips can be reviewed");
+  }
+
+  if (await Review.exists({ booking: booking._id })) {
+    throw createHttpError("You have already reviewed this booking", 409);
+  }
+
+  return booking;
+};
+
+/**
+ * `$ifNull` guarded addition, for documents written before reviews existed.
+ * @param {string} path - Field path.
+ * @param {number} amount - Amount to add.
+ * @returns {Object} Aggregation expression.
+ */
+const addTo = (path, amount) => ({
+  $add: [{ $ifNull: [`$${path}`, 0] }, amount],
+});
+
+/**
+ * Average of a running sum, rounded to one decimal.
+ * @param {string} sumPath - Path of the sum.
+ * @param {string} countPath - Path of the count.
+ * @param {*} empty - Value when the count is 0.
+ * @returns {Object} Aggregation expression.
+ */
+const averageOf = (sumPath, countPath, empty) => ({
+  $cond: [
+    { $gt: [`$${countPath}`, 0] },
+    { $round: [{ $divide: [`$${sumPath}`, `$${countPath}`] }, 1] },
+    empty,
+  ],
+});
+
+/**
+ * Pipeline stage recomputing the averages from `reviewTotals`.
+ * @constant {Object}
+ */
+const AVERAGES_STAGE = {
+  $set: {
+    rating: averageOf("reviewTotals.rating", "totalReviews", 0),
+    ...Object.fromEntries(
+      REVIEW_SUB_RATINGS.map((key) => [
+        `subRatings.${key}`,
+        averageOf(`reviewTotals.${key}`, `reviewTotals.${key}Count`, null),
+      ])
+    ),
+  },
+};
+
+/**
+ * Builds the pipeline update that adds a review to (direction 1) or removes
+ * it from (direction -1) a package's or agency's rating aggregates.
+ * @param {Object} review - Review with `rating` and `subRatings`.
+ * @param {1|-1} direction
+ * @returns {Array<Object>} Update pipeline.
+ */
+const buildAggregateUpdate = (review, direction) => {
+  const totals = {
+    totalReviews: addTo("totalReviews", direction),
+    "reviewTotals.rating": addTo(
+      "reviewTotals.rating",
+      review.rating * direction
+    ),
+  };
+
+  REVIEW_SUB_RATINGS.forEach((key) => {
+    const score = review.subRatings?.[key];
+    if (score === null || score === undefined) return;
+
+    totals[`reviewTotals.${key}`] = addTo(
+      `reviewTotals.${key}`,
+      score * direction
+    );
+    totals[`reviewTotals.${key}Count`] = addTo(
+      `reviewTotals.${key}Count`,
+      direction
+    );
+  });
+
+  return [{ $set: totals }, AVERAGES_STAGE];
+};
+
+/**
+ * Adds a review to, or removes it from, its package's and agency's aggregates.
+ * @async
+ * @function applyReviewToAggregates
+ * @param {Object} review - Review document.
+ * @param {1|-1} direction - 1 to add, -1 to remove.
+ * @param {import('mongoose').ClientSession} [session] - Active transaction session.
+ * @returns {Promise<void>}
+ */
+const applyReviewToAggregates = async (review, direction, session = null) => {
+  const update = buildAggregateUpdate(review, direction);
+
+  await Package.updateOne({ _id: review.package }, update, { session });
+  await Agency.updateOne({ _id: review.agency }, update, { session });
+};
+
+/**
+ * Sums the published reviews matching a filter into `reviewTotals` form.
+ * @param {Object} match - Review filter, e.g. `{ agency: id }`.
+ * @param {import('mongoose').ClientSession} [session]
+ * @returns {Promise<{totalReviews: number, reviewTotals: Object}>}
+ */
+const sumPublishedReviews = async (match, session = null) => {
+  const group = {
+    _id: null,
+    totalReviews: { $sum: 1 },
+    rating: { $sum: "$rating" },
+  };
+  REVIEW_SUB_RATINGS.forEach((key) => {
+    group[key] = { $sum: { $ifNull: [`$subRatings.${key}`, 0] } };
+    group[`${key}Count`] = {
+      $sum: { $cond: [{ $isNumber: `$subRatings.${key}` }, 1, 0] },
+    };
+  });
+
+  const [sums = {}] = await Review.aggregate([
+    { $match: { ...match, status: "PUBLISHED" } },
+    { $group: group },
+  ]).session(session);
+
+  const reviewTotals = { rating: sums.rating || 0 };
+  REVIEW_SUB_RATINGS.forEach((key) => {
+    reviewTotals[key] = sums[key] || 0;
+    reviewTotals[`${key}Count`] = sums[`${key}Count`] || 0;
+  });
+
+  return { totalReviews: sums.totalReviews || 0, reviewTotals };
+};
+
+/**
+ * Recomputes a package's and its agency's rating aggregates from their
+ * published reviews. Used after moderation, which can hide, restore or delete
+ * any review, and corrects any drift in the running totals.
+ * @async
+ * @function recomputeRatingAggregates
+ * @param {{package: *, agency: *}} review - Review whose package and agency to recompute.
+ * @param {import('mongoose').ClientSession} [session] - Active transaction session.
+ * @returns {Promise<void>}
+ */
+const recomputeRatingAggregates = async (review, session = null) => {
+  const targets = [
+    [Package, { package: review.package }, review.package],
+    [Agency, { agency: review.agency }, review.agency],
+  ];
+
+  for (const [Model, match, id] of targets) {
+    const { totalReviews, reviewTotals } = await sumPublishedReviews(
+      match,
+      session
+    );
+    await Model.updateOne(
+      { _id: id },
+      [
+        { $set: { totalReviews, reviewTotals: { $literal: reviewTotals } } },
+        AVERAGES_STAGE,
+      ],
+      { session }
+    );
+  }
+};
+
+/**
+ * Creates a review of a completed booking and updates the aggregates.
+ * @async
+ * @function createReview
+ * @param {Object} params
+ * @param {Object} params.booking - Result of getReviewableBooking.
+ * @param {string} params.customerId - Reviewing customer.
+ * @param {{rating: number, subRatings: Object, comment: string}} params.fields -
+ * Result of buildReviewFields.
+ * @param {Array<{url: string, publicId: string}>} [params.photos] - Uploaded photos.
+ * @returns {Promise<Object>} Created review.
+ * @throws {Error} 409 if the booking was reviewed in the meantime.
+ */
+const createReview = async ({ booking, customerId, fields, photos = [] }) => {
+  try {
+    return await runInTransaction(async (session) => {
+      const [review] = await Review.create(
+        [
+          {
+            booking: booking._id,
+            customer: customerId,
+            package: booking.package,
+            agency: booking.agency,
+            ...fields,
+            photos,
+          },
+        ],
+        { session }
+      );
+
+      await applyReviewToAggregates(review, 1, session);
+
+      return review;
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createHttpError("You have already reviewed this booking", 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Posts the agency's public reply to a review. Only one reply is allowed.
+ * @async
+ * @function replyToReview
+ * @param {Object} params
+ * @param {string} params.reviewId
+ * @param {string} params.agencyId - Replying agency, which must own the review.
+ * @param {*} params.text - Reply text.
+ * @returns {Promise<Object>} Updated review.
+ * @throws {Error} 400 if the text is invalid, 403/404 if the review is not
+ * the agency's, 409 if it already has a reply.
+ */
+const replyToReview = async ({ reviewId, agencyId, text }) => {
+  const reply = String(text || "").trim();
+  if (reply.length < 2 || reply.length > MAX_REPLY_LENGTH) {
+    throw createHttpError(`Reply must be 2-${MAX_REPLY_LENGTH} characters`);
+  }
+
+  const review = await Review.findOneAndUpdate(
+    {
+      _id: reviewId,
+      agency: agencyId,
+      agencyReply: null,
+      status: { $ne: "DELETED" },
+    },
+    { $set: { agencyReply: { text: reply, repliedAt: new Date() } } },
+    { new: true }
+  );
+  if (review) return review;
+
+  const existing = await Review.findById(reviewId).select("agency status");
+  if (!existing || existing.status === "DELETED") {
+    throw createHttpError("Review not found", 404);
+  }
+  if (existing.agency.toString() !== agencyId) {
+    throw createHttpError(
+      "Access denied. You can only reply to reviews of your own packages.",
+      403
+    );
+  }
+  throw createHttpError("You have already replied to this review", 409);
+};
+
+module.exports = {
+  REVIEW_SORT_OPTIONS,
+  MAX_REVIEW_PHOTOS,
+  buildReviewFields,
+  getReviewableBooking,
+  applyReviewToAggregates,
+  recomputeRatingAggregates,
+  createReview,
+  replyToReview,
+};
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Background job scheduler for Oloha backend.
+ * @module services/schedulerService
+ * @description Runs periodic maintenance jobs in-process once the database is connected.
+ * Each job is guarded so a slow run is never overlapped by the next tick.
+ */
+
+const {
+  releaseExpiredHolds,
+} = require("../slot-reservation-service/slot-reservation.service");
+const {
+  closeExpiredDepartures,
+} = require("../departure-service/departure.service");
+const {
+  backfillSearchTerms,
+} = require("../search-index-service/search-index.service");
+const {
+  reconcilePendingPayments,
+} = require("../payment-event-service/payment-event.service");
+const { retryPendingRefunds } = require("../refund-service/refund.service");
+const {
+  sendPaymentReminders,
+  cancelOverdueBookings,
+  backfillPaymentSchedules,
+} = require("../payment-schedule-service/payment-schedule.service");
+const {
+  backfillBookingReferences,
+} = require("../booking-service/booking.service");
+const { pruneStaleDeviceTokens } = require("../push-service/push.service");
+
+/**
+ * Registered jobs.
+ * `runOnStart` jobs also run once immediately instead of waiting a full interval.
+ * @type {Array<{ name: string, intervalMs: number, runOnStart?: boolean, run: () => Promise<any> }>}
+ */
+const jobs = [
+  {
+    name: "release-expired-holds",
+    intervalMs: 60 * 1000,
+    run: releaseExpiredHolds,
+  },
+  {
+    name: "close-expired-departures",
+    intervalMs: 15 * 60 * 1000,
+    run: closeExpiredDepartures,
+  },
+  {
+    name: "backfill-search-terms",
+    intervalMs: 60 * 60 * 1000,
+    runOnStart: true,
+    run: backfillSearchTerms,
+  },
+  {
+    name: "reconcile-pending-payments",
+    intervalMs: 15 * 60 * 1000,
+    run: reconcilePendingPayments,
+  },
+  {
+    name: "retry-cancellation-refunds",
+    intervalMs: 10 * 60 * 1000,
+    run: retryPendingRefunds,
+  },
+  {
+    name: "backfill-payment-schedules",
+    intervalMs: 60 * 60 * 1000,
+    runOnStart: true,
+    run: backfillPaymentSchedules,
+  },
+  {
+    name: "send-payment-reminders",
+    intervalMs: 60 * 60 * 1000,
+    run: sendPaymentReminders,
+  },
+  {
+    name: "cancel-overdue-bookings",
+    intervalMs: 60 * 60 * 1000,
+    run: cancelOverdueBookings,
+  },
+  {
+    name: "backfill-booking-references",
+    intervalMs: 60 * 60 * 1000,
+    runOnStart: true,
+    run: backfillBookingReferences,
+  },
+  {
+    name: "prune-stale-device-tokens",
+    intervalMs: 24 * 60 * 60 * 1000,
+    run: pruneStaleDeviceTokens,
+  },
+];
+
+/**
+ * Starts all registered jobs.
+ * @function startScheduler
+ * @returns {void}
+ */
+const startScheduler = () => {
+  for (const job of jobs) {
+    let running = false;
+
+    const tick = async () => {
+      if (running) return;
+      running = true;
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`Scheduled job "${job.name}" failed:`, error.message);
+      } finally {
+        running = false;
+      }
+    };
+
+    const timer = setInterval(tick, job.intervalMs);
+
+    // Do not keep the process alive just for background jobs
+    timer.unref();
+
+    if (job.runOnStart) tick();
+  }
+};
+
+module.exports = {
+  startScheduler,
+};
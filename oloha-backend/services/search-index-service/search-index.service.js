@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Maintenance of the denormalised package search fields.
+ * @module services/searchIndexService
+ * @description Keeps `searchAgencyName` and `searchTerms` on packages in step
+ * with their agency and fills them in for packages created before search existed.
+ */
+
+const Package = require("../../models/package-model/Package.model");
+
+/**
+ * Packages processed per backfill batch.
+ * @constant {number}
+ */
+const BACKFILL_BATCH_SIZE = 100;
+
+/**
+ * Copies a renamed agency's name onto all of its packages.
+ * Packages are saved one by one so their search trigrams are rebuilt.
+ * @async
+ * @function syncAgencyName
+ * @param {import('mongoose').Types.ObjectId|string} agencyId
+ * @param {string} agencyName
+ * @returns {Promise<number>} Number of packages updated
+ */
+const syncAgencyName = async (agencyId, agencyName) => {
+  const packages = await Package.find({
+    agency: agencyId,
+    searchAgencyName: { $ne: agencyName },
+  });
+
+  for (const package of packages) {
+    package.searchAgencyName = agencyName;
+    await package.save();
+  }
+
+  return packages.length;
+};
+
+/**
+ * Builds search fields for packages that do not have them yet.
+ * @async
+ * @function backfillSearchTerms
+ * @returns {Promise<number>} Number of packages updated
+ */
+const backfillSearchTerms = async () => {
+  let updated = 0;
+
+  while (true) {
+    const packages = await Package.find({ searchTerms: { $exists: false } })
+      .limit(BACKFILL_BATCH_SIZE)
+      .populate("agency", "agencyName");
+
+    if (!packages.length) return updated;
+
+    // Written with updateOne so an otherwise invalid legacy package cannot
+    // fail validation and be picked up again forever
+    for (const package of packages) {
+      package.searchAgencyName = package.agency?.agencyName || "";
+      package.refreshSearchTerms();
+      await Package.updateOne(
+        { _id: package._id },
+        {
+          $set: {
+            searchAgencyName: package.searchAgencyName,
+            searchTerms: package.searchTerms,
+          },
+        }
+      );
+    }
+
+    updated += packages.length;
+  }
+};
+
+module.exports = {
+  syncAgencyName,
+  backfillSearchTerms,
+};
@@ -0,0 +1,289 @@
+/**
+ * @fileoverview Slot reservation service for Oloha backend.
+ * @module services/slotReservationService
+ * @description Reserves and releases package slots with conditional atomic updates so
+ * `availableSlots` can never go negative, and manages short-lived checkout holds.
+ * Multi-document writes run inside MongoDB transactions (replica set required).
+ */
+
+const mongoose = require("mongoose");
+const Package = require("../../models/package-model/Package.model");
+const BookingHold = require("../../models/booking-hold-model/BookingHold.model");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+/**
+ * Minutes a checkout hold keeps its slots reserved.
+ * @constant {number}
+ */
+const HOLD_TTL_MINUTES = Number(process.env.BOOKING_HOLD_TTL_MINUTES) || 15;
+
+/**
+ * Hours a settled hold is kept before the TTL monitor removes it.
+ * @constant {number}
+ */
+const HOLD_RETENTION_HOURS = 24;
+
+/**
+ * Runs the callback inside a MongoDB transaction and returns its result.
+ * Transient errors (write conflicts) are retried by Mongoose.
+ * @function runInTransaction
+ * @param {(session: import('mongoose').ClientSession) => Promise<any>} fn
+ * @returns {Promise<any>}
+ */
+const runInTransaction = (fn) => mongoose.connection.transaction(fn);
+
+/**
+ * Atomically takes slots from an activated package, or from one of its
+ * departures when a departure is given.
+ * The decrement only applies when enough slots remain (and the departure has
+ * not started), so concurrent callers cannot oversell the package.
+ * @function reserveSlots
+ * @param {{ packageId: string, departureId?: string|null, persons: number }} params
+ * @param {import('mongoose').ClientSession} [session] - Active transaction session.
+ * @returns {Promise<Object>} Updated package document.
+ * @throws {Error} 409 if the package or departure is unavailable or has too few slots.
+ */
+const reserveSlots = async (
+  { packageId, departureId = null, persons },
+  session = null
+) => {
+  const filter = departureId
+    ? {
+        _id: packageId,
+        status: "ACTIVATED",
+        departures: {
+          $elemMatch: {
+            _id: departureId,
+            status: "OPEN",
+            startDate: { $gt: new Date() },
+            availableSlots: { $gte: persons },
+          },
+        },
+      }
+    : {
+        _id: packageId,
+        status: "ACTIVATED",
+        availableSlots: { $gte: persons },
+      };
+
+  const update = departureId
+    ? { $inc: { "departures.$.availableSlots": -persons } }
+    : { $inc: { availableSlots: -persons } };
+
+  const package = await Package.findOneAndUpdate(filter, update, {
+    new: true,
+    session,
+  });
+
+  if (!package) {
+    throw createHttpError(
+      departureId
+        ? "Not enough slots available for this departure"
+        : "Not enough slots available for this package",
+      409
+    );
+  }
+
+  return package;
+};
+
+/**
+ * Gives slots back to a package, or to one of its departures.
+ * @function releaseSlots
+ * @param {{ packageId: string, departureId?: string|null, persons: number }} params
+ * @param {import('mongoose').ClientSession} [session] - Active transaction session.
+ * @returns {Promise<void>}
+ */
+const releaseSlots = async (
+  { packageId, departureId = null, persons },
+  session = null
+) => {
+  if (departureId) {
+    await Package.updateOne(
+      { _id: packageId, "departures._id": departureId },
+      { $inc: { "departures.$.availableSlots": persons } },
+      { session }
+    );
+    return;
+  }
+
+  await Package.updateOne(
+    { _id: packageId },
+    { $inc: { availableSlots: persons } },
+    { session }
+  );
+};
+
+/**
+ * Adds seats to a package, or removes unsold ones, when the agency edits its
+ * capacity. Booked and held seats are not in `availableSlots`, so a reduction
+ * only applies while that many seats are still free.
+ * @function adjustPackageSlots
+ * @param {string} packageId - Package to change.
+ * @param {number} change - Seats to add, negative to remove.
+ * @param {import('mongoose').ClientSession} [session] - Active transaction session.
+ * @returns {Promise<Object>} Updated package document.
+ * @throws {Error} 409 if fewer than `-change` seats are free.
+ */
+const adjustPackageSlots = async (packageId, change, session = null) => {
+  const package = await Package.findOneAndUpdate(
+    { _id: packageId, availableSlots: { $gte: Math.max(-change, 0) } },
+    { $inc: { availableSlots: change } },
+    { new: true, session }
+  );
+
+  if (!package) {
+    throw createHttpError(
+      "Available slots cannot be reduced below the seats already booked or held",
+      409
+    );
+  }
+
+  return package;
+};
+
+/**
+ * Places a checkout hold: reserves the slots and records the hold in one transaction.
+ * @function createHold
+ * @param {{ packageId: string, departureId?: string|null, customerId: string, persons: number }} params
+ * @returns {Promise<Object>} Created hold document.
+ */
+const createHold = ({ packageId, departureId = null, customerId, persons }) =>
+  runInTransaction(async (session) => {
+    await reserveSlots({ packageId, departureId, persons }, session);
+
+    const [hold] = await BookingHold.create(
+      [
+        {
+          package: packageId,
+          departure: departureId,
+          customer: customerId,
+          numberOfPersons: persons,
+          status: "HELD",
+          expiresAt: new Date(Date.now() + HOLD_TTL_MINUTES * 60 * 1000),
+        },
+      ],
+      { session }
+    );
+
+    return hold;
+  });
+
+/**
+ * Marks an active, unexpired hold as consumed by a booking.
+ * Must be called inside the transaction that inserts the booking.
+ * @function consumeHold
+ * @param {string} holdId - Hold to consume.
+ * @param {string} customerId - User that owns the hold.
+ * @param {string} bookingId - Booking taking over the held slots.
+ * @param {import('mongoose').ClientSession} session - Active transaction session.
+ * @returns {Promise<Object>} Consumed hold document.
+ * @throws {Error} 410 if the hold is missing, expired or already settled.
+ */
+const consumeHold = async (holdId, customerId, bookingId, session) => {
+  const hold = await BookingHold.findOneAndUpdate(
+    {
+      _id: holdId,
+      customer: customerId,
+      status: "HELD",
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      status: "CONSUMED",
+      booking: bookingId,
+      purgeAt: new Date(Date.now() + HOLD_RETENTION_HOURS * 60 * 60 * 1000),
+    },
+    { new: true, session }
+  );
+
+  if (!hold) {
+    throw createHttpError(
+      "Your slot hold has expired. Please try booking again.",
+      410
+    );
+  }
+
+  return hold;
+};
+
+/**
+ * Settles an active hold without a booking and returns its slots.
+ * @function settleHold
+ * @param {Object} filter - Extra conditions the hold must match.
+ * @param {"EXPIRED"|"RELEASED"} status - Terminal status to apply.
+ * @returns {Promise<Object|null>} Settled hold, or null if none matched.
+ */
+const settleHold = (filter, status) =>
+  runInTransaction(async (session) => {
+    const hold = await BookingHold.findOneAndUpdate(
+      { ...filter, status: "HELD" },
+      {
+        status,
+        purgeAt: new Date(Date.now() + HOLD_RETENTION_HOURS * 60 * 60 * 1000),
+      },
+      { new: true, session }
+    );
+
+    if (hold) {
+      await releaseSlots(
+        {
+          packageId: hold.package,
+          departureId: hold.departure,
+          persons: hold.numberOfPersons,
+        },
+        session
+      );
+    }
+
+    return hold;
+  });
+
+/**
+ * Releases a user's own active hold before it expires.
+ * @function releaseHold
+ * @param {string} holdId - Hold to release.
+ * @param {string} customerId - User that owns the hold.
+ * @returns {Promise<Object|null>} Released hold, or null if not active.
+ */
+const releaseHold = (holdId, customerId) =>
+  settleHold({ _id: holdId, customer: customerId }, "RELEASED");
+
+/**
+ * Expires every lapsed hold and gives its slots back.
+ * Each hold is settled in its own transaction, so a failure does not block the rest.
+ * @function releaseExpiredHolds
+ * @returns {Promise<number>} Number of holds expired.
+ */
+const releaseExpiredHolds = async () => {
+  const lapsed = await BookingHold.find({
+    status: "HELD",
+    expiresAt: { $lte: new Date() },
+  }).select("_id");
+
+  let expired = 0;
+  for (const { _id } of lapsed) {
+    try {
+      if (
+        await settleHold({ _id, expiresAt: { $lte: new Date() } }, "EXPIRED")
+      ) {
+        expired += 1;
+      }
+    } catch (error) {
+      console.error(`Failed to expire booking hold ${_id}:`, error);
+    }
+  }
+
+  return expired;
+};
+
+module.exports = {
+  HOLD_TTL_MINUTES,
+  runInTransaction,
+  reserveSlots,
+  releaseSlots,
+  adjustPackageSlots,
+  createHold,
+  consumeHold,
+  releaseHold,
+  releaseExpiredHolds,
+};
@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Traveller details service for Oloha backend.
+ * @module services/travellerService
+ * @description Validates the per-traveller details of a booking against its
+ * traveller mix, and encrypts identity numbers before they are stored.
+ *
+ * Adults must give a CNIC (Pakistani nationals) or passport number; children
+ * and infants may. Children and infants must give their age, which has to fit
+ * the quoted age limits. Identity numbers are only decrypted for the agency's
+ * manifest.
+ */
+
+const {
+  encryptValue,
+  decryptValue,
+} = require("../../helpers/encryption-helper/encryption.helper");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+/** Longest traveller name accepted */
+const MAX_NAME_LENGTH = 100;
+
+/** Longest special needs note accepted */
+const MAX_SPECIAL_NEEDS_LENGTH = 500;
+
+/** Highest traveller age accepted */
+const MAX_TRAVELLER_AGE = 120;
+
+/**
+ * Validates and normalises an identity number.
+ * CNICs are stored as 12345-1234567-1; passports upper-case without spaces.
+ * @param {string} identityType - CNIC or PASSPORT.
+ * @param {*} input - Number as entered.
+ * @param {string} label - Prefix for error messages.
+ * @returns {string}
+ */
+const normaliseIdentityNumber = (identityType, input, label) => {
+  const value = String(input || "")
+    .replace(/[\s-]/g, "")
+    .toUpperCase();
+
+  if (identityType === "CNIC") {
+    if (!/^\d{13}$/.test(value)) {
+      throw createHttpError(`${label}: CNIC must have 13 digits`);
+    }
+    return `${value.slice(0, 5)}-${value.slice(5, 12)}-${value.slice(12)}`;
+  }
+
+  if (!/^[A-Z0-9]{6,9}$/.test(value)) {
+    throw createHttpError(`${label}: invalid passport number`);
+  }
+  return value;
+};
+
+/**
+ * Checks that an age belongs to the traveller's age group.
+ * @param {string} ageGroup - ADULT, CHILD or INFANT.
+ * @param {number} age - Age in years.
+ * @param {{childMaxAge: number, infantMaxAge: number}} ageLimits
+ * @param {string} label - Prefix for error messages.
+ */
+const checkAgeGroup = (ageGroup, age, { childMaxAge, infantMaxAge }, label) => {
+  if (ageGroup === "INFANT" && age > infantMaxAge) {
+    throw createHttpError(
+      `${label}: infants must be ${infantMaxAge} or younger`
+    );
+  }
+  if (ageGroup === "CHILD" && (age <= infantMaxAge || age > childMaxAge)) {
+    throw createHttpError(
+      `${label}: children must be ${infantMaxAge + 1} to ${childMaxAge} years old`
+    );
+  }
+  if (ageGroup === "ADULT" && age <= childMaxAge) {
+    throw createHttpError(`${label}: adults must be older than ${childMaxAge}`);
+  }
+};
+
+/**
+ * Validates one traveller.
+ * @param {Object} input - Traveller as sent by the client.
+ * @param {string} label - Prefix for error messages, e.g. "Traveller 2".
+ * @param {{childMaxAge: number, infantMaxAge: number}|null} ageLimits -
+ * Age limits the booking was priced with; null skips the range check.
+ * @returns {Object} Traveller ready to be stored.
+ */
+const buildTraveller = (input, label, ageLimits) => {
+  const fullName = String(input?.fullName || "").trim();
+  const ageGroup = String(input?.ageGroup || "").toUpperCase();
+  const nationality = String(input?.nationality || "")
+    .trim()
+    .toUpperCase();
+  const identityType = input?.identityType
+    ? String(input.identityType).toUpperCase()
+    : null;
+  const specialNeeds = String(input?.specialNeeds || "").trim();
+
+  if (fullName.length < 2 || fullName.length > MAX_NAME_LENGTH) {
+    throw createHttpError(
+      `${label}: full name must be 2-${MAX_NAME_LENGTH} characters`
+    );
+  }
+  if (!["ADULT", "CHILD", "INFANT"].includes(ageGroup)) {
+    throw createHttpError(`${label}: age group must be ADULT, CHILD or INFANT`);
+  }
+
+  const hasAge =
+    input?.age !== undefined && input?.age !== null && input?.age !== "";
+  const age = hasAge ? Number(input.age) : null;
+  if (!hasAge && ageGroup !== "ADULT") {
+    throw createHttpError(`${label}: age is required for children and infants`);
+  }
+  if (
+    hasAge &&
+    (!Number.isInteger(age) || age < 0 || age > MAX_TRAVELLER_AGE)
+  ) {
+    throw createHttpError(
+      `${label}: age must be a whole number of years, 0-${MAX_TRAVELLER_AGE}`
+    );
+  }
+  if (hasAge && ageLimits) {
+    checkAgeGroup(ageGroup, age, ageLimits, label);
+  }
+  if (!/^[A-Z]{2}$/.test(nationality)) {
+    throw createHttpError(
+      `${label}: nationality must be a 2-letter country code`
+    );
+  }
+  if (specialNeeds.length > MAX_SPECIAL_NEEDS_LENGTH) {
+    throw createHttpError(
+      `${label}: special needs must be at most ${MAX_SPECIAL_NEEDS_LENGTH} characters`
+    );
+  }
+
+  if (identityType && !["CNIC", "PASSPORT"].includes(identityType)) {
+    throw createHttpError(`${label}: identity type must be CNIC or PASSPORT`);
+  }
+  if (!identityType && ageGroup === "ADULT") {
+    throw createHttpError(
+      `${label}: a CNIC or passport number is required for adults`
+    );
+  }
+  if (identityType === "CNIC" && nationality !== "PK") {
+    throw createHttpError(
+      `${label}: CNIC is only accepted for Pakistani nationals`
+    );
+  }
+
+  let emergencyContact = null;
+  if (input?.emergencyContact) {
+    const name = String(input.emergencyContact.name || "").trim();
+    const phone = String(input.emergencyContact.phone || "").trim();
+
+    if (!name || !/^\+?\d[\d\s-]{6,19}$/.test(phone)) {
+      throw createHttpError(
+        `${label}: emergency contact needs a name and a valid phone number`
+      );
+    }
+
+    emergencyContact = {
+      name,
+      phone,
+      relationship: String(input.emergencyContact.relationship || "").trim(),
+    };
+  }
+
+  const identityNumber = identityType
+    ? normaliseIdentityNumber(identityType, input.identityNumber, label)
+    : null;
+
+  return {
+    fullName,
+    ageGroup,
+    age,
+    nationality,
+    identityType,
+    identityNumber: identityNumber ? encryptValue(identityNumber) : null,
+    identityLast4: identityNumber ? identityNumber.slice(-4) : null,
+    specialNeeds,
+    emergencyContact,
+  };
+};
+
+/**
+ * Validates a booking's traveller list (JSON string or array). There must be
+ * one traveller per person, in the same age groups as the price quote.
+ * @function buildTravellers
+ * @param {string|Array<Object>} input - Raw request value.
+ * @param {{adults: number, children: number, infants: number}|null} mix -
+ * Traveller mix the booking was priced for; null for bookings made before
+ * quotes existed, which are only checked by count.
+ * @param {number} totalPersons - People on the booking.
+ * @param {{childMaxAge: number, infantMaxAge: number}|null} [ageLimits] -
+ * Oldest child and infant ages the booking was priced with.
+ * @returns {Array<Object>} Travellers ready to be stored.
+ * @throws {Error} 400 if any traveller is invalid or the list does not match.
+ */
+const buildTravellers = (input, mix, totalPersons, ageLimits = null) => {
+  let travellers = input;
+
+  if (typeof input === "string") {
+    try {
+      travellers = JSON.parse(input);
+    } catch (parseError) {
+      throw createHttpError("Invalid travellers format");
+    }
+  }
+
+  if (!Array.isArray(travellers) || travellers.length !== totalPersons) {
+    throw createHttpError(
+      `Please provide details for all ${totalPersons} traveller(s)`
+    );
+  }
+
+  const built = travellers.map((traveller, index) =>
+    buildTraveller(traveller, `Traveller ${index + 1}`, ageLimits)
+  );
+
+  if (mix) {
+    const count = (ageGroup) =>
+      built.filter((traveller) => traveller.ageGroup === ageGroup).length;
+
+    if (
+      count("ADULT") !== mix.adults ||
+      count("CHILD") !== mix.children ||
+      count("INFANT") !== mix.infants
+    ) {
+      throw createHttpError(
+        `Travellers must be ${mix.adults} adult(s), ${mix.children} child(ren) and ${mix.infants} infant(s), as booked`
+      );
+    }
+  }
+
+  return built;
+};
+
+/**
+ * Decrypts a stored traveller's identity number.
+ * @function revealIdentityNumber
+ * @param {Object} traveller - Stored traveller.
+ * @returns {string|null}
+ */
+const revealIdentityNumber = (traveller) =>
+  traveller.identityNumber ? decryptValue(traveller.identityNumber) : null;
+
+module.exports = {
+  buildTravellers,
+  revealIdentityNumber,
+};
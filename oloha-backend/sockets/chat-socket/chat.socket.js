@@ -0,0 +1,130 @@
+/**
+ * @file Chat socket handlers
+ * @description Socket.io events for user–agency chat. The socket is already
+ * authenticated (see `socketAuthMiddleware`) and in its account's private
+ * room; messages and receipts are delivered to those rooms.
+ *
+ * Client → server events (all take an optional acknowledgement callback,
+ * called with `{ success, message?, ... }`):
+ * - `chat:send`   { conversationId, text, clientMessageId? }
+ * - `chat:typing` { conversationId, isTyping }
+ * - `chat:read`   { conversationId }
+ *
+ * Server → client events:
+ * - `chat:message` { conversationId, message }
+ * - `chat:typing`  { conversationId, role, isTyping }
+ * - `chat:read`    { conversationId, readerRole, readAt }
+ *
+ * Image messages are sent through the REST API, and delivered as `chat:message`.
+ *
+ * @module sockets/chatSocket
+ */
+
+const {
+  getConversationForParticipant,
+  getCounterpart,
+  sendMessage,
+  markConversationRead,
+} = require("../../services/chat-service/chat.service");
+const {
+  emitToParticipant,
+} = require("../../utilities/socket-utility/socket.utility");
+
+/**
+ * Calls the acknowledgement callback, if the client sent one.
+ * @param {Function} [ack]
+ * @param {Object} response
+ */
+const reply = (ack, response) => {
+  if (typeof ack === "function") ack(response);
+};
+
+/**
+ * Acknowledges a failed event. Unexpected errors are logged and not exposed.
+ * @param {Function} [ack]
+ * @param {Error} error
+ * @param {string} event - Event name, for the log.
+ */
+const replyWithError = (ack, error, event) => {
+  if (!error.statusCode) console.error(`Socket ${event} Error:`, error);
+
+  reply(ack, {
+    success: false,
+    message: error.statusCode ? error.message : "Server Error",
+  });
+};
+
+/**
+ * Registers the chat events on an authenticated socket.
+ *
+ * @param {import('socket.io').Socket} socket
+ */
+exports.registerChatHandlers = (socket) => {
+  const participant = socket.user;
+  if (!["USER", "AGENCY"].includes(participant.role)) return;
+
+  /**
+   * Counterpart of each conversation this socket has been verified for, so
+   * typing indicators do not hit the database on every keystroke.
+   * @type {Map<string, {id: string, role: string}>}
+   */
+  const counterparts = new Map();
+
+  const resolveCounterpart = async (conversationId) => {
+    const key = String(conversationId);
+    if (!counterparts.has(key)) {
+      const conversation = await getConversationForParticipant(
+        conversationId,
+        participant
+      );
+      counterparts.set(key, getCounterpart(conversation, participant));
+    }
+    return counterparts.get(key);
+  };
+
+  socket.on("chat:send", async (data = {}, ack) => {
+    try {
+      const { message } = await sendMessage({
+        conversationId: data.conversationId,
+        participant,
+        text: data.text,
+      });
+
+      reply(ack, {
+        success: true,
+        clientMessageId: data.clientMessageId || null,
+        message,
+      });
+    } catch (error) {
+      replyWithError(ack, error, "chat:send");
+    }
+  });
+
+  socket.on("chat:typing", async (data = {}, ack) => {
+    try {
+      const counterpart = await resolveCounterpart(data.conversationId);
+
+      emitToParticipant(counterpart.role, counterpart.id, "chat:typing", {
+        conversationId: String(data.conversationId),
+        role: participant.role,
+        isTyping: Boolean(data.isTyping),
+      });
+      reply(ack, { success: true });
+    } catch (error) {
+      replyWithError(ack, error, "chat:typing");
+    }
+  });
+
+  socket.on("chat:read", async (data = {}, ack) => {
+    try {
+      const { readAt, count } = await markConversationRead(
+        data.conversationId,
+        participant
+      );
+
+      reply(ack, { success: true, readAt, count });
+    } catch (error) {
+      replyWithError(ack, error, "chat:read");
+    }
+  });
+};
@@ -0,0 +1,94 @@
+/**
+ * @file Notification socket handlers
+ * @description Socket.io events for the in-app notification center, for
+ * users, agencies and super admins. The socket is already authenticated and
+ * in its account's private room, where the notification service delivers
+ * new notifications.
+ *
+ * Client → server events (all take an optional acknowledgement callback,
+ * called with `{ success, message?, ... }`):
+ * - `notification:read`     { notificationId }
+ * - `notification:read-all` {}
+ *
+ * Server → client events:
+ * - `notification:unread-count` { unreadCount } (on connection)
+ * - `notification:new`          { notification, unreadCount }
+ * - `notification:read`         { notificationId, unreadCount } (null ID
+ *   when all were read)
+ *
+ * @module sockets/notificationSocket
+ */
+
+const {
+  countUnread,
+  markNotificationRead,
+  markAllNotificationsRead,
+} = require("../../services/notification-service/notification.service");
+
+/**
+ * Calls the acknowledgement callback, if the client sent one.
+ * @param {Function} [ack]
+ * @param {Object} response
+ */
+const reply = (ack, response) => {
+  if (typeof ack === "function") ack(response);
+};
+
+/**
+ * Acknowledges a failed event. Unexpected errors are logged and not exposed.
+ * @param {Function} [ack]
+ * @param {Error} error
+ * @param {string} event - Event name, for the log.
+ */
+const replyWithError = (ack, error, event) => {
+  if (!error.statusCode) console.error(`Socket ${event} Error:`, error);
+
+  reply(ack, {
+    success: false,
+    message: error.statusCode ? error.message : "Server Error",
+  });
+};
+
+/**
+ * Registers the notification events on an authenticated socket and sends it
+ * the current unread count.
+ *
+ * @param {import('socket.io').Socket} socket
+ */
+exports.registerNotificationHandlers = (socket) => {
+  const recipient = socket.user;
+
+  countUnread(recipient)
+    .then((unreadCount) => {
+      socket.emit("notification:unread-count", { unreadCount });
+    })
+    .catch((error) => {
+      console.error("Socket notification:unread-count Error:", error);
+    });
+
+  socket.on("notification:read", async (data = {}, ack) => {
+    try {
+      const { unreadCount } = await markNotificationRead(
+        data.notificationId,
+        recipient
+      );
+
+      reply(ack, { success: true, unreadCount });
+    } catch (error) {
+      replyWithError(ack, error, "notification:read");
+    }
+  });
+
+  socket.on("notification:read-all", async (data, ack) => {
+    // Allow emitting with only a callback
+    if (typeof data === "function") ack = data;
+
+    try {
+      const { count, unreadCount } = await markAllNotificationsRead(recipient);
+
+      reply(ack, { success: true, count, unreadCount });
+    } catch (error) {
+      replyWithError(ack, error, "notification:read-all");
+    }
+  });
+};
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Booking document tests.
+ * @description Downloads the invoice and e-ticket of a confirmed booking,
+ * with Cloudinary replaced by an in-memory store: documents are generated and
+ * stored on first download and served from the store afterwards, only the
+ * booking's parties can download them, and the e-ticket QR token verifies for
+ * the owning agency only.
+ */
+
+const { describe, it, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const axios = require("axios");
+const QRCode = require("qrcode");
+const cloudinary = require("cloudinary").v2;
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signIn,
+} = require("./helpers/setup");
+const {
+  createUser,
+  createAgency,
+  createPackage,
+  bookPackage,
+} = require("./helpers/fixtures");
+const Booking = require("../models/booking-model/Booking.model");
+const {
+  applyBookingTransition,
+} = require("../services/booking-service/booking.service");
+
+/** QRCode.toBuffer before it is wrapped */
+const toQrBuffer = QRCode.toBuffer;
+
+describe("booking documents", () => {
+  let app;
+  let userToken;
+  let agency;
+  let agencyToken;
+  let booking;
+  /** Uploaded files by URL */
+  let uploads;
+  /** Texts encoded in QR codes */
+  let qrTexts;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+  });
+
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    mock.restoreAll();
+    uploads = new Map();
+    qrTexts = [];
+
+    mock.method(cloudinary.uploader, "upload", async (data, options) => {
+      const url = `https://res.cloudinary.test/${options.public_id}`;
+      uploads.set(url, Buffer.from(data.split(",")[1], "base64"));
+      return { secure_url: url, public_id: options.public_id };
+    });
+    mock.method(axios, "get", async (url) => ({ data: uploads.get(url) }));
+    mock.method(QRCode, "toBuffer", (text, options) => {
+      qrTexts.push(text);
+      return toQrBuffer(text, options);
+    });
+
+    agency = await createAgency();
+    agencyToken = await signIn(agency, "AGENCY");
+    userToken = await signIn(await createUser(), "USER");
+    booking = await bookPackage(app, userToken, {
+      packageId: (await createPackage(agency))._id.toString(),
+      adults: 1,
+      paymentMethod: "CASH",
+    });
+  });
+
+  /**
+   * Downloads a booking document.
+   * @param {string} type - invoice or ticket.
+   * @param {string} token
+   * @returns {Promise<import('supertest').Response>}
+   */
+  const download = (type, token) =>
+    request(app)
+      .get(`/api/booking/download-${type}/${booking._id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on("data", (chunk) => chunks.push(chunk));
+        response.on("end", () => callback(null, Buffer.concat(chunks)));
+      });
+
+  /**
+   * Verifies a ticket token as an agency.
+   * @param {string} ticketToken
+   * @param {string} token
+   * @returns {Promise<import('supertest').Response>}
+   */
+  const verifyTicket = (ticketToken, token) =>
+    request(app)
+      .post("/api/booking/agency/verify-ticket")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ ticketToken });
+
+  it("only offers documents once the booking is confirmed", async () => {
+    assert.equal((await download("invoice", userToken)).status, 409);
+  });
+
+  it("generates the documents once and serves the stored copies", async () => {
+    await applyBookingTransition(booking, "CONFIRMED");
+
+    const invoice = await download("invoice", userToken);
+    assert.equal(invoice.status, 200);
+    assert.equal(invoice.headers["content-type"], "application/pdf");
+    assert.match(
+      invoice.headers["content-disposition"],
+      new RegExp(`invoice-${booking.bookingReference}\\.pdf`)
+    );
+    assert.equal(invoice.body.subarray(0, 5).toString(), "%PDF-");
+
+    const stored = await Booking.findById(booking._id);
+    assert.ok(stored.documents.invoice.url);
+    assert.ok(stored.documents.ticket.url);
+    assert.equal(cloudinary.uploader.upload.mock.callCount(), 2);
+
+    const ticket = await download("ticket", agencyToken);
+    assert.equal(ticket.status, 200);
+    assert.deepEqual(ticket.body, uploads.get(stored.documents.ticket.url));
+    assert.equal(cloudinary.uploader.upload.mock.callCount(), 2);
+  });
+
+  it("keeps documents from other customers and agencies", async () => {
+    await applyBookingTransition(booking, "CONFIRMED");
+
+    const otherUser = await signIn(await createUser(), "USER");
+    assert.equal((await download("invoice", otherUser)).status, 403);
+
+    const otherAgency = await signIn(await createAgency(), "AGENCY");
+    assert.equal((await download("ticket", otherAgency)).status, 403);
+  });
+
+  it("verifies the e-ticket QR token for the owning agency", async () => {
+    await applyBookingTransition(booking, "CONFIRMED");
+    await download("ticket", userToken);
+    const [ticketToken] = qrTexts;
+
+    const verified = await verifyTicket(ticketToken, agencyToken);
+    assert.equal(verified.status, 200);
+    assert.equal(verified.body.valid, true);
+    assert.equal(verified.body.booking._id, booking._id.toString());
+
+    const otherAgency = await signIn(await createAgency(), "AGENCY");
+    assert.equal((await verifyTicket(ticketToken, otherAgency)).status, 403);
+
+    const [payload] = ticketToken.split(".");
+    const forged = `${payload}.${"A".repeat(43)}`;
+    assert.equal((await verifyTicket(forged, agencyToken)).status, 400);
+  });
+});
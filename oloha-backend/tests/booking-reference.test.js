@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Booking reference tests.
+ * @description Books packages with the reference generator forced to
+ * collide: a taken reference is retried with a new one, and a write that
+ * keeps colliding gives up. Bookings are looked up by reference, however it
+ * is typed, by their customer and agency only.
+ */
+
+const { describe, it, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const request = require("supertest");
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signIn,
+} = require("./helpers/setup");
+const {
+  createUser,
+  createAgency,
+  createPackage,
+  bookPackage,
+} = require("./helpers/fixtures");
+const {
+  createWithBookingReference,
+} = require("../services/booking-service/booking.service");
+
+/** crypto.randomInt before it is mocked */
+const randomInt = crypto.randomInt;
+
+/** Characters drawn per reference */
+const REFERENCE_LENGTH = 6;
+
+describe("booking references", () => {
+  let app;
+  let agency;
+  let userToken;
+  let package;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+  });
+
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    mock.restoreAll();
+    agency = await createAgency();
+    userToken = await signIn(await createUser(), "USER");
+    package = await createPackage(agency);
+  });
+
+  /**
+   * Books one seat as the test user.
+   * @returns {Promise<Object>}
+   */
+  const book = () =>
+    bookPackage(app, userToken, {
+      packageId: package._id.toString(),
+      adults: 1,
+    });
+
+  /**
+   * Looks a booking up by reference.
+   * @param {string} reference
+   * @param {string} token
+   * @returns {Promise<import('supertest').Response>}
+   */
+  const getByReference = (reference, token) =>
+    request(app)
+      .get(`/api/booking/get-booking-by-reference/${reference}`)
+      .set("Authorization", `Bearer ${token}`);
+
+  it("retries a booking whose reference is already taken", async () => {
+    // The first two references drawn are the same
+    let draws = 0;
+    mock.method(crypto, "randomInt", (max) =>
+      draws++ < REFERENCE_LENGTH * 2 ? 0 : randomInt(max)
+    );
+
+    const first = await book();
+    const second = await book();
+
+    assert.match(first.bookingReference, /^OLH-\d{2}-2{6}$/);
+    assert.match(second.bookingReference, /^OLH-\d{2}-[2-9A-Z]{6}$/);
+    assert.notEqual(second.bookingReference, first.bookingReference);
+    assert.equal(crypto.randomInt.mock.callCount(), REFERENCE_LENGTH * 3);
+  });
+
+  it("gives up after repeated reference conflicts", async () => {
+    const conflict = Object.assign(new Error("E11000 duplicate key"), {
+      code: 11000,
+      keyPattern: { bookingReference: 1 },
+    });
+    const create = mock.fn(async () => {
+      throw conflict;
+    });
+
+    await assert.rejects(createWithBookingReference(create), conflict);
+    assert.equal(create.mock.callCount(), 5);
+
+    // Other errors are not retried
+    const failure = mock.fn(async () => {
+      throw new Error("Package is fully booked");
+    });
+    await assert.rejects(createWithBookingReference(failure));
+    assert.equal(failure.mock.callCount(), 1);
+  });
+
+  it("finds a booking by its reference for its parties only", async () => {
+    const booking = await book();
+    const typed = ` ${booking.bookingReference.toLowerCase()} `;
+
+    const found = await getByReference(encodeURIComponent(typed), userToken);
+    assert.equal(found.status, 200);
+    assert.equal(found.body.booking._id, booking._id.toString());
+
+    const agencyToken = await signIn(agency, "AGENCY");
+    assert.equal(
+      (await getByReference(booking.bookingReference, agencyToken)).status,
+      200
+    );
+
+    const otherUser = await signIn(await createUser(), "USER");
+    assert.equal(
+      (await getByReference(booking.bookingReference, otherUser)).status,
+      403
+    );
+    assert.equal(
+      (await getByReference("OLH-24-AAAAA1", userToken)).status,
+      400
+    );
+    assert.equal(
+      (await getByReference("OLH-24-222222", userToken)).status,
+      404
+    );
+  });
+});
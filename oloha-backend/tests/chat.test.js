@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Chat tests.
+ * @description Chats between a user and an agency: each pair (and booking)
+ * has one conversation, message history pages newest first, unread counts
+ * are kept per side and cleared when read, and conversations stay private to
+ * their two participants.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signIn,
+} = require("./helpers/setup");
+const {
+  createUser,
+  createAgency,
+  createSuperAdmin,
+  createPackage,
+  bookPackage,
+} = require("./helpers/fixtures");
+const Message = require("../models/message-model/Message.model");
+const Conversation = require("../models/conversation-model/Conversation.model");
+const { sendMessage } = require("../services/chat-service/chat.service");
+
+describe("chat", () => {
+  let app;
+  let user;
+  let userToken;
+  let agency;
+  let agencyToken;
+  /** The user's conversation with the agency */
+  let conversation;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+  });
+
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    user = await createUser();
+    userToken = await signIn(user, "USER");
+    agency = await createAgency();
+    agencyToken = await signIn(agency, "AGENCY");
+
+    const response = await open(userToken, { agencyId: agency._id });
+    assert.equal(response.status, 200);
+    conversation = response.body.conversation;
+  });
+
+  /**
+   * Opens a conversation.
+   * @param {string} token
+   * @param {{agencyId?: string, bookingId?: string}} body
+   * @returns {Promise<import('supertest').Response>}
+   */
+  const open = (token, body) =>
+    request(app)
+      .post("/api/chat/open-conversation")
+      .set("Authorization", `Bearer ${token}`)
+      .send(body);
+
+  /**
+   * Sends text messages in order, as the user or the agency.
+   * @param {string} role - USER or AGENCY.
+   * @param {Array<string>} texts
+   * @returns {Promise<void>}
+   */
+  const say = async (role, texts) => {
+    const id = role === "USER" ? user._id : agency._id;
+    for (const text of texts) {
+      await sendMessage({
+        conversationId: conversation._id,
+        participant: { id: id.toString(), role },
+        text,
+      });
+    }
+  };
+
+  /**
+   * Fetches a page of the conversation's messages.
+   * @param {string} token
+   * @param {Object} [query]
+   * @returns {Promise<import('supertest').Response>}
+   */
+  const getMessages = (token, query = {}) =>
+    request(app)
+      .get(`/api/chat/get-messages/${conversation._id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .query(query);
+
+  it("keeps one conversation per user, agency and booking", async () => {
+    const again = await open(userToken, { agencyId: agency._id });
+    assert.equal(again.body.conversation._id, conversation._id);
+    assert.equal(conversation.booking, null);
+
+    assert.equal((await open(agencyToken, {})).status, 400);
+
+    const booking = await bookPackage(app, userToken, {
+      packageId: (await createPackage(agency))._id.toString(),
+      adults: 1,
+    });
+    const aboutBooking = await open(agencyToken, { bookingId: booking._id });
+    assert.equal(aboutBooking.status, 200);
+    assert.notEqual(aboutBooking.body.conversation._id, conversation._id);
+    assert.equal(aboutBooking.body.conversation.user._id, user._id.toString());
+    assert.equal(
+      aboutBooking.body.conversation.booking.bookingReference,
+      booking.bookingReference
+    );
+
+    const fromUser = await open(userToken, {
+      agencyId: agency._id,
+      bookingId: booking._id,
+    });
+    assert.equal(
+      fromUser.body.conversation._id,
+      aboutBooking.body.conversation._id
+    );
+
+    const otherAgency = await signIn(await createAgency(), "AGENCY");
+    assert.equal(
+      (await open(otherAgency, { bookingId: booking._id })).status,
+      404
+    );
+    const suspended = await createAgency({ status: "SUSPENDED" });
+    assert.equal(
+      (await open(userToken, { agencyId: suspended._id })).status,
+      404
+    );
+  });
+
+  it("pages message history newest first", async () => {
+    await say("USER", ["one", "two", "three"]);
+    await say("AGENCY", ["four", "five"]);
+
+    const pages = [];
+    let cursor;
+    do {
+      const response = await getMessages(userToken, { limit: 2, cursor });
+      assert.equal(response.status, 200);
+      pages.push(response.body.messages.map((message) => message.text));
+      cursor = response.body.pagination.nextCursor;
+    } while (cursor);
+
+    assert.deepEqual(pages, [["five", "four"], ["three", "two"], ["one"]]);
+    assert.equal(
+      (await getMessages(userToken, { cursor: "nope" })).status,
+      400
+    );
+
+    await assert.rejects(say("USER", ["   "]), { statusCode: 400 });
+    await assert.rejects(say("USER", ["x".repeat(2001)]), { statusCode: 400 });
+  });
+
+  it("counts unread messages per side and clears them on read", async () => {
+    await say("USER", [
+      "Is the hotel near the lake?",
+      "And is breakfast included?",
+    ]);
+    await say("AGENCY", ["Yes to both!"]);
+
+    const listed = await request(app)
+      .get("/api/chat/get-conversations")
+      .set("Authorization", `Bearer ${agencyToken}`);
+    assert.equal(listed.status, 200);
+    assert.equal(listed.body.conversations.length, 1);
+    assert.deepEqual(listed.body.conversations[0].unreadCount, {
+      user: 1,
+      agency: 2,
+    });
+    assert.equal(listed.body.conversations[0].lastMessage.text, "Yes to both!");
+
+    /**
+     * Marks the conversation as read.
+     * @param {string} token
+     * @returns {Promise<import('supertest').Response>}
+     */
+    const markAsRead = (token) =>
+      request(app)
+        .patch(`/api/chat/mark-as-read/${conversation._id}`)
+        .set("Authorization", `Bearer ${token}`);
+
+    const read = await markAsRead(agencyToken);
+    assert.equal(read.status, 200);
+    assert.equal(read.body.count, 2);
+    assert.equal((await markAsRead(agencyToken)).body.count, 0);
+
+    const stored = await Conversation.findById(conversation._id);
+    assert.equal(stored.unreadCount.agency, 0);
+    assert.equal(stored.unreadCount.user, 1);
+    assert.equal(
+      await Message.countDocuments({ senderRole: "USER", readAt: null }),
+      0
+    );
+    assert.equal(
+      await Message.countDocuments({ senderRole: "AGENCY", readAt: null }),
+      1
+    );
+  });
+
+  it("keeps conversations private to their participants", async () => {
+    await say("USER", ["Hello"]);
+
+    const otherUser = await signIn(await createUser(), "USER");
+    assert.equal((await getMessages(otherUser)).status, 404);
+
+    const otherAgency = await signIn(await createAgency(), "AGENCY");
+    const marked = await request(app)
+      .patch(`/api/chat/mark-as-read/${conversation._id}`)
+      .set("Authorization", `Bearer ${otherAgency}`);
+    assert.equal(marked.status, 404);
+
+    const admin = await signIn(await createSuperAdmin(), "SUPERADMIN");
+    assert.equal((await open(admin, { agencyId: agency._id })).status, 403);
+
+    const malformed = await request(app)
+      .get("/api/chat/get-messages/not-an-id")
+      .set("Authorization", `Bearer ${userToken}`);
+    assert.equal(malformed.status, 400);
+  });
+});
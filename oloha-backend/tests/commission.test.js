@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Platform commission tests.
+ * @description Sets commission rates as the super admin and pays bookings:
+ * the most specific rate is stamped on a booking once it is fully paid, and
+ * the report totals commission and agency earnings for the caller's scope.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signIn,
+} = require("./helpers/setup");
+const {
+  createUser,
+  createAgency,
+  createSuperAdmin,
+  createPackage,
+  buildDeparture,
+  bookPackage,
+} = require("./helpers/fixtures");
+const Booking = require("../models/booking-model/Booking.model");
+const {
+  registerPaymentProvider,
+  startBookingPayment,
+} = require("../services/payment-service/payment.service");
+const {
+  ingestPaymentEvent,
+} = require("../services/payment-event-service/payment-event.service");
+
+/** Card provider standing in for Stripe */
+const mockCardProvider = {
+  name: "STRIPE",
+  createIntent: async ({ bookingId, idempotencyKey }) => ({
+    intentId: `pi_${bookingId}_${idempotencyKey.split("-").pop()}`,
+    status: "requires_payment_method",
+    clientSecret: "secret",
+    redirect: null,
+  }),
+};
+
+describe("platform commission", () => {
+  let app;
+  let adminToken;
+  let userToken;
+  let agency;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+    registerPaymentProvider(mockCardProvider);
+  });
+
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    adminToken = await signIn(await createSuperAdmin(), "SUPERADMIN");
+    userToken = await signIn(await createUser(), "USER");
+    agency = await createAgency();
+  });
+
+  /**
+   * Sets a commission rate as the super admin.
+   * @param {Object} body
+   * @returns {Promise<void>}
+   */
+  const setRate = async (body) => {
+    const response = await request(app)
+      .put("/api/commission/super-admin/set-commission-rate")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(body);
+    assert.equal(response.status, 200);
+  };
+
+  /**
+   * Books a package and pays every installment.
+   * @param {Object} package
+   * @param {Object} [body] - Extra create-booking fields.
+   * @param {number} [installmentsToPay] - Defaults to all of them.
+   * @returns {Promise<Object>} The booking afterwards.
+   */
+  const bookAndPay = async (package, body = {}, installmentsToPay) => {
+    let booking = await bookPackage(app, userToken, {
+      packageId: package._id.toString(),
+      adults: 1,
+      paymentMethod: "CARD",
+      ...body,
+    });
+
+    const count = installmentsToPay ?? booking.paymentSchedule.length;
+    for (let paid = 0; paid < count; paid += 1) {
+      const { intentId, installment } = await startBookingPayment(booking);
+      await ingestPaymentEvent(
+        "STRIPE",
+        {
+          id: `evt_${booking._id}_${installment.sequence}`,
+          type: "PAYMENT_SUCCEEDED",
+          providerType: "payment_intent.succeeded",
+          intentId,
+          providerStatus: "succeeded",
+          amount: installment.amount,
+          amountRefunded: 0,
+          occurredAt: new Date(),
+          raw: {},
+        },
+        "WEBHOOK"
+      );
+      booking = await Booking.findById(booking._id);
+    }
+    return booking;
+  };
+
+  it("stamps the most specific rate when the booking is paid", async () => {
+    await setRate({ scope: "GLOBAL", ratePercent: 12 });
+    await setRate({
+      scope: "CATEGORY",
+      category: "ADVENTURE",
+      ratePercent: 15,
+    });
+    await setRate({
+      scope: "AGENCY",
+      agencyId: agency._id.toString(),
+      ratePercent: 8,
+    });
+
+    const fromAgency = await bookAndPay(await createPackage(agency));
+    assert.equal(fromAgency.commission.source, "AGENCY");
+    assert.equal(fromAgency.commission.amount, 4000);
+    assert.equal(fromAgency.commission.agencyNet, 46000);
+
+    const otherAgency = await createAgency();
+    const adventure = await bookAndPay(
+      await createPackage(otherAgency, { category: "ADVENTURE" })
+    );
+    assert.equal(adventure.commission.source, "CATEGORY");
+    assert.equal(adventure.commission.amount, 7500);
+
+    const tour = await bookAndPay(await createPackage(otherAgency));
+    assert.equal(tour.commission.source, "GLOBAL");
+    assert.equal(tour.commission.ratePercent, 12);
+  });
+
+  it("waits for the last installment before stamping", async () => {
+    const package = await createPackage(agency, {
+      departures: [buildDeparture({}, 60)],
+      depositPolicy: { type: "PERCENT", value: 20 },
+    });
+    const body = {
+      departureId: package.departures[0]._id.toString(),
+      paymentOption: "DEPOSIT",
+    };
+
+    const booking = await bookAndPay(package, body, 1);
+    assert.equal(booking.paymentStatus, "PARTIALLY_PAID");
+    assert.equal(booking.commission, null);
+
+    const paid = await bookAndPay(package, body);
+    assert.equal(paid.paymentStatus, "PAID");
+    assert.equal(paid.commission.grossAmount, 50000);
+    assert.equal(paid.commission.source, "DEFAULT");
+  });
+
+  it("reports commission for the agency's own bookings", async () => {
+    await setRate({ scope: "GLOBAL", ratePercent: 10 });
+    await bookAndPay(await createPackage(agency));
+    await bookAndPay(await createPackage(agency));
+    await bookAndPay(await createPackage(await createAgency()));
+
+    const response = await request(app)
+      .get("/api/commission/get-commission-report")
+      .set("Authorization", `Bearer ${await signIn(agency, "AGENCY")}`);
+    assert.equal(response.status, 200);
+
+    const [row] = response.body.report;
+    assert.equal(response.body.report.length, 1);
+    assert.equal(row.bookings, 2);
+    assert.equal(row.grossAmount, 100000);
+    assert.equal(row.commissionAmount, 10000);
+    assert.equal(row.agencyNetAmount, 90000);
+
+    const forbidden = await request(app)
+      .get("/api/commission/get-commission-report")
+      .set("Authorization", `Bearer ${userToken}`);
+    assert.equal(forbidden.status, 403);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Departure edit tests.
+ * @description Agencies edit departures through update-package-by-id: a
+ * departure can move to another future date while it has no bookings, and
+ * keeps its dates once seats are sold, so bookings stay on the date they
+ * were made for.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signIn,
+} = require("./helpers/setup");
+const {
+  createUser,
+  createAgency,
+  createPackage,
+  buildDeparture,
+  bookPackage,
+} = require("./helpers/fixtures");
+const Package = require("../models/package-model/Package.model");
+
+/** One day in milliseconds */
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("departure edits", () => {
+  let app;
+  let agency;
+  let agencyToken;
+  let package;
+  let departure;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+  });
+
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    agency = await createAgency();
+    agencyToken = await signIn(agency, "AGENCY");
+    package = await createPackage(agency, {
+      departures: [buildDeparture({ capacity: 4, availableSlots: 4 })],
+    });
+    departure = package.departures[0];
+  });
+
+  /**
+   * Submits the package's departure with changed values.
+   * @param {Object} changes
+   * @returns {Promise<import('supertest').Response>}
+   */
+  const updateDeparture = (changes) =>
+    request(app)
+      .patch(`/api/package/agency/update-package-by-id/${package._id}`)
+      .set("Authorization", `Bearer ${agencyToken}`)
+      .send({
+        departures: [
+          {
+            _id: departure._id.toString(),
+            startDate: departure.startDate,
+            endDate: departure.endDate,
+            capacity: departure.capacity,
+            ...changes,
+          },
+        ],
+      });
+
+  it("moves a departure without bookings to a future date", async () => {
+    const startDate = new Date(departure.startDate.getTime() + 7 * DAY);
+    const endDate = new Date(departure.endDate.getTime() + 7 * DAY);
+
+    const response = await updateDeparture({ startDate, endDate });
+    assert.equal(response.status, 200);
+
+    const updated = await Package.findById(package._id);
+    assert.equal(
+      updated.departures.id(departure._id).startDate.getTime(),
+      startDate.getTime()
+    );
+  });
+
+  it("rejects moving a departure into the past", async () => {
+    const response = await updateDeparture({
+      startDate: new Date(Date.now() - DAY),
+      endDate: new Date(Date.now() + DAY),
+    });
+    assert.equal(response.status, 400);
+
+    const updated = await Package.findById(package._id);
+    assert.equal(
+      updated.departures.id(departure._id).startDate.getTime(),
+      departure.startDate.getTime()
+    );
+  });
+
+  it("keeps the dates of a booked departure", async () => {
+    const token = await signIn(await createUser(), "USER");
+    const booking = await bookPackage(app, token, {
+      packageId: package._id.toString(),
+      departureId: departure._id.toString(),
+      adults: 1,
+    });
+
+    const moved = await updateDeparture({
+      startDate: new Date(departure.startDate.getTime() + DAY),
+      endDate: new Date(departure.endDate.getTime() + DAY),
+    });
+    assert.equal(moved.status, 400);
+
+    // Other changes still apply, around the seat already sold
+    const resized = await updateDeparture({ capacity: 6 });
+    assert.equal(resized.status, 200);
+
+    const updated = await Package.findById(package._id);
+    const kept = updated.departures.id(departure._id);
+    assert.equal(kept.startDate.getTime(), departure.startDate.getTime());
+    assert.equal(kept.startDate.getTime(), booking.departureDate.getTime());
+    assert.equal(kept.capacity, 6);
+    assert.equal(kept.availableSlots, 5);
+  });
+});
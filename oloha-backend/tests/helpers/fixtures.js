@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Test data builders for the integration tests.
+ * @module tests/helpers/fixtures
+ * @description Each builder saves a valid document with sensible defaults;
+ * pass overrides for the fields a test cares about.
+ */
+
+const crypto = require("crypto");
+const request = require("supertest");
+const User = require("../../models/user-model/user.model");
+const Agency = require("../../models/travel-agency-model/travel-agency.model");
+const SuperAdmin = require("../../models/super-admin-model/super-admin.model");
+const Package = require("../../models/package-model/Package.model");
+const Booking = require("../../models/booking-model/Booking.model");
+
+/**
+ * Unique suffix for emails and names.
+ * @returns {string}
+ */
+const uniqueSuffix = () => crypto.randomBytes(4).toString("hex");
+
+/**
+ * Saves a user.
+ * @async
+ * @param {Object} [overrides]
+ * @returns {Promise<Object>}
+ */
+const createUser = (overrides = {}) =>
+  User.create({
+    userName: `traveller-${uniqueSuffix()}`,
+    email: `traveller-${uniqueSuffix()}@oloha.test`,
+    password: "hashed-password",
+    phone: "+923001234567",
+    address: "Lahore",
+    ...overrides,
+  });
+
+/**
+ * Saves an activated agency.
+ * @async
+ * @param {Object} [overrides]
+ * @returns {Promise<Object>}
+ */
+const createAgency = (overrides = {}) =>
+  Agency.create({
+    agencyName: `Agency ${uniqueSuffix()}`,
+    email: `agency-${uniqueSuffix()}@oloha.test`,
+    password: "hashed-password",
+    contactNumber: "+924235761234",
+    status: "ACTIVATED",
+    ...overrides,
+  });
+
+/**
+ * Saves an active super admin.
+ * @async
+ * @param {Object} [overrides]
+ * @returns {Promise<Object>}
+ */
+const createSuperAdmin = (overrides = {}) =>
+  SuperAdmin.create({
+    userName: `admin-${uniqueSuffix()}`,
+    email: `admin-${uniqueSuffix()}@oloha.test`,
+    password: "hashed-password",
+    ...overrides,
+  });
+
+/**
+ * Saves an activated package of an agency.
+ * @async
+ * @param {Object} agency
+ * @param {Object} [overrides]
+ * @returns {Promise<Object>}
+ */
+const createPackage = (agency, overrides = {}) =>
+  Package.create({
+    packageTitle: "Hunza Valley Tour",
+    description: "Five days in Hunza",
+    price: 50000,
+    duration: "5 Days 4 Nights",
+    durationDays: 5,
+    availableSlots: 10,
+    category: "TOUR",
+    agency: agency._id,
+    status: "ACTIVATED",
+    ...overrides,
+  });
+
+/**
+ * Departure values starting `daysAhead` days from now.
+ * @param {Object} [overrides]
+ * @param {number} [daysAhead=30]
+ * @returns {Object}
+ */
+const buildDeparture = (overrides = {}, daysAhead = 30) => {
+  const startDate = new Date(Date.now() + daysAhead * 24 * 60 * 60 * 1000);
+  return {
+    startDate,
+    endDate: new Date(startDate.getTime() + 4 * 24 * 60 * 60 * 1000),
+    capacity: 10,
+    availableSlots: 10,
+    ...overrides,
+  };
+};
+
+/**
+ * Books a package through the API, so the booking is priced, scheduled and
+ * takes its seats like a real one.
+ * @async
+ * @param {import('express').Express} app - App from `createTestApp`.
+ * @param {string} token - Customer access token.
+ * @param {Object} body - create-booking body.
+ * @returns {Promise<Object>} Booking document.
+ * @throws {Error} If the booking is not created.
+ */
+const bookPackage = async (app, token, body) => {
+  const response = await request(app)
+    .post("/api/booking/user/create-booking")
+    .set("Authorization", `Bearer ${token}`)
+    .send(body);
+
+  if (response.status !== 201) {
+    throw new Error(
+      `create-booking failed with ${response.status}: ${response.body.message}`
+    );
+  }
+  return Booking.findById(response.body.booking._id);
+};
+
+module.exports = {
+  createUser,
+  createAgency,
+  createSuperAdmin,
+  createPackage,
+  buildDeparture,
+  bookPackage,
+};
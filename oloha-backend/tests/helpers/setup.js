@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Shared setup for the integration tests.
+ * @module tests/helpers/setup
+ * @description Fills in the environment the modules read on load, starts a
+ * single-node replica set (transactions need one) with mongodb-memory-server
+ * and builds an Express app with the same routes and body parsing as
+ * `app.js`, without opening a port or starting the scheduler.
+ * Set `MONGODB_TEST_URI` to run against an existing replica set instead.
+ * Require this file before any application module.
+ */
+
+const crypto = require("crypto");
+
+const TEST_ENV = {
+  NODE_ENV: "test",
+  JWT_SECRET: "test-jwt-secret",
+  TOKEN_ENCRYPTION_KEY: crypto.randomBytes(32).toString("hex"),
+  DATA_ENCRYPTION_KEY: crypto.randomBytes(32).toString("hex"),
+  PASSWORD_RESET_SECRET: crypto.randomBytes(32).toString("hex"),
+  QUOTE_SIGNING_SECRET: "test-quote-secret",
+  TICKET_SIGNING_SECRET: "test-ticket-secret",
+  EMAIL_USER: "test@oloha.test",
+  EMAIL_PASS: "test",
+  CLOUDINARY_CLOUD_NAME: "test",
+  CLOUDINARY_API_KEY: "test",
+  CLOUDINARY_API_SECRET: "test",
+  ALLOWED_ORIGINS: "*",
+  PUSH_PROVIDER: "FAKE",
+  JAZZCASH_MERCHANT_ID: "MC00000",
+  JAZZCASH_PASSWORD: "test",
+  JAZZCASH_INTEGRITY_SALT: "test-integrity-salt",
+};
+
+for (const [key, value] of Object.entries(TEST_ENV)) {
+  if (process.env[key] === undefined) process.env[key] = value;
+}
+
+const express = require("express");
+const mongoose = require("mongoose");
+const cookieParser = require("cookie-parser");
+const {
+  generateEncryptedToken,
+} = require("../../middlewares/auth-middleware/auth.middleware");
+
+/** Replica set started for this test file, if any */
+let replSet = null;
+
+/**
+ * Connects mongoose to `MONGODB_TEST_URI` or to a fresh in-memory replica
+ * set, and creates the collections and indexes of every model.
+ * @async
+ * @returns {Promise<void>}
+ */
+const startDatabase = async () => {
+  let uri = process.env.MONGODB_TEST_URI;
+
+  if (!uri) {
+    const { MongoMemoryReplSet } = require("mongodb-memory-server");
+    replSet = await MongoMemoryReplSet.create({
+      replSet: { count: 1, storageEngine: "wiredTiger" },
+    });
+    uri = replSet.getUri();
+  }
+
+  await mongoose.connect(uri, {
+    dbName: `oloha-test-${process.pid}`,
+    serverSelectionTimeoutMS: 10000,
+  });
+  await mongoose.connection.syncIndexes();
+};
+
+/**
+ * Drops the test database and shuts the replica set down.
+ * @async
+ * @returns {Promise<void>}
+ */
+const stopDatabase = async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  }
+  if (replSet) {
+    await replSet.stop();
+    replSet = null;
+  }
+};
+
+/**
+ * Empties every collection between tests.
+ * @async
+ * @returns {Promise<void>}
+ */
+const clearDatabase = async () => {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map((collection) => collection.deleteMany({})));
+};
+
+/**
+ * Express app with the routes and body parsing of `app.js`.
+ * @returns {import('express').Express}
+ */
+const createTestApp = () => {
+  const app = express();
+
+  app.use(cookieParser());
+  app.use(
+    express.json({
+      limit: "20kb",
+      verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith("/api/payment/webhook/")) {
+          req.rawBody = buf;
+        }
+      },
+    })
+  );
+  app.use(express.urlencoded({ extended: true, limit: "20kb" }));
+
+  app.use(
+    "/api/super-admin",
+    require("../../routes/super-admin-route/super-admin.route")
+  );
+  app.use("/api/package", require("../../routes/package-route/package.route"));
+  app.use("/api/booking", require("../../routes/booking-route/booking.route"));
+  app.use("/api/payment", require("../../routes/payment-route/payment.route"));
+  app.use(
+    "/api/commission",
+    require("../../routes/commission-route/commission.route")
+  );
+  app.use("/api/wallet", require("../../routes/wallet-route/wallet.route"));
+  app.use("/api/review", require("../../routes/review-route/review.route"));
+  app.use("/api/chat", require("../../routes/chat-route/chat.route"));
+  app.use(
+    "/api/notification",
+    require("../../routes/notification-route/notification.route")
+  );
+
+  return app;
+};
+
+/**
+ * Starts a session for an account and returns its encrypted access token,
+ * as the login controllers do.
+ * @async
+ * @param {Object} account - User, Agency or SuperAdmin document.
+ * @param {"USER"|"AGENCY"|"SUPERADMIN"} role
+ * @returns {Promise<string>} Bearer token.
+ */
+const signIn = async (account, role) => {
+  account.sessionId = crypto.randomBytes(32).toString("hex");
+  await account.save();
+
+  return generateEncryptedToken({
+    role,
+    user: { id: account._id.toString(), email: account.email },
+    sessionId: account.sessionId,
+  });
+};
+
+module.exports = {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signIn,
+};
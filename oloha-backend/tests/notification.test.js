@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Notification center tests.
+ * @description Notifies users, agencies and super admins: each recipient only
+ * sees and counts their own notifications, marking one or all as read keeps
+ * the unread count exact, and the list pages newest first.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signIn,
+} = require("./helpers/setup");
+const {
+  createUser,
+  createAgency,
+  createSuperAdmin,
+} = require("./helpers/fixtures");
+const {
+  notify,
+  notifySuperAdmins,
+} = require("../services/notification-service/notification.service");
+
+describe("notification center", () => {
+  let app;
+  let user;
+  let agency;
+  let admin;
+  /** Tokens by role */
+  let tokens;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+  });
+
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    user = await createUser();
+    agency = await createAgency();
+    admin = await createSuperAdmin();
+    tokens = {
+      USER: await signIn(user, "USER"),
+      AGENCY: await signIn(agency, "AGENCY"),
+      SUPERADMIN: await signIn(admin, "SUPERADMIN"),
+    };
+  });
+
+  /**
+   * Notifies an account, of a payment reminder by default.
+   * @param {Object} account
+   * @param {string} role
+   * @param {string} title
+   * @param {string} [type]
+   * @returns {Promise<Object|null>}
+   */
+  const remind = (account, role, title, type = "PAYMENT_REMINDER") =>
+    notify({
+      recipientId: account,
+      role,
+      type,
+      title,
+      message: "Your balance is due soon.",
+      data: {},
+    });
+
+  /**
+   * Calls a notification endpoint as a role.
+   * @param {string} method - get or patch.
+   * @param {string} path - Route under /api/notification.
+   * @param {string} role
+   * @param {Object} [query]
+   * @returns {Promise<import('supertest').Response>}
+   */
+  const call = (method, path, role, query = {}) =>
+    request(app)
+      [method](`/api/notification/${path}`)
+      .set("Authorization", `Bearer ${tokens[role]}`)
+      .query(query);
+
+  /**
+   * Unread count of a role.
+   * @param {string} role
+   * @returns {Promise<number>}
+   */
+  const unread = async (role) =>
+    (await call("get", "get-unread-count", role)).body.unreadCount;
+
+  it("counts each recipient's own notifications only", async () => {
+    await remind(user, "USER", "First reminder");
+    await remind(user._id, "USER", "Second reminder");
+    await remind(agency, "AGENCY", "Agency reminder");
+
+    const otherAdmin = await createSuperAdmin();
+    await createSuperAdmin({ isActive: false });
+    const sent = await notifySuperAdmins({
+      type: "PAYOUT_REQUESTED",
+      title: "Payout requested",
+      message: "An agency requested a payout.",
+    });
+    assert.deepEqual(
+      sent.map((notification) => notification.recipient.toString()).sort(),
+      [admin._id.toString(), otherAdmin._id.toString()].sort()
+    );
+
+    assert.equal(await unread("USER"), 2);
+    assert.equal(await unread("AGENCY"), 1);
+    assert.equal(await unread("SUPERADMIN"), 1);
+
+    const listed = await call("get", "get-notifications", "USER");
+    assert.equal(listed.status, 200);
+    assert.deepEqual(
+      listed.body.notifications.map((notification) => notification.title),
+      ["Second reminder", "First reminder"]
+    );
+    assert.equal(listed.body.notifications[0].recipient, undefined);
+
+    // An unknown type is logged, not thrown
+    assert.equal(await remind(user, "USER", "Broken", "NOT_A_TYPE"), null);
+  });
+
+  it("marks one notification as read for its recipient only", async () => {
+    const first = await remind(user, "USER", "First reminder");
+    await remind(user, "USER", "Second reminder");
+
+    const path = `mark-as-read/${first._id}`;
+    assert.equal((await call("patch", path, "AGENCY")).status, 404);
+    assert.equal(
+      (await call("patch", "mark-as-read/not-an-id", "USER")).status,
+      400
+    );
+
+    const read = await call("patch", path, "USER");
+    assert.equal(read.status, 200);
+    assert.ok(read.body.notification.readAt);
+    assert.equal(read.body.unreadCount, 1);
+
+    const again = await call("patch", path, "USER");
+    assert.equal(again.body.notification.readAt, read.body.notification.readAt);
+    assert.equal(again.body.unreadCount, 1);
+
+    const unreadOnly = await call("get", "get-notifications", "USER", {
+      unreadOnly: "true",
+    });
+    assert.deepEqual(
+      unreadOnly.body.notifications.map((notification) => notification.title),
+      ["Second reminder"]
+    );
+  });
+
+  it("marks all of a recipient's notifications as read", async () => {
+    for (const role of ["USER", "AGENCY"]) {
+      const account = role === "USER" ? user : agency;
+      await remind(account, role, "First reminder");
+      await remind(account, role, "Second reminder");
+    }
+    await notifySuperAdmins({
+      type: "REVIEW_REPORTED",
+      title: "Review reported",
+      message: "A review was reported as abusive.",
+    });
+
+    const agencyRead = await call("patch", "mark-all-as-read", "AGENCY");
+    assert.equal(agencyRead.status, 200);
+    assert.equal(agencyRead.body.count, 2);
+    assert.equal(agencyRead.body.unreadCount, 0);
+    assert.equal(
+      (await call("patch", "mark-all-as-read", "AGENCY")).body.count,
+      0
+    );
+
+    const adminRead = await call("patch", "mark-all-as-read", "SUPERADMIN");
+    assert.equal(adminRead.body.count, 1);
+
+    assert.equal(await unread("AGENCY"), 0);
+    assert.equal(await unread("SUPERADMIN"), 0);
+    assert.equal(await unread("USER"), 2);
+  });
+
+  it("pages notifications newest first", async () => {
+    for (const title of ["one", "two", "three"]) {
+      await remind(user, "USER", title);
+    }
+
+    const first = await call("get", "get-notifications", "USER", { limit: 2 });
+    assert.deepEqual(
+      first.body.notifications.map((notification) => notification.title),
+      ["three", "two"]
+    );
+    assert.equal(first.body.unreadCount, 3);
+    assert.equal(first.body.pagination.hasMore, true);
+
+    const second = await call("get", "get-notifications", "USER", {
+      limit: 2,
+      cursor: first.body.pagination.nextCursor,
+    });
+    assert.deepEqual(
+      second.body.notifications.map((notification) => notification.title),
+      ["one"]
+    );
+    assert.equal(second.body.pagination.nextCursor, null);
+
+    assert.equal(
+      (await call("get", "get-notifications", "USER", { cursor: "nope" }))
+        .status,
+      400
+    );
+  });
+});
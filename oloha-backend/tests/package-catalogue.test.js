@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Public package catalogue tests.
+ * @description Pages through the catalogue with the cursor it returns, and
+ * checks that cursors carrying query operators or a value of the wrong type
+ * for the sort are refused with 400.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+} = require("./helpers/setup");
+const { createAgency, createPackage } = require("./helpers/fixtures");
+
+/**
+ * Cursor with a raw payload, as a client could forge it.
+ * @param {Object} payload
+ * @returns {string}
+ */
+const forgeCursor = (payload) =>
+  Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+describe("public package catalogue", () => {
+  let app;
+  let packages;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+  });
+
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    const agency = await createAgency();
+    packages = [];
+    for (const price of [30000, 40000, 50000]) {
+      packages.push(await createPackage(agency, { price }));
+    }
+  });
+
+  it("pages through packages by price with the returned cursor", async () => {
+    const first = await request(app)
+      .get("/api/package")
+      .query({ sort: "price_asc", limit: 2 });
+    assert.equal(first.status, 200);
+    assert.deepEqual(
+      first.body.packages.map((package) => package.price),
+      [30000, 40000]
+    );
+    assert.equal(first.body.pagination.hasMore, true);
+
+    const second = await request(app).get("/api/package").query({
+      sort: "price_asc",
+      limit: 2,
+      cursor: first.body.pagination.nextCursor,
+    });
+    assert.equal(second.status, 200);
+    assert.deepEqual(
+      second.body.packages.map((package) => package.price),
+      [50000]
+    );
+    assert.equal(second.body.pagination.hasMore, false);
+  });
+
+  it("refuses a cursor whose value is a query operator", async () => {
+    const response = await request(app)
+      .get("/api/package")
+      .query({
+        sort: "price_asc",
+        cursor: forgeCursor({
+          v: { $ne: null },
+          d: false,
+          id: packages[0]._id.toString(),
+        }),
+      });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, "Invalid cursor");
+  });
+
+  it("refuses a date cursor on a price sort", async () => {
+    const newest = await request(app)
+      .get("/api/package")
+      .query({ sort: "newest", limit: 1 });
+    assert.equal(newest.status, 200);
+
+    const response = await request(app).get("/api/package").query({
+      sort: "price_asc",
+      cursor: newest.body.pagination.nextCursor,
+    });
+    assert.equal(response.status, 400);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Nearby package discovery tests.
+ * @description Finds packages with an itinerary stop within a radius of a
+ * point, nearest first, pages through them with the returned cursor and
+ * falls back to the user's last known location.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signIn,
+} = require("./helpers/setup");
+const {
+  createUser,
+  createAgency,
+  createPackage,
+} = require("./helpers/fixtures");
+
+/** Karimabad, Hunza */
+const KARIMABAD = { latitude: 36.32, longitude: 74.66 };
+
+/**
+ * Itinerary with one stop at a point.
+ * @param {string} name
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {Array<Object>}
+ */
+const itineraryAt = (name, latitude, longitude) => [
+  {
+    day: "Day 1",
+    activities: `Arrive in ${name}`,
+    destination: {
+      name,
+      country: "Pakistan",
+      location: { type: "Point", coordinates: [longitude, latitude] },
+    },
+  },
+];
+
+describe("nearby packages", () => {
+  let app;
+  let user;
+  let token;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+  });
+
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    user = await createUser();
+    token = await signIn(user, "USER");
+
+    const agency = await createAgency();
+    await createPackage(agency, {
+      packageTitle: "Skardu Lakes Trek",
+      itinerary: itineraryAt("Skardu", 35.2971, 75.6333),
+    });
+    await createPackage(agency, {
+      packageTitle: "Hunza Valley Tour",
+      itinerary: itineraryAt("Hunza", 36.3167, 74.65),
+    });
+    await createPackage(agency, {
+      packageTitle: "Lahore Food Walk",
+      itinerary: itineraryAt("Lahore", 31.5204, 74.3587),
+    });
+  });
+
+  /**
+   * Requests nearby packages.
+   * @param {Object} query
+   * @returns {Promise<import('supertest').Response>}
+   */
+  const getNearby = (query) =>
+    request(app)
+      .get("/api/package/nearby")
+      .set("Authorization", `Bearer ${token}`)
+      .query(query);
+
+  it("lists packages within the radius, nearest first", async () => {
+    const first = await getNearby({ ...KARIMABAD, radiusKm: 200, limit: 1 });
+    assert.equal(first.status, 200);
+    assert.deepEqual(
+      first.body.packages.map((package) => package.packageTitle),
+      ["Hunza Valley Tour"]
+    );
+    assert.equal(first.body.packages[0].nearestStop.name, "Hunza");
+
+    const second = await getNearby({
+      ...KARIMABAD,
+      radiusKm: 200,
+      limit: 1,
+      cursor: first.body.pagination.nextCursor,
+    });
+    assert.equal(second.status, 200);
+    assert.deepEqual(
+      second.body.packages.map((package) => package.packageTitle),
+      ["Skardu Lakes Trek"]
+    );
+    assert.equal(second.body.pagination.hasMore, false);
+  });
+
+  it("uses the user's last known location", async () => {
+    user.lastKnownLocation = KARIMABAD;
+    await user.save();
+
+    const response = await getNearby({ radiusKm: 20 });
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.packages.map((package) => package.packageTitle),
+      ["Hunza Valley Tour"]
+    );
+  });
+
+  it("asks for a location when none is known", async () => {
+    const response = await getNearby({});
+    assert.equal(response.status, 400);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Package review trigger tests.
+ * @description Edits an approved package through update-package-by-id:
+ * customer-facing terms (cancellation policy, departure dates) send it back
+ * to super admin review, while seat changes keep it listed.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signIn,
+} = require("./helpers/setup");
+const {
+  createAgency,
+  createPackage,
+  buildDeparture,
+} = require("./helpers/fixtures");
+const Package = require("../models/package-model/Package.model");
+
+/** One day in milliseconds */
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("package review triggers", () => {
+  let app;
+  let agencyToken;
+  let package;
+  let departure;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+  });
+
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    const agency = await createAgency();
+    agencyToken = await signIn(agency, "AGENCY");
+    package = await createPackage(agency, {
+      departures: [buildDeparture()],
+    });
+    departure = package.departures[0];
+  });
+
+  /**
+   * Updates the package and returns its stored status.
+   * @param {Object} body - update-package-by-id body.
+   * @returns {Promise<string>}
+   */
+  const updateAndGetStatus = async (body) => {
+    const response = await request(app)
+      .patch(`/api/package/agency/update-package-by-id/${package._id}`)
+      .set("Authorization", `Bearer ${agencyToken}`)
+      .send(body);
+    assert.equal(response.status, 200);
+
+    const updated = await Package.findById(package._id);
+    return updated.status;
+  };
+
+  /**
+   * The package's departure with changed values, as update input.
+   * @param {Object} changes
+   * @returns {Array<Object>}
+   */
+  const departuresWith = (changes) => [
+    {
+      _id: departure._id.toString(),
+      startDate: departure.startDate,
+      endDate: departure.endDate,
+      capacity: departure.capacity,
+      ...changes,
+    },
+  ];
+
+  it("keeps the package listed when only seats change", async () => {
+    const status = await updateAndGetStatus({
+      availableSlots: 12,
+      departures: departuresWith({ capacity: 14 }),
+    });
+    assert.equal(status, "ACTIVATED");
+  });
+
+  it("sends a new cancellation policy for review", async () => {
+    const status = await updateAndGetStatus({
+      cancellationPolicy: {
+        tiers: [{ minDaysBeforeDeparture: 7, refundPercent: 50 }],
+      },
+    });
+    assert.equal(status, "PENDING");
+  });
+
+  it("sends moved departure dates for review", async () => {
+    const status = await updateAndGetStatus({
+      departures: departuresWith({
+        startDate: new Date(departure.startDate.getTime() + DAY),
+        endDate: new Date(departure.endDate.getTime() + DAY),
+      }),
+    });
+    assert.equal(status, "PENDING");
+  });
+});
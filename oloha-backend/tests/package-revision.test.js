@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Package revision history tests.
+ * @description Every agency edit records a revision with field-level
+ * changes; other agencies cannot read them, and a rollback restores an
+ * earlier revision's content as a new revision.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signIn,
+} = require("./helpers/setup");
+const { createAgency, createPackage } = require("./helpers/fixtures");
+const Package = require("../models/package-model/Package.model");
+
+describe("package revisions", () => {
+  let app;
+  let agencyToken;
+  let package;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+  });
+
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    const agency = await createAgency();
+    agencyToken = await signIn(agency, "AGENCY");
+    package = await createPackage(agency);
+  });
+
+  /**
+   * Updates the package as its agency.
+   * @param {Object} body
+   * @returns {Promise<void>}
+   */
+  const updatePackage = async (body) => {
+    const response = await request(app)
+      .patch(`/api/package/agency/update-package-by-id/${package._id}`)
+      .set("Authorization", `Bearer ${agencyToken}`)
+      .send(body);
+    assert.equal(response.status, 200);
+  };
+
+  /**
+   * Lists the package's revisions, newest first.
+   * @param {string} token
+   * @returns {Promise<import('supertest').Response>}
+   */
+  const getRevisions = (token) =>
+    request(app)
+      .get(`/api/package/agency/get-package-revisions/${package._id}`)
+      .set("Authorization", `Bearer ${token}`);
+
+  it("records each edit with its changes", async () => {
+    await updatePackage({ price: 60000 });
+    await updatePackage({ packageTitle: "Hunza in Autumn" });
+    // Nothing changed, so no revision
+    await updatePackage({ packageTitle: "Hunza in Autumn" });
+
+    const response = await getRevisions(agencyToken);
+    assert.equal(response.status, 200);
+
+    const [second, first] = response.body.revisions;
+    assert.equal(response.body.revisions.length, 2);
+    assert.equal(first.revisionNumber, 1);
+    assert.ok(
+      first.changes.some(
+        (change) =>
+          change.path === "price" &&
+          change.before === 50000 &&
+          change.after === 60000
+      )
+    );
+    assert.equal(second.revisionNumber, 2);
+    assert.ok(
+      second.changes.some(
+        (change) =>
+          change.path === "packageTitle" && change.after === "Hunza in Autumn"
+      )
+    );
+  });
+
+  it("hides revisions from other agencies", async () => {
+    await updatePackage({ price: 60000 });
+
+    const otherToken = await signIn(await createAgency(), "AGENCY");
+    assert.equal((await getRevisions(otherToken)).status, 403);
+  });
+
+  it("rolls back to an earlier revision", async () => {
+    await updatePackage({ price: 60000 });
+    await updatePackage({ price: 70000, packageTitle: "Hunza in Autumn" });
+
+    const response = await request(app)
+      .patch(`/api/package/agency/rollback-package/${package._id}`)
+      .set("Authorization", `Bearer ${agencyToken}`)
+      .send({ revisionNumber: 1 });
+    assert.equal(response.status, 200);
+
+    const restored = await Package.findById(package._id);
+    assert.equal(restored.price, 60000);
+    assert.equal(restored.packageTitle, package.packageTitle);
+
+    const [latest] = (await getRevisions(agencyToken)).body.revisions;
+    assert.equal(latest.revisionNumber, 3);
+    assert.equal(latest.action, "ROLLBACK");
+    assert.equal(latest.rolledBackTo, 1);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Package search tests.
+ * @description Searches the catalogue by whole words, prefixes and typos,
+ * and checks that packages of agencies that are not active stay hidden.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+} = require("./helpers/setup");
+const { createAgency, createPackage } = require("./helpers/fixtures");
+
+describe("package search", () => {
+  let app;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+  });
+
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    const agency = await createAgency();
+    await createPackage(agency, {
+      packageTitle: "Hunza Valley Tour",
+      description: "Five days among the apricot orchards of Hunza",
+    });
+    await createPackage(agency, {
+      packageTitle: "Skardu Lakes Trek",
+      description: "Camping by Shangrila and Upper Kachura lakes",
+    });
+
+    const suspended = await createAgency({ status: "SUSPENDED" });
+    await createPackage(suspended, {
+      packageTitle: "Hunza Cherry Blossom",
+      description: "Spring in Hunza",
+    });
+  });
+
+  /**
+   * Titles found for a query, best match first.
+   * @param {string} q
+   * @returns {Promise<Array<string>>}
+   */
+  const searchTitles = async (q) => {
+    const response = await request(app).get("/api/package/search").query({ q });
+    assert.equal(response.status, 200);
+    return response.body.packages.map((package) => package.packageTitle);
+  };
+
+  it("finds packages of active agencies by whole word", async () => {
+    assert.deepEqual(await searchTitles("hunza"), ["Hunza Valley Tour"]);
+  });
+
+  it("finds packages by prefix and with a typo", async () => {
+    assert.equal((await searchTitles("skar"))[0], "Skardu Lakes Trek");
+    assert.equal((await searchTitles("hunzza valey"))[0], "Hunza Valley Tour");
+  });
+
+  it("rejects a query shorter than 2 characters", async () => {
+    const response = await request(app)
+      .get("/api/package/search")
+      .query({ q: "a" });
+    assert.equal(response.status, 400);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Payment event ledger idempotency tests.
+ * @description Delivers the same verified provider event more than once,
+ * one after the other and all at once, through `ingestPaymentEvent`: the
+ * ledger must hold one PROCESSED entry and the booking must be paid once.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signIn,
+} = require("./helpers/setup");
+const {
+  createUser,
+  createAgency,
+  createPackage,
+  bookPackage,
+} = require("./helpers/fixtures");
+const Booking = require("../models/booking-model/Booking.model");
+const PaymentEvent = require("../models/payment-event-model/PaymentEvent.model");
+const Notification = require("../models/notification-model/Notification.model");
+const {
+  registerPaymentProvider,
+  startBookingPayment,
+} = require("../services/payment-service/payment.service");
+const {
+  ingestPaymentEvent,
+} = require("../services/payment-event-service/payment-event.service");
+
+/** Deliveries of the same event */
+const DELIVERIES = 5;
+
+/** Card provider standing in for Stripe; only intents are needed here */
+const mockCardProvider = {
+  name: "STRIPE",
+  createIntent: async ({ bookingId }) => ({
+    intentId: `pi_${bookingId}`,
+    status: "requires_payment_method",
+    clientSecret: "secret",
+    redirect: null,
+  }),
+};
+
+describe("payment event ledger", () => {
+  let app;
+  let booking;
+  let event;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+    registerPaymentProvider(mockCardProvider);
+  });
+
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+
+    const package = await createPackage(await createAgency());
+    const token = await signIn(await createUser(), "USER");
+    booking = await bookPackage(app, token, {
+      packageId: package._id.toString(),
+      adults: 2,
+      paymentMethod: "CARD",
+    });
+
+    const { intentId } = await startBookingPayment(booking);
+    event = {
+      id: "evt_succeeded",
+      type: "PAYMENT_SUCCEEDED",
+      providerType: "payment_intent.succeeded",
+      intentId,
+      providerStatus: "succeeded",
+      amount: booking.totalPrice,
+      amountRefunded: 0,
+      occurredAt: new Date(),
+      raw: { id: "evt_succeeded" },
+    };
+  });
+
+  /**
+   * Asserts the event was recorded and applied exactly once.
+   * @async
+   * @param {Object[]} results - ingestPaymentEvent results.
+   */
+  const assertAppliedOnce = async (results) => {
+    assert.equal(results.filter((result) => result.processed).length, 1);
+    assert.equal(
+      results.filter((result) => result.isDuplicate).length,
+      DELIVERIES - 1
+    );
+
+    const entries = await PaymentEvent.find({ eventId: event.id });
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].status, "PROCESSED");
+    assert.equal(entries[0].attempts, 1);
+
+    const paid = await Booking.findById(booking._id);
+    assert.equal(paid.paymentStatus, "PAID");
+    assert.equal(paid.payment.amountPaid, booking.totalPrice);
+    assert.equal(paid.payment.amountOutstanding, 0);
+
+    // Notifications are only sent for the delivery that changed the booking
+    assert.equal(
+      await Notification.countDocuments({
+        recipient: booking.customer,
+        type: "PAYMENT_RECEIVED",
+      }),
+      1
+    );
+  };
+
+  it("applies a redelivered event once", async () => {
+    const results = [];
+    for (let i = 0; i < DELIVERIES; i += 1) {
+      results.push(await ingestPaymentEvent("STRIPE", event, "WEBHOOK"));
+    }
+
+    await assertAppliedOnce(results);
+  });
+
+  it("applies concurrent deliveries of an event once", async () => {
+    const results = await Promise.all(
+      Array.from({ length: DELIVERIES }, () =>
+        ingestPaymentEvent("STRIPE", event, "WEBHOOK")
+      )
+    );
+
+    await assertAppliedOnce(results);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Deposit schedule tests.
+ * @description Books with a deposit and pays it in installments: the booking
+ * is PARTIALLY_PAID after the deposit and PAID after the balance, reminders
+ * go out once per installment, and a booking whose balance is overdue is
+ * cancelled.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signIn,
+} = require("./helpers/setup");
+const {
+  createUser,
+  createAgency,
+  createPackage,
+  buildDeparture,
+  bookPackage,
+} = require("./helpers/fixtures");
+const Booking = require("../models/booking-model/Booking.model");
+const Notification = require("../models/notification-model/Notification.model");
+const {
+  registerPaymentProvider,
+  startBookingPayment,
+} = require("../services/payment-service/payment.service");
+const {
+  ingestPaymentEvent,
+} = require("../services/payment-event-service/payment-event.service");
+const {
+  sendPaymentReminders,
+  cancelOverdueBookings,
+} = require("../services/payment-schedule-service/payment-schedule.service");
+
+/** Milliseconds in a day */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Card provider standing in for Stripe */
+const mockCardProvider = {
+  name: "STRIPE",
+  createIntent: async ({ bookingId, idempotencyKey }) => ({
+    intentId: `pi_${bookingId}_${idempotencyKey.split("-").pop()}`,
+    status: "requires_payment_method",
+    clientSecret: "secret",
+    redirect: null,
+  }),
+  refund: async (intentId, { amount }) => ({
+    refundId: `re_${intentId}_${amount}`,
+    status: "pending",
+  }),
+};
+
+describe("deposit schedules", () => {
+  let app;
+  let booking;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+    registerPaymentProvider(mockCardProvider);
+  });
+
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+
+    const package = await createPackage(await createAgency(), {
+      departures: [buildDeparture({}, 60)],
+      depositPolicy: {
+        type: "PERCENT",
+        value: 20,
+        balanceDueDaysBeforeDeparture: 30,
+      },
+    });
+    const token = await signIn(await createUser(), "USER");
+    booking = await bookPackage(app, token, {
+      packageId: package._id.toString(),
+      departureId: package.departures[0]._id.toString(),
+      adults: 2,
+      paymentMethod: "CARD",
+      paymentOption: "DEPOSIT",
+    });
+  });
+
+  /**
+   * Pays the booking's next installment in full.
+   * @returns {Promise<Object>} The booking afterwards.
+   */
+  const payNextInstallment = async () => {
+    const { intentId, installment } = await startBookingPayment(booking);
+    await ingestPaymentEvent(
+      "STRIPE",
+      {
+        id: `evt_${installment.sequence}`,
+        type: "PAYMENT_SUCCEEDED",
+        providerType: "payment_intent.succeeded",
+        intentId,
+        providerStatus: "succeeded",
+        amount: installment.amount,
+        amountRefunded: 0,
+        occurredAt: new Date(),
+        raw: {},
+      },
+      "WEBHOOK"
+    );
+    booking = await Booking.findById(booking._id);
+    return booking;
+  };
+
+  /**
+   * Moves the balance due date relative to now.
+   * @param {number} days - Days from now; negative for the past.
+   * @returns {Promise<void>}
+   */
+  const moveBalanceDueDate = async (days) => {
+    await Booking.updateOne(
+      { _id: booking._id, "paymentSchedule.kind": "BALANCE" },
+      {
+        $set: {
+          "paymentSchedule.$.dueDate": new Date(Date.now() + days * DAY_MS),
+        },
+      }
+    );
+  };
+
+  it("splits the total into a deposit and a balance", () => {
+    const [deposit, balance] = booking.paymentSchedule;
+    assert.equal(booking.paymentSchedule.length, 2);
+    assert.equal(deposit.kind, "DEPOSIT");
+    assert.equal(deposit.amount, 20000);
+    assert.equal(balance.kind, "BALANCE");
+    assert.equal(balance.amount, 80000);
+
+    const departure = booking.departureDate.getTime();
+    assert.equal(balance.dueDate.getTime(), departure - 30 * DAY_MS);
+  });
+
+  it("is partially paid after the deposit and paid after the balance", async () => {
+    const afterDeposit = await payNextInstallment();
+    assert.equal(afterDeposit.paymentStatus, "PARTIALLY_PAID");
+    assert.equal(afterDeposit.payment.amountPaid, 20000);
+    assert.equal(afterDeposit.paymentSchedule[0].status, "PAID");
+    assert.equal(afterDeposit.paymentSchedule[1].status, "DUE");
+
+    const afterBalance = await payNextInstallment();
+    assert.equal(afterBalance.paymentStatus, "PAID");
+    assert.equal(afterBalance.payment.amountPaid, 100000);
+  });
+
+  it("reminds the customer once about a balance falling due", async () => {
+    await payNextInstallment();
+    await moveBalanceDueDate(2);
+
+    await sendPaymentReminders();
+    await sendPaymentReminders();
+
+    assert.equal(
+      await Notification.countDocuments({ type: "PAYMENT_REMINDER" }),
+      1
+    );
+    const reminded = await Booking.findById(booking._id);
+    assert.ok(reminded.paymentSchedule[1].reminderSentAt);
+  });
+
+  it("cancels a booking whose balance is overdue", async () => {
+    await payNextInstallment();
+
+    await moveBalanceDueDate(1);
+    assert.equal(await cancelOverdueBookings(), 0);
+
+    await moveBalanceDueDate(-3);
+    assert.equal(await cancelOverdueBookings(), 1);
+
+    const cancelled = await Booking.findById(booking._id);
+    assert.equal(cancelled.bookingStatus, "CANCELLED");
+    assert.equal(cancelled.cancellation.cancelledBy, "SYSTEM");
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Promo code tests.
+ * @description Books with promo codes through create-booking: concurrent
+ * bookings never redeem a code more than `maxUses` times, a customer cannot
+ * go over `perUserLimit`, and cancelling a booking gives its use back.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signIn,
+} = require("./helpers/setup");
+const {
+  createUser,
+  createAgency,
+  createPackage,
+} = require("./helpers/fixtures");
+const PromoCode = require("../models/promo-code-model/PromoCode.model");
+const PromoRedemption = require("../models/promo-redemption-model/PromoRedemption.model");
+
+/** Customers booking at the same time */
+const CUSTOMERS = 4;
+
+describe("promo codes", () => {
+  let app;
+  let agency;
+  let package;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+  });
+
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    agency = await createAgency();
+    package = await createPackage(agency, { availableSlots: 20 });
+  });
+
+  /**
+   * Saves an agency promo code for the test agency.
+   * @param {Object} [overrides]
+   * @returns {Promise<Object>}
+   */
+  const createPromo = (overrides = {}) =>
+    PromoCode.create({
+      code: "HUNZA10",
+      scope: "AGENCY",
+      agency: agency._id,
+      createdBy: { id: agency._id, role: "AGENCY" },
+      discountType: "PERCENT",
+      value: 10,
+      ...overrides,
+    });
+
+  /**
+   * Books one seat with the promo code.
+   * @param {string} token
+   * @returns {Promise<import('supertest').Response>}
+   */
+  const bookWithPromo = (token) =>
+    request(app)
+      .post("/api/booking/user/create-booking")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        packageId: package._id.toString(),
+        adults: 1,
+        promoCode: "hunza10",
+      });
+
+  it("never redeems a code more than maxUses times", async () => {
+    await createPromo({ maxUses: 2 });
+
+    const tokens = [];
+    for (let i = 0; i < CUSTOMERS; i += 1) {
+      tokens.push(await signIn(await createUser(), "USER"));
+    }
+
+    const responses = await Promise.all(tokens.map(bookWithPromo));
+    const booked = responses.filter((response) => response.status === 201);
+    assert.equal(booked.length, 2);
+    for (const response of responses) {
+      assert.ok([201, 400, 409].includes(response.status));
+    }
+
+    const promo = await PromoCode.findOne({ code: "HUNZA10" });
+    assert.equal(promo.usedCount, 2);
+    assert.equal(
+      await PromoRedemption.countDocuments({ status: "REDEEMED" }),
+      2
+    );
+
+    const discount = booked[0].body.booking.priceSnapshot.discounts.find(
+      (entry) => entry.type === "PROMO"
+    );
+    assert.equal(discount.amount, 5000);
+  });
+
+  it("limits each customer to perUserLimit uses", async () => {
+    await createPromo();
+    const token = await signIn(await createUser(), "USER");
+
+    assert.equal((await bookWithPromo(token)).status, 201);
+    assert.equal((await bookWithPromo(token)).status, 400);
+  });
+
+  it("gives the use back when the booking is cancelled", async () => {
+    await createPromo({ maxUses: 1 });
+    const token = await signIn(await createUser(), "USER");
+    const booked = await bookWithPromo(token);
+    assert.equal(booked.status, 201);
+
+    const otherToken = await signIn(await createUser(), "USER");
+    assert.equal((await bookWithPromo(otherToken)).status, 400);
+
+    const cancelled = await request(app)
+      .patch(`/api/booking/user/cancel-booking/${booked.body.booking._id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ reason: "Plans changed" });
+    assert.equal(cancelled.status, 200);
+
+    const promo = await PromoCode.findOne({ code: "HUNZA10" });
+    assert.equal(promo.usedCount, 0);
+    assert.equal((await bookWithPromo(otherToken)).status, 201);
+  });
+
+  it("does not apply another agency's code", async () => {
+    await createPromo({ agency: (await createAgency())._id });
+    const token = await signIn(await createUser(), "USER");
+
+    const response = await bookWithPromo(token);
+    assert.equal(response.status, 400);
+    assert.equal(await PromoRedemption.countDocuments({}), 0);
+  });
+});
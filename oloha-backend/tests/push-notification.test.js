@@ -0,0 +1,255 @@
+/**
+ * @fileoverview Push notification tests.
+ * @description Runs against the in-memory push provider (`PUSH_PROVIDER=FAKE`):
+ * device tokens are registered and unregistered through the API, tokens the
+ * provider reports as unregistered are pruned, and booking, payment and chat
+ * events reach the recipient's devices.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signIn,
+} = require("./helpers/setup");
+const {
+  createUser,
+  createAgency,
+  createPackage,
+  bookPackage,
+} = require("./helpers/fixtures");
+const DeviceToken = require("../models/device-token-model/DeviceToken.model");
+const fakeProvider = require("../services/push-service/providers/fake.provider");
+const {
+  registerPushProvider,
+  sendPushToParticipant,
+} = require("../services/push-service/push.service");
+const {
+  registerPaymentProvider,
+  startBookingPayment,
+} = require("../services/payment-service/payment.service");
+const {
+  ingestPaymentEvent,
+} = require("../services/payment-event-service/payment-event.service");
+const {
+  openConversation,
+  sendMessage,
+} = require("../services/chat-service/chat.service");
+
+/** Card provider standing in for Stripe; only intents are needed here */
+const mockCardProvider = {
+  name: "STRIPE",
+  createIntent: async ({ bookingId }) => ({
+    intentId: `pi_${bookingId}`,
+    status: "requires_payment_method",
+    clientSecret: "secret",
+    redirect: null,
+  }),
+};
+
+describe("push notifications", () => {
+  let app;
+  let user;
+  let agency;
+  let userToken;
+  let agencyToken;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+    registerPushProvider(fakeProvider);
+    registerPaymentProvider(mockCardProvider);
+  });
+
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    fakeProvider.reset();
+
+    user = await createUser();
+    agency = await createAgency();
+    userToken = await signIn(user, "USER");
+    agencyToken = await signIn(agency, "AGENCY");
+  });
+
+  /**
+   * Registers a device for an account through the API.
+   * @async
+   * @param {string} token - Access token of the account.
+   * @param {string} deviceToken - FCM registration token.
+   * @param {string} [platform="ANDROID"]
+   * @returns {Promise<import('supertest').Response>}
+   */
+  const registerDevice = (token, deviceToken, platform = "ANDROID") =>
+    request(app)
+      .post("/api/notification/register-device-token")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ token: deviceToken, platform });
+
+  /**
+   * Messages the fake provider delivered to a device token.
+   * @param {string} deviceToken
+   * @returns {Object[]}
+   */
+  const sentTo = (deviceToken) =>
+    fakeProvider.sent.filter((message) => message.token === deviceToken);
+
+  describe("device tokens", () => {
+    it("registers, refreshes and unregisters a device", async () => {
+      const registered = await registerDevice(userToken, "device-1", "ios");
+      assert.equal(registered.status, 200);
+      assert.equal(registered.body.device.platform, "IOS");
+
+      // Registering again refreshes the same device
+      assert.equal((await registerDevice(userToken, "device-1")).status, 200);
+      const devices = await DeviceToken.find({ owner: user._id });
+      assert.equal(devices.length, 1);
+      assert.equal(devices[0].ownerModel, "User");
+      assert.equal(devices[0].platform, "ANDROID");
+
+      const unregistered = await request(app)
+        .delete("/api/notification/unregister-device-token")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ token: "device-1" });
+      assert.equal(unregistered.status, 200);
+      assert.equal(await DeviceToken.countDocuments(), 0);
+    });
+
+    it("moves a token registered by another account", async () => {
+      await registerDevice(userToken, "shared-device");
+      await registerDevice(agencyToken, "shared-device");
+
+      const devices = await DeviceToken.find({ token: "shared-device" });
+      assert.equal(devices.length, 1);
+      assert.equal(devices[0].owner.toString(), agency._id.toString());
+      assert.equal(devices[0].ownerModel, "Agency");
+    });
+
+    it("rejects invalid registrations and unknown tokens", async () => {
+      assert.equal((await registerDevice(userToken, "")).status, 400);
+      assert.equal(
+        (await registerDevice(userToken, "device-1", "DESKTOP")).status,
+        400
+      );
+
+      const unregistered = await request(app)
+        .delete("/api/notification/unregister-device-token")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ token: "unknown-device" });
+      assert.equal(unregistered.status, 404);
+    });
+  });
+
+  describe("delivery", () => {
+    it("prunes tokens the provider reports as unregistered", async () => {
+      await registerDevice(userToken, "active-device");
+      await registerDevice(userToken, "uninstalled-device");
+      fakeProvider.invalidTokens.add("uninstalled-device");
+
+      const summary = await sendPushToParticipant("USER", user._id, {
+        title: "Hello",
+        body: "Test message",
+      });
+
+      assert.deepEqual(summary, { sent: 1, failed: 1, pruned: 1 });
+      assert.equal(sentTo("active-device").length, 1);
+      const devices = await DeviceToken.find({ owner: user._id });
+      assert.deepEqual(
+        devices.map((device) => device.token),
+        ["active-device"]
+      );
+    });
+
+    it("pushes booking cancellations to the customer and the agency", async () => {
+      await registerDevice(userToken, "user-device");
+      await registerDevice(agencyToken, "agency-device");
+
+      const package = await createPackage(agency);
+      const booking = await bookPackage(app, userToken, {
+        packageId: package._id.toString(),
+        adults: 1,
+        paymentMethod: "CARD",
+      });
+
+      const response = await request(app)
+        .patch(`/api/booking/user/cancel-booking/${booking._id}`)
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ reason: "Change of plans" });
+      assert.equal(response.status, 200);
+
+      for (const deviceToken of ["user-device", "agency-device"]) {
+        const [message] = sentTo(deviceToken);
+        assert.ok(message, `no push sent to ${deviceToken}`);
+        assert.equal(message.title, "Booking cancelled");
+        assert.equal(message.data.type, "BOOKING_CANCELLED");
+        assert.equal(message.data.bookingId.toString(), booking._id.toString());
+      }
+    });
+
+    it("pushes received payments to the customer", async () => {
+      const package = await createPackage(agency);
+      const booking = await bookPackage(app, userToken, {
+        packageId: package._id.toString(),
+        adults: 1,
+        paymentMethod: "CARD",
+      });
+      await registerDevice(userToken, "user-device");
+
+      const { intentId } = await startBookingPayment(booking);
+      const result = await ingestPaymentEvent(
+        "STRIPE",
+        {
+          id: "evt_succeeded",
+          type: "PAYMENT_SUCCEEDED",
+          providerType: "payment_intent.succeeded",
+          intentId,
+          providerStatus: "succeeded",
+          amount: booking.totalPrice,
+          amountRefunded: 0,
+          occurredAt: new Date(),
+          raw: { id: "evt_succeeded" },
+        },
+        "WEBHOOK"
+      );
+      assert.equal(result.processed, true);
+
+      const payments = sentTo("user-device").filter(
+        (message) => message.data.type === "PAYMENT_RECEIVED"
+      );
+      assert.equal(payments.length, 1);
+      assert.equal(
+        payments[0].data.bookingId.toString(),
+        booking._id.toString()
+      );
+    });
+
+    it("pushes chat messages to an offline recipient", async () => {
+      await registerDevice(agencyToken, "agency-device");
+
+      const participant = { id: user._id.toString(), role: "USER" };
+      const conversation = await openConversation(participant, {
+        agencyId: agency._id.toString(),
+      });
+      const { message } = await sendMessage({
+        conversationId: conversation._id.toString(),
+        participant,
+        text: "Is the hotel near the lake?",
+      });
+
+      const [push] = sentTo("agency-device");
+      assert.ok(push, "no push sent to the agency");
+      assert.equal(push.title, user.userName);
+      assert.equal(push.body, "Is the hotel near the lake?");
+      assert.equal(push.data.type, "CHAT_MESSAGE");
+      assert.equal(push.data.messageId.toString(), message._id.toString());
+
+      // The sender is not pushed their own message
+      assert.equal(fakeProvider.sent.length, 1);
+    });
+  });
+});
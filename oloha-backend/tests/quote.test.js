@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Quote engine tests.
+ * @description Prices a traveller mix with child and infant rates, a package
+ * discount and an agency fee; checks that a booking keeps its price snapshot
+ * after the package changes, and that travellers are classified by the
+ * quoted age limits.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signIn,
+} = require("./helpers/setup");
+const {
+  createUser,
+  createAgency,
+  createPackage,
+  bookPackage,
+} = require("./helpers/fixtures");
+const Package = require("../models/package-model/Package.model");
+
+/** Pricing of the test package */
+const PRICING = {
+  childPricePercent: 50,
+  infantPricePercent: 0,
+  childMaxAge: 11,
+  infantMaxAge: 1,
+  fees: [{ name: "Permit", type: "PER_BOOKING", amount: 1000 }],
+};
+
+/**
+ * Traveller details for a booking.
+ * @param {Object} overrides
+ * @returns {Object}
+ */
+const buildTraveller = (overrides) => ({
+  fullName: "Ayesha Khan",
+  ageGroup: "ADULT",
+  nationality: "PK",
+  identityType: "PASSPORT",
+  identityNumber: "AB1234567",
+  ...overrides,
+});
+
+describe("quote engine", () => {
+  let app;
+  let token;
+  let package;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+  });
+
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    token = await signIn(await createUser(), "USER");
+    package = await createPackage(await createAgency(), {
+      price: 50000,
+      discount: 10,
+      pricing: PRICING,
+    });
+  });
+
+  it("prices children, infants, discounts and fees", async () => {
+    const response = await request(app)
+      .post("/api/booking/user/get-quote")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        packageId: package._id.toString(),
+        adults: 2,
+        children: 1,
+        infants: 1,
+      });
+    assert.equal(response.status, 200);
+
+    const { quote } = response.body;
+    assert.equal(quote.subtotal, 125000);
+    assert.deepEqual(
+      quote.discounts.map(({ type, amount }) => ({ type, amount })),
+      [{ type: "PACKAGE", amount: 12500 }]
+    );
+    assert.equal(quote.fees[0].amount, 1000);
+    assert.equal(quote.total, 113500 + quote.tax.amount);
+    assert.deepEqual(quote.ageLimits, { childMaxAge: 11, infantMaxAge: 1 });
+  });
+
+  it("keeps the booked price when the package changes", async () => {
+    const booking = await bookPackage(app, token, {
+      packageId: package._id.toString(),
+      adults: 1,
+    });
+    const total = booking.priceSnapshot.total;
+
+    await Package.updateOne({ _id: package._id }, { price: 90000 });
+
+    const response = await request(app)
+      .get(`/api/booking/get-booking-by-id/${booking._id}`)
+      .set("Authorization", `Bearer ${token}`);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.booking.priceSnapshot.total, total);
+  });
+
+  it("classifies travellers by the quoted age limits", async () => {
+    const body = {
+      packageId: package._id.toString(),
+      adults: 1,
+      children: 1,
+    };
+
+    const tooOld = await request(app)
+      .post("/api/booking/user/create-booking")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        ...body,
+        travellers: [
+          buildTraveller(),
+          buildTraveller({ fullName: "Ali Khan", ageGroup: "CHILD", age: 14 }),
+        ],
+      });
+    assert.equal(tooOld.status, 400);
+
+    const booking = await bookPackage(app, token, {
+      ...body,
+      travellers: [
+        buildTraveller(),
+        buildTraveller({ fullName: "Ali Khan", ageGroup: "CHILD", age: 8 }),
+      ],
+    });
+    assert.equal(booking.travellers[1].age, 8);
+    assert.equal(booking.priceSnapshot.ageLimits.childMaxAge, 11);
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Payment refund tests.
+ * @description Refunds a deposit booking paid in two installments through
+ * `requestPaymentRefund`: concurrent requests for the same money claim it
+ * once, and when the provider refuses one installment the other refund is
+ * still returned and the refused share can be requested again.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signIn,
+} = require("./helpers/setup");
+const {
+  createUser,
+  createAgency,
+  createPackage,
+  buildDeparture,
+  bookPackage,
+} = require("./helpers/fixtures");
+const Booking = require("../models/booking-model/Booking.model");
+const {
+  registerPaymentProvider,
+  startBookingPayment,
+} = require("../services/payment-service/payment.service");
+const {
+  ingestPaymentEvent,
+} = require("../services/payment-event-service/payment-event.service");
+const {
+  requestPaymentRefund,
+} = require("../services/refund-service/refund.service");
+
+/** Intents the mock provider refuses to refund */
+const refusedIntents = new Set();
+
+/** Card provider standing in for Stripe; refunds stay pending */
+const mockCardProvider = {
+  name: "STRIPE",
+  createIntent: async ({ bookingId, idempotencyKey }) => ({
+    intentId: `pi_${bookingId}_${idempotencyKey.split("-").pop()}`,
+    status: "requires_payment_method",
+    clientSecret: "secret",
+    redirect: null,
+  }),
+  refund: async (intentId, { amount }) => {
+    if (refusedIntents.has(intentId)) {
+      throw new Error("Refund declined by the provider");
+    }
+    return { refundId: `re_${intentId}_${amount}`, status: "pending" };
+  },
+};
+
+describe("payment refunds", () => {
+  let app;
+  let booking;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+    registerPaymentProvider(mockCardProvider);
+  });
+
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    refusedIntents.clear();
+
+    const package = await createPackage(await createAgency(), {
+      departures: [buildDeparture({}, 60)],
+      depositPolicy: { type: "PERCENT", value: 20 },
+    });
+    const token = await signIn(await createUser(), "USER");
+    booking = await bookPackage(app, token, {
+      packageId: package._id.toString(),
+      departureId: package.departures[0]._id.toString(),
+      adults: 2,
+      paymentMethod: "CARD",
+      paymentOption: "DEPOSIT",
+    });
+
+    // Pay the deposit, then the balance
+    for (const installment of booking.paymentSchedule) {
+      const { intentId } = await startBookingPayment(booking);
+      await ingestPaymentEvent(
+        "STRIPE",
+        {
+          id: `evt_${installment.sequence}`,
+          type: "PAYMENT_SUCCEEDED",
+          providerType: "payment_intent.succeeded",
+          intentId,
+          providerStatus: "succeeded",
+          amount: installment.amount,
+          amountRefunded: 0,
+          occurredAt: new Date(),
+          raw: {},
+        },
+        "WEBHOOK"
+      );
+      booking = await Booking.findById(booking._id);
+    }
+    assert.equal(booking.paymentStatus, "PAID");
+  });
+
+  it("claims concurrent refunds of the same money once", async () => {
+    const results = await Promise.allSettled([
+      requestPaymentRefund(booking, booking.totalPrice),
+      requestPaymentRefund(booking, booking.totalPrice),
+    ]);
+
+    assert.equal(
+      results.filter((result) => result.status === "fulfilled").length,
+      1
+    );
+    const [rejected] = results.filter((result) => result.status === "rejected");
+    assert.equal(rejected.reason.statusCode, 409);
+
+    const claimed = await Booking.findById(booking._id);
+    for (const installment of claimed.paymentSchedule) {
+      assert.equal(installment.refundRequested, installment.amount);
+    }
+  });
+
+  it("returns the refunds made when a later one fails", async () => {
+    const [deposit, balance] = booking.paymentSchedule;
+    refusedIntents.add(deposit.intentId);
+
+    const result = await requestPaymentRefund(booking, booking.totalPrice);
+
+    // Latest installment first: the balance is refunded, the deposit refused
+    assert.deepEqual(
+      result.refunds.map((refund) => refund.sequence),
+      [balance.sequence]
+    );
+    assert.deepEqual(
+      result.failed.map((failure) => [failure.sequence, failure.amount]),
+      [[deposit.sequence, deposit.amount]]
+    );
+    assert.equal(result.amountRefunded, balance.amount);
+
+    const claimed = await Booking.findById(booking._id);
+    assert.equal(claimed.paymentSchedule[0].refundRequested, 0);
+    assert.equal(claimed.paymentSchedule[1].refundRequested, balance.amount);
+
+    // The refused share can be requested again
+    refusedIntents.clear();
+    const retry = await requestPaymentRefund(claimed, deposit.amount);
+    assert.equal(retry.failed.length, 0);
+    assert.deepEqual(
+      retry.refunds.map((refund) => refund.sequence),
+      [deposit.sequence]
+    );
+  });
+});
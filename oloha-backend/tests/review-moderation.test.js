@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Review moderation tests.
+ * @description Reports reviews and moderates them as the super admin: each
+ * reporter reports a review once, hiding, restoring and deleting recompute
+ * the package and agency ratings from the published reviews, and every
+ * decision is kept in the audit trail.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signIn,
+} = require("./helpers/setup");
+const {
+  createUser,
+  createAgency,
+  createSuperAdmin,
+  createPackage,
+  bookPackage,
+} = require("./helpers/fixtures");
+const Package = require("../models/package-model/Package.model");
+const Agency = require("../models/travel-agency-model/travel-agency.model");
+const {
+  applyBookingTransition,
+} = require("../services/booking-service/booking.service");
+
+describe("review moderation", () => {
+  let app;
+  let agency;
+  let package;
+  let adminToken;
+  let reporterToken;
+  /** The 5-star review */
+  let fair;
+  /** The 1-star review, reported below */
+  let abusive;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+  });
+
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    agency = await createAgency();
+    package = await createPackage(agency);
+    adminToken = await signIn(await createSuperAdmin(), "SUPERADMIN");
+    reporterToken = await signIn(await createUser(), "USER");
+
+    fair = await reviewTrip(5);
+    abusive = await reviewTrip(1);
+  });
+
+  /**
+   * Books, completes and reviews a trip as a new customer.
+   * @param {number} rating
+   * @returns {Promise<{token: string, booking: Object, review: Object}>}
+   */
+  const reviewTrip = async (rating) => {
+    const token = await signIn(await createUser(), "USER");
+    const booking = await applyBookingTransition(
+      await bookPackage(app, token, {
+        packageId: package._id.toString(),
+        adults: 1,
+      }),
+      "COMPLETED"
+    );
+    const response = await request(app)
+      .post(`/api/review/user/create-review/${booking._id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ rating, comment: "Honest words about the trip" });
+    assert.equal(response.status, 201);
+    return { token, booking, review: response.body.review };
+  };
+
+  /**
+   * Reports a review.
+   * @param {string} reviewId
+   * @param {string} token
+   * @param {string} [reason]
+   * @returns {Promise<import('supertest').Response>}
+   */
+  const report = (reviewId, token, reason = "ABUSIVE") =>
+    request(app)
+      .post(`/api/review/report-review/${reviewId}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ reason, details: "Insults the guide by name" });
+
+  /**
+   * Applies a moderation action as the super admin.
+   * @param {string} method - put or delete.
+   * @param {string} action - Route name, e.g. hide-review.
+   * @param {string} reviewId
+   * @param {Object} [body]
+   * @returns {Promise<import('supertest').Response>}
+   */
+  const moderate = (method, action, reviewId, body = {}) =>
+    request(app)
+      [method](`/api/super-admin/action/${action}/${reviewId}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(body);
+
+  /**
+   * Current package and agency aggregates.
+   * @returns {Promise<Array<{rating: number, totalReviews: number}>>}
+   */
+  const aggregates = async () =>
+    [
+      await Package.findById(package._id),
+      await Agency.findById(agency._id),
+    ].map(({ rating, totalReviews }) => ({ rating, totalReviews }));
+
+  it("takes one report per reporter into the queue", async () => {
+    const reviewId = abusive.review._id;
+
+    assert.equal((await report(reviewId, reporterToken, "RUDE")).status, 400);
+    assert.equal((await report(reviewId, reporterToken)).status, 201);
+    assert.equal((await report(reviewId, reporterToken)).status, 409);
+    assert.equal((await report(reviewId, abusive.token)).status, 400);
+
+    const agencyToken = await signIn(agency, "AGENCY");
+    assert.equal((await report(reviewId, agencyToken, "FAKE")).status, 201);
+
+    const queue = await request(app)
+      .get("/api/super-admin/action/get-reported-reviews")
+      .set("Authorization", `Bearer ${adminToken}`);
+    assert.equal(queue.status, 200);
+    assert.equal(queue.body.reviews.length, 1);
+    assert.equal(queue.body.reviews[0]._id, reviewId);
+    assert.equal(queue.body.reviews[0].openReports, 2);
+    assert.deepEqual(
+      queue.body.reviews[0].reports.map((entry) => entry.reason),
+      ["ABUSIVE", "FAKE"]
+    );
+  });
+
+  it("recomputes ratings when reviews are hidden, restored and deleted", async () => {
+    const reviewId = abusive.review._id;
+    await report(reviewId, reporterToken);
+    assert.deepEqual(await aggregates(), [
+      { rating: 3, totalReviews: 2 },
+      { rating: 3, totalReviews: 2 },
+    ]);
+
+    assert.equal((await moderate("put", "hide-review", reviewId)).status, 400);
+    const hidden = await moderate("put", "hide-review", reviewId, {
+      reason: "Abusive language",
+    });
+    assert.equal(hidden.status, 200);
+    assert.equal(hidden.body.data.status, "HIDDEN");
+    assert.equal(hidden.body.data.reportsResolved, 1);
+    assert.deepEqual(await aggregates(), [
+      { rating: 5, totalReviews: 1 },
+      { rating: 5, totalReviews: 1 },
+    ]);
+
+    const listed = await request(app).get(
+      `/api/review/get-package-reviews/${package._id}`
+    );
+    assert.deepEqual(
+      listed.body.reviews.map((entry) => entry._id),
+      [fair.review._id]
+    );
+    assert.equal(
+      (await moderate("put", "hide-review", reviewId, { reason: "Again" }))
+        .status,
+      409
+    );
+
+    assert.equal(
+      (await moderate("put", "restore-review", reviewId)).status,
+      200
+    );
+    assert.deepEqual(await aggregates(), [
+      { rating: 3, totalReviews: 2 },
+      { rating: 3, totalReviews: 2 },
+    ]);
+
+    const deleted = await moderate("delete", "delete-review", reviewId, {
+      reason: "Posted by a competitor",
+    });
+    assert.equal(deleted.status, 200);
+    assert.deepEqual(await aggregates(), [
+      { rating: 5, totalReviews: 1 },
+      { rating: 5, totalReviews: 1 },
+    ]);
+
+    // The booking stays reviewed
+    const again = await request(app)
+      .post(`/api/review/user/create-review/${abusive.booking._id}`)
+      .set("Authorization", `Bearer ${abusive.token}`)
+      .send({ rating: 1, comment: "Trying to post it again" });
+    assert.equal(again.status, 409);
+  });
+
+  it("keeps an audit trail of every decision", async () => {
+    const reviewId = abusive.review._id;
+    await moderate("put", "hide-review", reviewId, { reason: "Abusive" });
+    await moderate("put", "restore-review", reviewId);
+
+    const response = await request(app)
+      .get("/api/super-admin/action/get-review-moderation-logs")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .query({ reviewId });
+    assert.equal(response.status, 200);
+
+    const [restored, hidden] = response.body.logs;
+    assert.equal(response.body.logs.length, 2);
+    assert.equal(hidden.action, "HIDE");
+    assert.equal(hidden.previousStatus, "PUBLISHED");
+    assert.equal(hidden.newStatus, "HIDDEN");
+    assert.equal(hidden.snapshot.rating, 1);
+    assert.equal(restored.action, "RESTORE");
+    assert.equal(restored.newStatus, "PUBLISHED");
+
+    const forbidden = await request(app)
+      .get("/api/super-admin/action/get-review-moderation-logs")
+      .set("Authorization", `Bearer ${reporterToken}`);
+    assert.equal(forbidden.status, 403);
+  });
+});
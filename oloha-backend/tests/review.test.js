@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Review tests.
+ * @description Reviews completed bookings: one review per booking, package
+ * and agency aggregates stay exact when reviews arrive concurrently, the
+ * agency can reply once, and public listings sort by rating.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signIn,
+} = require("./helpers/setup");
+const {
+  createUser,
+  createAgency,
+  createPackage,
+  bookPackage,
+} = require("./helpers/fixtures");
+const Package = require("../models/package-model/Package.model");
+const Agency = require("../models/travel-agency-model/travel-agency.model");
+const {
+  applyBookingTransition,
+} = require("../services/booking-service/booking.service");
+
+/** Customers reviewing at the same time */
+const REVIEWERS = 4;
+
+describe("reviews", () => {
+  let app;
+  let agency;
+  let package;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+  });
+
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    agency = await createAgency();
+    package = await createPackage(agency);
+  });
+
+  /**
+   * Signs up a customer and books one seat.
+   * @param {string} [status] - Booking status to move the booking to.
+   * @returns {Promise<{token: string, booking: Object}>}
+   */
+  const bookTrip = async (status = "COMPLETED") => {
+    const token = await signIn(await createUser(), "USER");
+    let booking = await bookPackage(app, token, {
+      packageId: package._id.toString(),
+      adults: 1,
+    });
+    if (status) booking = await applyBookingTransition(booking, status);
+    return { token, booking };
+  };
+
+  /**
+   * Reviews a booking.
+   * @param {{token: string, booking: Object}} trip
+   * @param {Object} body
+   * @returns {Promise<import('supertest').Response>}
+   */
+  const review = ({ token, booking }, body) =>
+    request(app)
+      .post(`/api/review/user/create-review/${booking._id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ comment: "Well organised and friendly guides", ...body });
+
+  it("only reviews a completed booking, once", async () => {
+    const pending = await bookTrip(null);
+    assert.equal((await review(pending, { rating: 5 })).status, 400);
+
+    const trip = await bookTrip();
+    assert.equal((await review(trip, { rating: 6 })).status, 400);
+    assert.equal((await review(trip, { rating: 5 })).status, 201);
+    assert.equal((await review(trip, { rating: 4 })).status, 409);
+
+    const stranger = await signIn(await createUser(), "USER");
+    assert.equal(
+      (await review({ ...trip, token: stranger }, { rating: 1 })).status,
+      404
+    );
+  });
+
+  it("keeps package and agency aggregates exact under concurrency", async () => {
+    const trips = [];
+    for (let i = 0; i < REVIEWERS; i += 1) trips.push(await bookTrip());
+
+    const ratings = [5, 4, 4, 2];
+    const responses = await Promise.all(
+      trips.map((trip, index) =>
+        review(trip, {
+          rating: ratings[index],
+          // Only the first two rate the guide
+          subRatings: index < 2 ? { guide: 5 - index } : {},
+        })
+      )
+    );
+    assert.ok(responses.every((response) => response.status === 201));
+
+    for (const aggregate of [
+      await Package.findById(package._id),
+      await Agency.findById(agency._id),
+    ]) {
+      assert.equal(aggregate.totalReviews, REVIEWERS);
+      assert.equal(aggregate.rating, 3.8);
+      assert.equal(aggregate.subRatings.guide, 4.5);
+      assert.equal(aggregate.subRatings.value, null);
+    }
+  });
+
+  it("lets the agency reply once", async () => {
+    const trip = await bookTrip();
+    const { review: created } = (await review(trip, { rating: 4 })).body;
+
+    /**
+     * Replies to the review as an agency.
+     * @param {string} token
+     * @returns {Promise<import('supertest').Response>}
+     */
+    const reply = (token) =>
+      request(app)
+        .patch(`/api/review/agency/reply-to-review/${created._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ reply: "Thank you for travelling with us!" });
+
+    const otherAgency = await signIn(await createAgency(), "AGENCY");
+    assert.equal((await reply(otherAgency)).status, 403);
+
+    const agencyToken = await signIn(agency, "AGENCY");
+    const replied = await reply(agencyToken);
+    assert.equal(replied.status, 200);
+    assert.equal(
+      replied.body.review.agencyReply.text,
+      "Thank you for travelling with us!"
+    );
+    assert.equal((await reply(agencyToken)).status, 409);
+  });
+
+  it("lists reviews publicly, sorted by rating", async () => {
+    for (const rating of [3, 5, 1]) {
+      assert.equal((await review(await bookTrip(), { rating })).status, 201);
+    }
+
+    const response = await request(app)
+      .get(`/api/review/get-package-reviews/${package._id}`)
+      .query({ sort: "highest" });
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.reviews.map((entry) => entry.rating),
+      [5, 3, 1]
+    );
+    assert.equal(response.body.summary.totalReviews, 3);
+    assert.equal(response.body.reviews[0].booking, undefined);
+
+    const lowest = await request(app)
+      .get(`/api/review/get-agency-reviews/${agency._id}`)
+      .query({ sort: "lowest", limit: 1 });
+    assert.deepEqual(
+      lowest.body.reviews.map((entry) => entry.rating),
+      [1]
+    );
+    assert.equal(lowest.body.pagination.hasMore, true);
+  });
+});
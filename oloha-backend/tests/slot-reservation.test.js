@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Concurrent booking tests for slot reservation.
+ * @description Fires simultaneous create-booking requests at the last seat
+ * of a package and of a departure: exactly one must be booked, the others
+ * refused with 409, and the seat count must never go below zero. Capacity
+ * edits by the agency must leave booked seats alone in the same way.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signIn,
+} = require("./helpers/setup");
+const {
+  createUser,
+  createAgency,
+  createPackage,
+  buildDeparture,
+  bookPackage,
+} = require("./helpers/fixtures");
+const request = require("supertest");
+const Package = require("../models/package-model/Package.model");
+const Booking = require("../models/booking-model/Booking.model");
+const {
+  adjustPackageSlots,
+} = require("../services/slot-reservation-service/slot-reservation.service");
+
+/** Requests racing for the last seat */
+const CONCURRENT_REQUESTS = 5;
+
+/**
+ * Signs in one user per request and posts all bookings at once.
+ * @async
+ * @param {import('express').Express} app
+ * @param {Object} body - create-booking body.
+ * @returns {Promise<number[]>} Response statuses.
+ */
+const bookConcurrently = async (app, body) => {
+  const tokens = [];
+  for (let i = 0; i < CONCURRENT_REQUESTS; i += 1) {
+    tokens.push(await signIn(await createUser(), "USER"));
+  }
+
+  const responses = await Promise.all(
+    tokens.map((token) =>
+      request(app)
+        .post("/api/booking/user/create-booking")
+        .set("Authorization", `Bearer ${token}`)
+        .send(body)
+    )
+  );
+  return responses.map((response) => response.status);
+};
+
+/**
+ * Asserts one 201 and 409 for everything else.
+ * @param {number[]} statuses
+ */
+const assertSingleBooking = (statuses) => {
+  assert.equal(statuses.filter((status) => status === 201).length, 1);
+  assert.deepEqual(
+    statuses.filter((status) => status !== 201),
+    Array(CONCURRENT_REQUESTS - 1).fill(409)
+  );
+};
+
+describe("concurrent create-booking on the last seat", () => {
+  let app;
+  let agency;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+  });
+
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    agency = await createAgency();
+  });
+
+  it("books a package without departures once", async () => {
+    const package = await createPackage(agency, { availableSlots: 1 });
+
+    const statuses = await bookConcurrently(app, {
+      packageId: package._id.toString(),
+      adults: 1,
+    });
+
+    assertSingleBooking(statuses);
+
+    const updated = await Package.findById(package._id);
+    assert.equal(updated.availableSlots, 0);
+    assert.equal(updated.bookings.length, 1);
+    assert.equal(await Booking.countDocuments({ package: package._id }), 1);
+  });
+
+  it("books a departure once", async () => {
+    const package = await createPackage(agency, {
+      departures: [buildDeparture({ capacity: 4, availableSlots: 1 })],
+    });
+    const departureId = package.departures[0]._id.toString();
+
+    const statuses = await bookConcurrently(app, {
+      packageId: package._id.toString(),
+      departureId,
+      adults: 1,
+    });
+
+    assertSingleBooking(statuses);
+
+    const updated = await Package.findById(package._id);
+    assert.equal(updated.departures.id(departureId).availableSlots, 0);
+    assert.equal(await Booking.countDocuments({ package: package._id }), 1);
+  });
+});
+
+describe("package capacity edits", () => {
+  let app;
+  let agency;
+  let agencyToken;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+  });
+
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    agency = await createAgency();
+    agencyToken = await signIn(agency, "AGENCY");
+  });
+
+  /**
+   * Sets a package's available slots through update-package-by-id.
+   * @param {Object} package
+   * @param {*} availableSlots
+   * @returns {Promise<import('supertest').Response>}
+   */
+  const updateSlots = (package, availableSlots) =>
+    request(app)
+      .patch(`/api/package/agency/update-package-by-id/${package._id}`)
+      .set("Authorization", `Bearer ${agencyToken}`)
+      .send({ availableSlots });
+
+  it("changes the free seats and keeps the booked ones", async () => {
+    const package = await createPackage(agency, { availableSlots: 3 });
+    const token = await signIn(await createUser(), "USER");
+    await bookPackage(app, token, {
+      packageId: package._id.toString(),
+      adults: 2,
+    });
+
+    const response = await updateSlots(package, 6);
+    assert.equal(response.status, 200);
+    assert.equal((await Package.findById(package._id)).availableSlots, 6);
+
+    assert.equal((await updateSlots(package, -1)).status, 400);
+    assert.equal((await updateSlots(package, "many")).status, 400);
+  });
+
+  it("never removes more seats than are free", async () => {
+    const package = await createPackage(agency, { availableSlots: 1 });
+
+    await assert.rejects(adjustPackageSlots(package._id, -2), {
+      statusCode: 409,
+    });
+    assert.equal((await Package.findById(package._id)).availableSlots, 1);
+
+    const adjusted = await adjustPackageSlots(package._id, -1);
+    assert.equal(adjusted.availableSlots, 0);
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * @fileoverview Card payment tests against a mock Stripe API.
+ * @description The real Stripe provider talks to a local server standing in
+ * for api.stripe.com (`STRIPE_API_BASE_URL`). A booking's payment intent is
+ * created through the API and paid by a signed `payment_intent.succeeded`
+ * webhook; a webhook with a forged signature is rejected and changes nothing,
+ * and a capture short of the amount due is recorded for the super admins.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const crypto = require("crypto");
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signIn,
+} = require("./helpers/setup");
+const {
+  createUser,
+  createAgency,
+  createSuperAdmin,
+  createPackage,
+  bookPackage,
+} = require("./helpers/fixtures");
+const request = require("supertest");
+const Booking = require("../models/booking-model/Booking.model");
+const PaymentEvent = require("../models/payment-event-model/PaymentEvent.model");
+const Notification = require("../models/notification-model/Notification.model");
+
+const WEBHOOK_SECRET = "whsec_test";
+
+/**
+ * Local stand-in for the Stripe API. Every PaymentIntent created gets a new
+ * ID and is kept in `intents`.
+ * @returns {Promise<{server: http.Server, baseUrl: string, intents: Object[]}>}
+ */
+const startMockStripe = async () => {
+  const intents = [];
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      res.setHeader("Content-Type", "application/json");
+
+      if (req.method === "POST" && req.url === "/payment_intents") {
+        const params = new URLSearchParams(body);
+        const intent = {
+          id: `pi_${crypto.randomBytes(8).toString("hex")}`,
+          object: "payment_intent",
+          amount: Number(params.get("amount")),
+          currency: params.get("currency"),
+          status: "requires_payment_method",
+          client_secret: `secret_${crypto.randomBytes(8).toString("hex")}`,
+          metadata: { bookingId: params.get("metadata[bookingId]") },
+        };
+        intents.push(intent);
+        return res.end(JSON.stringify(intent));
+      }
+
+      res.statusCode = 404;
+      res.end(JSON.stringify({ error: { type: "invalid_request_error" } }));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    server,
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    intents,
+  };
+};
+
+/**
+ * Builds a Stripe webhook body and its `Stripe-Signature` header.
+ * @param {Object} event - Stripe event.
+ * @param {string} secret - Webhook signing secret.
+ * @returns {{body: string, signature: string}}
+ */
+const signStripeEvent = (event, secret) => {
+  const body = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return { body, signature: `t=${timestamp},v1=${digest}` };
+};
+
+/**
+ * `payment_intent.succeeded` event for an intent.
+ * @param {Object} intent - PaymentIntent from the mock.
+ * @param {number} [amountReceived] - Captured minor units; the full amount by default.
+ * @returns {Object}
+ */
+const succeededEvent = (intent, amountReceived = intent.amount) => ({
+  id: `evt_${crypto.randomBytes(8).toString("hex")}`,
+  object: "event",
+  type: "payment_intent.succeeded",
+  created: Math.floor(Date.now() / 1000),
+  data: {
+    object: { ...intent, status: "succeeded", amount_received: amountReceived },
+  },
+});
+
+/**
+ * Posts a webhook exactly as signed.
+ * @param {import('express').Express} app
+ * @param {{body: string, signature: string}} webhook
+ * @returns {Promise<import('supertest').Response>}
+ */
+const postWebhook = (app, { body, signature }) =>
+  request(app)
+    .post("/api/payment/webhook/stripe")
+    .set("Content-Type", "application/json")
+    .set("Stripe-Signature", signature)
+    .send(body);
+
+describe("Stripe card payments", () => {
+  let app;
+  let stripe;
+  let booking;
+  let token;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+
+    stripe = await startMockStripe();
+    process.env.STRIPE_API_BASE_URL = stripe.baseUrl;
+    process.env.STRIPE_SECRET_KEY = "sk_test";
+    process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+  });
+
+  after(async () => {
+    await stopDatabase();
+    if (stripe) await new Promise((resolve) => stripe.server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    stripe.intents.length = 0;
+
+    const package = await createPackage(await createAgency());
+    token = await signIn(await createUser(), "USER");
+    booking = await bookPackage(app, token, {
+      packageId: package._id.toString(),
+      adults: 2,
+      paymentMethod: "CARD",
+    });
+  });
+
+  /**
+   * Creates the booking's payment intent through the API.
+   * @returns {Promise<Object>} Intent held by the mock.
+   */
+  const createIntent = async () => {
+    const response = await request(app)
+      .post(`/api/payment/user/create-intent/${booking._id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({});
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.payment.provider, "STRIPE");
+    assert.equal(response.body.payment.amount, booking.totalPrice);
+
+    const intent = stripe.intents.find(
+      (candidate) => candidate.id === response.body.payment.intentId
+    );
+    assert.ok(intent);
+    assert.equal(intent.amount, Math.round(booking.totalPrice * 100));
+    return intent;
+  };
+
+  it("marks the booking PAID from a signed succeeded webhook", async () => {
+    const intent = await createIntent();
+
+    const response = await postWebhook(
+      app,
+      signStripeEvent(succeededEvent(intent), WEBHOOK_SECRET)
+    );
+    assert.equal(response.status, 200);
+
+    const paid = await Booking.findById(booking._id);
+    assert.equal(paid.paymentStatus, "PAID");
+    assert.equal(paid.payment.amountPaid, booking.totalPrice);
+    assert.equal(paid.paymentSchedule[0].status, "PAID");
+    assert.ok(paid.commission);
+
+    const events = await PaymentEvent.find({ intentId: intent.id });
+    assert.equal(events.length, 1);
+    assert.equal(events[0].status, "PROCESSED");
+    assert.equal(events[0].signatureStatus, "VERIFIED");
+  });
+
+  it("rejects a webhook with a forged signature", async () => {
+    const intent = await createIntent();
+
+    const response = await postWebhook(
+      app,
+      signStripeEvent(succeededEvent(intent), "whsec_forged")
+    );
+    assert.equal(response.status, 400);
+
+    const unpaid = await Booking.findById(booking._id);
+    assert.equal(unpaid.paymentStatus, "PENDING");
+    assert.equal(unpaid.paymentSchedule[0].status, "DUE");
+
+    const events = await PaymentEvent.find({});
+    assert.equal(events.length, 1);
+    assert.equal(events[0].status, "REJECTED");
+    assert.equal(events[0].signatureStatus, "FAILED");
+    assert.equal(events[0].booking, null);
+  });
+
+  it("records a short capture and tells the super admins", async () => {
+    const admin = await createSuperAdmin();
+    const intent = await createIntent();
+    const webhook = signStripeEvent(
+      succeededEvent(intent, intent.amount - 100),
+      WEBHOOK_SECRET
+    );
+
+    const response = await postWebhook(app, webhook);
+    assert.equal(response.status, 200);
+
+    const unpaid = await Booking.findById(booking._id);
+    assert.equal(unpaid.paymentStatus, "PENDING");
+    assert.equal(unpaid.paymentSchedule[0].status, "DUE");
+    assert.equal(
+      unpaid.paymentSchedule[0].amountCaptured,
+      booking.totalPrice - 1
+    );
+
+    const [event] = await PaymentEvent.find({ intentId: intent.id });
+    assert.equal(event.status, "IGNORED");
+    assert.equal(event.booking.toString(), booking._id.toString());
+
+    const notifications = await Notification.find({
+      recipient: admin._id,
+      type: "PAYMENT_UNDERPAID",
+    });
+    assert.equal(notifications.length, 1);
+
+    // A repeated delivery is not recorded or notified again
+    await postWebhook(app, webhook);
+    assert.equal(
+      await Notification.countDocuments({ type: "PAYMENT_UNDERPAID" }),
+      1
+    );
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Traveller and manifest tests.
+ * @description Books with traveller details: identity numbers are stored
+ * encrypted and never returned, travellers must match the booked mix, and the
+ * agency's departure manifest lists every confirmed traveller as CSV or PDF.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const request = require("supertest");
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signIn,
+} = require("./helpers/setup");
+const {
+  createUser,
+  createAgency,
+  createPackage,
+  buildDeparture,
+  bookPackage,
+} = require("./helpers/fixtures");
+const Booking = require("../models/booking-model/Booking.model");
+const {
+  applyBookingTransition,
+} = require("../services/booking-service/booking.service");
+
+/** Two adults and a child, as booked below */
+const TRAVELLERS = [
+  {
+    fullName: "Ayesha Khan",
+    ageGroup: "ADULT",
+    nationality: "pk",
+    identityType: "CNIC",
+    identityNumber: "35202 1234567 1",
+    emergencyContact: {
+      name: "Bilal Khan",
+      relationship: "Brother",
+      phone: "+92 300 1234567",
+    },
+  },
+  {
+    fullName: "Tom Baker",
+    ageGroup: "ADULT",
+    nationality: "GB",
+    identityType: "PASSPORT",
+    identityNumber: "ab 123456",
+    specialNeeds: '=HYPERLINK("http://example.test")',
+  },
+  { fullName: "Sara Khan", ageGroup: "CHILD", age: 7, nationality: "PK" },
+];
+
+describe("travellers and manifests", () => {
+  let app;
+  let agency;
+  let agencyToken;
+  let userToken;
+  let package;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+  });
+
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    agency = await createAgency();
+    agencyToken = await signIn(agency, "AGENCY");
+    userToken = await signIn(await createUser(), "USER");
+    package = await createPackage(agency, {
+      departures: [buildDeparture({}, 30)],
+    });
+  });
+
+  /**
+   * Books two adults and a child on the package's departure.
+   * @param {Array<Object>} [travellers]
+   * @returns {Promise<import('supertest').Response>}
+   */
+  const bookFamily = (travellers) =>
+    request(app)
+      .post("/api/booking/user/create-booking")
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({
+        packageId: package._id.toString(),
+        departureId: package.departures[0]._id.toString(),
+        adults: 2,
+        children: 1,
+        travellers,
+      });
+
+  /**
+   * Exports the departure manifest.
+   * @param {Object} query
+   * @param {string} [token]
+   * @returns {Promise<import('supertest').Response>}
+   */
+  const exportManifest = (query, token = agencyToken) =>
+    request(app)
+      .get(`/api/booking/agency/export-manifest/${package._id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .query(query)
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on("data", (chunk) => chunks.push(chunk));
+        response.on("end", () => callback(null, Buffer.concat(chunks)));
+      });
+
+  it("stores identity numbers encrypted and never returns them", async () => {
+    const response = await bookFamily(TRAVELLERS);
+    assert.equal(response.status, 201);
+
+    const [ayesha, tom] = response.body.booking.travellers;
+    assert.equal(ayesha.identityNumber, undefined);
+    assert.equal(ayesha.identityLast4, "67-1");
+    assert.equal(tom.identityLast4, "3456");
+
+    const stored = await mongoose.connection
+      .collection("bookings")
+      .findOne({ _id: new mongoose.Types.ObjectId(response.body.booking._id) });
+    assert.ok(stored.travellers[0].identityNumber);
+    assert.ok(!JSON.stringify(stored).includes("35202"));
+    assert.ok(!JSON.stringify(stored).includes("AB123456"));
+  });
+
+  it("rejects travellers that do not match the booking", async () => {
+    // One traveller missing
+    assert.equal((await bookFamily(TRAVELLERS.slice(0, 2))).status, 400);
+
+    // Three adults for two adults and a child
+    const allAdults = TRAVELLERS.map((traveller, index) =>
+      index === 2
+        ? {
+            ...TRAVELLERS[0],
+            fullName: "Sara Khan",
+            identityNumber: "3520212345672",
+          }
+        : traveller
+    );
+    assert.equal((await bookFamily(allAdults)).status, 400);
+
+    // A CNIC for a foreign national
+    const foreignCnic = [{ ...TRAVELLERS[1], identityType: "CNIC" }];
+    assert.equal(
+      (await bookFamily([TRAVELLERS[0], ...foreignCnic, TRAVELLERS[2]])).status,
+      400
+    );
+  });
+
+  it("exports the confirmed travellers of a departure", async () => {
+    const withDetails = await bookFamily(TRAVELLERS);
+    await applyBookingTransition(
+      await Booking.findById(withDetails.body.booking._id),
+      "CONFIRMED"
+    );
+
+    const pending = await bookPackage(app, userToken, {
+      packageId: package._id.toString(),
+      departureId: package.departures[0]._id.toString(),
+      adults: 1,
+    });
+    await applyBookingTransition(pending, "CONFIRMED");
+
+    // Not confirmed, so not on the manifest
+    await bookPackage(app, userToken, {
+      packageId: package._id.toString(),
+      departureId: package.departures[0]._id.toString(),
+      adults: 1,
+    });
+
+    const departureId = package.departures[0]._id.toString();
+    const csv = await exportManifest({ departureId });
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers["content-type"], /^text\/csv/);
+
+    const lines = csv.body.toString().split("\r\n");
+    assert.equal(lines.length, 1 + TRAVELLERS.length + 1);
+    assert.ok(lines[1].includes('"35202-1234567-1"'));
+    assert.ok(lines[1].includes('"Bilal Khan, Brother, +92 300 1234567"'));
+    assert.ok(lines[2].includes('"AB123456"'));
+    assert.ok(lines[2].includes(`"'=HYPERLINK(""http://example.test"")"`));
+    assert.ok(lines[4].includes("Details pending (1 traveller(s))"));
+
+    const pdf = await exportManifest({ departureId, format: "pdf" });
+    assert.equal(pdf.status, 200);
+    assert.equal(pdf.body.subarray(0, 5).toString(), "%PDF-");
+  });
+
+  it("exports manifests for the agency's own departures only", async () => {
+    const departureId = package.departures[0]._id.toString();
+
+    assert.equal((await exportManifest({})).status, 400);
+    assert.equal(
+      (await exportManifest({ departureId, format: "xlsx" })).status,
+      400
+    );
+
+    const otherAgency = await signIn(await createAgency(), "AGENCY");
+    assert.equal(
+      (await exportManifest({ departureId }, otherAgency)).status,
+      403
+    );
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Mobile wallet payment tests.
+ * @description Pays bookings through the JazzCash and Easypaisa webhooks: a
+ * signed JazzCash callback marks the booking paid and a forged one is
+ * rejected and logged, while an Easypaisa notification only counts once the
+ * order inquiry confirms it.
+ */
+
+const { describe, it, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const axios = require("axios");
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signIn,
+} = require("./helpers/setup");
+const {
+  createUser,
+  createAgency,
+  createPackage,
+  bookPackage,
+} = require("./helpers/fixtures");
+const Booking = require("../models/booking-model/Booking.model");
+const PaymentEvent = require("../models/payment-event-model/PaymentEvent.model");
+const {
+  secureHash,
+} = require("../services/payment-service/providers/jazzcash.provider");
+
+describe("mobile wallet payments", () => {
+  let app;
+  let token;
+  let package;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+  });
+
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    mock.restoreAll();
+    token = await signIn(await createUser(), "USER");
+    package = await createPackage(await createAgency());
+  });
+
+  /**
+   * Books one adult with a payment method and creates its payment intent.
+   * @param {string} paymentMethod
+   * @param {string} [flow]
+   * @returns {Promise<{booking: Object, payment: Object}>}
+   */
+  const bookAndStartPayment = async (paymentMethod, flow) => {
+    const booking = await bookPackage(app, token, {
+      packageId: package._id.toString(),
+      adults: 1,
+      paymentMethod,
+    });
+    const response = await request(app)
+      .post(`/api/payment/user/create-intent/${booking._id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ flow });
+    assert.equal(response.status, 200);
+    return { booking, payment: response.body.payment };
+  };
+
+  /**
+   * Signed JazzCash callback for a transaction.
+   * @param {string} txnRef
+   * @param {number} amount - Amount in rupees.
+   * @param {string} responseCode
+   * @returns {Object<string, string>}
+   */
+  const jazzCashCallback = (txnRef, amount, responseCode) => {
+    const fields = {
+      pp_TxnRefNo: txnRef,
+      pp_Amount: String(amount * 100),
+      pp_ResponseCode: responseCode,
+      pp_ResponseMessage: "Thank you for using JazzCash",
+    };
+    return { ...fields, pp_SecureHash: secureHash(fields) };
+  };
+
+  it("pays a booking from a signed JazzCash callback", async () => {
+    const { booking, payment } = await bookAndStartPayment("JAZZCASH");
+    assert.equal(payment.provider, "JAZZCASH");
+    assert.equal(payment.redirect.fields.pp_TxnRefNo, payment.intentId);
+
+    const callback = jazzCashCallback(payment.intentId, payment.amount, "000");
+    const response = await request(app)
+      .post("/api/payment/webhook/jazzcash")
+      .send(callback);
+    assert.equal(response.status, 200);
+
+    const paid = await Booking.findById(booking._id);
+    assert.equal(paid.paymentStatus, "PAID");
+
+    // JazzCash repeats callbacks; the repeat is not applied again
+    const repeat = await request(app)
+      .post("/api/payment/webhook/jazzcash")
+      .send(callback);
+    assert.equal(repeat.status, 200);
+    assert.equal(repeat.body.message, "Event already received");
+  });
+
+  it("rejects and logs a JazzCash callback with a forged hash", async () => {
+    const { booking, payment } = await bookAndStartPayment("JAZZCASH");
+
+    const response = await request(app)
+      .post("/api/payment/webhook/jazzcash")
+      .send({
+        ...jazzCashCallback(payment.intentId, payment.amount, "000"),
+        pp_Amount: "100",
+      });
+    assert.equal(response.status, 400);
+
+    const unpaid = await Booking.findById(booking._id);
+    assert.equal(unpaid.paymentStatus, "PENDING");
+    assert.equal(
+      await PaymentEvent.countDocuments({
+        provider: "JAZZCASH",
+        status: "REJECTED",
+      }),
+      1
+    );
+  });
+
+  it("pays an Easypaisa booking only once the inquiry confirms it", async () => {
+    const { booking, payment } = await bookAndStartPayment(
+      "EASYPaisa",
+      "MWALLET"
+    );
+    assert.equal(payment.provider, "EASYPAISA");
+    assert.equal(payment.status, "AWAITING_WALLET");
+
+    let transactionStatus = "PENDING";
+    mock.method(axios, "post", async () => ({
+      data: {
+        responseCode: "0000",
+        transactionStatus,
+        transactionAmount: String(payment.amount),
+      },
+    }));
+
+    /**
+     * Posts an Easypaisa notification naming the order.
+     * @returns {Promise<import('supertest').Response>}
+     */
+    const notify = () =>
+      request(app)
+        .post("/api/payment/webhook/easypaisa")
+        .send({ orderRefNumber: payment.intentId });
+
+    assert.equal((await notify()).status, 200);
+    assert.equal(
+      (await Booking.findById(booking._id)).paymentStatus,
+      "PENDING"
+    );
+
+    transactionStatus = "PAID";
+    assert.equal((await notify()).status, 200);
+    assert.equal((await Booking.findById(booking._id)).paymentStatus, "PAID");
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Agency wallet and payout tests.
+ * @description Completes a paid booking and works with the agency's wallet:
+ * earnings are credited net of commission and held for the hold period,
+ * every ledger transaction balances, refunds after completion are debited,
+ * and payouts move through request, rejection, approval and payment.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signIn,
+} = require("./helpers/setup");
+const {
+  createUser,
+  createAgency,
+  createSuperAdmin,
+  createPackage,
+  bookPackage,
+} = require("./helpers/fixtures");
+const Booking = require("../models/booking-model/Booking.model");
+const LedgerTransaction = require("../models/ledger-transaction-model/LedgerTransaction.model");
+const {
+  registerPaymentProvider,
+  startBookingPayment,
+} = require("../services/payment-service/payment.service");
+const {
+  ingestPaymentEvent,
+} = require("../services/payment-event-service/payment-event.service");
+const {
+  applyBookingTransition,
+} = require("../services/booking-service/booking.service");
+const {
+  postBookingCompletion,
+  postBookingRefund,
+} = require("../services/ledger-service/ledger.service");
+
+/** Card provider standing in for Stripe */
+const mockCardProvider = {
+  name: "STRIPE",
+  createIntent: async ({ bookingId, idempotencyKey }) => ({
+    intentId: `pi_${bookingId}_${idempotencyKey.split("-").pop()}`,
+    status: "requires_payment_method",
+    clientSecret: "secret",
+    redirect: null,
+  }),
+};
+
+/** Bank account payouts are sent to */
+const BANK_DETAILS = {
+  accountTitle: "Karakoram Tours",
+  bankName: "Meezan Bank",
+  iban: "PK36 SCBL 0000 0011 2345 6702",
+};
+
+describe("agency wallet", () => {
+  let app;
+  let agencyToken;
+  let adminToken;
+  let booking;
+
+  before(async () => {
+    await startDatabase();
+    app = createTestApp();
+    registerPaymentProvider(mockCardProvider);
+  });
+
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    const agency = await createAgency();
+    agencyToken = await signIn(agency, "AGENCY");
+    adminToken = await signIn(await createSuperAdmin(), "SUPERADMIN");
+
+    // A booking for 50000, paid in full and completed (default 10% commission)
+    const userToken = await signIn(await createUser(), "USER");
+    booking = await bookPackage(app, userToken, {
+      packageId: (await createPackage(agency))._id.toString(),
+      adults: 1,
+      paymentMethod: "CARD",
+    });
+    const { intentId } = await startBookingPayment(booking);
+    await ingestPaymentEvent(
+      "STRIPE",
+      {
+        id: `evt_${booking._id}`,
+        type: "PAYMENT_SUCCEEDED",
+        providerType: "payment_intent.succeeded",
+        intentId,
+        providerStatus: "succeeded",
+        amount: 50000,
+        amountRefunded: 0,
+        occurredAt: new Date(),
+        raw: {},
+      },
+      "WEBHOOK"
+    );
+    booking = await applyBookingTransition(
+      await Booking.findById(booking._id),
+      "COMPLETED"
+    );
+  });
+
+  /**
+   * The agency's PKR wallet.
+   * @returns {Promise<{balance: number, onHold: number, available: number}>}
+   */
+  const getWallet = async () => {
+    const response = await request(app)
+      .get("/api/wallet/agency/get-wallet-balance")
+      .set("Authorization", `Bearer ${agencyToken}`);
+    assert.equal(response.status, 200);
+    return response.body.balances.find((wallet) => wallet.currency === "PKR");
+  };
+
+  /**
+   * Ends the hold period of every posted earning.
+   * @returns {Promise<void>}
+   */
+  const releaseHolds = () =>
+    LedgerTransaction.updateMany(
+      { availableAt: { $ne: null } },
+      { $set: { availableAt: new Date(Date.now() - 1000) } }
+    );
+
+  /**
+   * Requests a payout as the agency.
+   * @param {number} amount
+   * @returns {Promise<import('supertest').Response>}
+   */
+  const requestPayout = (amount) =>
+    request(app)
+      .post("/api/wallet/agency/request-payout")
+      .set("Authorization", `Bearer ${agencyToken}`)
+      .send({ amount, bankDetails: BANK_DETAILS });
+
+  /**
+   * Reviews a payout as the super admin.
+   * @param {string} action - approve-payout, reject-payout or mark-payout-paid.
+   * @param {string} payoutId
+   * @param {Object} [body]
+   * @returns {Promise<import('supertest').Response>}
+   */
+  const reviewPayout = (action, payoutId, body = {}) =>
+    request(app)
+      .patch(`/api/wallet/super-admin/${action}/${payoutId}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(body);
+
+  it("credits completed bookings net of commission, on hold", async () => {
+    // Posting the same completion again has no effect
+    await postBookingCompletion(booking, null);
+
+    assert.deepEqual(await getWallet(), {
+      currency: "PKR",
+      balance: 45000,
+      onHold: 45000,
+      available: 0,
+    });
+    assert.equal(
+      await LedgerTransaction.countDocuments({ type: "BOOKING_COMPLETED" }),
+      1
+    );
+
+    await releaseHolds();
+    const wallet = await getWallet();
+    assert.equal(wallet.onHold, 0);
+    assert.equal(wallet.available, 45000);
+  });
+
+  it("debits a refund after completion and returns its commission", async () => {
+    await postBookingRefund(
+      booking,
+      { amount: 10000, reference: "re_test" },
+      null
+    );
+
+    const wallet = await getWallet();
+    assert.equal(wallet.balance, 36000);
+  });
+
+  it("only pays out what is available, one payout at a time", async () => {
+    assert.equal((await requestPayout(20000)).status, 400);
+
+    await releaseHolds();
+    assert.equal((await requestPayout(1000)).status, 400);
+    assert.equal((await requestPayout(50000)).status, 400);
+
+    const requested = await requestPayout(20000);
+    assert.equal(requested.status, 201);
+    assert.equal((await getWallet()).available, 25000);
+    assert.equal((await requestPayout(10000)).status, 409);
+
+    const rejected = await reviewPayout(
+      "reject-payout",
+      requested.body.payout._id,
+      { reason: "IBAN does not match the account title" }
+    );
+    assert.equal(rejected.status, 200);
+    assert.equal((await getWallet()).available, 45000);
+  });
+
+  it("approves and pays a payout", async () => {
+    await releaseHolds();
+    const { payout } = (await requestPayout(20000)).body;
+
+    // Paid only after approval, and with the transfer reference
+    assert.equal(
+      (
+        await reviewPayout("mark-payout-paid", payout._id, {
+          paymentReference: "FT123",
+        })
+      ).status,
+      409
+    );
+    assert.equal(
+      (await reviewPayout("approve-payout", payout._id)).status,
+      200
+    );
+    assert.equal(
+      (await reviewPayout("mark-payout-paid", payout._id)).status,
+      400
+    );
+
+    const paid = await reviewPayout("mark-payout-paid", payout._id, {
+      paymentReference: "FT123",
+    });
+    assert.equal(paid.status, 200);
+    assert.equal(paid.body.payout.status, "PAID");
+
+    assert.equal((await getWallet()).balance, 25000);
+    const late = await reviewPayout("reject-payout", payout._id, {
+      reason: "Sent to the wrong account",
+    });
+    assert.equal(late.status, 409);
+
+    // Every transaction balances
+    for (const transaction of await LedgerTransaction.find({})) {
+      const total = (direction) =>
+        transaction.entries
+          .filter((entry) => entry.direction === direction)
+          .reduce((sum, entry) => sum + entry.amount, 0);
+      assert.equal(total("DEBIT"), total("CREDIT"));
+    }
+  });
+});
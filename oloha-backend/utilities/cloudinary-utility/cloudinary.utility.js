@@ -3,6 +3,9 @@
  * Supports:
  * - Image uploads (JPG, PNG, JPEG, WEBP)
  * - Document uploads (PDF, DOC, DOCX, XLS, XLSX)
+ * - Generated booking documents (invoices and e-tickets)
+ * - Customer review photos
+ * - Chat image attachments
  * - RAW upload support for non-image files
  * - Multer multi-field upload handling
  * - Folder-based organization for Oloha platform
@@ -91,6 +94,8 @@ exports.upload = multer({
   { name: "profilePicture", maxCount: 1 },
   { name: "packageImages", maxCount: 20 },
   { name: "verificationDocs", maxCount: 10 }, // <-- added for agency legal docs
+  { name: "reviewPhotos", maxCount: 6 },
+  { name: "chatImage", maxCount: 1 },
 ]);
 
 // ---------------------------------------------------------------------------
@@ -111,6 +116,12 @@ const getFolderForUploadType = (type) => {
       return `${base}/packages/images`;
     case "verificationDocs": // <-- pdf, doc, docx, etc.
       return `${base}/agencies/verificationDocs`;
+    case "bookingDocuments": // <-- generated invoices and e-tickets
+      return `${base}/bookings/documents`;
+    case "reviewPhotos":
+      return `${base}/reviews/photos`;
+    case "chatImage":
+      return `${base}/chats/images`;
     default:
       throw new Error(`Unsupported upload type: ${type}`);
   }
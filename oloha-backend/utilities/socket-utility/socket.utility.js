@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Socket.io utility for real-time features.
+ * Supports:
+ * - Socket.io server attached to the HTTP server, with the API's CORS origins
+ * - Handshake authentication with the same encrypted token as the REST API
+ * - A private room per user or agency, joined on connection
+ * - Emitting to a user's or agency's connected devices from anywhere in the app
+ * - Checking whether a user or agency has the app open, e.g. to skip pushes
+ */
+
+const { Server } = require("socket.io");
+const {
+  socketAuthMiddleware,
+} = require("../../middlewares/auth-middleware/auth.middleware");
+
+/**
+ * Socket.io server, set once `initSocketServer` runs.
+ * @type {import('socket.io').Server|null}
+ */
+let io = null;
+
+// ---------------------------------------------------------------------------
+// ROOMS
+// ---------------------------------------------------------------------------
+
+/**
+ * Name of the private room of a user, agency or super admin.
+ *
+ * @param {string} role - USER, AGENCY or SUPERADMIN
+ * @param {string} id - Account ID
+ * @returns {string}
+ */
+exports.participantRoom = (role, id) => `${role.toLowerCase()}:${id}`;
+
+// ---------------------------------------------------------------------------
+// SERVER SETUP
+// ---------------------------------------------------------------------------
+
+/**
+ * Attaches Socket.io to the HTTP server. Every connection is authenticated
+ * and joins its account's private room.
+ *
+ * @param {import('http').Server} server
+ * @returns {import('socket.io').Server}
+ */
+exports.initSocketServer = (server) => {
+  io = new Server(server, {
+    cors: {
+      origin:
+        process.env.ALLOWED_ORIGINS === "*"
+          ? true
+          : process.env.ALLOWED_ORIGINS.split(",").map((o) => o.trim()),
+      credentials: true,
+    },
+    maxHttpBufferSize: 20 * 1024, // Same limit as JSON request bodies
+  });
+
+  io.use(socketAuthMiddleware);
+
+  io.on("connection", (socket) => {
+    socket.join(exports.participantRoom(socket.user.role, socket.user.id));
+  });
+
+  return io;
+};
+
+// ---------------------------------------------------------------------------
+// EMITTING
+// ---------------------------------------------------------------------------
+
+/**
+ * Sends an event to every connected device of a user or agency.
+ * Does nothing before the socket server is started (e.g. in scripts).
+ *
+ * @param {string} role - USER, AGENCY or SUPERADMIN
+ * @param {string} id - Account ID
+ * @param {string} event - Event name
+ * @param {*} payload - Event data
+ */
+exports.emitToParticipant = (role, id, event, payload) => {
+  if (!io) return;
+  io.to(exports.participantRoom(role, id)).emit(event, payload);
+};
+
+/**
+ * Whether a user or agency has at least one connected device.
+ * Always false before the socket server is started.
+ *
+ * @param {string} role - USER, AGENCY or SUPERADMIN
+ * @param {string} id - Account ID
+ * @returns {boolean}
+ */
+exports.isParticipantOnline = (role, id) => {
+  if (!io) return false;
+  return Boolean(
+    io.sockets.adapter.rooms.get(exports.participantRoom(role, id))?.size
+  );
+};